@@ -0,0 +1,110 @@
+// access.js - Role-based access control for report endpoints
+import { query, ensureColumn } from './db.js';
+import { log } from './logger.js';
+
+const ROLES = ['admin', 'supervisor', 'agent'];
+
+/**
+ * Create the team tables and add role columns to the users table.
+ * Users that existed before roles were introduced were all admins, so they
+ * keep admin rights when the role column is first added.
+ */
+async function ensureAccessSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      team_id INT NOT NULL,
+      extension VARCHAR(32) NOT NULL,
+      PRIMARY KEY (team_id, extension),
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+    )
+  `);
+
+  const roleAdded = await ensureColumn('users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'agent'");
+  if (roleAdded) {
+    await query("UPDATE users SET role = 'admin'");
+    log('Added role column to users table; existing users were granted admin', 'info');
+  }
+  await ensureColumn('users', 'extension', 'VARCHAR(32) NULL');
+  await ensureColumn('users', 'team_id', 'INT NULL');
+}
+
+/**
+ * Resolve which extensions a user may see
+ * @param {number} userId - users.id from the session
+ * @returns {Promise<Object|null>} - { userId, role, extensions } where extensions
+ *   is null for unrestricted access or a Set of extension strings; null if the user
+ *   is gone or disabled
+ */
+async function getAccessScope(userId) {
+  const rows = await query('SELECT id, role, extension, team_id, disabled FROM users WHERE id = ? LIMIT 1', [userId]);
+  const user = rows[0];
+  if (!user || user.disabled) return null;
+
+  const role = ROLES.includes(user.role) ? user.role : 'agent';
+
+  if (role === 'admin') {
+    return { userId: user.id, role, extensions: null };
+  }
+
+  if (role === 'supervisor') {
+    const members = user.team_id
+      ? await query('SELECT extension FROM team_members WHERE team_id = ?', [user.team_id])
+      : [];
+    const extensions = new Set(members.map(m => String(m.extension)));
+    // Supervisors always see their own row as well
+    if (user.extension) extensions.add(String(user.extension));
+    return { userId: user.id, role, teamId: user.team_id, extensions };
+  }
+
+  return {
+    userId: user.id,
+    role,
+    extensions: new Set(user.extension ? [String(user.extension)] : [])
+  };
+}
+
+/**
+ * Middleware - attach req.accessScope for the authenticated user.
+ * Must run after requireAuth.
+ */
+async function loadAccessScope(req, res, next) {
+  try {
+    const scope = await getAccessScope(req.user.sub);
+    if (!scope) {
+      return res.status(401).json({ success: false, error: 'Account is disabled or no longer exists' });
+    }
+    req.accessScope = scope;
+    next();
+  } catch (error) {
+    log(`Error loading access scope: ${error.message}`, 'error');
+    res.status(500).json({ success: false, error: 'Unable to verify permissions' });
+  }
+}
+
+/**
+ * Middleware factory - only allow the listed roles
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.accessScope || !roles.includes(req.accessScope.role)) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+export {
+  ROLES,
+  ensureAccessSchema,
+  getAccessScope,
+  loadAccessScope,
+  requireRole
+};
@@ -0,0 +1,294 @@
+// adherence.js - Schedule adherence: planned shifts (see schedules.js) against
+// the state blocks agents actually produced (see processCustomStatesForAgent)
+//
+// Inside a shift an agent is expected to be in a productive state, except
+// during a planned break or lunch, when any non-productive state (a break
+// reason or logged off) is expected instead. Every minute that does not match
+// is out of adherence, including minutes in a state the catalogue does not
+// track. Conformance compares the productive time actually worked during the
+// shift with the productive time planned, whenever it was worked.
+//
+// Late logins, early logoffs and breaks that run over are only reported when
+// they exceed ADHERENCE_GRACE (default 2m).
+import ms from 'ms';
+import {
+  STATE_LOOKBACK,
+  createProgressTracker,
+  fetchAgentEventsData,
+  generateSlotWiseTimeSlots,
+  loadAgentEvents,
+  parseDateTimeString,
+  processCustomStatesForAgent,
+  resolveReportTimeZone,
+  resolveStateCatalogue
+} from './agentEvents.js';
+import { getSchedules } from './schedules.js';
+import { formatDateTime } from './public/timezone.js';
+import { createLogger } from './logger.js';
+
+const GRACE = ms(process.env.ADHERENCE_GRACE || '2m');
+const MINUTE = 60 * 1000;
+// Blocks this close together are treated as one stretch when measuring a break
+const CONTIGUOUS = 1000;
+const logger = createLogger({ component: 'adherence' });
+
+const minutes = value => Math.round(value / MINUTE);
+const percent = (part, whole) => (whole > 0 ? ((part / whole) * 100).toFixed(1) : null);
+const overlap = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+
+/**
+ * A shift as consecutive stretches of expected behaviour, clipped to a window
+ * @param {Object} shift - { start, end, activities: [{ type, start, end }] } in ms
+ * @returns {Array<Object>} - [{ start, end, expect: 'productive'|'away' }]
+ */
+function expectedSegments(shift, from, to) {
+  const segments = [];
+  let cursor = shift.start;
+  const activities = [...shift.activities].sort((a, b) => a.start - b.start);
+
+  for (const activity of activities) {
+    const start = Math.max(activity.start, cursor);
+    const end = Math.min(activity.end, shift.end);
+    if (end <= start) continue;
+    if (start > cursor) segments.push({ start: cursor, end: start, expect: 'productive' });
+    segments.push({ start, end, expect: 'away' });
+    cursor = end;
+  }
+  if (cursor < shift.end) segments.push({ start: cursor, end: shift.end, expect: 'productive' });
+
+  return segments
+    .map(segment => ({ ...segment, start: Math.max(segment.start, from), end: Math.min(segment.end, to) }))
+    .filter(segment => segment.end > segment.start);
+}
+
+/**
+ * Scheduled, in-adherence and productive time for a set of expected segments
+ * @param {Array<Object>} blocks - The agent's state blocks, with start/end in ms
+ * @param {Array<Object>} segments - From expectedSegments
+ * @param {Map<string, string>} categories - state → catalogue category
+ */
+function measureSegments(blocks, segments, categories) {
+  const totals = { scheduled: 0, inAdherence: 0, plannedProductive: 0, productive: 0 };
+
+  for (const segment of segments) {
+    const length = segment.end - segment.start;
+    totals.scheduled += length;
+    if (segment.expect === 'productive') totals.plannedProductive += length;
+
+    for (const block of blocks) {
+      const time = overlap(block.start, block.end, segment.start, segment.end);
+      if (time === 0) continue;
+      const productive = categories.get(block.state) === 'productive';
+      if (productive) totals.productive += time;
+      if (productive === (segment.expect === 'productive')) totals.inAdherence += time;
+    }
+  }
+  return totals;
+}
+
+/**
+ * How long the agent's non-productive stretch around a planned break lasted
+ * @returns {number|null} - ms, or null when the agent took no break in the planned window
+ */
+function actualBreakLength(blocks, activity, categories) {
+  const away = blocks.filter(block => categories.get(block.state) !== 'productive');
+  const first = away.findIndex(block => overlap(block.start, block.end, activity.start, activity.end) > 0);
+  if (first === -1) return null;
+
+  let end = away[first].end;
+  for (let i = first + 1; i < away.length && away[i].start - end <= CONTIGUOUS; i++) {
+    end = away[i].end;
+  }
+  return end - away[first].start;
+}
+
+/**
+ * Adherence for one shift
+ * @param {Object} shift - From getSchedules
+ * @param {Array<Object>} blocks - The agent's state blocks, with start/end in ms
+ * @param {Map<string, string>} categories - state → catalogue category
+ * @param {number} rangeStart - Report range start (ms)
+ * @param {number} measuredEnd - Report range end, or now if earlier (ms)
+ * @param {string} timeZone - For displayed times
+ */
+function measureShift(shift, blocks, categories, rangeStart, measuredEnd, timeZone) {
+  const totals = measureSegments(blocks, expectedSegments(shift, rangeStart, measuredEnd), categories);
+  const loggedIn = blocks.filter(block =>
+    categories.get(block.state) !== 'offline' && overlap(block.start, block.end, shift.start, shift.end) > 0
+  );
+
+  // Only judged when the report covers that end of the shift
+  let lateLogin = null;
+  if (shift.start >= rangeStart && shift.start < measuredEnd) {
+    const firstLogin = loggedIn.length > 0 ? Math.max(loggedIn[0].start, shift.start) : Math.min(shift.end, measuredEnd);
+    lateLogin = firstLogin - shift.start > GRACE ? firstLogin - shift.start : 0;
+  }
+  let earlyLogoff = null;
+  if (shift.end <= measuredEnd && loggedIn.length > 0) {
+    const lastLogoff = Math.min(loggedIn.at(-1).end, shift.end);
+    earlyLogoff = shift.end - lastLogoff > GRACE ? shift.end - lastLogoff : 0;
+  }
+
+  const activities = shift.activities
+    .filter(activity => activity.start >= rangeStart && activity.end <= measuredEnd)
+    .map(activity => {
+      const actual = actualBreakLength(blocks, activity, categories);
+      const planned = activity.end - activity.start;
+      const overrun = actual !== null && actual - planned > GRACE ? actual - planned : 0;
+      return {
+        type: activity.type,
+        start: formatDateTime(activity.start, timeZone),
+        end: formatDateTime(activity.end, timeZone),
+        plannedMinutes: minutes(planned),
+        actualMinutes: actual === null ? null : minutes(actual),
+        overrunMinutes: minutes(overrun)
+      };
+    });
+
+  return {
+    totals,
+    row: {
+      date: shift.date,
+      start: formatDateTime(shift.start, timeZone),
+      end: formatDateTime(shift.end, timeZone),
+      noShow: shift.start < measuredEnd && loggedIn.length === 0,
+      scheduledMinutes: minutes(totals.scheduled),
+      outOfAdherenceMinutes: minutes(totals.scheduled - totals.inAdherence),
+      adherencePercent: percent(totals.inAdherence, totals.scheduled),
+      conformancePercent: percent(totals.productive, totals.plannedProductive),
+      lateLoginMinutes: lateLogin === null ? null : minutes(lateLogin),
+      earlyLogoffMinutes: earlyLogoff === null ? null : minutes(earlyLogoff),
+      activities
+    }
+  };
+}
+
+/**
+ * Adherence for one agent: per shift, per slot and in total
+ */
+function measureAgent(agent, shifts, blocks, categories, timeSlots, rangeStart, measuredEnd, timeZone) {
+  const total = { scheduled: 0, inAdherence: 0, plannedProductive: 0, productive: 0 };
+  const shiftRows = shifts.map(shift => {
+    const { totals, row } = measureShift(shift, blocks, categories, rangeStart, measuredEnd, timeZone);
+    Object.keys(total).forEach(key => { total[key] += totals[key]; });
+    return row;
+  });
+
+  const slots = timeSlots.map(slot => {
+    const slotStart = slot.start.getTime();
+    const slotEnd = Math.min(slot.end.getTime(), measuredEnd);
+    const segments = shifts.flatMap(shift => expectedSegments(shift, slotStart, slotEnd));
+    const totals = measureSegments(blocks, segments, categories);
+    return {
+      timeSlot: slot.label,
+      scheduledMinutes: minutes(totals.scheduled),
+      outOfAdherenceMinutes: minutes(totals.scheduled - totals.inAdherence),
+      adherencePercent: percent(totals.inAdherence, totals.scheduled)
+    };
+  });
+
+  const sumOf = (key, type = null) => shiftRows
+    .flatMap(row => (type ? row.activities.filter(activity => activity.type === type) : [row]))
+    .reduce((sum, row) => sum + (row[key] || 0), 0);
+
+  return {
+    ...agent,
+    scheduledMinutes: minutes(total.scheduled),
+    outOfAdherenceMinutes: minutes(total.scheduled - total.inAdherence),
+    adherencePercent: percent(total.inAdherence, total.scheduled),
+    conformancePercent: percent(total.productive, total.plannedProductive),
+    lateLoginMinutes: sumOf('lateLoginMinutes'),
+    earlyLogoffMinutes: sumOf('earlyLogoffMinutes'),
+    overlongLunchMinutes: sumOf('overrunMinutes', 'lunch'),
+    overlongBreakMinutes: sumOf('overrunMinutes', 'break'),
+    shifts: shiftRows,
+    slots,
+    total
+  };
+}
+
+/**
+ * Generate the schedule adherence report
+ * @param {Object} options - Report options (allowedExtensions, timeZone, stateCatalogue,
+ *   onProgress, signal) plus the slot settings (interval, boundaries) of the slot-wise report
+ */
+async function generateAdherenceReport(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
+  const { allowedExtensions = null, interval = 60, boundaries = null } = options;
+  logger.info(`Generating adherence report for ${startDateTime} to ${endDateTime}`, { tenant });
+
+  const timeZone = await resolveReportTimeZone(tenant, options);
+  const startTime = parseDateTimeString(startDateTime, timeZone);
+  const endTime = parseDateTimeString(endDateTime, timeZone);
+  const rangeStart = startTime.getTime();
+  const measuredEnd = Math.min(endTime.getTime(), Date.now());
+  const lookbackStart = new Date(rangeStart - STATE_LOOKBACK);
+  const progress = createProgressTracker(options.onProgress, lookbackStart, endTime);
+
+  progress.stage('fetching');
+  const schedules = (await getSchedules(tenant, rangeStart, endTime.getTime(), extension))
+    .filter(shift => !allowedExtensions || allowedExtensions.has(String(shift.extension)));
+  const eventsData = schedules.length === 0 ? [] : await loadAgentEvents(tenant, lookbackStart, endTime, null, extension, fetchAgentEventsData, {
+    signal: options.signal,
+    onPage: progress.pageFetched
+  });
+  options.signal?.throwIfAborted();
+  const stateCatalogue = await resolveStateCatalogue(tenant, options, null, eventsData);
+  const categories = new Map(stateCatalogue.map(entry => [entry.state, entry.category]));
+
+  progress.stage('processing', { percent: 100 });
+  const timeSlots = generateSlotWiseTimeSlots(startTime, endTime, timeZone, { interval, boundaries });
+  const byExtension = new Map();
+  schedules.forEach(shift => {
+    if (!byExtension.has(shift.extension)) byExtension.set(shift.extension, []);
+    byExtension.get(shift.extension).push(shift);
+  });
+
+  const agents = [];
+  for (const [agentExtension, shifts] of byExtension) {
+    const sample = eventsData.find(event => String(event.ext) === agentExtension);
+    const name = sample?.username || '';
+    if (agentName && !name.toLowerCase().includes(agentName.toLowerCase())) continue;
+
+    const dataQualityWarnings = [];
+    const blocks = processCustomStatesForAgent(eventsData, sample?.username, sample?.ext ?? agentExtension, startTime, endTime, timeZone, stateCatalogue, dataQualityWarnings)
+      .filter(block => block.end !== null);
+    agents.push(measureAgent(
+      { agentName: name, extension: agentExtension, dataQualityWarnings },
+      shifts, blocks, categories, timeSlots, rangeStart, measuredEnd, timeZone
+    ));
+  }
+
+  const total = { scheduled: 0, inAdherence: 0, plannedProductive: 0, productive: 0 };
+  agents.forEach(agent => {
+    Object.keys(total).forEach(key => { total[key] += agent.total[key]; });
+    delete agent.total;
+  });
+  logger.info(`Generated adherence report for ${agents.length} agents from ${schedules.length} shifts`, { tenant });
+
+  return {
+    success: true,
+    summary: {
+      totalAgents: agents.length,
+      totalShifts: agents.reduce((sum, agent) => sum + agent.shifts.length, 0),
+      scheduledMinutes: minutes(total.scheduled),
+      outOfAdherenceMinutes: minutes(total.scheduled - total.inAdherence),
+      adherencePercent: percent(total.inAdherence, total.scheduled),
+      conformancePercent: percent(total.productive, total.plannedProductive),
+      lateLogins: agents.reduce((sum, agent) => sum + agent.shifts.filter(shift => shift.lateLoginMinutes > 0).length, 0),
+      earlyLogoffs: agents.reduce((sum, agent) => sum + agent.shifts.filter(shift => shift.earlyLogoffMinutes > 0).length, 0),
+      overlongBreaks: agents.reduce((sum, agent) => sum + agent.shifts.flatMap(shift => shift.activities).filter(activity => activity.overrunMinutes > 0).length, 0),
+      timeRange: {
+        start: startDateTime,
+        end: endDateTime,
+        startFormatted: formatDateTime(startTime, timeZone),
+        endFormatted: formatDateTime(endTime, timeZone),
+        timeZone
+      }
+    },
+    timeSlots: timeSlots.map(slot => slot.label),
+    agents,
+    timestamp: formatDateTime(new Date(), timeZone)
+  };
+}
+
+export { expectedSegments, measureSegments, measureShift, generateAdherenceReport };
@@ -2,119 +2,74 @@
 
 import 'dotenv/config';
 import axios from 'axios';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import ms from 'ms';
+import { getPortalToken, getTenantCredentials, httpsAgent } from './tokenService.js';
+import {
+  DEFAULT_TIMEZONE,
+  formatDate,
+  formatDateTime,
+  formatTime,
+  getZonedDateKey,
+  getZonedParts,
+  parseZonedDateTime,
+  zonedTimeToUtc
+} from './public/timezone.js';
+import { getStoredEvents, getSyncState } from './eventStore.js';
+import { DEFAULT_KPI_FORMULAS, computeKpis, stateTimeTotals, sumKpiValues } from './public/kpis.js';
+import { fetchNormalizedCdrs } from './cdrFetcher.js';
+import { buildStateTimeline, parseEventTimestamp } from './stateMachine.js';
+import { createLogger } from './logger.js';
+import {
+  DEFAULT_STATES,
+  defaultStateCatalogue,
+  exclusiveStateNames,
+  getStateCatalogue,
+  recordSeenStates,
+  trackedStateNames
+} from './stateCatalogue.js';
 
 const MAX_RETRIES = 3;
+const logger = createLogger({ component: 'agentEvents' });
+const EVENT_STORE_ENABLED = process.env.EVENT_STORE !== 'off';
+// How far before a report's start to look for the state each agent was already in
+const STATE_LOOKBACK = ms(process.env.STATE_LOOKBACK || '12h');
 
-/**
- * Essential timezone utilities - simplified Dubai timezone handling
- */
+// Identifies an event across fetches of overlapping ranges
+const eventKey = event => `${event.user_id}|${event.state}|${event.enabled ? 1 : 0}|${parseEventTimestamp(event.Timestamp)}`;
 
 /**
- * Format timestamp to Dubai timezone
- * @param {number|string|Date} timestamp - Timestamp to format
- * @returns {string} - Formatted datetime string in Dubai timezone
+ * Resolve the timezone reports for a tenant are shown in: an explicit
+ * options.timeZone wins, then the tenant's registry setting.
+ * @param {string} tenant - Tenant name
+ * @param {Object} options - Report options
+ * @returns {Promise<string>} - IANA zone name
  */
-const formatTimestampDubai = (timestamp) => {
-  if (!timestamp) return '';
-  
-  let date;
-  if (timestamp instanceof Date) {
-    date = timestamp;
-  } else if (typeof timestamp === 'string') {
-    date = new Date(timestamp);
-  } else {
-    // Handle numeric timestamps properly
-    let timestampMs;
-    if (timestamp.toString().length <= 10) {
-      // Unix timestamp in seconds - convert to milliseconds
-      timestampMs = timestamp * 1000;
-    } else {
-      // Already in milliseconds
-      timestampMs = timestamp;
-    }
-    date = new Date(timestampMs);
-  }
-  
-  if (isNaN(date.getTime())) return '';
-  
-  return date.toLocaleString('en-AE', {
-    timeZone: 'Asia/Dubai',
-    day: '2-digit',
-    month: '2-digit',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  });
-};
+async function resolveReportTimeZone(tenant, options = {}) {
+  if (options.timeZone) return options.timeZone;
+  const { timezone } = await getTenantCredentials(tenant);
+  return timezone || DEFAULT_TIMEZONE;
+}
 
 /**
- * Format time only in Dubai timezone (HH:MM AM/PM)
- * @param {number|string|Date} timestamp - Timestamp to format
- * @returns {string} - Formatted time string in Dubai timezone
+ * Log a failed portal request; the response body is only logged at debug level
  */
-const formatTimeDubai = (timestamp) => {
-  if (!timestamp) return '';
-  
-  let date;
-  if (timestamp instanceof Date) {
-    date = timestamp;
-  } else if (typeof timestamp === 'string') {
-    date = new Date(timestamp);
-  } else {
-    // Handle numeric timestamps properly
-    let timestampMs;
-    if (timestamp.toString().length <= 10) {
-      // Unix timestamp in seconds - convert to milliseconds
-      timestampMs = timestamp * 1000;
-    } else {
-      // Already in milliseconds
-      timestampMs = timestamp;
-    }
-    date = new Date(timestampMs);
+function logRequestError(message, error, fields) {
+  logger.error(`${message}: ${error.message}`, { ...fields, status: error.response?.status });
+  if (error.response) {
+    logger.debug(`${message}: response body`, { ...fields, response: error.response.data });
   }
-  
-  if (isNaN(date.getTime())) return '';
-  
-  return date.toLocaleString('en-AE', {
-    timeZone: 'Asia/Dubai',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true
-  });
-};
-
-/**
- * Get current time in Dubai timezone
- * @returns {string} - Current Dubai time
- */
-const getCurrentDubaiTime = () => {
-  return formatTimestampDubai(new Date());
-};
-
-/**
- * Convert user input (treated as Dubai time) to UTC for API calls
- * @param {string} dateTimeString - Date time string (YYYY-MM-DDTHH:MM)
- * @returns {string} - UTC ISO string
- */
-const convertDubaiInputToUTC = (dateTimeString) => {
-  if (!dateTimeString) return '';
-  
-  // Parse as Dubai time and convert to UTC
-  const dubaiDate = new Date(dateTimeString + '+04:00'); // Dubai is UTC+4
-  return dubaiDate.toISOString();
-};
+}
 
 /**
  * Fetch agent stats data from API
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the request (the only error that is rethrown)
  */
-async function fetchAgentStatsData(tenant, startDateTime, endDateTime, agentName = null, extension = null) {
-  const baseUrl = process.env.BASE_URL || 'https://uc.ira-shams-sj.ucprem.voicemeetme.com:9443';
-  const url = `${baseUrl}/api/v2/reports/callcenter/agents/stats`;
-  
+async function fetchAgentStatsData(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
   try {
-    console.log(`🔐 Authenticating with tenant: ${tenant}`);
+    const { baseUrl, accountId } = await getTenantCredentials(tenant);
+    const url = `${baseUrl}/api/v2/reports/callcenter/agents/stats`;
+    
     const token = await getPortalToken(tenant);
     const startTimestamp = Math.floor(new Date(startDateTime).getTime() / 1000);
     const endTimestamp = Math.floor(new Date(endDateTime).getTime() / 1000);
@@ -127,47 +82,120 @@ async function fetchAgentStatsData(tenant, startDateTime, endDateTime, agentName
     const headers = {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json',
-      'x-account-id': process.env.ACCOUNT_ID
+      'x-account-id': accountId
     };
     
-    console.log(`📡 Fetching stats from: ${url}`);
-    console.log(`📅 Time range: ${startTimestamp} to ${endTimestamp}`);
+    logger.debug('Fetching agent stats', { tenant, url, startTimestamp, endTimestamp });
     
     const response = await axios.get(url, {
       params,
       headers,
       httpsAgent,
-      timeout: 30000
+      timeout: 30000,
+      signal: options.signal
     });
     
-    console.log(`✅ Stats API Response: ${response.data?.length || 0} agents`);
-    
-    // Debug: Log the first agent's data structure
-    if (response.data && response.data.length > 0) {
-      console.log('🔍 Sample agent data structure:', JSON.stringify(response.data[0], null, 2));
-    }
+    logger.debug(`Agent stats received for ${Object.keys(response.data || {}).length} agents`, { tenant });
     
     return response.data || [];
   } catch (error) {
-    console.error('❌ Error fetching agent stats:', error.message);
-    if (error.response) {
-      console.error(`📡 Response status: ${error.response.status}`);
-      console.error(`📡 Response data:`, error.response.data);
-    }
+    if (options.signal?.aborted) throw error;
+    logRequestError('Error fetching agent stats', error, { tenant });
     return [];
   }
 }
 
 /**
- * Fetch agent events data from API with improved pagination and date filtering
+ * Page through the activity events endpoint, following next_start_key
+ * @param {string} tenant - Tenant name
+ * @param {number} startTimestamp - Range start (Unix seconds)
+ * @param {number} endTimestamp - Range end (Unix seconds)
+ * @param {Object} options
+ * @param {Function} options.onPage - async (events, pageNumber) => void, called for every non-empty page
+ * @param {number} options.maxPages - Stop after this many pages
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @param {string} options.label - Prefix for log lines
+ * @param {AbortSignal} options.signal - Aborts the current request and stops paging
+ * @returns {Promise<{pageCount: number, complete: boolean}>} - complete is false when maxPages cut the range short
  */
-async function fetchAgentEventsData(tenant, startDateTime, endDateTime, agentName = null, extension = null) {
-  const baseUrl = process.env.BASE_URL || 'https://uc.ira-shams-sj.ucprem.voicemeetme.com:9443';
+async function fetchActivityEventPages(tenant, startTimestamp, endTimestamp, { onPage, maxPages = 500, timeout = 180000, label = 'Events', signal } = {}) {
+  const { baseUrl, accountId } = await getTenantCredentials(tenant);
   const url = `${baseUrl}/api/v2/reports/callcenter/agents/activity/events`;
   
+  const token = await getPortalToken(tenant);
+  
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json',
+    'x-account-id': accountId
+  };
+  
+  logger.debug(`${label}: fetching activity events`, { tenant, url, startTimestamp, endTimestamp });
+  
+  let nextStartKey = null;
+  let pageCount = 0;
+  
+  do {
+    signal?.throwIfAborted();
+    pageCount++;
+    const params = {
+      startDate: startTimestamp,
+      endDate: endTimestamp,
+      pageSize: 1500 // Updated page size as requested
+    };
+    
+    if (nextStartKey) {
+      params.next_start_key = nextStartKey;
+    }
+    
+    const response = await axios.get(url, {
+      params,
+      headers,
+      httpsAgent,
+      timeout,
+      signal
+    });
+    
+    const responseData = response.data || {};
+    const events = responseData.events || responseData || [];
+    
+    logger.debug(`${label} page ${pageCount}: ${events.length} events received`, { tenant, more: Boolean(responseData.next_start_key || responseData.nextStartKey) });
+    
+    if (Array.isArray(events) && events.length > 0) {
+      await onPage(events, pageCount);
+    }
+    
+    nextStartKey = responseData.next_start_key || responseData.nextStartKey || null;
+    
+    // Safety checks
+    if (nextStartKey && pageCount >= maxPages) {
+      logger.warn(`${label}: reached the limit of ${maxPages} pages, the rest of the range is not fetched`, { tenant });
+      return { pageCount, complete: false };
+    }
+    
+    if (events.length === 0) {
+      break;
+    }
+    
+    // Respectful delay between requests
+    if (nextStartKey && pageCount > 1) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    
+  } while (nextStartKey);
+  
+  return { pageCount, complete: true };
+}
+
+/**
+ * Fetch agent events data from API with improved pagination and date filtering
+ * @param {Object} options
+ * @param {Function} options.onPage - Called with the events of every page received
+ * @param {AbortSignal} options.signal - Cancels the download (the only error that is rethrown)
+ */
+async function fetchAgentEventsData(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
   try {
-    console.log(`🔐 Authenticating with tenant: ${tenant}`);
-    const token = await getPortalToken(tenant);
+    const { timezone = DEFAULT_TIMEZONE } = await getTenantCredentials(tenant);
     
     // Convert to timestamps and add buffer to ensure we don't miss edge cases
     const startTimestamp = Math.floor(new Date(startDateTime).getTime() / 1000);
@@ -177,166 +205,71 @@ async function fetchAgentEventsData(tenant, startDateTime, endDateTime, agentNam
     const bufferedStartTimestamp = startTimestamp - 3600; // 1 hour before
     const bufferedEndTimestamp = endTimestamp + 3600; // 1 hour after
     
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      'x-account-id': process.env.ACCOUNT_ID
-    };
-    
-    console.log(`📡 Fetching events from: ${url}`);
-    console.log(`📅 Requested range: ${startTimestamp} to ${endTimestamp}`);
-    console.log(`📅 API query range (with buffer): ${bufferedStartTimestamp} to ${bufferedEndTimestamp}`);
-    console.log(`📅 Dubai time range: ${formatTimestampDubai(startTimestamp * 1000)} to ${formatTimestampDubai(endTimestamp * 1000)}`);
+    logger.debug('Fetching agent events', {
+      tenant,
+      start: formatDateTime(startTimestamp * 1000, timezone),
+      end: formatDateTime(endTimestamp * 1000, timezone),
+      queryStart: bufferedStartTimestamp,
+      queryEnd: bufferedEndTimestamp
+    });
     
     let allEvents = [];
-    let nextStartKey = null;
-    let pageCount = 0;
-    const maxPages = 500; // Increased for very large datasets
-    
-    do {
-      pageCount++;
-      console.log(`📄 Fetching page ${pageCount}${nextStartKey ? ` (continuing...)` : ' (initial)'}`);
-      
-      const params = {
-        startDate: bufferedStartTimestamp, // Use buffered range for API
-        endDate: bufferedEndTimestamp,
-        pageSize: 1500 // Updated page size as requested
-      };
-      
-      if (nextStartKey) {
-        params.next_start_key = nextStartKey;
-      }
-      
-      const response = await axios.get(url, {
-        params,
-        headers,
-        httpsAgent,
-        timeout: 180000 // 3 minutes timeout for large requests
-      });
-      
-      const responseData = response.data || {};
-      const events = responseData.events || responseData || [];
-      
-      console.log(`✅ Page ${pageCount}: ${events.length} events received`);
-      
-      if (Array.isArray(events) && events.length > 0) {
+    const { pageCount } = await fetchActivityEventPages(tenant, bufferedStartTimestamp, bufferedEndTimestamp, {
+      maxPages: 500, // Increased for very large datasets
+      timeout: 180000, // 3 minutes timeout for large requests
+      signal: options.signal,
+      onPage: events => {
         allEvents = allEvents.concat(events);
-        console.log(`📊 Total events so far: ${allEvents.length}`);
-      }
-      
-      nextStartKey = responseData.next_start_key || responseData.nextStartKey || null;
-      
-      if (nextStartKey) {
-        console.log(`🔄 More data available, continuing...`);
-      } else {
-        console.log(`🏁 Pagination complete`);
-      }
-      
-      // Safety checks
-      if (pageCount >= maxPages) {
-        console.log(`⚠️ Reached maximum page limit (${maxPages}), stopping`);
-        break;
-      }
-      
-      if (events.length === 0) {
-        console.log(`📄 Empty page received, stopping`);
-        break;
-      }
-      
-      // Respectful delay between requests
-      if (nextStartKey && pageCount > 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+        options.onPage?.(events);
       }
-      
-    } while (nextStartKey);
+    });
     
-    console.log(`✅ API fetch complete: ${allEvents.length} total events across ${pageCount} pages`);
+    logger.info(`Fetched ${allEvents.length} agent events from the portal in ${pageCount} pages`, { tenant });
     
     // CRITICAL: Apply strict date filtering to remove events outside the actual requested range
-    console.log(`🔍 Applying strict date filtering...`);
-    console.log(`🔍 Target range: ${formatTimestampDubai(startTimestamp * 1000)} to ${formatTimestampDubai(endTimestamp * 1000)}`);
-    
-    // DEBUG: Check first 3 events to understand timestamp format
-    console.log(`🔍 Sample raw timestamps from API:`);
-    allEvents.slice(0, 3).forEach((event, i) => {
-      console.log(`   Event ${i + 1}: Raw=${event.Timestamp} (${typeof event.Timestamp}), State=${event.state}`);
-      const parsed = parseEventTimestamp(event.Timestamp);
-      console.log(`   → Parsed to: ${parsed} (${new Date(parsed).toISOString()})`);
-      console.log(`   → Dubai time: ${formatTimestampDubai(parsed)}`);
-    });
+    if (logger.isLevelEnabled('debug')) {
+      logger.debug('Sample event timestamps', {
+        tenant,
+        samples: allEvents.slice(0, 3).map(event => ({
+          raw: event.Timestamp,
+          state: event.state,
+          local: formatDateTime(parseEventTimestamp(event.Timestamp), timezone)
+        }))
+      });
+    }
+    
+    // Calendar dates are compared in the tenant's zone, not the server's
+    const startDateKey = getZonedDateKey(startTimestamp * 1000, timezone);
+    const endDateKey = getZonedDateKey(endTimestamp * 1000, timezone);
     
     const filteredEvents = allEvents.filter(event => {
       const eventTimestamp = parseEventTimestamp(event.Timestamp);
       const eventTimestampSeconds = Math.floor(eventTimestamp / 1000);
-      const eventDubaiTime = formatTimestampDubai(eventTimestamp);
-      
-      // Extract date components for precise date validation
-      const eventDateStr = eventDubaiTime.split(',')[0].trim(); // Get just the date part (DD/MM/YYYY)
-      const startDateStr = formatTimestampDubai(startTimestamp * 1000).split(',')[0].trim();
-      const endDateStr = formatTimestampDubai(endTimestamp * 1000).split(',')[0].trim();
-      
-      // Parse dates for comparison
-      const [eventDay, eventMonth, eventYear] = eventDateStr.split('/').map(Number);
-      const [startDay, startMonth, startYear] = startDateStr.split('/').map(Number);
-      const [endDay, endMonth, endYear] = endDateStr.split('/').map(Number);
-      
-      const eventDate = new Date(eventYear, eventMonth - 1, eventDay);
-      const startDate = new Date(startYear, startMonth - 1, startDay);
-      const endDate = new Date(endYear, endMonth - 1, endDay);
+      const eventDateKey = getZonedDateKey(eventTimestamp, timezone);
       
       // STRICT validation: Both date AND timestamp must be within range
-      const dateInRange = eventDate >= startDate && eventDate <= endDate;
+      const dateInRange = eventDateKey >= startDateKey && eventDateKey <= endDateKey;
       const timestampWithinRange = eventTimestampSeconds >= startTimestamp && eventTimestampSeconds <= endTimestamp;
       
-      const isValid = dateInRange && timestampWithinRange;
-      
-      // CRITICAL: Log events from wrong dates that are being accepted
-      if (isValid && eventDateStr !== startDateStr && eventDateStr !== endDateStr) {
-        if (eventDate < startDate || eventDate > endDate) {
-          console.log(`🚨 WRONG DATE EVENT ACCEPTED: ${event.state} from ${eventDateStr} (expected ${startDateStr}-${endDateStr})`);
-          console.log(`   Raw: ${event.Timestamp} → Parsed: ${eventTimestamp} → ${eventDubaiTime}`);
-          return false; // Force reject
-        }
+      if (timestampWithinRange && !dateInRange) {
+        logger.debug(`Event dated ${eventDateKey} rejected, outside ${startDateKey} to ${endDateKey}`, {
+          tenant,
+          state: event.state,
+          raw: event.Timestamp,
+          local: formatDateTime(eventTimestamp, timezone)
+        });
       }
       
-      return isValid;
+      return dateInRange && timestampWithinRange;
     });
     
-    console.log(`🔍 Filtering results: ${allEvents.length} → ${filteredEvents.length} events`);
-    console.log(`⚠️ Filtered out ${allEvents.length - filteredEvents.length} events outside requested range`);
-    
-    // Verify no wrong-date events made it through
-    const sampleCheck = filteredEvents.slice(0, 10);
-    sampleCheck.forEach(event => {
-      const eventTime = formatTimestampDubai(parseEventTimestamp(event.Timestamp));
-      const eventDateStr = eventTime.split(',')[0].trim();
-      const startDateStr = formatTimestampDubai(startTimestamp * 1000).split(',')[0].trim();
-      const endDateStr = formatTimestampDubai(endTimestamp * 1000).split(',')[0].trim();
-      
-      if (eventDateStr !== startDateStr && eventDateStr !== endDateStr) {
-        // Check if it's a valid multi-day range event
-        const [eventDay, eventMonth, eventYear] = eventDateStr.split('/').map(Number);
-        const [startDay, startMonth, startYear] = startDateStr.split('/').map(Number);
-        const [endDay, endMonth, endYear] = endDateStr.split('/').map(Number);
-        
-        const eventDate = new Date(eventYear, eventMonth - 1, eventDay);
-        const startDate = new Date(startYear, startMonth - 1, startDay);
-        const endDate = new Date(endYear, endMonth - 1, endDay);
-        
-        if (eventDate < startDate || eventDate > endDate) {
-          console.log(`🚨🚨 FINAL CHECK FAILED: Event from ${eventDateStr} in results when range is ${startDateStr} to ${endDateStr}`);
-        }
-      }
-    });
+    logger.debug(`Kept ${filteredEvents.length} of ${allEvents.length} events inside the requested range`, { tenant });
     
     return filteredEvents;
     
   } catch (error) {
-    console.error('❌ Error fetching agent events:', error.message);
-    if (error.response) {
-      console.error(`📡 Response status: ${error.response.status}`);
-      console.error(`📡 Response data:`, error.response.data);
-    }
+    if (options.signal?.aborted) throw error;
+    logRequestError('Error fetching agent events', error, { tenant });
     return [];
   }
 }
@@ -348,91 +281,36 @@ async function fetchAgentEventsData(tenant, startDateTime, endDateTime, agentNam
  * @param {string} endDateTime - End date time in user format
  * @param {string} agentName - Filter by agent name (optional)
  * @param {string} extension - Filter by extension (optional)
+ * @param {Object} options - { onPage, signal }, see fetchAgentEventsData
  * @returns {Promise<Array>} - Events data for the specified time slot
  */
-async function fetchSlotWiseAgentEvents(tenant, startDateTime, endDateTime, agentName = null, extension = null) {
-  const baseUrl = process.env.BASE_URL || 'https://uc.ira-shams-sj.ucprem.voicemeetme.com:9443';
-  const url = `${baseUrl}/api/v2/reports/callcenter/agents/activity/events`;
-  
+async function fetchSlotWiseAgentEvents(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
   try {
-    console.log(`🔐 Authenticating with tenant: ${tenant}`);
-    const token = await getPortalToken(tenant);
+    const { timezone = DEFAULT_TIMEZONE } = await getTenantCredentials(tenant);
     
     // Convert to timestamps
     const startTimestamp = Math.floor(new Date(startDateTime).getTime() / 1000);
     const endTimestamp = Math.floor(new Date(endDateTime).getTime() / 1000);
     
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      'x-account-id': process.env.ACCOUNT_ID
-    };
-    
-    console.log(`📡 Fetching events for slot: ${formatTimestampDubai(startTimestamp * 1000)} to ${formatTimestampDubai(endTimestamp * 1000)}`);
+    logger.debug('Fetching agent events for slot', {
+      tenant,
+      start: formatDateTime(startTimestamp * 1000, timezone),
+      end: formatDateTime(endTimestamp * 1000, timezone)
+    });
     
     let allEvents = [];
-    let nextStartKey = null;
-    let pageCount = 0;
-    const maxPages = 50; // Limit pages for individual slot queries
-    
-    do {
-      pageCount++;
-      console.log(`📄 Fetching page ${pageCount} for slot`);
-      
-      const params = {
-        startDate: startTimestamp,
-        endDate: endTimestamp,
-        pageSize: 1500 // As requested in requirements
-      };
-      
-      if (nextStartKey) {
-        params.next_start_key = nextStartKey;
-      }
-      
-      const response = await axios.get(url, {
-        params,
-        headers,
-        httpsAgent,
-        timeout: 60000 // 60 seconds timeout
-      });
-      
-      const responseData = response.data || {};
-      const events = responseData.events || responseData || [];
-      
-      console.log(`✅ Slot page ${pageCount}: ${events.length} events received`);
-      
-      if (Array.isArray(events) && events.length > 0) {
+    const { pageCount } = await fetchActivityEventPages(tenant, startTimestamp, endTimestamp, {
+      maxPages: 50, // Limit pages for individual slot queries
+      timeout: 60000, // 60 seconds timeout
+      label: 'Slot',
+      signal: options.signal,
+      onPage: events => {
         allEvents = allEvents.concat(events);
-        console.log(`📊 Total events for this slot so far: ${allEvents.length}`);
-      }
-      
-      nextStartKey = responseData.next_start_key || responseData.nextStartKey || null;
-      
-      if (nextStartKey) {
-        console.log(`🔄 More data available for this slot, continuing...`);
-      } else {
-        console.log(`🏁 Slot pagination complete`);
-      }
-      
-      // Safety checks
-      if (pageCount >= maxPages) {
-        console.log(`⚠️ Reached maximum page limit (${maxPages}) for this slot, stopping`);
-        break;
-      }
-      
-      if (events.length === 0) {
-        console.log(`📄 Empty page received for this slot, stopping`);
-        break;
+        options.onPage?.(events);
       }
-      
-      // Respectful delay between requests
-      if (nextStartKey && pageCount > 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-      
-    } while (nextStartKey);
+    });
     
-    console.log(`✅ Slot API fetch complete: ${allEvents.length} total events across ${pageCount} pages`);
+    logger.debug(`Fetched ${allEvents.length} slot events in ${pageCount} pages`, { tenant });
     
     // Apply filtering for agent name and extension if provided
     if (agentName || extension) {
@@ -442,21 +320,76 @@ async function fetchSlotWiseAgentEvents(tenant, startDateTime, endDateTime, agen
         return matchesName && matchesExtension;
       });
       
-      console.log(`🔍 After agent filtering: ${allEvents.length} events`);
+      logger.debug(`${allEvents.length} slot events left after the agent filter`, { tenant, agentName, extension });
     }
     
     return allEvents;
     
   } catch (error) {
-    console.error(`❌ Error fetching slot events (${formatTimestampDubai(startTimestamp * 1000)} to ${formatTimestampDubai(endTimestamp * 1000)}):`, error.message);
-    if (error.response) {
-      console.error(`📡 Response status: ${error.response.status}`);
-      console.error(`📡 Response data:`, error.response.data);
-    }
+    if (options.signal?.aborted) throw error;
+    logRequestError('Error fetching slot events', error, { tenant, start: formatDateTime(startDateTime), end: formatDateTime(endDateTime) });
     return [];
   }
 }
 
+/**
+ * Load activity events for a range, reading the local event store where it can.
+ * Events up to the tenant's sync high-water mark come from MySQL; the rest of the
+ * range (or all of it, for tenants that were never synced) comes from the portal.
+ * Any store error falls back to the portal.
+ * @param {string} tenant - Tenant name
+ * @param {Date|string} startDateTime - Range start
+ * @param {Date|string} endDateTime - Range end
+ * @param {string} agentName - Filter by agent name (optional)
+ * @param {string} extension - Filter by extension (optional)
+ * @param {Function} fetchUpstream - Portal fetcher for the part the store does not cover
+ * @param {Object} fetchOptions - Passed to fetchUpstream ({ onPage, signal })
+ * @param {Object} store - Event store reader ({ getSyncState, getStoredEvents })
+ * @returns {Promise<Array>} - Events data
+ */
+async function loadAgentEvents(tenant, startDateTime, endDateTime, agentName = null, extension = null, fetchUpstream = fetchAgentEventsData, fetchOptions = {}, store = { getSyncState, getStoredEvents }) {
+  const startMs = new Date(startDateTime).getTime();
+  const endMs = new Date(endDateTime).getTime();
+  
+  let storedEvents = [];
+  let upstreamStart = startMs;
+  
+  if (EVENT_STORE_ENABLED) {
+    try {
+      const state = await store.getSyncState(tenant);
+      if (state && state.high_water > startMs) {
+        const storedEnd = Math.min(endMs, state.high_water);
+        storedEvents = await store.getStoredEvents(tenant, startMs, storedEnd);
+        upstreamStart = storedEnd;
+        logger.debug(`Event store has ${storedEvents.length} events up to ${new Date(storedEnd).toISOString()}`, { tenant });
+      }
+    } catch (error) {
+      logger.warn(`Event store unavailable, fetching from the portal: ${error.message}`, { tenant });
+    }
+  }
+  
+  if (agentName || extension) {
+    storedEvents = storedEvents.filter(event => {
+      const matchesName = !agentName || (event.username && event.username.toLowerCase().includes(agentName.toLowerCase()));
+      const matchesExtension = !extension || (event.ext && event.ext.toString() === extension.toString());
+      return matchesName && matchesExtension;
+    });
+  }
+  
+  if (upstreamStart >= endMs) {
+    return storedEvents;
+  }
+  
+  const upstreamEvents = await fetchUpstream(tenant, new Date(upstreamStart), new Date(endMs), agentName, extension, fetchOptions);
+  if (storedEvents.length === 0) {
+    return upstreamEvents;
+  }
+  
+  // The two parts meet at the high-water mark; drop the events both returned
+  const seen = new Set(storedEvents.map(eventKey));
+  return storedEvents.concat(upstreamEvents.filter(event => !seen.has(eventKey(event))));
+}
+
 /**
  * Consolidate consecutive identical states into single entries
  * @param {Array} stateBlocks - Array of state blocks from processCustomStatesForAgent
@@ -465,26 +398,16 @@ async function fetchSlotWiseAgentEvents(tenant, startDateTime, endDateTime, agen
 function consolidateConsecutiveStates(stateBlocks) {
   if (!stateBlocks || stateBlocks.length === 0) return [];
   
-  console.log(`🔄 Starting consolidation with ${stateBlocks.length} state blocks`);
-  
-  // Debug: Log all input states
-  stateBlocks.forEach((block, i) => {
-    console.log(`   Block ${i}: ${block.state} (${block.startTime} → ${block.endTime}) Duration: ${block.duration}`);
-  });
-  
   const consolidated = [];
   let currentGroup = null;
   
   for (let i = 0; i < stateBlocks.length; i++) {
     const currentBlock = stateBlocks[i];
     
-    console.log(`🔍 Processing block ${i}: ${currentBlock.state}`);
-    
     // If this is the first block or state changed, start a new group
     if (!currentGroup || currentGroup.state !== currentBlock.state) {
       // Save previous group if exists
       if (currentGroup) {
-        console.log(`✅ Finalizing group: ${currentGroup.state} with ${currentGroup.blockCount} blocks, total duration: ${currentGroup.duration}`);
         consolidated.push(currentGroup);
       }
       
@@ -494,23 +417,22 @@ function consolidateConsecutiveStates(stateBlocks) {
         startTime: currentBlock.startTime,
         endTime: currentBlock.endTime,
         duration: currentBlock.duration || 0,
-        blockCount: 1
+        blockCount: 1,
+        carriedOver: Boolean(currentBlock.carriedOver),
+        start: currentBlock.start,
+        end: currentBlock.end
       };
-      console.log(`🆕 Starting new group: ${currentGroup.state}`);
     } else {
       // Same state - extend the current group
-      console.log(`🔗 Extending group: ${currentGroup.state} (block ${currentGroup.blockCount + 1})`);
       currentGroup.endTime = currentBlock.endTime;
+      currentGroup.end = currentBlock.end;
       currentGroup.blockCount++;
       
       // Add duration if both blocks have valid durations
       if (currentBlock.duration !== null && currentGroup.duration !== null) {
-        const oldDuration = currentGroup.duration;
         currentGroup.duration += currentBlock.duration;
-        console.log(`   Duration: ${oldDuration} + ${currentBlock.duration} = ${currentGroup.duration}`);
       } else if (currentBlock.duration === null) {
         // If any block in the group has null duration (CONTINUED), mark the whole group as null
-        console.log(`   Setting duration to null (CONTINUED state)`);
         currentGroup.duration = null;
       }
     }
@@ -518,197 +440,163 @@ function consolidateConsecutiveStates(stateBlocks) {
   
   // Don't forget to add the last group
   if (currentGroup) {
-    console.log(`✅ Finalizing last group: ${currentGroup.state} with ${currentGroup.blockCount} blocks, total duration: ${currentGroup.duration}`);
     consolidated.push(currentGroup);
   }
   
-  console.log(`🎯 Consolidation complete: ${stateBlocks.length} → ${consolidated.length} blocks`);
+  return consolidated;
+}
+
+// Names of the built-in tracked states (see stateCatalogue.js)
+const CUSTOM_STATES = DEFAULT_STATES.map(entry => entry.state);
+
+/**
+ * The tenant's state catalogue, after adding any states first seen in this
+ * report's stats or events. options.stateCatalogue skips the lookup.
+ * @param {string} tenant - Tenant name
+ * @param {Object} options - Report options
+ * @param {Object} statsData - Agent stats keyed by extension (optional)
+ * @param {Array} eventsData - Agent events (optional)
+ * @returns {Promise<Array<Object>>} - Catalogue entries (see stateCatalogue.js)
+ */
+async function resolveStateCatalogue(tenant, options = {}, statsData = null, eventsData = []) {
+  if (options.stateCatalogue) return options.stateCatalogue;
   
-  // Debug: Log final consolidated results
-  consolidated.forEach((block, i) => {
-    console.log(`   Final ${i}: ${block.state} (${block.startTime} → ${block.endTime}) Duration: ${block.duration} [${block.blockCount} blocks merged]`);
+  const reportedStates = Object.values(statsData || {}).flatMap(agent => Object.keys(agent?.not_available_detailed_report || {}));
+  await recordSeenStates(tenant, [...reportedStates, ...eventsData.map(event => event.state)]);
+  return getStateCatalogue(tenant);
+}
+
+/**
+ * Time per state from an agent's portal stats, as HH:MM:SS, for the
+ * catalogue's tracked break states and every tracked state the portal reports
+ * @param {Object} rawStats - Agent stats from the portal
+ * @param {Array<Object>} catalogue - State catalogue
+ * @returns {Object} - state → HH:MM:SS
+ */
+function stateTimesFromStats(rawStats = {}, catalogue = defaultStateCatalogue()) {
+  const detailed = rawStats.not_available_detailed_report || {};
+  const untracked = new Set(catalogue.filter(entry => !entry.tracked).map(entry => entry.state));
+  const names = new Set([
+    ...catalogue.filter(entry => entry.tracked && entry.category === 'break').map(entry => entry.state),
+    ...Object.keys(detailed).filter(name => !untracked.has(name))
+  ]);
+  
+  const times = {};
+  names.forEach(name => {
+    times[name] = formatDuration(rawStats[name] ?? detailed[name]);
   });
-  
-  return consolidated;
+  return times;
+}
+
+/**
+ * Daily stats shown with every slot-wise row: state times plus call totals
+ * @param {Object} rawStats - Agent stats from the portal ({} when the agent has none)
+ * @param {Array<Object>} catalogue - State catalogue
+ */
+function normalizeAgentStats(rawStats = {}, catalogue = defaultStateCatalogue()) {
+  return {
+    ...stateTimesFromStats(rawStats, catalogue),
+    totalCalls: rawStats.total_calls || rawStats.totalCalls || 0,
+    answeredCalls: rawStats.answered_calls || rawStats.answeredCalls || 0,
+    failedCalls: rawStats.failed_calls || rawStats.failedCalls || 0,
+    wrapUpTime: rawStats.wrap_up_time || rawStats.wrapUpTime || '00:00:00',
+    holdTime: rawStats.hold_time || rawStats.holdTime || '00:00:00',
+    onCallTime: rawStats.on_call_time || rawStats.onCallTime || '00:00:00',
+    notAvailableTime: rawStats.not_available_time || rawStats.notAvailableTime || '00:00:00'
+  };
 }
 
 /**
  * Process custom states for an agent from events data
- * Returns array of consolidated state blocks with start time, end time, and duration
+ * Returns array of consolidated state blocks with start time, end time, and duration.
+ * Blocks follow the agent's state machine: a state lasts from its enabled
+ * event until its disabled event or the next exclusive state. Events before
+ * startDateTime give the state the agent was already in (the first block is
+ * then marked carriedOver), and a state still open at endDateTime (or now, if
+ * that is earlier) is closed there; without an end it is marked CONTINUED.
+ * Blocks also carry start and end in ms (end is null while CONTINUED).
+ * @param {Array<Object>} stateCatalogue - Tenant state catalogue; only tracked states are reported
+ * @param {Array<Object>} warnings - Collects data-quality warnings (orphaned opens and closes) when given
  */
-function processCustomStatesForAgent(events, agentUsername, agentExtension, startDateTime = null, endDateTime = null) {
-  console.log(`🔍 DEBUG: processCustomStatesForAgent called with username=${agentUsername}, extension=${agentExtension}`);
-  console.log(`🔍 DEBUG: Date range: ${startDateTime} to ${endDateTime}`);
-  
+function processCustomStatesForAgent(events, agentUsername, agentExtension, startDateTime = null, endDateTime = null, timeZone = DEFAULT_TIMEZONE, stateCatalogue = defaultStateCatalogue(), warnings = null) {
   const stateBlocks = [];
-  const targetStates = ['available', 'Logoff', 'Login', 'Not Available', 'training', 'Team Meeting', 'lunch', 'Outbound', 'ON Tickets', 'Tea Break'];
+  const targetStates = trackedStateNames(stateCatalogue);
+  const breakStates = new Set(stateCatalogue.filter(entry => entry.category === 'break').map(entry => entry.state));
   
   if (!events || !Array.isArray(events)) {
-    console.log(`⚠️ WARNING: No events data provided to processCustomStatesForAgent`);
+    logger.debug('No events to build state blocks from', { agent: agentUsername, extension: agentExtension });
     return stateBlocks;
   }
   
-  // Convert date range to timestamps for filtering (if provided)
-  let startTimestamp = null;
-  let endTimestamp = null;
+  // Range to report; events before it only set the agent's starting state
+  const rangeStart = startDateTime ? new Date(startDateTime).getTime() : null;
+  const rangeEnd = endDateTime ? Math.min(new Date(endDateTime).getTime(), Date.now()) : null;
   
-  if (startDateTime) {
-    startTimestamp = new Date(startDateTime).getTime();
-  }
-  if (endDateTime) {
-    endTimestamp = new Date(endDateTime).getTime();
+  const agentEvents = events.filter(event => event.username === agentUsername || event.ext === agentExtension);
+  
+  const timeline = buildStateTimeline(agentEvents, {
+    exclusiveStates: exclusiveStateNames(stateCatalogue),
+    rangeStart,
+    rangeEnd
+  });
+  
+  if (warnings) {
+    timeline.warnings.forEach(warning => {
+      warnings.push({
+        ...warning,
+        agentName: agentUsername,
+        extension: agentExtension,
+        time: formatDateTime(warning.time, timeZone)
+      });
+    });
   }
   
-  // Filter events for this agent and sort by timestamp
-  const agentEvents = events.filter(event => {
-    const matchesAgent = event.username === agentUsername || event.ext === agentExtension;
+  // Turn the timeline into display blocks for the tracked states
+  for (const block of timeline.blocks) {
+    if (!targetStates.includes(block.state)) continue;
     
-    if (!matchesAgent) return false;
+    const startTimeFormatted = formatDateTime(block.start, timeZone);
+    let endTimeFormatted, duration;
     
-    // Additional date range filtering to ensure events are within specified range
-    if (startTimestamp || endTimestamp) {
-      const eventTimestamp = parseEventTimestamp(event.Timestamp);
-      const eventDubaiTime = formatTimestampDubai(eventTimestamp);
-      
-      // Check if this is a problematic event from wrong date
-      const eventDateOnly = eventDubaiTime.split(',')[0].trim(); // Get just the date part (DD/MM/YYYY)
-      const startDateOnly = formatTimestampDubai(startTimestamp).split(',')[0].trim();
-      const endDateOnly = formatTimestampDubai(endTimestamp).split(',')[0].trim();
-      
-      // Parse dates for comparison
-      const [eventDay, eventMonth, eventYear] = eventDateOnly.split('/').map(Number);
-      const [startDay, startMonth, startYear] = startDateOnly.split('/').map(Number);
-      const [endDay, endMonth, endYear] = endDateOnly.split('/').map(Number);
-      
-      const eventDate = new Date(eventYear, eventMonth - 1, eventDay);
-      const startDate = new Date(startYear, startMonth - 1, startDay);
-      const endDate = new Date(endYear, endMonth - 1, endDay);
+    if (block.end !== null) {
+      endTimeFormatted = formatDateTime(block.end, timeZone);
+      duration = Math.round((block.end - block.start) / 1000); // Duration in seconds
       
-      // First check: Date must be within the date range
-      const dateWithinRange = eventDate >= startDate && eventDate <= endDate;
-      
-      // Second check: Timestamp must be within the time range
-      const timestampWithinRange = eventTimestamp >= startTimestamp && eventTimestamp <= endTimestamp;
-      
-      // CRITICAL: Both date AND timestamp checks must pass
-      const withinRange = dateWithinRange && timestampWithinRange;
-      
-      if (!withinRange) {
-        return false;
+      // A break entered and left within the same second still happened; show it as 1 second
+      if (duration === 0 && breakStates.has(block.state)) {
+        duration = 1;
       }
+    } else {
+      // Still open and no range end to close it at - mark as CONTINUED
+      endTimeFormatted = 'CONTINUED';
+      duration = null;
     }
     
-    return true;
-  }).sort((a, b) => {
-    const timestampA = parseEventTimestamp(a.Timestamp);
-    const timestampB = parseEventTimestamp(b.Timestamp);
-    return timestampA - timestampB;
-  });
-  
-  // Process consecutive state events to create blocks
-  for (let i = 0; i < agentEvents.length; i++) {
-    const currentEvent = agentEvents[i];
-    const nextEvent = agentEvents[i + 1];
-    
-    if (targetStates.includes(currentEvent.state)) {
-      const startTime = parseEventTimestamp(currentEvent.Timestamp);
-      const startTimeFormatted = formatTimestampDubai(startTime);
-      
-      let endTime, endTimeFormatted, duration;
-      
-      // DEBUG: Special logging for lunch events
-      if (currentEvent.state === 'lunch') {
-        console.log(`🍽️ LUNCH EVENT DEBUG:`);
-        console.log(`   Current event: ${JSON.stringify(currentEvent)}`);
-        console.log(`   Next event: ${nextEvent ? JSON.stringify(nextEvent) : 'NONE'}`);
-        console.log(`   Start time: ${startTimeFormatted}`);
-      }
-      
-      if (nextEvent) {
-        endTime = parseEventTimestamp(nextEvent.Timestamp);
-        endTimeFormatted = formatTimestampDubai(endTime);
-        duration = Math.round((endTime - startTime) / 1000); // Duration in seconds
-        
-        // DEBUG: More lunch logging
-        if (currentEvent.state === 'lunch') {
-          console.log(`   End time: ${endTimeFormatted}`);
-          console.log(`   Duration calculation: (${endTime} - ${startTime}) / 1000 = ${duration} seconds`);
-          console.log(`   Time difference in ms: ${endTime - startTime}`);
-        }
-        
-        // FIX: Handle instantaneous state changes (0-second durations)
-        if (duration === 0) {
-          // For lunch and break states that show 0 seconds, this likely means
-          // the agent entered and exited the state within the same second
-          // We have a few options:
-          
-          if (['lunch', 'Tea Break', 'break'].includes(currentEvent.state)) {
-            console.log(`⚠️ Detected instantaneous ${currentEvent.state} event - this suggests rapid state change`);
-            console.log(`   Raw timestamps: ${currentEvent.Timestamp} → ${nextEvent.Timestamp}`);
-            
-            // Option 1: Set a minimum duration (e.g., 1 second) to indicate the state occurred
-            duration = 1;
-            console.log(`   Applied minimum duration: ${duration} second(s)`);
-            
-            // Option 2: Alternative - you could skip these events entirely if they seem invalid
-            // Uncomment the following lines if you prefer to skip 0-duration events:
-            // console.log(`   Skipping instantaneous ${currentEvent.state} event`);
-            // continue; // Skip this event
-          }
-        }
-      } else {
-        // Last event - mark as CONTINUED
-        endTimeFormatted = 'CONTINUED';
-        duration = null;
-        
-        if (currentEvent.state === 'lunch') {
-          console.log(`   No next event - marked as CONTINUED`);
-        }
-      }
-      
-      stateBlocks.push({
-        state: currentEvent.state,
-        startTime: startTimeFormatted,
-        endTime: endTimeFormatted,
-        duration: duration
-      });
-    }
+    stateBlocks.push({
+      state: block.state,
+      startTime: startTimeFormatted,
+      endTime: endTimeFormatted,
+      duration: duration,
+      carriedOver: Boolean(block.carriedOver),
+      start: block.start,
+      end: block.end
+    });
   }
   
   // Consolidate consecutive identical states
   const consolidatedBlocks = consolidateConsecutiveStates(stateBlocks);
   
-  return consolidatedBlocks;
-}
-
-/**
- * Parse event timestamp from various formats
- * @param {number|string} timestamp - Event timestamp
- * @returns {number} - Parsed timestamp in milliseconds
- */
-function parseEventTimestamp(timestamp) {
-  if (!timestamp) return null;
-  
-  const rawTimestamp = timestamp.timestamp || timestamp.time || timestamp;
-  
-  if (typeof rawTimestamp === 'number') {
-    // Check if timestamp is in seconds (Unix timestamp) or milliseconds
-    // Unix timestamps are typically 10 digits (seconds since 1970)
-    // Millisecond timestamps are typically 13 digits
-    if (rawTimestamp < 10000000000) {
-      // Timestamp is in seconds, convert to milliseconds
-      return rawTimestamp * 1000;
-    } else {
-      // Timestamp is already in milliseconds
-      return rawTimestamp;
-    }
-  }
-  
-  if (typeof rawTimestamp === 'string') {
-    return new Date(rawTimestamp).getTime();
+  if (logger.isLevelEnabled('debug')) {
+    logger.debug(`${consolidatedBlocks.length} state blocks from ${agentEvents.length} events`, {
+      agent: agentUsername,
+      extension: agentExtension,
+      start: startDateTime,
+      end: endDateTime,
+      blocks: consolidatedBlocks.map(block => `${block.state} ${block.startTime} - ${block.endTime}`)
+    });
   }
   
-  return null;
+  return consolidatedBlocks;
 }
 
 /**
@@ -731,11 +619,16 @@ function formatDuration(duration) {
 
 /**
  * Process simplified agent data without time slots
+ * @param {Object} options - Extra processing options
+ * @param {Set<string>|null} options.allowedExtensions - Extensions the caller may see (null = all)
+ * @param {string} options.timeZone - IANA zone used for calendar dates and displayed times
+ * @param {Array<Object>} options.stateCatalogue - Tenant state catalogue (built-in states when omitted)
+ * @param {Object} options.kpiFormulas - Tenant KPI formulas (see kpis.js; defaults when omitted)
  */
-function processSimplifiedAgentData(statsData, eventsData, agentName = null, extension = null, startDateTime = null, endDateTime = null) {
-  console.log(`📊 Processing simplified agent data...`);
-  console.log(`- statsData: ${statsData?.length || 0} agents`);
-  console.log(`- eventsData: ${eventsData?.length || 0} events`);
+function processSimplifiedAgentData(statsData, eventsData, agentName = null, extension = null, startDateTime = null, endDateTime = null, options = {}) {
+  const { allowedExtensions = null, timeZone = DEFAULT_TIMEZONE, stateCatalogue = defaultStateCatalogue(), kpiFormulas = DEFAULT_KPI_FORMULAS } = options;
+
+  logger.debug(`Processing agent data from ${eventsData?.length || 0} events`);
   
   const processedAgents = [];
   
@@ -746,6 +639,11 @@ function processSimplifiedAgentData(statsData, eventsData, agentName = null, ext
       const agentUsername = agentData.name;
       const agentExtension = extension;
       
+      // Access control: never return agents outside the caller's scope
+      if (allowedExtensions && !allowedExtensions.has(String(agentExtension))) {
+        return;
+      }
+      
       // Apply filters if specified
       if (agentName && !agentUsername.toLowerCase().includes(agentName.toLowerCase())) {
         return;
@@ -755,7 +653,8 @@ function processSimplifiedAgentData(statsData, eventsData, agentName = null, ext
       }
       
       // Process custom states from events
-      const customStates = processCustomStatesForAgent(eventsData, agentUsername, agentExtension, startDateTime, endDateTime);
+      const dataQualityWarnings = [];
+      const customStates = processCustomStatesForAgent(eventsData, agentUsername, agentExtension, startDateTime, endDateTime, timeZone, stateCatalogue, dataQualityWarnings);
       
       // Extract call statistics from API response
       const totalCalls = agentData.total_calls || 0;
@@ -771,22 +670,24 @@ function processSimplifiedAgentData(statsData, eventsData, agentName = null, ext
       const onCallTimeSeconds = agentData.on_call_time || 0;
       const notAvailableTimeSeconds = agentData.not_available_time || 0;
       
-      // Extract detailed not available breakdown
-      const notAvailableReport = agentData.not_available_detailed_report || {};
-      const loginTimeSeconds = notAvailableReport.Login || 0;
-      const lunchTimeSeconds = notAvailableReport.lunch || 0;
-      const breakTimeSeconds = notAvailableReport.break || 0;
-      const trainingTimeSeconds = notAvailableReport.training || 0;
-      
-      console.log(`🔍 Agent ${agentUsername} (${agentExtension}) time data:`, {
+      logger.debug('Agent time data', {
+        agent: agentUsername,
+        extension: agentExtension,
         wrapUpTime: wrapUpTimeSeconds,
         holdTime: holdTimeSeconds,
         onCallTime: onCallTimeSeconds,
-        notAvailableTime: notAvailableTimeSeconds,
-        loginTime: loginTimeSeconds,
-        lunchTime: lunchTimeSeconds
+        notAvailableTime: notAvailableTimeSeconds
       });
       
+      // Occupancy, utilization and shrinkage over the agent's logged-in time
+      const kpiValues = {
+        ...stateTimeTotals(customStates, stateCatalogue),
+        onCall: onCallTimeSeconds,
+        hold: holdTimeSeconds,
+        wrapUp: wrapUpTimeSeconds,
+        notAvailable: notAvailableTimeSeconds
+      };
+      
       const processedAgent = {
         agentName: agentUsername,
         extension: agentExtension,
@@ -798,11 +699,13 @@ function processSimplifiedAgentData(statsData, eventsData, agentName = null, ext
         totalHoldTime: formatDuration(holdTimeSeconds),
         totalOnCallTime: formatDuration(onCallTimeSeconds),
         aht: formatDuration(ahtSeconds),
-        loginTime: formatDuration(loginTimeSeconds),
-        breakTime: formatDuration(breakTimeSeconds),
-        lunchTime: formatDuration(lunchTimeSeconds),
-        trainingTime: formatDuration(trainingTimeSeconds),
-        customStates
+        loggedInTime: formatDuration(kpiValues.loggedIn),
+        kpis: computeKpis(kpiValues, kpiFormulas),
+        kpiValues,
+        // Time per not-available state, named by the tenant's catalogue
+        stateTimes: stateTimesFromStats(agentData, stateCatalogue),
+        customStates,
+        dataQualityWarnings
       };
       
       processedAgents.push(processedAgent);
@@ -812,22 +715,77 @@ function processSimplifiedAgentData(statsData, eventsData, agentName = null, ext
   return processedAgents;
 }
 
+/**
+ * Running progress totals for a report; every change is passed on to onProgress
+ * (report jobs use it to show a progress bar, direct requests pass nothing).
+ * Without slots, percent is estimated from the newest event received, as the
+ * portal returns pages oldest first.
+ * @param {Function} onProgress - progress => void (optional)
+ * @param {Date} startTime - Report range start
+ * @param {Date} endTime - Report range end
+ */
+function createProgressTracker(onProgress, startTime, endTime) {
+  const progress = { stage: 'starting', percent: 0, pagesFetched: 0, slotsDone: 0, totalSlots: 0 };
+  const rangeStart = startTime.getTime();
+  const rangeLength = Math.max(endTime.getTime() - rangeStart, 1);
+  const emit = () => onProgress?.({ ...progress });
+  
+  return {
+    stage(stage, changes = {}) {
+      Object.assign(progress, changes, { stage });
+      emit();
+    },
+    pageFetched(events = []) {
+      progress.pagesFetched++;
+      if (!progress.totalSlots) {
+        const newest = Math.max(...events.map(event => parseEventTimestamp(event.Timestamp)).filter(Number.isFinite));
+        if (Number.isFinite(newest)) {
+          const covered = Math.round(((newest - rangeStart) / rangeLength) * 100);
+          progress.percent = Math.max(progress.percent, Math.min(Math.max(covered, 0), 99));
+        }
+      }
+      emit();
+    },
+    slotDone() {
+      progress.slotsDone++;
+      progress.percent = Math.round((progress.slotsDone / progress.totalSlots) * 100);
+      emit();
+    }
+  };
+}
+
 /**
  * Generate simplified agent report (main function)
+ * @param {Object} options - Extra options passed through to processSimplifiedAgentData;
+ *   options.onProgress receives progress updates and options.signal cancels the report
  */
-const generateSimplifiedAgentReport = async (tenant, startDateTime, endDateTime, agentName = null, extension = null) => {
-  console.log(`🚀 Generating simplified agent report...`);
-  console.log(`📅 Time Range: ${startDateTime} to ${endDateTime}`);
+const generateSimplifiedAgentReport = async (tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) => {
+  logger.info(`Generating agent report for ${startDateTime} to ${endDateTime}`, { tenant });
   
   try {
+    // Inputs without an explicit offset are wall-clock times in the tenant's zone
+    const timeZone = await resolveReportTimeZone(tenant, options);
+    const startTime = parseDateTimeString(startDateTime, timeZone);
+    const endTime = parseDateTimeString(endDateTime, timeZone);
+    // Events from before the start only tell us each agent's state when the range opens
+    const lookbackStart = new Date(startTime.getTime() - STATE_LOOKBACK);
+    const progress = createProgressTracker(options.onProgress, lookbackStart, endTime);
+    
     // Fetch data from both APIs
+    progress.stage('fetching');
     const [statsData, eventsData] = await Promise.all([
-      fetchAgentStatsData(tenant, startDateTime, endDateTime, agentName, extension),
-      fetchAgentEventsData(tenant, startDateTime, endDateTime, agentName, extension)
+      fetchAgentStatsData(tenant, startTime, endTime, agentName, extension, { signal: options.signal }),
+      loadAgentEvents(tenant, lookbackStart, endTime, agentName, extension, fetchAgentEventsData, {
+        signal: options.signal,
+        onPage: progress.pageFetched
+      })
     ]);
+    options.signal?.throwIfAborted();
+    const stateCatalogue = await resolveStateCatalogue(tenant, options, statsData, eventsData);
     
     // Process the data
-    const processedAgents = processSimplifiedAgentData(statsData, eventsData, agentName, extension, startDateTime, endDateTime);
+    progress.stage('processing', { percent: 100 });
+    const processedAgents = processSimplifiedAgentData(statsData, eventsData, agentName, extension, startTime, endTime, { ...options, timeZone, stateCatalogue });
     
     // Calculate summary statistics
     const summary = {
@@ -835,25 +793,31 @@ const generateSimplifiedAgentReport = async (tenant, startDateTime, endDateTime,
       totalCalls: processedAgents.reduce((sum, agent) => sum + agent.totalCalls, 0),
       totalAnswered: processedAgents.reduce((sum, agent) => sum + agent.answered, 0),
       totalFailed: processedAgents.reduce((sum, agent) => sum + agent.failed, 0),
+      dataQualityWarnings: processedAgents.reduce((sum, agent) => sum + agent.dataQualityWarnings.length, 0),
+      kpis: computeKpis(sumKpiValues(processedAgents.map(agent => agent.kpiValues)), options.kpiFormulas),
       timeRange: {
         start: startDateTime,
         end: endDateTime,
-        startFormatted: formatTimestampDubai(startDateTime),
-        endFormatted: formatTimestampDubai(endDateTime)
+        startFormatted: formatDateTime(startTime, timeZone),
+        endFormatted: formatDateTime(endTime, timeZone),
+        timeZone
       }
     };
     
     summary.answerRate = summary.totalCalls > 0 ? ((summary.totalAnswered / summary.totalCalls) * 100).toFixed(1) : '0.0';
+    logger.info(`Generated agent report for ${summary.totalAgents} agents`, { tenant, calls: summary.totalCalls });
     
     return {
       success: true,
       summary,
+      kpiFormulas: options.kpiFormulas || DEFAULT_KPI_FORMULAS,
       agents: processedAgents,
-      timestamp: getCurrentDubaiTime()
+      states: stateCatalogue.filter(entry => entry.tracked),
+      timestamp: formatDateTime(new Date(), timeZone)
     };
     
   } catch (error) {
-    console.error('❌ Error generating simplified report:', error);
+    logger.error(`Error generating agent report: ${error.message}`, { tenant, error });
     return {
       success: false,
       error: error.message,
@@ -891,7 +855,7 @@ function displaySimplifiedAgentReport(reportData) {
   agents.forEach(agent => {
     console.log(`👤 ${agent.agentName} (${agent.extension})`);
     console.log(`   📞 Calls: ${agent.totalCalls} | Answered: ${agent.answered} | Failed: ${agent.failed}`);
-    console.log(`   ⏱️  Times: Login: ${agent.loginTime} | Break: ${agent.breakTime} | Lunch: ${agent.lunchTime} | Training: ${agent.trainingTime}`);
+    console.log(`   ⏱️  Times: ${Object.entries(agent.stateTimes).map(([state, time]) => `${state}: ${time}`).join(' | ') || 'none'}`);
     console.log(`   📊 Metrics: AHT: ${agent.aht} | On Call: ${agent.totalOnCallTime} | Hold: ${agent.totalHoldTime}`);
     
     // Display custom states
@@ -904,73 +868,31 @@ function displaySimplifiedAgentReport(reportData) {
 
 /**
  * Process events for a specific time slot
- * @param {Array} events - Agent events data
+ * @param {Array} events - The agent's events, including those before the slot
+ *   (they give the state the agent was in when the slot opened)
  * @param {Object} timeSlot - Current time slot with start and end times
- * @param {Object} previousSlotState - State from the end of the previous slot (null for first slot)
- * @returns {Object} - Processed state blocks and next slot state
+ * @param {Array<Object>} stateCatalogue - Tenant state catalogue
+ * @param {string} timeZone - IANA zone used for displayed times
+ * @returns {Object} - Processed state blocks, cut at the slot's start and end
  */
-function processEventsForTimeSlot(events, timeSlot, previousSlotState) {
-  const stateBlocks = [];
+function processEventsForTimeSlot(events, timeSlot, stateCatalogue = defaultStateCatalogue(), timeZone = DEFAULT_TIMEZONE) {
   const slotStart = timeSlot.start.getTime();
-  const slotEnd = timeSlot.end.getTime();
+  const slotEnd = Math.min(timeSlot.end.getTime(), Date.now());
   
-  // Filter events that fall within this time slot
-  const slotEvents = events.filter(event => {
-    const eventTime = new Date(event.timestamp * 1000).getTime();
-    return eventTime >= slotStart && eventTime <= slotEnd;
+  const { blocks } = buildStateTimeline(events, {
+    exclusiveStates: exclusiveStateNames(stateCatalogue),
+    rangeStart: slotStart,
+    rangeEnd: slotEnd
   });
   
-  // Sort events by timestamp
-  slotEvents.sort((a, b) => a.timestamp - b.timestamp);
-  
-  // Initialize with previous slot state if available
-  let currentState = previousSlotState ? { 
-    state: previousSlotState.state,
-    startTime: formatTimeDubai(new Date(slotStart)),
-    timestamp: slotStart / 1000
-  } : null;
-  
-  // Process events to create state blocks
-  for (const event of slotEvents) {
-    const eventTime = new Date(event.timestamp * 1000);
-    const formattedTime = formatTimeDubai(eventTime);
-    const newState = event.state || event.event_type;
-    
-    // If we have a current state and it's different from the new state, close the block
-    if (currentState && currentState.state !== newState) {
-      stateBlocks.push({
-        state: currentState.state,
-        startTime: currentState.startTime,
-        endTime: formattedTime,
-        duration: Math.round((event.timestamp - currentState.timestamp))
-      });
-    }
-    
-    // Start a new state block
-    currentState = {
-      state: newState,
-      startTime: formattedTime,
-      timestamp: event.timestamp
-    };
-  }
-  
-  // Close the last state block if it exists
-  if (currentState) {
-    stateBlocks.push({
-      state: currentState.state,
-      startTime: currentState.startTime,
-      endTime: formatTimeDubai(new Date(slotEnd)),
-      duration: Math.round((slotEnd / 1000) - currentState.timestamp)
-    });
-  }
-  
-  // Return the state blocks and the state at the end of this slot
   return {
-    stateBlocks: stateBlocks,
-    nextSlotState: currentState ? {
-      state: currentState.state,
-      timestamp: slotEnd / 1000
-    } : null
+    stateBlocks: blocks.map(block => ({
+      state: block.state,
+      startTime: formatTime(block.start, timeZone),
+      endTime: formatTime(block.end, timeZone),
+      duration: Math.round((block.end - block.start) / 1000),
+      carriedOver: Boolean(block.carriedOver)
+    }))
   };
 }
 
@@ -981,16 +903,26 @@ function processEventsForTimeSlot(events, timeSlot, previousSlotState) {
  * @param {Array} timeSlots - Time slots array
  * @param {string} agentName - Filter by agent name (optional)
  * @param {string} extension - Filter by extension (optional)
+ * @param {Object} options - Extra processing options
+ * @param {Set<string>|null} options.allowedExtensions - Extensions the caller may see (null = all)
+ * @param {string} options.timeZone - IANA zone used for calendar dates and displayed times
+ * @param {Array} options.calls - Normalised call detail records for the call metrics
+ * @param {Array<Object>} options.stateCatalogue - Tenant state catalogue (built-in states when omitted)
+ * @param {Object} options.kpiFormulas - Tenant KPI formulas (see kpis.js; defaults when omitted)
  * @returns {Array} - Processed slot-wise report data
  */
-function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, agentName = null, extension = null) {
-  console.log('🔍 DEBUG: processAgentDataForSlotWiseReport called with:');
-  console.log(`- statsData: ${statsData ? Object.keys(statsData).length : 0} agents`);
-  console.log(`- eventsData: ${eventsData?.length || 0} records`);
-  console.log(`- timeSlots: ${timeSlots?.length || 0} slots`);
+function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, agentName = null, extension = null, options = {}) {
+  const { allowedExtensions = null, timeZone = DEFAULT_TIMEZONE, calls = [], stateCatalogue = defaultStateCatalogue(), kpiFormulas = DEFAULT_KPI_FORMULAS } = options;
 
   const reportData = [];
   
+  // Group call records by agent extension
+  const callsByExtension = new Map();
+  calls.forEach(call => {
+    if (!callsByExtension.has(call.extension)) callsByExtension.set(call.extension, []);
+    callsByExtension.get(call.extension).push(call);
+  });
+  
   // Group events by agent
   const eventsByAgent = {};
   const eventsByUsername = {};
@@ -1023,26 +955,10 @@ function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, age
       
       statsByUsername.set(agentUsername, { ext, stats: agentStats });
       
-      const normalizedStats = {
-        Login: agentStats.Login || '00:00:00',
-        break: agentStats.break || '00:00:00',
-        lunch: agentStats.lunch || '00:00:00',
-        training: agentStats.training || '00:00:00',
-        'Tea Break': agentStats['Tea Break'] || '00:00:00',
-        'Team Meeting': agentStats['Team Meeting'] || '00:00:00',
-        totalCalls: agentStats.total_calls || agentStats.totalCalls || 0,
-        answeredCalls: agentStats.answered_calls || agentStats.answeredCalls || 0,
-        failedCalls: agentStats.failed_calls || agentStats.failedCalls || 0,
-        wrapUpTime: agentStats.wrap_up_time || agentStats.wrapUpTime || '00:00:00',
-        holdTime: agentStats.hold_time || agentStats.holdTime || '00:00:00',
-        onCallTime: agentStats.on_call_time || agentStats.onCallTime || '00:00:00',
-        notAvailableTime: agentStats.not_available_time || agentStats.notAvailableTime || '00:00:00'
-      };
-      
       allAgents.set(agentKey, {
         username: agentUsername,
         extension: ext,
-        stats: normalizedStats,
+        stats: normalizeAgentStats(agentStats, stateCatalogue),
         source: 'stats'
       });
     });
@@ -1057,52 +973,18 @@ function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, age
       
       if (!allAgents.has(agentKey)) {
         const statsForUser = statsByUsername.get(agentUsername);
-        let agentStats = {
-          Login: '00:00:00',
-          break: '00:00:00',
-          lunch: '00:00:00',
-          training: '00:00:00',
-          'Tea Break': '00:00:00',
-          'Team Meeting': '00:00:00',
-          totalCalls: 0,
-          answeredCalls: 0,
-          failedCalls: 0,
-          wrapUpTime: '00:00:00',
-          holdTime: '00:00:00',
-          onCallTime: '00:00:00',
-          notAvailableTime: '00:00:00'
-        };
-
-        if (statsForUser) {
-          const rawStats = statsForUser.stats;
-          agentStats = {
-            Login: rawStats.Login || '00:00:00',
-            break: rawStats.break || '00:00:00',
-            lunch: rawStats.lunch || '00:00:00',
-            training: rawStats.training || '00:00:00',
-            'Tea Break': rawStats['Tea Break'] || '00:00:00',
-            'Team Meeting': rawStats['Team Meeting'] || '00:00:00',
-            totalCalls: rawStats.total_calls || rawStats.totalCalls || 0,
-            answeredCalls: rawStats.answered_calls || rawStats.answeredCalls || 0,
-            failedCalls: rawStats.failed_calls || rawStats.failedCalls || 0,
-            wrapUpTime: rawStats.wrap_up_time || rawStats.wrapUpTime || '00:00:00',
-            holdTime: rawStats.hold_time || rawStats.holdTime || '00:00:00',
-            onCallTime: rawStats.on_call_time || rawStats.onCallTime || '00:00:00',
-            notAvailableTime: rawStats.not_available_time || rawStats.notAvailableTime || '00:00:00'
-          };
-        }
         
         allAgents.set(agentKey, {
           username: agentUsername,
           extension: ext,
-          stats: agentStats,
+          stats: normalizeAgentStats(statsForUser?.stats, stateCatalogue),
           source: statsForUser ? 'events+stats' : 'events'
         });
       }
     });
   }
   
-  console.log(`🔍 DEBUG: Combined ${allAgents.size} unique agents from stats and events`);
+  logger.debug(`Slot-wise data for ${allAgents.size} agents from ${eventsData?.length || 0} events over ${timeSlots?.length || 0} slots`);
   
   // Process each agent
   allAgents.forEach((agentInfo, agentKey) => {
@@ -1113,6 +995,11 @@ function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, age
       return;
     }
     
+    // Access control: never return agents outside the caller's scope
+    if (allowedExtensions && (ext === undefined || ext === null || !allowedExtensions.has(String(ext)))) {
+      return;
+    }
+    
     // Apply filters
     if (agentName && !agentUsername.toLowerCase().includes(agentName.toLowerCase())) {
       return;
@@ -1122,38 +1009,41 @@ function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, age
     }
     
     const agentEvents = eventsByAgent[agentKey] || eventsByUsername[agentUsername] || [];
+    const agentCalls = callsByExtension.get(String(ext)) || [];
     
     // Sort events by timestamp
-    agentEvents.sort((a, b) => {
-      const timeA = new Date(a.timestamp * 1000).getTime();
-      const timeB = new Date(b.timestamp * 1000).getTime();
-      return timeA - timeB;
-    });
-    
-    // Process each time slot for this agent
-    let previousSlotState = null;
+    agentEvents.sort((a, b) => parseEventTimestamp(a.Timestamp) - parseEventTimestamp(b.Timestamp));
     
+    // Process each time slot for this agent; the agent's earlier events carry
+    // their state into each slot
     timeSlots.forEach((timeSlot, slotIndex) => {
-      console.log(`🚨 PROCESSING SLOT ${slotIndex + 1} for agent ${agentUsername} (${timeSlot.duration} minutes)`);
-      
-      // Calculate slot-specific metrics based on slot duration
-      const slotCallMetrics = calculateSlotWiseCallMetrics(agentEvents, agentStats, timeSlot, timeSlots);
+      // Calls and call time that actually fell in this slot
+      const slotCallMetrics = calculateSlotWiseCallMetrics(agentCalls, agentEvents, timeSlot, stateCatalogue);
       
       // Process events for this specific time slot
-      const slotResult = processEventsForTimeSlot(agentEvents, timeSlot, previousSlotState);
+      const slotResult = processEventsForTimeSlot(agentEvents, timeSlot, stateCatalogue, timeZone);
       
       // Process custom states for this slot
+      const dataQualityWarnings = [];
       const customStates = processCustomStatesForAgent(
         agentEvents, 
         agentUsername,
         ext,
         timeSlot.start.toISOString(), 
-        timeSlot.end.toISOString()
+        timeSlot.end.toISOString(),
+        timeZone,
+        stateCatalogue,
+        dataQualityWarnings
       );
       
-      console.log(`🔍 DEBUG: Agent ${agentUsername}, Slot ${slotIndex + 1}: Call metrics =`, slotCallMetrics);
-
-      console.log(`📊 Slot ${slotIndex + 1}/${timeSlots.length} (${timeSlot.start.toISOString()} - ${timeSlot.end.toISOString()}): Adding ${customStates.length} custom states for ${agentUsername}`);
+      logger.debug(`Slot ${timeSlot.slotNumber}: ${customStates.length} state blocks`, {
+        agent: agentUsername,
+        extension: ext,
+        calls: slotCallMetrics.totalCalls,
+        answered: slotCallMetrics.answeredCalls
+      });
+      
+      const kpiValues = { ...stateTimeTotals(customStates, stateCatalogue), ...slotCallMetrics.seconds };
       
       reportData.push({
         agentName: agentUsername,
@@ -1165,136 +1055,167 @@ function processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, age
         timeSlotEnd: timeSlot.end,
         stateBlocks: slotResult.stateBlocks.length > 0 ? slotResult.stateBlocks : [{
           state: 'No Activity',
-          startTime: formatTimeDubai(timeSlot.start),
-          endTime: formatTimeDubai(timeSlot.end),
+          startTime: formatTime(timeSlot.start, timeZone),
+          endTime: formatTime(timeSlot.end, timeZone),
           displayText: 'No Activity'
         }],
         customStates: customStates,
+        dataQualityWarnings,
         dailyStats: agentStats,
         totalCalls: slotCallMetrics.totalCalls,
         answered: slotCallMetrics.answeredCalls,
         failed: slotCallMetrics.failedCalls,
         wrapUpTime: slotCallMetrics.wrapUpTime,
         holdTime: slotCallMetrics.holdTime,
+        talkTime: slotCallMetrics.talkTime,
         onCallTime: slotCallMetrics.onCallTime,
         notAvailableTime: slotCallMetrics.notAvailableTime,
-        aht: slotCallMetrics.aht
+        aht: slotCallMetrics.aht,
+        loggedInTime: formatDuration(kpiValues.loggedIn),
+        kpis: computeKpis(kpiValues, kpiFormulas),
+        kpiValues
       });
-      
-      previousSlotState = slotResult.nextSlotState;
     });
   });
   
-  console.log(`🔍 DEBUG: Generated ${reportData.length} slot-wise report records`);
   return reportData;
 }
 
 /**
- * Distribute time values across slots based on duration ratio
- * @param {number|string} timeValue - Time value in seconds or formatted string
- * @param {number} durationRatio - Ratio of slot duration to total duration
- * @returns {string} - Formatted time value for the slot
+ * Milliseconds of [start, end) that fall inside [slotStart, slotEnd)
  */
-function distributeTimeAcrossSlots(timeValue, durationRatio) {
-  // Handle case when timeValue is already a formatted string
-  if (typeof timeValue === 'string' && timeValue.includes(':')) {
-    // Convert HH:MM:SS to seconds
-    const [hours, minutes, seconds] = timeValue.split(':').map(Number);
-    timeValue = hours * 3600 + minutes * 60 + seconds;
-  }
-  
-  // Ensure timeValue is a number
-  const timeValueSeconds = Number(timeValue) || 0;
-  
-  // Calculate proportional time for this slot
-  let slotTimeSeconds = Math.round(timeValueSeconds * durationRatio);
-  
-  // Ensure minimum value if original is > 0
-  if (timeValueSeconds > 0 && slotTimeSeconds === 0) {
-    slotTimeSeconds = 1; // Minimum 1 second if there was any time
-  }
+function overlapMs(start, end, slotStart, slotEnd) {
+  return Math.max(0, Math.min(end, slotEnd) - Math.max(start, slotStart));
+}
+
+/**
+ * Time an agent spent in matching tracked states within a slot, following the
+ * agent's state machine; events before the slot set the starting state.
+ * @param {Array} agentEvents - The agent's state events
+ * @param {number} slotStart - Slot start (ms)
+ * @param {number} slotEnd - Slot end (ms)
+ * @param {Function} matches - state => boolean
+ * @param {Array<Object>} stateCatalogue - Tenant state catalogue
+ * @returns {number} - Milliseconds
+ */
+function timeInStatesWithinSlot(agentEvents, slotStart, slotEnd, matches, stateCatalogue = defaultStateCatalogue()) {
+  const trackedStates = trackedStateNames(stateCatalogue);
+  const { blocks } = buildStateTimeline(agentEvents, {
+    exclusiveStates: exclusiveStateNames(stateCatalogue),
+    rangeStart: slotStart,
+    rangeEnd: Math.min(slotEnd, Date.now())
+  });
   
-  // Format the result using the existing formatDuration function
-  return formatDuration(slotTimeSeconds);
+  return blocks
+    .filter(block => trackedStates.includes(block.state) && matches(block.state))
+    .reduce((total, block) => total + (block.end - block.start), 0);
 }
 
 /**
- * Calculate call metrics for slot-wise reporting with duration-based distribution
- * @param {Array} agentEvents - Agent events for this agent
- * @param {Object} agentStats - Agent daily stats
- * @param {Object} timeSlot - Current time slot with duration
- * @param {Array} allTimeSlots - All time slots for proportional calculation
+ * Calculate an agent's call metrics for one time slot from call detail records.
+ * A call is counted in the slot it started in. Time on call (answer to hang-up)
+ * and wrap-up (right after hang-up) are split across slots by how much of each
+ * falls inside the slot; hold time is spread evenly over the time on call, as
+ * CDRs only carry its total. AHT covers the answered calls counted in the slot.
+ * @param {Array} agentCalls - The agent's normalised CDRs (see cdrFetcher.normalizeCdr)
+ * @param {Array} agentEvents - The agent's state events, for time not available
+ * @param {Object} timeSlot - Time slot with start and end Dates
+ * @param {Array<Object>} stateCatalogue - Tenant state catalogue, for time not available
  * @returns {Object} - Call metrics for this time slot
  */
-function calculateSlotWiseCallMetrics(agentEvents, agentStats, timeSlot, allTimeSlots) {
-  console.log(`🚨 FUNCTION CALLED: calculateSlotWiseCallMetrics for slot ${timeSlot.slotNumber} (${timeSlot.duration} min)`);
-  
-  // Calculate total duration across all slots
-  const totalDurationMinutes = allTimeSlots.reduce((sum, slot) => sum + slot.duration, 0);
-  const slotDurationMinutes = timeSlot.duration;
-  
-  // Calculate proportional distribution based on slot duration
-  const durationRatio = slotDurationMinutes / totalDurationMinutes;
-  
-  console.log(`🔍 DEBUG: Slot ${timeSlot.slotNumber} duration ratio: ${durationRatio.toFixed(3)} (${slotDurationMinutes}/${totalDurationMinutes} min)`);
-  
-  // Normalize field names
-  const normalizedStats = {
-    totalCalls: agentStats.total_calls || agentStats.totalCalls || 0,
-    answeredCalls: agentStats.answered_calls || agentStats.answeredCalls || 0,
-    failedCalls: agentStats.failed_calls || agentStats.failedCalls || 0,
-    wrapUpTime: agentStats.wrap_up_time || agentStats.wrapUpTime || 0,
-    holdTime: agentStats.hold_time || agentStats.holdTime || 0,
-    onCallTime: agentStats.on_call_time || agentStats.onCallTime || 0,
-    notAvailableTime: agentStats.not_available_time || agentStats.notAvailableTime || 0
-  };
-
-  // Distribute calls based on slot duration
-  const originalTotalCalls = normalizedStats.totalCalls;
-  const originalAnsweredCalls = normalizedStats.answeredCalls;
-  
-  let totalCalls = Math.round(originalTotalCalls * durationRatio);
-  let answeredCalls = Math.round(originalAnsweredCalls * durationRatio);
+function calculateSlotWiseCallMetrics(agentCalls, agentEvents, timeSlot, stateCatalogue = defaultStateCatalogue()) {
+  const slotStart = timeSlot.start.getTime();
+  const slotEnd = timeSlot.end.getTime();
   
-  // Ensure minimum values when original totals > 0
-  if (originalTotalCalls > 0 && totalCalls === 0) {
-    totalCalls = Math.max(1, Math.ceil(originalTotalCalls * durationRatio));
-  }
-  if (originalAnsweredCalls > 0 && answeredCalls === 0) {
-    answeredCalls = Math.max(1, Math.ceil(originalAnsweredCalls * durationRatio));
+  let totalCalls = 0;
+  let answeredCalls = 0;
+  let onCallMs = 0;
+  let holdMs = 0;
+  let wrapUpMs = 0;
+  let handledMs = 0;
+  
+  for (const call of agentCalls) {
+    if (call.start >= slotStart && call.start < slotEnd) {
+      totalCalls++;
+      if (call.answered) {
+        answeredCalls++;
+        handledMs += (call.end - call.answer) + call.wrapUpSeconds * 1000;
+      }
+    }
+    
+    if (!call.answered) continue;
+    
+    const callLength = call.end - call.answer;
+    const onCallInSlot = overlapMs(call.answer, call.end, slotStart, slotEnd);
+    onCallMs += onCallInSlot;
+    
+    if (callLength > 0) {
+      holdMs += call.holdSeconds * 1000 * (onCallInSlot / callLength);
+    } else if (call.answer >= slotStart && call.answer < slotEnd) {
+      holdMs += call.holdSeconds * 1000;
+    }
+    
+    const wrapUpEnd = call.end + call.wrapUpSeconds * 1000;
+    wrapUpMs += overlapMs(call.end, wrapUpEnd, slotStart, slotEnd);
   }
   
-  const failedCalls = Math.max(0, totalCalls - answeredCalls);
+  // Paused in any tracked state other than available (or an offline state)
+  const offlineStates = new Set(stateCatalogue.filter(entry => entry.category === 'offline').map(entry => entry.state));
+  const notAvailableMs = timeInStatesWithinSlot(
+    agentEvents, slotStart, slotEnd,
+    state => state !== 'available' && !offlineStates.has(state),
+    stateCatalogue
+  );
   
-  // Distribute time values based on slot duration
-  const wrapUpTime = distributeTimeAcrossSlots(normalizedStats.wrapUpTime, durationRatio);
-  const holdTime = distributeTimeAcrossSlots(normalizedStats.holdTime, durationRatio);
-  const onCallTime = distributeTimeAcrossSlots(normalizedStats.onCallTime, durationRatio);
-  const notAvailableTime = distributeTimeAcrossSlots(normalizedStats.notAvailableTime, durationRatio);
-  
-  // Calculate AHT for this slot
-  const talkedTimeSeconds = agentStats.talked_time || 0;
-  const wrapUpTimeSeconds = agentStats.wrap_up_time || 0;
-  const holdTimeSeconds = agentStats.hold_time || 0;
-  const dailyTotalCalls = agentStats.total_calls || 0;
-  
-  const ahtSeconds = dailyTotalCalls > 0 ? Math.floor((talkedTimeSeconds + wrapUpTimeSeconds + holdTimeSeconds) / dailyTotalCalls) : 0;
-  const aht = formatDurationToHHMMSS(ahtSeconds);
-  
-  console.log(`🔍 DEBUG: Slot ${timeSlot.slotNumber} metrics - Calls: ${totalCalls}, Answered: ${answeredCalls}, Failed: ${failedCalls}`);
+  const seconds = value => Math.round(value / 1000);
+  const ahtSeconds = answeredCalls > 0 ? Math.floor(handledMs / 1000 / answeredCalls) : 0;
   
   return {
     totalCalls,
     answeredCalls,
-    failedCalls,
-    wrapUpTime,
-    holdTime,
-    onCallTime,
-    notAvailableTime,
-    aht
+    failedCalls: totalCalls - answeredCalls,
+    wrapUpTime: formatDuration(seconds(wrapUpMs)),
+    holdTime: formatDuration(seconds(holdMs)),
+    talkTime: formatDuration(Math.max(0, seconds(onCallMs) - seconds(holdMs))),
+    onCallTime: formatDuration(seconds(onCallMs)),
+    notAvailableTime: formatDuration(seconds(notAvailableMs)),
+    aht: formatDurationToHHMMSS(ahtSeconds),
+    // The same times in seconds, for the KPIs
+    seconds: {
+      onCall: seconds(onCallMs),
+      hold: seconds(holdMs),
+      wrapUp: seconds(wrapUpMs),
+      notAvailable: seconds(notAvailableMs)
+    }
   };
 }
 
+/**
+ * Call detail records for slot metrics. A failed fetch leaves the call metrics
+ * at zero (flagged in the summary) rather than estimating them.
+ * @param {string} tenant - Tenant name
+ * @param {Date} startTime - Report start
+ * @param {Date} endTime - Report end
+ * @param {AbortSignal} signal - Cancels the fetch
+ * @returns {Promise<{calls: Array, callMetrics: Object}>}
+ */
+async function loadCallRecords(tenant, startTime, endTime, signal) {
+  try {
+    // Calls that started up to an hour early can still run into the first slot
+    const calls = await fetchNormalizedCdrs(tenant, {
+      startDate: startTime.getTime() - 3600000,
+      endDate: endTime.getTime(),
+      signal
+    });
+    logger.debug(`Loaded ${calls.length} call detail records`, { tenant });
+    return { calls, callMetrics: { source: 'cdr', available: true } };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn(`Call detail records unavailable, reporting without call metrics: ${error.message}`, { tenant });
+    return { calls: [], callMetrics: { source: 'cdr', available: false, error: error.message } };
+  }
+}
+
 /**
  * Generate slot-wise agent report
  * @param {string} tenant - Tenant name
@@ -1302,33 +1223,38 @@ function calculateSlotWiseCallMetrics(agentEvents, agentStats, timeSlot, allTime
  * @param {string} endDateTime - End date time in user format
  * @param {string} agentName - Filter by agent name (optional)
  * @param {string} extension - Filter by extension (optional)
+ * @param {Object} options - Extra options passed through to processAgentDataForSlotWiseReport;
+ *   options.signal cancels the report
  * @returns {Object} - Slot-wise report data
  */
-async function generateSlotWiseAgentReport(tenant, startDateTime, endDateTime, agentName = null, extension = null) {
+async function generateSlotWiseAgentReport(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
   try {
-    console.log(`🚀 Generating slot-wise agent report for tenant: ${tenant}`);
-    console.log(`📅 Time Range: ${startDateTime} to ${endDateTime}`);
+    logger.info(`Generating slot-wise report for ${startDateTime} to ${endDateTime}`, { tenant });
     
-    const startTime = parseDateTimeString(startDateTime);
-    const endTime = parseDateTimeString(endDateTime);
+    const timeZone = await resolveReportTimeZone(tenant, options);
+    const startTime = parseDateTimeString(startDateTime, timeZone);
+    const endTime = parseDateTimeString(endDateTime, timeZone);
     
-    // Generate slot-wise time slots
-    const timeSlots = generateSlotWiseTimeSlots(startTime, endTime);
+    // Generate slot-wise time slots on the tenant's clock
+    const timeSlots = generateSlotWiseTimeSlots(startTime, endTime, timeZone, options);
     
-    console.log(`📊 Generated ${timeSlots.length} time slots:`);
-    timeSlots.forEach((slot, index) => {
-      console.log(`  Slot ${index + 1}: ${slot.label} (${slot.duration} min)`);
-    });
+    logger.debug(`${timeSlots.length} time slots`, { tenant, slots: timeSlots.map(slot => slot.label) });
     
-    const [statsData, eventsData] = await Promise.all([
-      fetchAgentStatsData(tenant, startTime, endTime),
-      fetchAgentEventsData(tenant, startTime, endTime).catch(err => {
-        console.log('⚠️ Events data fetch failed, continuing with stats only');
+    // Events from before the start only tell us each agent's state in the first slot
+    const lookbackStart = new Date(startTime.getTime() - STATE_LOOKBACK);
+    const [statsData, eventsData, { calls, callMetrics }] = await Promise.all([
+      fetchAgentStatsData(tenant, startTime, endTime, null, null, { signal: options.signal }),
+      loadAgentEvents(tenant, lookbackStart, endTime, null, null, fetchAgentEventsData, { signal: options.signal }).catch(error => {
+        if (options.signal?.aborted) throw error;
+        logger.warn(`Events unavailable, continuing with stats only: ${error.message}`, { tenant });
         return [];
-      })
+      }),
+      loadCallRecords(tenant, startTime, endTime, options.signal)
     ]);
+    options.signal?.throwIfAborted();
+    const stateCatalogue = await resolveStateCatalogue(tenant, options, statsData, eventsData);
     
-    const reportData = processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, agentName, extension);
+    const reportData = processAgentDataForSlotWiseReport(statsData, eventsData, timeSlots, agentName, extension, { ...options, timeZone, calls, stateCatalogue });
     
     const uniqueAgents = new Set(reportData.map(r => `${r.agentName}_${r.extension}`));
     const totalStateBlocks = reportData.reduce((sum, r) => sum + r.stateBlocks.length, 0);
@@ -1337,11 +1263,17 @@ async function generateSlotWiseAgentReport(tenant, startDateTime, endDateTime, a
       totalAgents: uniqueAgents.size,
       totalTimeSlots: timeSlots.length,
       totalStateBlocks: totalStateBlocks,
+      dataQualityWarnings: reportData.reduce((sum, r) => sum + r.dataQualityWarnings.length, 0),
       timeRange: `${startDateTime} to ${endDateTime}`,
+      timeZone,
+      slotInterval: options.boundaries ? 'shift' : (options.interval || 60),
+      callMetrics,
+      kpis: computeKpis(sumKpiValues(reportData.map(r => r.kpiValues)), options.kpiFormulas),
       slotBreakdown: timeSlots.map(slot => ({
         slotNumber: slot.slotNumber,
         timeRange: slot.label,
-        duration: `${slot.duration} minutes`
+        duration: `${slot.duration} minutes`,
+        kpis: computeKpis(sumKpiValues(reportData.filter(r => r.slotNumber === slot.slotNumber).map(r => r.kpiValues)), options.kpiFormulas)
       })),
       generatedAt: new Date().toISOString()
     };
@@ -1350,15 +1282,17 @@ async function generateSlotWiseAgentReport(tenant, startDateTime, endDateTime, a
       success: true,
       summary,
       reportData,
-      timeSlots
+      timeSlots,
+      kpiFormulas: options.kpiFormulas || DEFAULT_KPI_FORMULAS,
+      states: stateCatalogue.filter(entry => entry.tracked)
     };
     
-    console.log(`✅ Generated slot-wise report with ${reportData.length} records across ${timeSlots.length} slots`);
+    logger.info(`Generated slot-wise report with ${reportData.length} records across ${timeSlots.length} slots`, { tenant });
     
     return result;
     
   } catch (error) {
-    console.error('❌ Error generating slot-wise agent report:', error);
+    logger.error(`Error generating slot-wise report: ${error.message}`, { tenant, error });
     throw error;
   }
 }
@@ -1370,59 +1304,80 @@ async function generateSlotWiseAgentReport(tenant, startDateTime, endDateTime, a
  * @param {string} endDateTime - End date time in user format
  * @param {string} agentName - Filter by agent name (optional)
  * @param {string} extension - Filter by extension (optional)
+ * @param {Object} options - Extra options passed through to processAgentDataForSlotWiseReport;
+ *   options.onProgress receives progress updates and options.signal cancels the report
  * @returns {Object} - Slot-wise report data
  */
-async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName = null, extension = null) {
+async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName = null, extension = null, options = {}) {
   try {
-    console.log(`🚀 Generating slot-wise agent report with separate API calls for tenant: ${tenant}`);
-    console.log(`📅 Time Range: ${startDateTime} to ${endDateTime}`);
+    logger.info(`Generating slot-wise report slot by slot for ${startDateTime} to ${endDateTime}`, { tenant });
     
-    const startTime = parseDateTimeString(startDateTime);
-    const endTime = parseDateTimeString(endDateTime);
+    const timeZone = await resolveReportTimeZone(tenant, options);
+    const startTime = parseDateTimeString(startDateTime, timeZone);
+    const endTime = parseDateTimeString(endDateTime, timeZone);
     
-    // Generate slot-wise time slots
-    const timeSlots = generateSlotWiseTimeSlots(startTime, endTime);
+    // Generate slot-wise time slots on the tenant's clock
+    const timeSlots = generateSlotWiseTimeSlots(startTime, endTime, timeZone, options);
     
-    console.log(`📊 Generated ${timeSlots.length} time slots:`);
-    timeSlots.forEach((slot, index) => {
-      console.log(`  Slot ${index + 1}: ${slot.label} (${slot.duration} min)`);
-    });
+    logger.debug(`${timeSlots.length} time slots`, { tenant, slots: timeSlots.map(slot => slot.label) });
     
-    // Fetch stats data for the entire period (once)
-    const statsData = await fetchAgentStatsData(tenant, startTime, endTime);
-    console.log(`📊 Fetched stats data for ${Object.keys(statsData).length} agents`);
+    const progress = createProgressTracker(options.onProgress, startTime, endTime);
+    progress.stage('fetching', { totalSlots: timeSlots.length });
     
-    // Fetch events data for each slot separately
+    // Fetch stats and call records for the entire period (once), and the events
+    // before it that give each agent's state when the first slot opens
+    const [statsData, { calls, callMetrics }, earlierEvents] = await Promise.all([
+      fetchAgentStatsData(tenant, startTime, endTime, null, null, { signal: options.signal }),
+      loadCallRecords(tenant, startTime, endTime, options.signal),
+      loadAgentEvents(
+        tenant,
+        new Date(startTime.getTime() - STATE_LOOKBACK),
+        startTime,
+        agentName,
+        extension,
+        fetchAgentEventsData,
+        { signal: options.signal }
+      )
+    ]);
+    let stateCatalogue = await resolveStateCatalogue(tenant, options, statsData, earlierEvents);
+    
+    // Fetch events data for each slot separately; every slot sees the events
+    // before it too, so states carry over from one slot to the next
     const slotResults = [];
+    const history = [...earlierEvents];
+    const seen = new Set(history.map(eventKey));
     
     for (let i = 0; i < timeSlots.length; i++) {
+      options.signal?.throwIfAborted();
       const slot = timeSlots[i];
-      console.log(`🔍 Processing slot ${i + 1}: ${slot.label}`);
-      
-      // Format dates for API call
-      const slotStartFormatted = formatTimestampDubai(slot.start);
-      const slotEndFormatted = formatTimestampDubai(slot.end);
-      
-      console.log(`📡 Fetching events for slot ${i + 1}: ${slotStartFormatted} to ${slotEndFormatted}`);
-      
       // Fetch events data for this specific slot
-      const slotEventsData = await fetchSlotWiseAgentEvents(
+      const slotEventsData = await loadAgentEvents(
         tenant,
         slot.start,
         slot.end,
         agentName,
-        extension
+        extension,
+        fetchSlotWiseAgentEvents,
+        { signal: options.signal, onPage: progress.pageFetched }
       );
       
-      console.log(`✅ Slot ${i + 1}: Fetched ${slotEventsData.length} events`);
+      logger.debug(`Slot ${slot.slotNumber} (${slot.label}): ${slotEventsData.length} events`, { tenant });
+      stateCatalogue = await resolveStateCatalogue(tenant, options, null, slotEventsData);
       
       // Process data for this slot
+      // Ranges share their boundary second, so skip events already seen
+      slotEventsData.forEach(event => {
+        if (seen.has(eventKey(event))) return;
+        seen.add(eventKey(event));
+        history.push(event);
+      });
       const slotAgentData = processAgentDataForSlotWiseReport(
         statsData,
-        slotEventsData,
+        history,
         [slot], // Pass only this slot
         agentName,
-        extension
+        extension,
+        { ...options, timeZone, calls, stateCatalogue }
       );
       
       // Add slot data to results
@@ -1432,6 +1387,7 @@ async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDate
         duration: slot.duration,
         agentData: slotAgentData
       });
+      progress.slotDone();
     }
     
     // Combine all slot results
@@ -1441,11 +1397,17 @@ async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDate
     const summary = {
       totalAgents: uniqueAgents.size,
       totalTimeSlots: timeSlots.length,
+      dataQualityWarnings: allAgentData.reduce((sum, r) => sum + r.dataQualityWarnings.length, 0),
       timeRange: `${startDateTime} to ${endDateTime}`,
+      timeZone,
+      slotInterval: options.boundaries ? 'shift' : (options.interval || 60),
+      callMetrics,
+      kpis: computeKpis(sumKpiValues(allAgentData.map(r => r.kpiValues)), options.kpiFormulas),
       slotBreakdown: timeSlots.map(slot => ({
         slotNumber: slot.slotNumber,
         timeRange: slot.label,
-        duration: `${slot.duration} minutes`
+        duration: `${slot.duration} minutes`,
+        kpis: computeKpis(sumKpiValues(allAgentData.filter(r => r.slotNumber === slot.slotNumber).map(r => r.kpiValues)), options.kpiFormulas)
       })),
       generatedAt: new Date().toISOString()
     };
@@ -1455,15 +1417,17 @@ async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDate
       summary,
       reportData: allAgentData,
       timeSlots,
-      slotResults
+      slotResults,
+      kpiFormulas: options.kpiFormulas || DEFAULT_KPI_FORMULAS,
+      states: stateCatalogue.filter(entry => entry.tracked)
     };
     
-    console.log(`✅ Generated slot-wise report with ${allAgentData.length} records across ${timeSlots.length} slots`);
+    logger.info(`Generated slot-wise report with ${allAgentData.length} records across ${timeSlots.length} slots`, { tenant });
     
     return result;
     
   } catch (error) {
-    console.error('❌ Error generating slot-wise agent report with separate API calls:', error);
+    logger.error(`Error generating slot-wise report: ${error.message}`, { tenant, error });
     throw error;
   }
 }
@@ -1471,43 +1435,18 @@ async function generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDate
 /**
  * Parse date time string in various formats
  * @param {string} dateTimeString - Date time string to parse
+ * @param {string} timeZone - IANA zone for strings without an explicit offset
  * @returns {Date} - Parsed Date object
  */
-function parseDateTimeString(dateTimeString) {
+function parseDateTimeString(dateTimeString, timeZone = DEFAULT_TIMEZONE) {
   if (!dateTimeString) return new Date();
   
-  try {
-    // Handle various date formats
-    if (dateTimeString.includes(',')) {
-      // Format: DD/MM/YYYY, HH:MM(AM/PM)
-      const [datePart, timePart] = dateTimeString.split(',').map(part => part.trim());
-      const [day, month, year] = datePart.split('/').map(Number);
-      
-      let hours = 0;
-      let minutes = 0;
-      
-      if (timePart) {
-        const timeMatch = timePart.match(/(\d+):(\d+)([APap][Mm])?/);
-        if (timeMatch) {
-          hours = parseInt(timeMatch[1]);
-          minutes = parseInt(timeMatch[2]);
-          
-          // Handle AM/PM
-          const ampm = timeMatch[3]?.toUpperCase();
-          if (ampm === 'PM' && hours < 12) hours += 12;
-          if (ampm === 'AM' && hours === 12) hours = 0;
-        }
-      }
-      
-      return new Date(year, month - 1, day, hours, minutes);
-    } else {
-      // Try standard date parsing
-      return new Date(dateTimeString);
-    }
-  } catch (error) {
-    console.error(`❌ Error parsing date string: ${dateTimeString}`, error);
+  const parsed = parseZonedDateTime(dateTimeString, timeZone);
+  if (!parsed) {
+    logger.warn(`Unparseable date "${dateTimeString}", using the current time`);
     return new Date();
   }
+  return parsed;
 }
 
 /**
@@ -1523,74 +1462,133 @@ function formatDurationToHHMMSS(seconds) {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Slot lengths in minutes that tile a day evenly, plus calendar rollups
+const SLOT_INTERVALS = [15, 30, 60, 120, 180, 240, 360, 480, 720, 'day', 'week'];
+const MIN_SLOT_MS = 60 * 1000;
+
+/**
+ * Validate a slot interval from a request
+ * @param {string|number} value - Minutes ("15", "30", "60", ...), "day" or "week"; empty means hourly
+ * @returns {number|string|null} - Normalised interval, or null when it is not supported
+ */
+function parseSlotInterval(value) {
+  if (value === undefined || value === null || value === '') return 60;
+  const text = String(value).trim().toLowerCase();
+  const interval = /^\d+$/.test(text) ? Number(text) : text;
+  return SLOT_INTERVALS.includes(interval) ? interval : null;
+}
+
+/**
+ * Validate shift boundaries from a request, e.g. "06:00,14:00,22:00"
+ * @param {string|Array<string>} value - Times of day in the tenant's zone
+ * @returns {Array<number>|null} - Sorted minutes after midnight, or null when any entry is invalid
+ */
+function parseSlotBoundaries(value) {
+  const entries = (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+  if (entries.length === 0) return null;
+  
+  const minutes = [];
+  for (const entry of entries) {
+    const match = entry.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    minutes.push(Number(match[1]) * 60 + Number(match[2]));
+  }
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
 /**
- * Generate time slots between start and end times
+ * The first slot boundary after an instant
+ * @param {Date} time - Current slot start
+ * @param {string} timeZone - IANA zone the boundaries are defined in
+ * @param {Object} slotOptions - { interval, boundaries }, see generateSlotWiseTimeSlots
+ * @returns {Date}
+ */
+function nextSlotBoundary(time, timeZone, { interval = 60, boundaries = null }) {
+  const p = getZonedParts(time, timeZone);
+  const wholeSeconds = Math.floor(time.getTime() / 1000) * 1000;
+  
+  if (boundaries) {
+    // Today's boundaries, then tomorrow's
+    for (const dayOffset of [0, 1]) {
+      for (const minuteOfDay of boundaries) {
+        const candidate = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + dayOffset, minute: minuteOfDay }, timeZone);
+        if (candidate > time) return candidate;
+      }
+    }
+  }
+  
+  if (interval === 'day' || interval === 'week') {
+    // Weeks start on Monday
+    const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+    const days = interval === 'day' ? 1 : ((8 - weekday) % 7 || 7);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day + days }, timeZone);
+  }
+  
+  if (60 % interval === 0) {
+    // Step within the local hour, which stays correct across DST changes
+    const intoInterval = ((p.minute % interval) * 60 + p.second) * 1000;
+    return new Date(wholeSeconds - intoInterval + interval * 60 * 1000);
+  }
+  
+  // Multi-hour intervals are counted from local midnight
+  const nextMinute = (Math.floor((p.hour * 60 + p.minute) / interval) + 1) * interval;
+  const candidate = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, minute: nextMinute }, timeZone);
+  return candidate > time ? candidate : new Date(wholeSeconds + interval * 60 * 1000);
+}
+
+/**
+ * Slot label: times for slots within a day (prefixed with the date when the
+ * range spans several days), dates for daily and weekly rollups
+ */
+function formatSlotLabel(start, end, interval, multiDay, timeZone) {
+  if (interval === 'day') return formatDate(start, timeZone);
+  if (interval === 'week') return `${formatDate(start, timeZone)} - ${formatDate(end.getTime() - 1, timeZone)}`;
+  
+  const label = `${formatTime(start, timeZone)} - ${formatTime(end, timeZone)}`;
+  return multiDay ? `${formatDate(start, timeZone)} ${label}` : label;
+}
+
+/**
+ * Generate time slots between start and end times.
+ * Slots are half-open ([start, end)) and tile the range exactly, so an event
+ * on a boundary belongs to the later slot only. Boundaries less than a minute
+ * from the previous one (or from the range end) are skipped.
  * @param {Date} startTime - Start time
  * @param {Date} endTime - End time
+ * @param {string} timeZone - IANA zone whose clock the boundaries follow
+ * @param {Object} slotOptions
+ * @param {number|string} slotOptions.interval - Minutes per slot (see SLOT_INTERVALS), "day" or "week" (default 60)
+ * @param {Array<number>} slotOptions.boundaries - Shift boundaries in minutes after midnight; replaces interval
  * @returns {Array} - Array of time slot objects
  */
-function generateSlotWiseTimeSlots(startTime, endTime) {
+function generateSlotWiseTimeSlots(startTime, endTime, timeZone = DEFAULT_TIMEZONE, slotOptions = {}) {
+  const { interval = 60, boundaries = null } = slotOptions;
   const slots = [];
-  const startHour = startTime.getHours();
-  const startMinute = startTime.getMinutes();
-  const endHour = endTime.getHours();
-  const endMinute = endTime.getMinutes();
+  const rangeEnd = new Date(endTime);
+  const multiDay = getZonedDateKey(startTime, timeZone) !== getZonedDateKey(rangeEnd.getTime() - 1, timeZone);
   
-  // Create a copy of the start time to manipulate
   let currentSlotStart = new Date(startTime);
   let slotNumber = 1;
   
-  // First slot: from start time to the next hour mark (or end time if earlier)
-  let firstSlotEnd;
-  if (startMinute > 0) {
-    // Go to the next hour mark
-    firstSlotEnd = new Date(startTime);
-    firstSlotEnd.setHours(startHour + 1, 0, 0, 0);
-    
-    // If the next hour mark is after the end time, use the end time
-    if (firstSlotEnd > endTime) {
-      firstSlotEnd = new Date(endTime);
+  while (currentSlotStart < rangeEnd) {
+    let slotEnd = nextSlotBoundary(currentSlotStart, timeZone, { interval, boundaries });
+    while (slotEnd - currentSlotStart < MIN_SLOT_MS && slotEnd < rangeEnd) {
+      slotEnd = nextSlotBoundary(slotEnd, timeZone, { interval, boundaries });
     }
-    
-    // Add the first slot
-    const firstSlotDuration = Math.round((firstSlotEnd - currentSlotStart) / (60 * 1000));
-    if (firstSlotDuration >= 1) {
-      slots.push({
-        slotNumber: slotNumber++,
-        start: new Date(currentSlotStart),
-        end: new Date(firstSlotEnd),
-        label: `${formatTimeDubai(currentSlotStart)} - ${formatTimeDubai(firstSlotEnd)}`,
-        duration: firstSlotDuration
-      });
+    if (slotEnd > rangeEnd || rangeEnd - slotEnd < MIN_SLOT_MS) {
+      slotEnd = new Date(rangeEnd);
     }
     
-    // Update current slot start for the next iteration
-    currentSlotStart = new Date(firstSlotEnd);
-  }
-  
-  // Generate hourly slots until we reach the end time
-  while (currentSlotStart < endTime) {
-    // Set the end of this slot to be one hour later or the end time, whichever is earlier
-    const hourlySlotEnd = new Date(currentSlotStart);
-    hourlySlotEnd.setHours(hourlySlotEnd.getHours() + 1);
-    
-    const slotEnd = hourlySlotEnd > endTime ? new Date(endTime) : hourlySlotEnd;
-    
-    // Calculate duration in minutes
-    const slotDuration = Math.round((slotEnd - currentSlotStart) / (60 * 1000));
-    
-    // Only add slots with a duration of at least 1 minute
-    if (slotDuration >= 1) {
-      slots.push({
-        slotNumber: slotNumber++,
-        start: new Date(currentSlotStart),
-        end: new Date(slotEnd),
-        label: `${formatTimeDubai(currentSlotStart)} - ${formatTimeDubai(slotEnd)}`,
-        duration: slotDuration
-      });
-    }
+    slots.push({
+      slotNumber: slotNumber++,
+      start: new Date(currentSlotStart),
+      end: new Date(slotEnd),
+      label: formatSlotLabel(currentSlotStart, slotEnd, boundaries ? null : interval, multiDay, timeZone),
+      duration: Math.round((slotEnd - currentSlotStart) / (60 * 1000))
+    });
     
-    // Move to the next slot
     currentSlotStart = new Date(slotEnd);
   }
   
@@ -1599,20 +1597,26 @@ function generateSlotWiseTimeSlots(startTime, endTime) {
 
 // Export functions
 export {
-  formatTimestampDubai,
-  formatTimeDubai,
-  getCurrentDubaiTime,
-  convertDubaiInputToUTC,
+  CUSTOM_STATES,
+  STATE_LOOKBACK,
+  createProgressTracker,
+  resolveReportTimeZone,
+  resolveStateCatalogue,
   fetchAgentStatsData,
+  fetchActivityEventPages,
   fetchAgentEventsData,
   fetchSlotWiseAgentEvents,
+  loadAgentEvents,
+  parseEventTimestamp,
+  processCustomStatesForAgent,
   generateSimplifiedAgentReport,
   processSimplifiedAgentData,
   displaySimplifiedAgentReport,
   generateSlotWiseTimeSlots,
+  parseSlotInterval,
+  parseSlotBoundaries,
   processAgentDataForSlotWiseReport,
   calculateSlotWiseCallMetrics,
-  distributeTimeAcrossSlots,
   generateSlotWiseAgentReport,
   generateSlotWiseAgentReportWithSeparateApiCalls,
   parseDateTimeString
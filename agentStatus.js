@@ -12,30 +12,12 @@
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { getPortalToken, getTenantCredentials, httpsAgent } from './tokenService.js';
+import { toCsv } from './reportExport.js';
+import { createLogger } from './logger.js';
 
 const MAX_RETRIES = 3;
-
-/**
- * Convert an array of plain objects to a CSV string.
- * Very small helper to avoid a new dependency.
- */
-function toCsv(records, delimiter = ',') {
-  if (!records.length) return '';
-  const header = Object.keys(records[0]).join(delimiter);
-  const rows = records.map(r =>
-    Object.values(r)
-      .map(v => {
-        if (v == null) return '';
-        const str = String(v);
-        return str.includes(delimiter) || str.includes('\n') || str.includes('"')
-          ? `"${str.replace(/"/g, '""')}"` // escape quotes per RFC4180
-          : str;
-      })
-      .join(delimiter)
-  );
-  return [header, ...rows].join('\n');
-}
+const logger = createLogger({ component: 'agentStatus' });
 
 /**
  * Convert Unix timestamp to dd/mm/yyyy, hh:mm:ss format
@@ -199,7 +181,8 @@ export async function fetchAgentStatus(
   { startDate, endDate, name, extension } = {}
 ) {
   // Use env-configurable endpoint; fall back to the common REST path.
-  const url = `${process.env.BASE_URL}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
+  const { baseUrl, accountId } = await getTenantCredentials(acct);
+  const url = `${baseUrl}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
   const records = [];
   let startKey;
 
@@ -214,18 +197,13 @@ export async function fetchAgentStatus(
           ...(startKey && { start_key: startKey })
         };
 
-        // Obtain JWT once and log the first 40 chars for debugging
         const token = await getPortalToken(acct);
-        console.log('REQ', url, params, {
-          'X-Account-ID': process.env.ACCOUNT_ID ?? acct,
-          'X-User-Agent': 'portal',
-          Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
-        });
+        logger.debug('Fetching agent stats page', { tenant: acct, url, params, accountId: accountId ?? acct });
 
         const { data } = await axios.get(url, {
           params,
           headers: {
-            'X-Account-ID': process.env.ACCOUNT_ID ?? acct,
+            'X-Account-ID': accountId ?? acct,
             'X-User-Agent': 'portal',
             Authorization: `Bearer ${token}`
           },
@@ -245,7 +223,8 @@ export async function fetchAgentStatus(
           // Preserve the key (extension) by merging it into each record
           chunk = Object.entries(data).map(([ext, info]) => ensureExt({ extension: ext, ...info }));
         } else {
-          console.error('Unexpected API payload; dumping full response:', JSON.stringify(data, null, 2));
+          logger.error('Unexpected agent stats payload', { tenant: acct, url });
+          logger.debug('Unexpected agent stats payload body', { tenant: acct, payload: data });
           throw new Error('Unrecognised API response format');
         }
         records.push(...chunk);
@@ -255,7 +234,7 @@ export async function fetchAgentStatus(
       break retry; // success
     } catch (err) {
       if (attempt === MAX_RETRIES - 1) throw err;
-      console.warn(`Request failed (${err.message}); retrying in ${delay}ms…`);
+      logger.warn(`Agent stats request failed (${err.message}); retrying in ${delay}ms`, { tenant: acct });
       await new Promise(r => setTimeout(r, delay));
     }
   }
@@ -264,7 +243,7 @@ export async function fetchAgentStatus(
 }
 
 // Export the utility functions for use in other modules
-export { formatTimestamp, formatAgentEventsTable, displayAgentEventsTable, formatAgentStatusTable, displayAgentStatusTable, toCsv };
+export { formatTimestamp, formatAgentEventsTable, displayAgentEventsTable, formatAgentStatusTable, displayAgentStatusTable };
 
 /**
  * Test function to demonstrate the table formatting with sample data
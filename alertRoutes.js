@@ -0,0 +1,168 @@
+// alertRoutes.js - State alert rules, webhooks and their log (admin)
+import express from 'express';
+import { createLogger } from './logger.js';
+import { requireRole } from './access.js';
+import { handleError } from './userRoutes.js';
+import { UserError } from './users.js';
+import { resolveTenantForScope } from './tenants.js';
+import {
+  listAlertRules,
+  saveAlertRule,
+  deleteAlertRule,
+  listAlertWebhooks,
+  saveAlertWebhook,
+  deleteAlertWebhook,
+  sendTestWebhook,
+  evaluateAlertRange,
+  retryDelivery,
+  listAlertBreaches,
+  listAlertDeliveries
+} from './stateAlerts.js';
+
+const logger = createLogger({ component: 'alertRoutes' });
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+const router = express.Router();
+
+router.use(['/alert-rules', '/alert-webhooks', '/alert-breaches', '/alert-deliveries'], requireRole('admin'));
+
+router.get('/alert-rules', async (req, res) => {
+  try {
+    res.json({ success: true, rules: await listAlertRules(req.query.tenant || null) });
+  } catch (error) {
+    handleError(res, error, 'listing alert rules');
+  }
+});
+
+router.post('/alert-rules', async (req, res) => {
+  try {
+    const rule = await saveAlertRule(req.body || {}, null, req.accessScope.userId);
+    logger.info(`Alert rule ${rule.id} (${rule.state}, ${rule.max_minutes}m) created by ${req.user.username}`, { tenant: rule.tenant });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    handleError(res, error, 'creating alert rule');
+  }
+});
+
+router.patch('/alert-rules/:id', async (req, res) => {
+  try {
+    const rule = await saveAlertRule(req.body || {}, Number(req.params.id));
+    logger.info(`Alert rule ${rule.id} updated by ${req.user.username}`, { tenant: rule.tenant });
+    res.json({ success: true, rule });
+  } catch (error) {
+    handleError(res, error, 'updating alert rule');
+  }
+});
+
+router.delete('/alert-rules/:id', async (req, res) => {
+  try {
+    await deleteAlertRule(Number(req.params.id));
+    logger.info(`Alert rule ${req.params.id} deleted by ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'deleting alert rule');
+  }
+});
+
+// Check a past range against the rules; `deliver: true` also records and sends the breaches
+router.post('/alert-rules/evaluate', async (req, res) => {
+  try {
+    const { tenant, startDateTime, endDateTime, deliver } = req.body || {};
+    if (!tenant || !startDateTime || !endDateTime) {
+      throw new UserError('Missing required parameters: tenant, startDateTime, endDateTime');
+    }
+    const tenantRow = await resolveTenantForScope(req.accessScope, tenant);
+    if (!tenantRow) throw new UserError(`Unknown or disabled tenant "${tenant}"`, 404);
+
+    const breaches = await evaluateAlertRange(tenantRow, startDateTime, endDateTime, { deliver: Boolean(deliver) });
+    if (deliver) {
+      logger.info(`Alert rules evaluated over ${startDateTime} to ${endDateTime} by ${req.user.username}: ${breaches.length} breaches`, { tenant });
+    }
+    res.json({ success: true, breaches });
+  } catch (error) {
+    handleError(res, error, 'evaluating alert rules');
+  }
+});
+
+router.get('/alert-webhooks', async (req, res) => {
+  try {
+    res.json({ success: true, webhooks: await listAlertWebhooks(req.query.tenant || null) });
+  } catch (error) {
+    handleError(res, error, 'listing webhooks');
+  }
+});
+
+// The answer carries the signing secret; it is not shown again
+router.post('/alert-webhooks', async (req, res) => {
+  try {
+    const webhook = await saveAlertWebhook(req.body || {});
+    logger.info(`Webhook ${webhook.id} "${webhook.name}" created by ${req.user.username}`, { tenant: webhook.tenant });
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    handleError(res, error, 'creating webhook');
+  }
+});
+
+// `rotateSecret: true` issues a new secret, returned once
+router.patch('/alert-webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await saveAlertWebhook(req.body || {}, Number(req.params.id));
+    logger.info(`Webhook ${webhook.id} updated by ${req.user.username}${webhook.secret ? ' (new secret)' : ''}`, { tenant: webhook.tenant });
+    res.json({ success: true, webhook });
+  } catch (error) {
+    handleError(res, error, 'updating webhook');
+  }
+});
+
+router.delete('/alert-webhooks/:id', async (req, res) => {
+  try {
+    await deleteAlertWebhook(Number(req.params.id));
+    logger.info(`Webhook ${req.params.id} deleted by ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'deleting webhook');
+  }
+});
+
+// Post a test message and report what the receiver answered
+router.post('/alert-webhooks/:id/test', async (req, res) => {
+  try {
+    res.json({ success: true, result: await sendTestWebhook(Number(req.params.id)) });
+  } catch (error) {
+    handleError(res, error, 'testing webhook');
+  }
+});
+
+router.get('/alert-breaches', async (req, res) => {
+  try {
+    res.json({ success: true, breaches: await listAlertBreaches({ tenant: req.query.tenant || null }) });
+  } catch (error) {
+    handleError(res, error, 'listing alert breaches');
+  }
+});
+
+router.get('/alert-deliveries', async (req, res) => {
+  try {
+    const { webhookId, status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new UserError(`Unknown status "${status}"; use ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    const deliveries = await listAlertDeliveries({ webhookId: webhookId ? Number(webhookId) : null, status: status || null });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    handleError(res, error, 'listing webhook deliveries');
+  }
+});
+
+router.post('/alert-deliveries/:id/retry', async (req, res) => {
+  try {
+    await retryDelivery(Number(req.params.id));
+    logger.info(`Webhook delivery ${req.params.id} retried by ${req.user.username}`);
+    res.status(202).json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'retrying webhook delivery');
+  }
+});
+
+export default router;
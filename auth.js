@@ -0,0 +1,176 @@
+// auth.js - Session authentication for the report UI and API
+import 'dotenv/config';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { query } from './db.js';
+import { log } from './logger.js';
+
+const AUTH_COOKIE = 'authToken';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+// Without a configured secret, sessions only survive until the next restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(48).toString('hex');
+if (!process.env.JWT_SECRET) {
+  log('JWT_SECRET is not set - using a random per-process secret, sessions will not survive a restart', 'warn');
+}
+
+/**
+ * Cookie options for the session cookie.
+ * Over HTTPS the cookie is marked Secure and SameSite=None so the report page
+ * keeps working when embedded in the portal iframe.
+ */
+function getCookieOptions() {
+  const secure = (process.env.PUBLIC_URL || '').startsWith('https://');
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? 'none' : 'lax',
+    path: '/'
+  };
+}
+
+/**
+ * Issue a signed JWT for a user row
+ * @param {Object} user - Row from the users table
+ * @returns {string} - Signed JWT
+ */
+function signSessionToken(user) {
+  return jwt.sign(
+    { sub: user.id, username: user.username, email: user.email, role: user.role },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+/**
+ * Extract the session token from the cookie, falling back to a Bearer header
+ * @param {import('express').Request} req - Incoming request
+ * @returns {string|null} - Raw JWT or null
+ */
+function getTokenFromRequest(req) {
+  if (req.cookies && req.cookies[AUTH_COOKIE]) {
+    return req.cookies[AUTH_COOKIE];
+  }
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Verify the session token on a request
+ * @param {import('express').Request} req - Incoming request
+ * @returns {Object|null} - Decoded JWT payload or null when missing/invalid
+ */
+function verifyRequest(req) {
+  const token = getTokenFromRequest(req);
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    log(`Rejected session token: ${error.message}`, 'debug');
+    return null;
+  }
+}
+
+/**
+ * POST /api/login - check credentials against the users table
+ */
+async function login(req, res) {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ success: false, error: 'Username and password are required' });
+  }
+
+  try {
+    const rows = await query(
+      'SELECT id, username, email, password, role, disabled FROM users WHERE username = ? OR email = ? LIMIT 1',
+      [username, username]
+    );
+    const user = rows[0];
+    const valid = user ? await bcrypt.compare(password, user.password) : false;
+
+    if (!valid) {
+      log(`Failed login attempt for ${username}`, 'warn');
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    if (user.disabled) {
+      log(`Login refused for disabled user ${user.username}`, 'warn');
+      return res.status(403).json({ success: false, error: 'This account has been disabled' });
+    }
+
+    const token = signSessionToken(user);
+    res.cookie(AUTH_COOKIE, token, getCookieOptions());
+    log(`User ${user.username} logged in`, 'info');
+
+    res.json({
+      success: true,
+      token,
+      user: { id: user.id, username: user.username, email: user.email, role: user.role }
+    });
+  } catch (error) {
+    log(`Login error: ${error.message}`, 'error');
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+}
+
+/**
+ * POST /api/logout - clear the session cookie
+ */
+function logout(req, res) {
+  res.clearCookie(AUTH_COOKIE, getCookieOptions());
+  res.json({ success: true });
+}
+
+/**
+ * GET /api/auth/check - report whether the caller has a valid session
+ */
+function authCheck(req, res) {
+  const session = verifyRequest(req);
+  if (!session) {
+    return res.json({ authenticated: false });
+  }
+  res.json({
+    authenticated: true,
+    user: { id: session.sub, username: session.username, email: session.email, role: session.role }
+  });
+}
+
+/**
+ * Middleware for /api/* routes - reject requests without a valid session
+ */
+function requireAuth(req, res, next) {
+  const session = verifyRequest(req);
+  if (!session) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  req.user = session;
+  next();
+}
+
+/**
+ * Middleware for HTML pages - send unauthenticated browsers to the login page
+ */
+function requirePageAuth(req, res, next) {
+  const session = verifyRequest(req);
+  if (!session) {
+    return res.redirect('/login.html');
+  }
+  req.user = session;
+  next();
+}
+
+export {
+  AUTH_COOKIE,
+  login,
+  logout,
+  authCheck,
+  requireAuth,
+  requirePageAuth,
+  verifyRequest,
+  getTokenFromRequest
+};
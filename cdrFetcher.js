@@ -0,0 +1,218 @@
+// cdrFetcher.js
+// Fetch call detail records (CDRs) for a tenant, one record per call leg.
+// Slot-wise reports use them to place every call, and its talk, hold and
+// wrap-up time, in the hour it actually happened.
+//
+// Usage examples:
+//   node -r dotenv/config cdrFetcher.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z
+//   node -r dotenv/config cdrFetcher.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z cdrs.csv
+//
+// The endpoint can be changed with CDR_ENDPOINT. Pagination follows
+// next_start_key like the other report endpoints; failed pages are retried
+// with exponential backoff.
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { getPortalToken, getTenantCredentials, httpsAgent } from './tokenService.js';
+import { toDate } from './public/timezone.js';
+import { toCsv } from './reportExport.js';
+import { createLogger } from './logger.js';
+
+const MAX_RETRIES = 3;
+const PAGE_SIZE = 1500;
+const logger = createLogger({ component: 'cdrFetcher' });
+
+/**
+ * First value of the given fields that is set
+ */
+function pick(record, ...fields) {
+  for (const field of fields) {
+    const value = record[field];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function toMillis(value) {
+  const date = toDate(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return date ? date.getTime() : null;
+}
+
+/**
+ * Reduce a raw CDR to the fields the reports need.
+ * Field names differ between portal versions; the first one present wins.
+ * @param {Object} record - CDR as returned by the portal
+ * @returns {Object|null} - { extension, agentName, start, answer, end, holdSeconds, wrapUpSeconds, answered }
+ *   with times in ms (answer is null for unanswered calls), or null without a usable start time
+ */
+function normalizeCdr(record) {
+  const start = toMillis(pick(record, 'start_time', 'startTime', 'start', 'calldate', 'Timestamp'));
+  if (start === null) return null;
+
+  let answer = toMillis(pick(record, 'answer_time', 'answerTime', 'answer'));
+  let end = toMillis(pick(record, 'end_time', 'endTime', 'end'));
+  const duration = Number(pick(record, 'duration')) || 0;
+  const talkSeconds = Number(pick(record, 'billsec', 'talk_time', 'talked_time')) || 0;
+
+  if (end === null) end = start + duration * 1000;
+  if (answer === null && talkSeconds > 0) answer = end - talkSeconds * 1000;
+
+  const disposition = String(pick(record, 'disposition', 'status', 'call_status') || '').toUpperCase();
+  const answered = answer !== null || disposition === 'ANSWERED';
+
+  return {
+    extension: String(pick(record, 'agent_ext', 'agent_extension', 'ext', 'extension') ?? ''),
+    agentName: pick(record, 'agent_name', 'agent', 'username'),
+    start,
+    answer: answered ? (answer ?? start) : null,
+    end: Math.max(end, start),
+    holdSeconds: Number(pick(record, 'hold_time', 'holdtime', 'hold')) || 0,
+    wrapUpSeconds: Number(pick(record, 'wrap_up_time', 'wrapup_time', 'wrapup')) || 0,
+    answered
+  };
+}
+
+/**
+ * Page through a portal report endpoint that follows next_start_key, retrying
+ * failed pages with exponential backoff. Shared by the CDR and queue call fetches.
+ * @param {string} tenant - Tenant name
+ * @param {Object} opts
+ * @param {string} opts.path - Endpoint path, e.g. /api/v2/reports/cdrs
+ * @param {string} opts.recordsKey - Field holding the records when the response is not an array
+ * @param {string} opts.label - Names the records in log lines and errors, e.g. "CDR"
+ * @param {number} opts.startDate - Range start (ms)
+ * @param {number} opts.endDate - Range end (ms)
+ * @param {Function} [opts.onPage] - Called with each page of records
+ * @param {AbortSignal} [opts.signal] - Stops paging
+ * @param {Object} [opts.log] - Logger for page lines (default: this module's)
+ * @returns {Promise<object[]>} - Raw records as the portal returned them
+ */
+async function fetchReportPages(tenant, { path: endpoint, recordsKey, label, startDate, endDate, onPage, signal, log = logger }) {
+  const { baseUrl, accountId } = await getTenantCredentials(tenant);
+  const url = `${baseUrl}${endpoint}`;
+  const records = [];
+  let nextStartKey = null;
+  let pageCount = 0;
+
+  do {
+    signal?.throwIfAborted();
+    pageCount++;
+
+    const params = {
+      startDate: Math.floor(startDate / 1000),
+      endDate: Math.floor(endDate / 1000),
+      pageSize: PAGE_SIZE,
+      ...(nextStartKey && { next_start_key: nextStartKey })
+    };
+
+    let data;
+    for (let attempt = 0, delay = 1_000; ; attempt++, delay *= 2) {
+      try {
+        const token = await getPortalToken(tenant);
+        ({ data } = await axios.get(url, {
+          params,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'x-account-id': accountId
+          },
+          httpsAgent,
+          timeout: 60000,
+          signal
+        }));
+        break;
+      } catch (err) {
+        if (attempt === MAX_RETRIES - 1 || signal?.aborted) throw err;
+        log.warn(`${label} page ${pageCount} failed (${err.message}); retrying in ${delay}ms`, { tenant });
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+
+    const chunk = Array.isArray(data) ? data : (data?.[recordsKey] || data?.data || []);
+    if (!Array.isArray(chunk)) {
+      throw new Error(`Unrecognised ${label} response format`);
+    }
+    records.push(...chunk);
+    onPage?.(chunk);
+    log.debug(`${label} page ${pageCount}: ${chunk.length} records (${records.length} total)`, { tenant });
+
+    nextStartKey = chunk.length > 0 ? (data?.next_start_key || data?.nextStartKey || null) : null;
+  } while (nextStartKey);
+
+  return records;
+}
+
+/**
+ * Fetch all CDRs that started in a range, following next_start_key.
+ * @param {string} tenant - Tenant name
+ * @param {Object} opts
+ * @param {number} opts.startDate - Range start (ms)
+ * @param {number} opts.endDate - Range end (ms)
+ * @param {AbortSignal} [opts.signal] - Stops paging
+ * @returns {Promise<object[]>} - Raw CDRs as the portal returned them
+ */
+function fetchCdrs(tenant, { startDate, endDate, signal } = {}) {
+  return fetchReportPages(tenant, {
+    path: process.env.CDR_ENDPOINT || '/api/v2/reports/cdrs',
+    recordsKey: 'cdrs',
+    label: 'CDR',
+    startDate,
+    endDate,
+    signal
+  });
+}
+
+/**
+ * Fetch CDRs and normalise them, dropping records without a start time
+ * @returns {Promise<object[]>} - See normalizeCdr
+ */
+async function fetchNormalizedCdrs(tenant, opts) {
+  const records = await fetchCdrs(tenant, opts);
+  return records.map(normalizeCdr).filter(Boolean);
+}
+
+export { fetchCdrs, fetchNormalizedCdrs, fetchReportPages, normalizeCdr, pick, toMillis };
+
+async function cli() {
+  const [,, acct, startIso, endIso, outputFile] = process.argv;
+  if (!acct || !startIso || !endIso) {
+    console.error(`Usage: node -r dotenv/config cdrFetcher.js <tenant> <startISO> <endISO> [outputFile.{csv|json}]`);
+    process.exit(1);
+  }
+
+  const startDate = Date.parse(startIso);
+  const endDate   = Date.parse(endIso);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    console.error('Invalid ISO date/time strings.');
+    process.exit(1);
+  }
+
+  const data = await fetchCdrs(acct, { startDate, endDate });
+
+  if (outputFile) {
+    await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
+    if (outputFile.endsWith('.csv')) {
+      await fs.promises.writeFile(outputFile, toCsv(data));
+    } else {
+      await fs.promises.writeFile(outputFile, JSON.stringify(data, null, 2));
+    }
+    console.log(`Saved ${data.length} records to ${outputFile}`);
+  } else {
+    console.table(data.map(normalizeCdr).filter(Boolean).map(cdr => ({
+      ...cdr,
+      start: new Date(cdr.start).toISOString(),
+      answer: cdr.answer ? new Date(cdr.answer).toISOString() : '',
+      end: new Date(cdr.end).toISOString()
+    })));
+    console.log(`\nTotal CDRs: ${data.length}`);
+  }
+}
+
+// Execute when run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
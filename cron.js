@@ -0,0 +1,132 @@
+// cron.js - Five-field cron expressions evaluated in a tenant's timezone
+//
+//   ┌ minute (0-59)
+//   │ ┌ hour (0-23)
+//   │ │ ┌ day of month (1-31)
+//   │ │ │ ┌ month (1-12 or jan-dec)
+//   │ │ │ │ ┌ day of week (0-7 or sun-sat; 0 and 7 are Sunday)
+//   0 7 * * mon-fri
+//
+// Each field takes *, numbers, ranges (a-b), lists (a,b) and steps (*/n, a-b/n).
+// As in classic cron, when both day fields are restricted a day matching
+// either one is enough. Written here rather than pulled in as a dependency,
+// like the other small helpers.
+import { getZonedParts } from './public/timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_DAYS = 366 * 5; // "0 0 29 2 *" matches at least once in any five years
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+/**
+ * Values one field allows
+ * @returns {Set<number>}
+ * @throws {Error} - When the field is malformed or out of range
+ */
+function parseField(text, field) {
+  const value = token => {
+    const index = field.names?.indexOf(token.toLowerCase()) ?? -1;
+    const number = index >= 0 ? index + field.nameOffset : Number(token);
+    if (!/^\d+$/.test(token) && index < 0) throw new Error(`"${token}" is not a valid ${field.name}`);
+    if (number < field.min || number > field.max) {
+      throw new Error(`${field.name} ${number} is outside ${field.min}-${field.max}`);
+    }
+    return number;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in "${part}"`);
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value);
+      if (from > to) throw new Error(`Range "${range}" runs backwards`);
+    } else {
+      from = value(range);
+      // "5/15" means every 15 from 5 to the end of the field
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five space-separated fields
+ * @returns {Object} - { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} - Describing the first problem found
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // Sunday may be written as 7
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function dayMatches(cron, parts) {
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const dayOk = cron.days.has(parts.day);
+  const weekdayOk = cron.weekdays.has(weekday);
+  if (cron.anyDay || cron.anyWeekday) return dayOk && weekdayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * The first time after `after` that the expression matches, in a zone
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {number|Date} after - Instant to search from (exclusive)
+ * @param {string} timeZone - IANA zone the fields are read in
+ * @returns {Date|null} - null when nothing matches within five years
+ */
+function nextCronTime(expression, after, timeZone) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let time = Math.floor(new Date(after).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + SEARCH_LIMIT_DAYS * 24 * 60 * MINUTE_MS;
+
+  // Skip whole days and hours that cannot match; the zone's parts are read
+  // again after every jump, so DST changes are handled by the zone itself
+  while (time < limit) {
+    const parts = getZonedParts(time, timeZone);
+    if (!cron.months.has(parts.month) || !dayMatches(cron, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+    } else if (!cron.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+export { parseCron, nextCronTime };
@@ -0,0 +1,68 @@
+// db.js - Shared MySQL connection pool
+import 'dotenv/config';
+import mysql from 'mysql2/promise';
+
+let pool = null;
+
+/**
+ * Get the shared MySQL pool, creating it on first use.
+ * Connection settings come from DB_HOST, DB_PORT, DB_USER, DB_PASSWORD and DB_NAME.
+ * @returns {import('mysql2/promise').Pool} - MySQL connection pool
+ */
+function getPool() {
+  if (!pool) {
+    pool = mysql.createPool({
+      host: process.env.DB_HOST || 'localhost',
+      port: Number(process.env.DB_PORT) || 3306,
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || '',
+      database: process.env.DB_NAME || 'shams_user',
+      waitForConnections: true,
+      connectionLimit: Number(process.env.DB_CONNECTION_LIMIT) || 10
+    });
+  }
+  return pool;
+}
+
+/**
+ * Run a parameterised query against the shared pool
+ * @param {string} sql - SQL statement with ? placeholders
+ * @param {Array} params - Values for the placeholders
+ * @returns {Promise<Array>} - Result rows (or the OkPacket for writes)
+ */
+async function query(sql, params = []) {
+  const [rows] = await getPool().query(sql, params);
+  return rows;
+}
+
+/**
+ * Add a column to an existing table if it is not there yet.
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first.
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition, e.g. "VARCHAR(20) NULL"
+ * @returns {Promise<boolean>} - True when the column was added
+ */
+async function ensureColumn(table, column, definition) {
+  const rows = await query(
+    `SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (rows[0].count > 0) return false;
+
+  await query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+}
+
+/**
+ * Close the shared pool (used by CLI scripts so the process can exit)
+ */
+async function closePool() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
+
+export { getPool, query, ensureColumn, closePool };
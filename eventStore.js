@@ -0,0 +1,134 @@
+// eventStore.js - Local MySQL copy of agent activity events
+//
+// eventSync.js fills agent_events from the portal and moves a per-tenant
+// high-water mark forward; everything before that mark can be read here
+// instead of being downloaded again, even after the portal purges it.
+import { query } from './db.js';
+
+const INSERT_BATCH = 500;
+
+/**
+ * Create the event store tables
+ */
+async function ensureEventStoreSchema() {
+  // Events are deduplicated on (tenant, user_id, state, enabled, event_time)
+  await query(`
+    CREATE TABLE IF NOT EXISTS agent_events (
+      tenant VARCHAR(64) NOT NULL,
+      user_id VARCHAR(64) NOT NULL DEFAULT '',
+      state VARCHAR(100) NOT NULL DEFAULT '',
+      enabled TINYINT(1) NOT NULL DEFAULT 0,
+      event_time BIGINT NOT NULL,
+      username VARCHAR(255) NULL,
+      ext VARCHAR(32) NULL,
+      payload JSON NOT NULL,
+      PRIMARY KEY (tenant, user_id, state, enabled, event_time),
+      KEY idx_agent_events_time (tenant, event_time)
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS event_sync_state (
+      tenant VARCHAR(64) PRIMARY KEY,
+      high_water BIGINT NOT NULL,
+      last_synced_at TIMESTAMP NULL,
+      last_error TEXT NULL
+    )
+  `);
+}
+
+/**
+ * Insert events, replacing stored copies of the same event
+ * @param {string} tenant - Tenant name
+ * @param {Array<{time: number, event: Object}>} entries - Events with their time in ms
+ * @returns {Promise<number>} - Number of events written
+ */
+async function upsertEvents(tenant, entries) {
+  const rows = entries
+    .filter(({ time }) => Number.isFinite(time))
+    .map(({ time, event }) => [
+      tenant,
+      String(event.user_id ?? ''),
+      String(event.state ?? ''),
+      event.enabled ? 1 : 0,
+      time,
+      event.username ?? null,
+      event.ext != null ? String(event.ext) : null,
+      JSON.stringify(event)
+    ]);
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+    await query(
+      `INSERT INTO agent_events (tenant, user_id, state, enabled, event_time, username, ext, payload)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE username = VALUES(username), ext = VALUES(ext), payload = VALUES(payload)`,
+      [rows.slice(i, i + INSERT_BATCH)]
+    );
+  }
+  return rows.length;
+}
+
+/**
+ * Read stored events in a time range, oldest first
+ * @param {string} tenant - Tenant name
+ * @param {number} startMs - Range start (ms, inclusive)
+ * @param {number} endMs - Range end (ms, inclusive)
+ * @returns {Promise<Array<Object>>} - Events as the portal returned them
+ */
+async function getStoredEvents(tenant, startMs, endMs) {
+  const rows = await query(
+    'SELECT payload FROM agent_events WHERE tenant = ? AND event_time BETWEEN ? AND ? ORDER BY event_time',
+    [tenant, startMs, endMs]
+  );
+  return rows.map(row => (typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload));
+}
+
+/**
+ * Sync progress for a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<{tenant: string, high_water: number, last_synced_at: Date, last_error: string}|null>}
+ */
+async function getSyncState(tenant) {
+  const rows = await query('SELECT * FROM event_sync_state WHERE tenant = ?', [tenant]);
+  if (rows.length === 0) return null;
+  return { ...rows[0], high_water: Number(rows[0].high_water) };
+}
+
+/**
+ * Sync progress for every tenant
+ */
+async function listSyncStates() {
+  const rows = await query('SELECT * FROM event_sync_state ORDER BY tenant');
+  return rows.map(row => ({ ...row, high_water: Number(row.high_water) }));
+}
+
+/**
+ * Record that every event up to highWater (ms) has been stored
+ */
+async function setHighWaterMark(tenant, highWater) {
+  await query(
+    `INSERT INTO event_sync_state (tenant, high_water, last_synced_at, last_error) VALUES (?, ?, NOW(), NULL)
+     ON DUPLICATE KEY UPDATE high_water = GREATEST(high_water, VALUES(high_water)), last_synced_at = NOW(), last_error = NULL`,
+    [tenant, highWater]
+  );
+}
+
+/**
+ * Remember the last sync failure without moving the high-water mark
+ */
+async function recordSyncError(tenant, message) {
+  await query(
+    `INSERT INTO event_sync_state (tenant, high_water, last_error) VALUES (?, 0, ?)
+     ON DUPLICATE KEY UPDATE last_error = VALUES(last_error)`,
+    [tenant, message]
+  );
+}
+
+export {
+  ensureEventStoreSchema,
+  upsertEvents,
+  getStoredEvents,
+  getSyncState,
+  listSyncStates,
+  setHighWaterMark,
+  recordSyncError
+};
@@ -0,0 +1,138 @@
+// eventSync.js - Background worker that copies portal activity events into the local store
+//
+// Every EVENT_SYNC_INTERVAL each enabled tenant is synced from its high-water
+// mark (minus a small overlap for late events) up to now, in EVENT_SYNC_CHUNK
+// sized windows. The mark only moves once a window has been stored completely,
+// so an interrupted sync simply resumes from the last finished window.
+import ms from 'ms';
+import { getPool } from './db.js';
+import { log } from './logger.js';
+import { listTenants } from './tenants.js';
+import { fetchActivityEventPages, parseEventTimestamp } from './agentEvents.js';
+import { upsertEvents, getSyncState, setHighWaterMark, recordSyncError } from './eventStore.js';
+import { recordSeenStates } from './stateCatalogue.js';
+
+const SYNC_INTERVAL = ms(process.env.EVENT_SYNC_INTERVAL || '5m'); // 0 disables the worker
+const BACKFILL = ms(process.env.EVENT_SYNC_BACKFILL || '7d');      // how far back a new tenant starts
+const CHUNK = ms(process.env.EVENT_SYNC_CHUNK || '6h');
+const OVERLAP = ms('10m'); // re-read this much before the mark to pick up late events
+
+let timer = null;
+let running = false;
+
+/**
+ * Hold a MySQL named lock while fn runs so only one server process syncs a tenant at a time
+ * @returns {Promise<boolean>} - false when another process holds the lock
+ */
+async function withSyncLock(tenant, fn) {
+  const lockName = `event-sync:${tenant}`;
+  const connection = await getPool().getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [lockName]);
+    if (!acquired) return false;
+    try {
+      await fn();
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+    return true;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Windows to fetch, oldest first, from just before the high-water mark up to now
+ * @param {number} highWater - Current mark in ms (0 for a tenant never synced)
+ * @param {number} now - End of the sync in ms
+ * @returns {Array<{from: number, to: number}>}
+ */
+function syncWindows(highWater, now) {
+  const windows = [];
+  let from = highWater ? highWater - OVERLAP : now - BACKFILL;
+  while (from < now) {
+    const to = Math.min(from + CHUNK, now);
+    windows.push({ from, to });
+    from = to;
+  }
+  return windows;
+}
+
+/**
+ * Bring one tenant's stored events up to date
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<{stored: number, highWater: number}|null>} - null when another process is syncing it
+ */
+async function syncTenant(tenant) {
+  let stored = 0;
+  let highWater = 0;
+
+  const ran = await withSyncLock(tenant, async () => {
+    const state = await getSyncState(tenant);
+    highWater = state?.high_water || 0;
+
+    for (const { from, to } of syncWindows(highWater, Date.now())) {
+      const { complete } = await fetchActivityEventPages(tenant, Math.floor(from / 1000), Math.floor(to / 1000), {
+        label: `Sync ${tenant}`,
+        onPage: async events => {
+          stored += await upsertEvents(tenant, events.map(event => ({ time: parseEventTimestamp(event.Timestamp), event })));
+          await recordSeenStates(tenant, events.map(event => event.state));
+        }
+      });
+      if (!complete) {
+        throw new Error(`Page limit reached for ${new Date(from).toISOString()} - ${new Date(to).toISOString()}; lower EVENT_SYNC_CHUNK`);
+      }
+
+      await setHighWaterMark(tenant, to);
+      highWater = to;
+    }
+  });
+
+  if (!ran) {
+    log(`Event sync for ${tenant} skipped, another process holds the lock`, 'info');
+    return null;
+  }
+  log(`Event sync for ${tenant}: ${stored} events stored, up to ${new Date(highWater).toISOString()}`, 'info');
+  return { stored, highWater };
+}
+
+/**
+ * Sync every enabled tenant in the registry; one tenant failing does not stop the others
+ */
+async function syncAllTenants() {
+  if (running) return;
+  running = true;
+  try {
+    const tenants = (await listTenants()).filter(tenant => tenant.enabled);
+    for (const { name } of tenants) {
+      try {
+        await syncTenant(name);
+      } catch (error) {
+        log(`Event sync for ${name} failed: ${error.message}`, 'error');
+        await recordSyncError(name, error.message).catch(() => {});
+      }
+    }
+  } catch (error) {
+    log(`Event sync could not list tenants: ${error.message}`, 'error');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic sync (no-op when EVENT_SYNC_INTERVAL is 0)
+ */
+function startEventSync() {
+  if (timer || !SYNC_INTERVAL) return;
+  log(`Event sync every ${ms(SYNC_INTERVAL, { long: true })}`, 'info');
+  timer = setInterval(syncAllTenants, SYNC_INTERVAL);
+  timer.unref();
+  syncAllTenants();
+}
+
+function stopEventSync() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export { BACKFILL, CHUNK, OVERLAP, syncWindows, syncTenant, syncAllTenants, startEventSync, stopEventSync };
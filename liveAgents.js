@@ -0,0 +1,212 @@
+// liveAgents.js - Current agent states for the live wallboard
+//
+// One feed per tenant is shared by every connected wallboard. When the first
+// client subscribes, the feed replays the last LIVE_LOOKBACK of events to learn
+// each agent's current state; after that it polls every LIVE_POLL_INTERVAL for
+// events since the previous poll (from the event store where it covers the
+// range, from the portal otherwise) and pushes each state change to the
+// subscribers. The feed stops polling once the last client disconnects; the
+// state alerts (see stateAlerts.js) subscribe like a client, keeping it going.
+// Each agent's state comes from their own state machine (see stateMachine.js);
+// an agent in a state the tenant's catalogue does not track is shown as unknown.
+import ms from 'ms';
+import { log } from './logger.js';
+import { loadAgentEvents, fetchSlotWiseAgentEvents } from './agentEvents.js';
+import { createStateMachine, parseEventTimestamp } from './stateMachine.js';
+import { exclusiveStateNames, getStateCatalogue, recordSeenStates, trackedStateNames } from './stateCatalogue.js';
+
+const POLL_INTERVAL = ms(process.env.LIVE_POLL_INTERVAL || '15s');
+const LOOKBACK = ms(process.env.LIVE_LOOKBACK || '12h');
+const OVERLAP = ms('2m'); // re-read this much of the previous poll to catch late events
+const MAX_RETRY_DELAY = ms('5m');
+
+// tenant → feed
+const feeds = new Map();
+
+const eventKey = event => `${event.user_id}|${event.state}|${event.enabled ? 1 : 0}|${parseEventTimestamp(event.Timestamp)}`;
+const agentKey = event => String(event.user_id || event.username || event.ext);
+
+/**
+ * Agent as sent to clients
+ */
+function describeAgent(agent) {
+  return {
+    id: agent.id,
+    agentName: agent.agentName,
+    extension: agent.extension,
+    state: agent.state,
+    since: new Date(agent.since).toISOString()
+  };
+}
+
+function canSee(subscriber, agent) {
+  return !subscriber.allowedExtensions || subscriber.allowedExtensions.has(String(agent.extension));
+}
+
+function broadcast(feed, event, data, agent = null) {
+  for (const subscriber of feed.subscribers) {
+    if (agent && !canSee(subscriber, agent)) continue;
+    subscriber.send(event, data);
+  }
+}
+
+/**
+ * Apply new events to the feed's agent states, oldest first
+ * @param {Object} feed - The tenant's feed
+ * @param {Array} events - Events from the latest poll
+ * @param {Array<Object>} stateCatalogue - The tenant's state catalogue
+ * @returns {Array<Object>} - The transitions, { agent, from }
+ */
+function applyEvents(feed, events, stateCatalogue) {
+  const transitions = [];
+  const trackedStates = trackedStateNames(stateCatalogue);
+  const fresh = events
+    .filter(event => !feed.seen.has(eventKey(event)))
+    .sort((a, b) => parseEventTimestamp(a.Timestamp) - parseEventTimestamp(b.Timestamp));
+
+  for (const event of fresh) {
+    const time = parseEventTimestamp(event.Timestamp);
+    feed.seen.set(eventKey(event), time);
+
+    const id = agentKey(event);
+    let machine = feed.machines.get(id);
+    if (!machine) {
+      machine = createStateMachine({ exclusiveStates: exclusiveStateNames(stateCatalogue) });
+      feed.machines.set(id, machine);
+    }
+    if (machine.lastEventTime > time) continue; // a late event older than what we already know
+    machine.apply(event);
+
+    const agent = feed.agents.get(id);
+    const state = trackedStates.includes(machine.state) ? machine.state : null;
+    if (agent && agent.state === state) continue;
+    if (!agent && state === null) continue;
+
+    const next = {
+      id,
+      agentName: event.username || agent?.agentName || '',
+      extension: event.ext != null ? String(event.ext) : agent?.extension || '',
+      state,
+      since: machine.since
+    };
+    feed.agents.set(id, next);
+    transitions.push({ agent: next, from: agent?.state || null });
+  }
+
+  // Keys older than the overlap window can no longer be returned again
+  const cutoff = feed.cursor - 2 * OVERLAP;
+  for (const [key, time] of feed.seen) {
+    if (time < cutoff) feed.seen.delete(key);
+  }
+  return transitions;
+}
+
+/**
+ * Fetch events since the last poll and push the resulting transitions
+ * @returns {Promise<boolean>} - Whether the poll succeeded
+ */
+async function poll(feed) {
+  const now = Date.now();
+  const from = feed.cursor ? feed.cursor - OVERLAP : now - LOOKBACK;
+
+  try {
+    const events = await loadAgentEvents(feed.tenant, new Date(from), new Date(now), null, null, fetchSlotWiseAgentEvents);
+    feed.cursor = now;
+    await recordSeenStates(feed.tenant, events.map(event => event.state));
+    const stateCatalogue = await getStateCatalogue(feed.tenant);
+    feed.states = stateCatalogue.filter(entry => entry.tracked);
+    const transitions = applyEvents(feed, events, stateCatalogue);
+
+    if (!feed.ready) {
+      feed.ready = true;
+      log(`Live feed for ${feed.tenant} started with ${feed.agents.size} agents`, 'info');
+      for (const subscriber of feed.subscribers) sendSnapshot(feed, subscriber);
+      return true;
+    }
+    for (const { agent, from: previous } of transitions) {
+      broadcast(feed, 'transition', { ...describeAgent(agent), from: previous }, agent);
+    }
+    return true;
+  } catch (error) {
+    log(`Live feed poll for ${feed.tenant} failed: ${error.message}`, 'warn');
+    broadcast(feed, 'feed-error', { error: 'Unable to read agent events, retrying' });
+    return false;
+  }
+}
+
+function sendSnapshot(feed, subscriber) {
+  const agents = [...feed.agents.values()].filter(agent => canSee(subscriber, agent)).map(describeAgent);
+  subscriber.send('snapshot', { tenant: feed.tenant, agents, states: feed.states, generatedAt: new Date().toISOString() });
+}
+
+/**
+ * Wait before the next poll: POLL_INTERVAL after a good poll; after failed ones
+ * the wait doubles each time, up to MAX_RETRY_DELAY
+ * @param {number} failures - Polls failed in a row
+ * @returns {number} - Milliseconds
+ */
+function pollDelay(failures) {
+  return failures === 0 ? POLL_INTERVAL : Math.min(POLL_INTERVAL * 2 ** (failures - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Poll one at a time; a slow poll delays the next one rather than overlapping it
+ */
+function schedule(feed, delay = 0) {
+  feed.timer = setTimeout(async () => {
+    const ok = await poll(feed);
+    feed.failures = ok ? 0 : feed.failures + 1;
+    if (feed.subscribers.size > 0) schedule(feed, pollDelay(feed.failures));
+  }, delay);
+  feed.timer.unref();
+}
+
+/**
+ * A tenant's feed before its first poll
+ */
+function createFeed(tenant) {
+  return { tenant, subscribers: new Set(), agents: new Map(), machines: new Map(), seen: new Map(), states: [], cursor: 0, ready: false, failures: 0, timer: null };
+}
+
+/**
+ * Follow a tenant's agent states.
+ * The subscriber receives a "snapshot" of every agent once the feed is ready,
+ * then a "transition" for each state change.
+ *
+ * @param {string} tenant - Tenant name
+ * @param {Object} subscriber
+ * @param {Function} subscriber.send - (event, data) => void
+ * @param {Set<string>|null} subscriber.allowedExtensions - Extensions the caller may see (null = all)
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeLiveAgents(tenant, subscriber) {
+  let feed = feeds.get(tenant);
+  if (!feed) {
+    feed = createFeed(tenant);
+    feeds.set(tenant, feed);
+    schedule(feed);
+  }
+
+  feed.subscribers.add(subscriber);
+  if (feed.ready) sendSnapshot(feed, subscriber);
+
+  return () => {
+    feed.subscribers.delete(subscriber);
+    if (feed.subscribers.size === 0) {
+      clearTimeout(feed.timer);
+      feeds.delete(tenant);
+      log(`Live feed for ${tenant} stopped, no clients left`, 'info');
+    }
+  };
+}
+
+export {
+  MAX_RETRY_DELAY,
+  POLL_INTERVAL,
+  applyEvents,
+  broadcast,
+  createFeed,
+  pollDelay,
+  sendSnapshot,
+  subscribeLiveAgents
+};
@@ -1,7 +1,30 @@
 // logger.js - Logging utility for agent state transitions
+//
+// Every line is a record: time, level, message and context fields such as
+// tenant, requestId and agent. Records below LOG_LEVEL (debug, info, warn or
+// error; default info) are dropped. LOG_FORMAT=json writes one JSON object per
+// line for log shippers; the default is coloured text with the context fields
+// appended as key=value.
+//
+// Context comes from two places: loggers made with createLogger() or
+// logger.child() carry fixed fields, and withLogContext() attaches fields to
+// everything logged while a piece of async work runs (the server uses it to
+// tag each request's lines with its requestId and tenant).
 import fs from 'fs';
 import path from 'path';
-import { formatTimestampDubai } from './agentEvents.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { DEFAULT_TIMEZONE, formatDateTime } from './public/timezone.js';
+
+// Log lines are not tied to one tenant, so they use the deployment's default zone
+const LOG_TIMEZONE = process.env.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE;
+
+// Severity per level; state and command lines count as info
+const SEVERITY = { debug: 10, info: 20, state: 20, command: 20, warn: 30, error: 40 };
+const LOG_LEVEL = ['debug', 'info', 'warn', 'error'].includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// Fields attached by withLogContext to the async work in progress
+const logContext = new AsyncLocalStorage();
 
 // ANSI color codes for console output
 const colors = {
@@ -137,28 +160,118 @@ function endReportSession() {
 }
 
 /**
- * Log a message to console and file
- * @param {string} message - Message to log
- * @param {string} level - Log level (debug, info, warn, error, state, command)
+ * Whether records of a level are written at the configured LOG_LEVEL
+ * @param {string} level - Log level
  */
-function log(message, level = 'info') {
+function isLevelEnabled(level) {
+  return (SEVERITY[level] ?? SEVERITY.info) >= SEVERITY[LOG_LEVEL];
+}
+
+/**
+ * JSON replacer that keeps an error's name, message and stack (JSON.stringify drops them)
+ */
+function errorReplacer(key, value) {
+  return value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+}
+
+/**
+ * One record as a text line: the message followed by its fields as key=value
+ */
+function formatText(record, prefix) {
+  const { time, level, msg, ...fields } = record;
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value !== null && typeof value === 'object' && !(value instanceof Error)) {
+      return `${key}=${JSON.stringify(value)}`;
+    }
+    const text = value instanceof Error ? value.message : String(value);
+    return `${key}=${text === '' || /[\s"=]/.test(text) ? JSON.stringify(text) : text}`;
+  });
+  return `[${time}] ${prefix}: ${msg}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`;
+}
+
+/**
+ * Write one record to the console, the daily log file and the active report session
+ * @param {string} level - Log level
+ * @param {string} message - Message
+ * @param {Object} fields - Context fields; undefined and null values are left out
+ */
+function writeRecord(level, message, fields = {}) {
+  if (!isLevelEnabled(level)) return;
   const logLevel = logLevels[level] || logLevels.info;
-  const timestamp = getLogTimestamp();
-  const formattedMessage = `[${timestamp}] ${logLevel.prefix}: ${message}`;
-  
-  // Console output with color
-  console.log(`${logLevel.color}${formattedMessage}${colors.reset}`);
-  
+
+  const record = { time: getLogTimestamp(), level: logLevels[level] ? level : 'info', msg: String(message) };
+  for (const [key, value] of Object.entries({ ...logContext.getStore(), ...fields })) {
+    if (value !== undefined && value !== null) record[key] = value;
+  }
+  const line = LOG_FORMAT === 'json' ? JSON.stringify(record, errorReplacer) : formatText(record, logLevel.prefix);
+
+  // Console output with color (JSON stays plain so it can be parsed)
+  console.log(LOG_FORMAT === 'json' ? line : `${logLevel.color}${line}${colors.reset}`);
+
   // File output without color
   const logFile = getDailyLogFile();
-  fs.appendFileSync(logFile, `${formattedMessage}\n`);
-  
+  fs.appendFileSync(logFile, `${line}\n`);
+
   // Add to current report logs if session is active
   if (reportSessionActive) {
-    currentReportLogs.push(formattedMessage);
+    currentReportLogs.push(line);
   }
 }
 
+/**
+ * Log a message to console and file
+ * @param {string} message - Message to log
+ * @param {string} level - Log level (debug, info, warn, error, state, command)
+ */
+function log(message, level = 'info') {
+  writeRecord(level, message);
+}
+
+/**
+ * A logger whose records all carry the given context fields
+ * @param {Object} context - Fields such as { tenant, agent, component }
+ * @returns {Object} - { debug, info, warn, error, child, isLevelEnabled }; each level
+ *   method takes a message and optional extra fields for that record
+ */
+function createLogger(context = {}) {
+  const write = level => (message, fields = {}) => writeRecord(level, message, { ...context, ...fields });
+  return {
+    context,
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: extra => createLogger({ ...context, ...extra }),
+    isLevelEnabled
+  };
+}
+
+// Logger without fixed context, for modules that only need the levels
+const logger = createLogger();
+
+/**
+ * Run fn with fields attached to every record logged while it, and any async work
+ * it starts, runs
+ * @param {Object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Work to run
+ * @returns {*} - fn's return value
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add fields to the context set up by the enclosing withLogContext (no-op outside one)
+ * @param {Object} fields - Context fields, e.g. { tenant }
+ */
+function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// State transitions go through the leveled logger like any other record
+const stateLogger = createLogger({ component: 'stateTransitions' });
+
 /**
  * Log a state transition
  * @param {Object} event - State transition event
@@ -166,40 +279,19 @@ function log(message, level = 'info') {
  */
 function logStateTransition(event, targetStates = null) {
   if (!event) return;
-  
-  const state = event.state || event.event;
-  
-  // Skip if we're filtering by target states and this state isn't in the list
-  if (targetStates && !targetStates.includes(state)) return;
-  
-  const timestamp = event.Timestamp || event.timestamp;
-  const username = event.username || 'Unknown';
-  const extension = event.extension || 'Unknown';
-  const formattedTime = formatTimestampDubai ? formatTimestampDubai(new Date(timestamp)) : new Date(timestamp).toLocaleString();
-  
-  const logEntry = `[${timestamp}] ${username} (${extension}) → ${state} at ${formattedTime}`;
-  
-  // Log to console with color
-  console.log(`${colors.magenta} STATE: ${logEntry}${colors.reset}`);
-  
-  // Log to state transitions file
-  const stateTransitionsLogFile = getDailyLogFile('state-transitions');
-  fs.appendFileSync(stateTransitionsLogFile, `${logEntry}\n`);
-  
-  // Add to current report logs if session is active
-  if (reportSessionActive) {
-    currentReportLogs.push(`STATE: ${logEntry}`);
-  }
+  logStateTransitions([event], targetStates);
 }
 
 /**
- * Log multiple state transitions
+ * Log multiple state transitions. Each is an info record (so LOG_LEVEL,
+ * LOG_FORMAT and the log context apply) and a line in the day's
+ * state-transitions file.
  * @param {Array} events - Array of state transition events
  * @param {Array} targetStates - Optional array of states to filter by
  */
 function logStateTransitions(events, targetStates = null) {
   if (!Array.isArray(events) || events.length === 0) {
-    log('No events to log', 'warn');
+    stateLogger.warn('No events to log');
     return;
   }
   
@@ -215,18 +307,10 @@ function logStateTransitions(events, targetStates = null) {
     const timestamp = event.Timestamp || event.timestamp;
     const username = event.username || 'Unknown';
     const extension = event.extension || 'Unknown';
-    const formattedTime = formatTimestampDubai ? formatTimestampDubai(new Date(timestamp)) : new Date(timestamp).toLocaleString();
-    
-    const logEntry = `[${timestamp}] ${username} (${extension}) → ${state} at ${formattedTime}`;
-    logEntries.push(logEntry);
+    const formattedTime = formatDateTime(new Date(timestamp), LOG_TIMEZONE);
     
-    // Log to console with color
-    console.log(`${colors.magenta} STATE: ${logEntry}${colors.reset}`);
-    
-    // Add to current report logs if session is active
-    if (reportSessionActive) {
-      currentReportLogs.push(`STATE: ${logEntry}`);
-    }
+    logEntries.push(`[${timestamp}] ${username} (${extension}) → ${state} at ${formattedTime}`);
+    stateLogger.info(`${username} (${extension}) → ${state} at ${formattedTime}`, { agent: username, extension, state, eventTime: timestamp });
   });
   
   // Write all entries to file at once
@@ -321,6 +405,11 @@ function listCombinedLogFiles() {
 
 export { 
   log, 
+  logger,
+  createLogger,
+  withLogContext,
+  setLogContext,
+  isLevelEnabled,
   logStateTransition, 
   logStateTransitions, 
   getStateTransitionsLog,
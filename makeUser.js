@@ -1,68 +1,45 @@
-// makeUser.js
-
-import bcrypt from 'bcrypt';
-import mysql from 'mysql2/promise';
+// makeUser.js - Create or promote an admin account from the command line
+//
+// Usage:
+//   ADMIN_PASSWORD='S3cret-pass' node -r dotenv/config makeUser.js "Shams Admin" admin@multycomm.com
+//
+// The database connection is read from DB_HOST, DB_PORT, DB_USER, DB_PASSWORD and DB_NAME.
+// Further users can be managed from /admin.html once this admin can log in.
+
+import { query, closePool } from './db.js';
+import { ensureAccessSchema } from './access.js';
+import { ensureUserSchema, createUser, updateUser, resetPassword } from './users.js';
 
 async function main() {
+  const [,, username, email] = process.argv;
+  const plainPassword = process.env.ADMIN_PASSWORD;
 
-  // Admin credentials (change as required)
-  const username = 'Shams Admin';
-  const email = 'admin@multycomm.com';
-  const plainPassword = 'Shams1234';
-
-//   const pool = mysql.createPool({
-//     host: 'localhost',
-//     user: 'root',
-//     password: 'Ayan@1012',
-//     database: 'shams_user',
-//     port: 3306,
-//     waitForConnections: true,
-//     connectionLimit: 5,
-//   });
-
-
-const pool = mysql.createPool({
-  host:"0.0.0.0",
-  user: 'root',
-  password: 'WELcome@123',
-  database: 'shams_user',
-  port: 3306,
-  waitForConnections: true,
-  connectionLimit: 5,
-});
+  if (!username || !email || !plainPassword) {
+    console.error('Usage: ADMIN_PASSWORD=<password> node -r dotenv/config makeUser.js <username> <email>');
+    process.exitCode = 1;
+    return;
+  }
 
-  const conn = await pool.getConnection();
   try {
-    await conn.beginTransaction();
-
-    const hashedPassword = await bcrypt.hash(plainPassword, 10);
+    await ensureUserSchema();
+    await ensureAccessSchema();
 
     // Upsert into users table
-    const [existing] = await conn.query('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
+    const existing = await query('SELECT id FROM users WHERE email = ? OR username = ?', [email, username]);
     if (existing.length) {
-      await conn.query('UPDATE users SET password = ?, username = ? WHERE id = ?', [hashedPassword, username, existing[0].id]);
+      await updateUser(existing[0].id, { username, email, role: 'admin' });
+      await resetPassword(existing[0].id, plainPassword);
       console.log('✅ Existing admin updated');
     } else {
-      await conn.query('INSERT INTO users (username, email, password) VALUES (?, ?, ?)', [username, email, hashedPassword]);
+      await createUser({ username, email, password: plainPassword, role: 'admin' });
       console.log('✅ Admin created');
     }
-
-    await conn.commit();
   } catch (err) {
-    await conn.rollback();
     console.error('❌ Failed to create admin:', err.message);
+    process.exitCode = 1;
   } finally {
-    conn.release();
-    await pool.end();
+    await closePool();
   }
 }
 
 main();
-
-
-
-
-
-
-
-
@@ -0,0 +1,196 @@
+// pdf.js - Minimal PDF writer for printable report tables
+//
+// Renders a title, a block of label / value lines and a table that wraps long
+// cells and continues over as many landscape A4 pages as it needs, repeating
+// the table header and numbering the pages. It uses the standard Helvetica
+// fonts, so nothing is embedded; characters outside Latin-1 print as "?".
+// Built by hand, like xlsx.js, to avoid a new dependency.
+import zlib from 'zlib';
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 30;
+const FONT_SIZE = 7;
+const LINE_HEIGHT = 9;
+const CELL_PADDING = 2;
+const MAX_CELL_LINES = 40;
+
+/**
+ * Approximate Helvetica advance width of a character, in em
+ */
+function charWidth(char) {
+  if ('iljtfI.,:;|!\'` '.includes(char)) return 0.28;
+  if ('mwMW@'.includes(char)) return 0.83;
+  if (char >= 'A' && char <= 'Z') return 0.67;
+  return 0.56;
+}
+
+function textWidth(text, size) {
+  let width = 0;
+  for (const char of text) width += charWidth(char);
+  return width * size;
+}
+
+/**
+ * Split text into lines no wider than maxWidth, breaking at spaces where possible
+ */
+function wrapText(text, maxWidth, size) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      // A word wider than the column is broken by character
+      line = '';
+      for (const char of word) {
+        if (textWidth(line + char, size) > maxWidth && line) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * A PDF string literal; the fonts use WinAnsi, which matches Latin-1 for printable characters
+ */
+function pdfString(text) {
+  const latin1 = String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+/**
+ * Lay the table out into pages of drawing operators
+ */
+function layoutPages({ title, headerLines, columns, rows }) {
+  const usableWidth = PAGE_WIDTH - 2 * MARGIN;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 10), 0);
+  const widths = columns.map(column => ((column.width || 10) / totalWeight) * usableWidth);
+  const xs = widths.map((width, i) => MARGIN + widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (x, yPos, value, { bold = false, size = FONT_SIZE } = {}) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${yPos.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+  };
+  const cellLines = values => values.map((value, i) => {
+    const lines = wrapText(value ?? '', widths[i] - 2 * CELL_PADDING, FONT_SIZE);
+    return lines.length > MAX_CELL_LINES ? [...lines.slice(0, MAX_CELL_LINES - 1), '...'] : lines;
+  });
+  const drawRow = (lines, bold) => {
+    const height = Math.max(...lines.map(cell => cell.length)) * LINE_HEIGHT + 2 * CELL_PADDING;
+    lines.forEach((cell, i) => cell.forEach((line, l) => {
+      text(xs[i] + CELL_PADDING, y - CELL_PADDING - FONT_SIZE - l * LINE_HEIGHT, line, { bold });
+    }));
+    y -= height;
+    ops.push(`0.8 G ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S 0 G`);
+  };
+  const headerCells = cellLines(columns.map(column => column.header));
+  const newPage = () => {
+    if (ops.length > 0) pages.push(ops);
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  // Title and header block on the first page only
+  text(MARGIN, y - 14, title, { bold: true, size: 14 });
+  y -= 24;
+  headerLines.forEach(([label, value]) => {
+    text(MARGIN, y - 9, `${label}:`, { bold: true, size: 9 });
+    text(MARGIN + 90, y - 9, value ?? '', { size: 9 });
+    y -= 12;
+  });
+  y -= 8;
+  drawRow(headerCells, true);
+
+  rows.forEach(row => {
+    const lines = cellLines(row.map(value => (value === null || value === undefined ? '' : String(value))));
+    const height = Math.max(...lines.map(cell => cell.length)) * LINE_HEIGHT + 2 * CELL_PADDING;
+    if (y - height < MARGIN + 12) {
+      newPage();
+      drawRow(headerCells, true);
+    }
+    drawRow(lines, false);
+  });
+  if (rows.length === 0) {
+    text(MARGIN, y - 12, 'No data for the selected range.', { size: 9 });
+  }
+  pages.push(ops);
+  return pages;
+}
+
+/**
+ * Build a PDF document
+ * @param {Object} doc
+ * @param {string} doc.title - Heading on the first page and the document title
+ * @param {Array<Array<string>>} [doc.headerLines] - [label, value] lines under the title
+ * @param {Array<Object>} doc.columns - [{ header, width }]; widths are relative
+ * @param {Array<Array<*>>} doc.rows - Cell values, printed as text
+ * @returns {Buffer}
+ */
+function buildPdf({ title, headerLines = [], columns, rows }) {
+  const pages = layoutPages({ title, headerLines, columns, rows });
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((ops, i) => {
+    const footer = `BT /F1 ${FONT_SIZE} Tf ${PAGE_WIDTH - MARGIN - 50} ${MARGIN - 14} Td ${pdfString(`Page ${i + 1} of ${pages.length}`)} Tj ET`;
+    const content = zlib.deflateSync(Buffer.from([...ops, footer].join('\n'), 'latin1'));
+    const contentId = add({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFont} 0 R /F2 ${boldFont} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title ${pdfString(title)} /Producer (Agent Activity Report) >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  objects.forEach((body, i) => {
+    offsets.push(length);
+    const parts = typeof body === 'string'
+      ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+      : [Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'), body.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+    parts.forEach(part => {
+      chunks.push(part);
+      length += part.length;
+    });
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+export { buildPdf };
@@ -0,0 +1,410 @@
+// public/admin.js - User, team, tenant, agent state and schedule management page
+
+/* global axios */
+
+const errorBox = document.getElementById('error');
+const noticeBox = document.getElementById('notice');
+const usersBody = document.getElementById('usersBody');
+const teamsBody = document.getElementById('teamsBody');
+const tenantsBody = document.getElementById('tenantsBody');
+const statesTenant = document.getElementById('statesTenant');
+const statesBody = document.getElementById('statesBody');
+const scheduleTenant = document.getElementById('scheduleTenant');
+
+let teams = [];
+
+// Bearer-token fallback, same as the report page
+const storedJwt = localStorage.getItem('authToken');
+if (storedJwt) {
+  axios.defaults.headers.common['Authorization'] = `Bearer ${storedJwt}`;
+}
+
+axios.interceptors.response.use(
+  response => response,
+  error => {
+    if (error.response && error.response.status === 401) {
+      localStorage.removeItem('authToken');
+      window.location.href = '/login.html';
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Escape text before inserting it into HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function showError(message) {
+  noticeBox.classList.add('is-hidden');
+  errorBox.textContent = message;
+  errorBox.classList.remove('is-hidden');
+}
+
+function showNotice(message) {
+  errorBox.classList.add('is-hidden');
+  noticeBox.textContent = message;
+  noticeBox.classList.remove('is-hidden');
+}
+
+function errorMessage(error) {
+  return error.response?.data?.error || error.message;
+}
+
+/**
+ * Build the <option> list for team selects
+ */
+function teamOptions(selectedId) {
+  const options = ['<option value="">No team</option>'];
+  teams.forEach(team => {
+    const selected = team.id === selectedId ? ' selected' : '';
+    options.push(`<option value="${team.id}"${selected}>${escapeHtml(team.name)}</option>`);
+  });
+  return options.join('');
+}
+
+function roleOptions(selectedRole) {
+  return ['agent', 'supervisor', 'admin']
+    .map(role => `<option value="${role}"${role === selectedRole ? ' selected' : ''}>${role}</option>`)
+    .join('');
+}
+
+/**
+ * Render the users table
+ */
+function renderUsers(users, userTenants) {
+  usersBody.innerHTML = users.map(user => `
+    <tr data-id="${user.id}">
+      <td><input type="text" class="user-username" value="${escapeHtml(user.username)}"></td>
+      <td><input type="email" class="user-email" value="${escapeHtml(user.email)}"></td>
+      <td><select class="user-role">${roleOptions(user.role)}</select></td>
+      <td><input type="text" class="user-extension" value="${escapeHtml(user.extension || '')}"></td>
+      <td><select class="user-team">${teamOptions(user.team_id)}</select></td>
+      <td><input type="text" class="user-tenants" value="${escapeHtml((userTenants[user.id] || []).join(', '))}"></td>
+      <td>${user.disabled ? '<span class="tag is-danger">Disabled</span>' : '<span class="tag is-success">Active</span>'}</td>
+      <td>
+        <button class="button is-small is-link" data-action="save">Save</button>
+        <button class="button is-small" data-action="${user.disabled ? 'enable' : 'disable'}">${user.disabled ? 'Enable' : 'Disable'}</button>
+        <button class="button is-small is-warning" data-action="reset">Reset Password</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the teams table
+ */
+function renderTeams() {
+  teamsBody.innerHTML = teams.map(team => `
+    <tr data-id="${team.id}">
+      <td><strong>${escapeHtml(team.name)}</strong></td>
+      <td><input type="text" class="team-extensions" value="${escapeHtml(team.extensions.join(', '))}"></td>
+      <td>
+        <button class="button is-small is-link" data-action="save-team">Save</button>
+        <button class="button is-small is-danger" data-action="delete-team">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+
+  document.querySelectorAll('.team-select').forEach(select => {
+    select.innerHTML = teamOptions(null);
+  });
+}
+
+/**
+ * One input per KPI; empty inputs use the default formula (see README)
+ */
+function kpiFormulaInputs(stored) {
+  let formulas = {};
+  try {
+    formulas = JSON.parse(stored || '{}') || {};
+  } catch {
+    // shown as defaults
+  }
+  return ['occupancy', 'utilization', 'shrinkage']
+    .map(kpi => `<input type="text" class="tenant-kpi" data-kpi="${kpi}" title="${kpi}" placeholder="${kpi}: default" value="${escapeHtml(formulas[kpi] || '')}">`)
+    .join('');
+}
+
+/**
+ * Render the tenants table. The password field is left blank; it is only sent when filled in.
+ */
+function renderTenants(tenants) {
+  tenantsBody.innerHTML = tenants.map(tenant => `
+    <tr data-name="${escapeHtml(tenant.name)}">
+      <td><strong>${escapeHtml(tenant.name)}</strong></td>
+      <td><input type="text" class="tenant-display-name" value="${escapeHtml(tenant.display_name || '')}"></td>
+      <td><input type="url" class="tenant-base-url" value="${escapeHtml(tenant.base_url)}"></td>
+      <td><input type="text" class="tenant-account-id" value="${escapeHtml(tenant.account_id)}"></td>
+      <td><input type="text" class="tenant-api-username" value="${escapeHtml(tenant.api_username)}"></td>
+      <td><input type="password" class="tenant-api-password" placeholder="unchanged" autocomplete="new-password"></td>
+      <td><input type="text" class="tenant-timezone" value="${escapeHtml(tenant.timezone)}"></td>
+      <td>${kpiFormulaInputs(tenant.kpi_formulas)}</td>
+      <td><input type="checkbox" class="tenant-enabled"${tenant.enabled ? ' checked' : ''}></td>
+      <td><button class="button is-small is-link" data-action="save-tenant">Save</button></td>
+    </tr>
+  `).join('');
+}
+
+function categoryOptions(selectedCategory) {
+  return ['productive', 'idle', 'break', 'offline']
+    .map(category => `<option value="${category}"${category === selectedCategory ? ' selected' : ''}>${category}</option>`)
+    .join('');
+}
+
+/**
+ * Render the state catalogue of the selected tenant
+ */
+function renderStates(states) {
+  statesBody.innerHTML = states.map(state => `
+    <tr data-state="${escapeHtml(state.state)}">
+      <td><strong>${escapeHtml(state.state)}</strong></td>
+      <td><input type="text" class="state-display-name" value="${escapeHtml(state.displayName)}"></td>
+      <td><select class="state-category">${categoryOptions(state.category)}</select></td>
+      <td><input type="color" class="state-color" value="${escapeHtml(state.color)}"></td>
+      <td><input type="checkbox" class="state-tracked"${state.tracked ? ' checked' : ''}></td>
+      <td>${state.discovered ? '<span class="tag is-info">Discovered</span>' : '<span class="tag">Built-in</span>'}</td>
+      <td><button class="button is-small is-link" data-action="save-state">Save</button></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Keep a tenant picker (states table, schedule import) in step with the registry
+ */
+function renderTenantPicker(select, tenants) {
+  const current = select.value;
+  select.innerHTML = tenants
+    .map(tenant => `<option value="${escapeHtml(tenant.name)}">${escapeHtml(tenant.display_name || tenant.name)}</option>`)
+    .join('');
+  if (tenants.some(tenant => tenant.name === current)) select.value = current;
+}
+
+async function loadStates() {
+  if (!statesTenant.value) {
+    statesBody.innerHTML = '';
+    return;
+  }
+  try {
+    const response = await axios.get(`/api/tenants/${encodeURIComponent(statesTenant.value)}/states`);
+    renderStates(response.data.states);
+  } catch (error) {
+    showError(`Failed to load agent states: ${errorMessage(error)}`);
+  }
+}
+
+/**
+ * Split a comma separated input into trimmed, non-empty values
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Load teams, tenants and users from the API
+ */
+async function loadAll() {
+  try {
+    const teamsResponse = await axios.get('/api/teams');
+    teams = teamsResponse.data.teams;
+    renderTeams();
+
+    const tenantsResponse = await axios.get('/api/tenants');
+    renderTenants(tenantsResponse.data.tenants);
+    renderTenantPicker(statesTenant, tenantsResponse.data.tenants);
+    renderTenantPicker(scheduleTenant, tenantsResponse.data.tenants);
+    await loadStates();
+
+    const usersResponse = await axios.get('/api/users');
+    const users = usersResponse.data.users;
+    const tenantLists = await Promise.all(users.map(user => axios.get(`/api/users/${user.id}/tenants`)));
+    const userTenants = {};
+    users.forEach((user, i) => {
+      userTenants[user.id] = tenantLists[i].data.tenants;
+    });
+    renderUsers(users, userTenants);
+  } catch (error) {
+    showError(`Failed to load users: ${errorMessage(error)}`);
+  }
+}
+
+document.getElementById('createUserForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const formData = new FormData(e.target);
+  const body = Object.fromEntries(formData.entries());
+
+  try {
+    await axios.post('/api/users', body);
+    e.target.reset();
+    showNotice(`User ${body.username} created`);
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+document.getElementById('createTeamForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const nameInput = document.getElementById('newTeamName');
+
+  try {
+    await axios.post('/api/teams', { name: nameInput.value });
+    nameInput.value = '';
+    showNotice('Team created');
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+usersBody.addEventListener('click', async (e) => {
+  const action = e.target.dataset.action;
+  if (!action) return;
+
+  const row = e.target.closest('tr');
+  const id = row.dataset.id;
+
+  try {
+    if (action === 'save') {
+      await axios.patch(`/api/users/${id}`, {
+        username: row.querySelector('.user-username').value,
+        email: row.querySelector('.user-email').value,
+        role: row.querySelector('.user-role').value,
+        extension: row.querySelector('.user-extension').value,
+        teamId: row.querySelector('.user-team').value || null
+      });
+      await axios.put(`/api/users/${id}/tenants`, {
+        tenants: splitList(row.querySelector('.user-tenants').value)
+      });
+      showNotice('User updated');
+    } else if (action === 'disable' || action === 'enable') {
+      await axios.post(`/api/users/${id}/${action}`);
+      showNotice(`User ${action}d`);
+    } else if (action === 'reset') {
+      const password = window.prompt('New password (at least 8 characters with upper case, lower case and a digit):');
+      if (!password) return;
+      await axios.post(`/api/users/${id}/reset-password`, { password });
+      showNotice('Password reset');
+    }
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+teamsBody.addEventListener('click', async (e) => {
+  const action = e.target.dataset.action;
+  if (!action) return;
+
+  const row = e.target.closest('tr');
+  const id = row.dataset.id;
+
+  try {
+    if (action === 'save-team') {
+      const extensions = splitList(row.querySelector('.team-extensions').value);
+      await axios.put(`/api/teams/${id}/members`, { extensions });
+      showNotice('Team members updated');
+    } else if (action === 'delete-team') {
+      if (!window.confirm('Delete this team? Supervisors in it will lose their team scope.')) return;
+      await axios.delete(`/api/teams/${id}`);
+      showNotice('Team deleted');
+    }
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+document.getElementById('createTenantForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const formData = new FormData(e.target);
+  const body = Object.fromEntries(formData.entries());
+  if (!body.timezone) delete body.timezone;
+
+  try {
+    await axios.post('/api/tenants', body);
+    e.target.reset();
+    showNotice(`Tenant ${body.name} registered`);
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+tenantsBody.addEventListener('click', async (e) => {
+  if (e.target.dataset.action !== 'save-tenant') return;
+
+  const row = e.target.closest('tr');
+  const body = {
+    displayName: row.querySelector('.tenant-display-name').value,
+    baseUrl: row.querySelector('.tenant-base-url').value,
+    accountId: row.querySelector('.tenant-account-id').value,
+    apiUsername: row.querySelector('.tenant-api-username').value,
+    timezone: row.querySelector('.tenant-timezone').value,
+    kpiFormulas: Object.fromEntries([...row.querySelectorAll('.tenant-kpi')].map(input => [input.dataset.kpi, input.value.trim()])),
+    enabled: row.querySelector('.tenant-enabled').checked
+  };
+  const apiPassword = row.querySelector('.tenant-api-password').value;
+  if (apiPassword) body.apiPassword = apiPassword;
+
+  try {
+    await axios.patch(`/api/tenants/${encodeURIComponent(row.dataset.name)}`, body);
+    showNotice('Tenant updated');
+    await loadAll();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+statesTenant.addEventListener('change', loadStates);
+
+statesBody.addEventListener('click', async (e) => {
+  if (e.target.dataset.action !== 'save-state') return;
+
+  const row = e.target.closest('tr');
+  const body = {
+    displayName: row.querySelector('.state-display-name').value,
+    category: row.querySelector('.state-category').value,
+    color: row.querySelector('.state-color').value,
+    tracked: row.querySelector('.state-tracked').checked
+  };
+
+  try {
+    const tenant = encodeURIComponent(statesTenant.value);
+    await axios.put(`/api/tenants/${tenant}/states/${encodeURIComponent(row.dataset.state)}`, body);
+    showNotice(`State ${row.dataset.state} updated`);
+    await loadStates();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+document.getElementById('scheduleForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const file = document.getElementById('scheduleFile').files[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json');
+    const response = await axios.post(
+      `/api/tenants/${encodeURIComponent(scheduleTenant.value)}/schedules`,
+      isJson ? JSON.parse(text) : text,
+      { headers: { 'Content-Type': isJson ? 'application/json' : 'text/csv' } }
+    );
+    const { entries, agents, days } = response.data;
+    e.target.reset();
+    showNotice(`Imported ${entries} schedule entries for ${agents} agents (${days} agent-days)`);
+  } catch (error) {
+    showError(error instanceof SyntaxError ? `Invalid JSON file: ${error.message}` : errorMessage(error));
+  }
+});
+
+loadAll();
@@ -0,0 +1,173 @@
+// public/kpis.js - Occupancy, utilization and shrinkage
+//
+// Plain ES module shared like timezone.js: the server computes the KPIs for
+// reports and the report page recomputes the team figures for filtered rows.
+//
+// Each KPI is a ratio of two sums of times, written as a formula such as
+// "(onCall + wrapUp) / (loggedIn - breaks)" and configurable per tenant. The
+// times are in seconds:
+//
+//   loggedIn      time in any tracked state that is not offline (from the state blocks)
+//   productive    time in productive states
+//   breaks        time in break states
+//   onCall        time on calls, including hold
+//   hold          time on hold
+//   wrapUp        wrap-up time after calls
+//   notAvailable  not-available time as the report shows it
+//
+// A KPI whose denominator is zero or less is null rather than a made-up 0%.
+
+export const KPI_NAMES = ['occupancy', 'utilization', 'shrinkage'];
+export const KPI_VARIABLES = ['loggedIn', 'productive', 'breaks', 'onCall', 'hold', 'wrapUp', 'notAvailable'];
+
+export const DEFAULT_KPI_FORMULAS = {
+  occupancy: '(onCall + wrapUp) / (loggedIn - breaks)',
+  utilization: '(onCall + wrapUp) / loggedIn',
+  shrinkage: 'breaks / loggedIn'
+};
+
+// Parsed formulas by text; there are only ever a handful
+const parsed = new Map();
+
+/**
+ * Parse "a + b - c" into [{ name, sign }]
+ */
+function parseSum(text, formula) {
+  const body = text.trim().replace(/^\((.*)\)$/, '$1').trim();
+  const invalid = () => new Error(`KPI formula "${formula}" must look like "(onCall + wrapUp) / loggedIn"`);
+  // Alternating signs and names: "a + b - c" → ['+', 'a', '+', 'b', '-', 'c']
+  const tokens = body.split(/\s*([+-])\s*/);
+  if (tokens[0] === '') tokens.shift();
+  else tokens.unshift('+');
+  if (tokens.length % 2 !== 0) throw invalid();
+
+  const terms = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    const [sign, name] = [tokens[i], tokens[i + 1]];
+    if (!/^[A-Za-z]+$/.test(name)) throw invalid();
+    if (!KPI_VARIABLES.includes(name)) {
+      throw new Error(`Unknown KPI variable "${name}" in "${formula}"; use ${KPI_VARIABLES.join(', ')}`);
+    }
+    terms.push({ name, sign: sign === '-' ? -1 : 1 });
+  }
+  return terms;
+}
+
+/**
+ * Parse a formula "<sum> / <sum>"
+ * @throws {Error} - When the formula is not of that form
+ */
+function parseFormula(formula) {
+  if (parsed.has(formula)) return parsed.get(formula);
+
+  const parts = String(formula).split('/');
+  if (parts.length !== 2) {
+    throw new Error(`KPI formula "${formula}" must be one sum divided by another`);
+  }
+  const result = { numerator: parseSum(parts[0], formula), denominator: parseSum(parts[1], formula) };
+  parsed.set(formula, result);
+  return result;
+}
+
+/**
+ * Check formulas sent by an admin
+ * @param {Object|null} input - { occupancy, utilization, shrinkage }; missing ones keep the default, null resets all
+ * @returns {Object|null} - The formulas that differ from the defaults, or null when none do
+ * @throws {Error} - When a KPI or formula is invalid
+ */
+export function normalizeKpiFormulas(input) {
+  if (input === null || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error(`kpiFormulas must be an object with ${KPI_NAMES.join(', ')}`);
+  }
+
+  const custom = {};
+  for (const [name, formula] of Object.entries(input)) {
+    if (!KPI_NAMES.includes(name)) throw new Error(`Unknown KPI "${name}"; use ${KPI_NAMES.join(', ')}`);
+    if (formula === null || formula === '' || formula === DEFAULT_KPI_FORMULAS[name]) continue;
+    if (typeof formula !== 'string' || formula.length > 200) throw new Error(`KPI formula for ${name} must be text`);
+    parseFormula(formula);
+    custom[name] = formula;
+  }
+  return Object.keys(custom).length > 0 ? custom : null;
+}
+
+/**
+ * A tenant's formulas from the stored JSON, on top of the defaults. Stored
+ * formulas that no longer parse fall back to the default.
+ * @param {string|Object|null} stored - tenants.kpi_formulas
+ * @returns {Object} - { occupancy, utilization, shrinkage }
+ */
+export function kpiFormulasFrom(stored) {
+  let custom = stored;
+  if (typeof stored === 'string') {
+    try {
+      custom = JSON.parse(stored);
+    } catch {
+      custom = null;
+    }
+  }
+
+  const formulas = { ...DEFAULT_KPI_FORMULAS };
+  for (const name of KPI_NAMES) {
+    const formula = custom?.[name];
+    if (!formula) continue;
+    try {
+      parseFormula(formula);
+      formulas[name] = formula;
+    } catch {
+      // keep the default
+    }
+  }
+  return formulas;
+}
+
+/**
+ * Logged-in, productive and break time from state blocks
+ * @param {Array<Object>} blocks - Blocks from processCustomStatesForAgent (duration in seconds, null while open)
+ * @param {Array<Object>} stateCatalogue - Tenant state catalogue
+ * @returns {{loggedIn: number, productive: number, breaks: number}} - Seconds
+ */
+export function stateTimeTotals(blocks, stateCatalogue) {
+  const categories = new Map(stateCatalogue.map(entry => [entry.state, entry.category]));
+  const totals = { loggedIn: 0, productive: 0, breaks: 0 };
+  for (const block of blocks) {
+    const seconds = block.duration || 0;
+    const category = categories.get(block.state);
+    if (category === 'offline') continue;
+    totals.loggedIn += seconds;
+    if (category === 'productive') totals.productive += seconds;
+    if (category === 'break') totals.breaks += seconds;
+  }
+  return totals;
+}
+
+/**
+ * Add up KPI inputs, e.g. over a team or a slot
+ * @param {Array<Object>} valueSets - Objects with the KPI variables
+ * @returns {Object} - Sum per variable
+ */
+export function sumKpiValues(valueSets) {
+  const total = Object.fromEntries(KPI_VARIABLES.map(name => [name, 0]));
+  valueSets.forEach(values => {
+    KPI_VARIABLES.forEach(name => { total[name] += values?.[name] || 0; });
+  });
+  return total;
+}
+
+/**
+ * Compute the KPIs as percentages with one decimal
+ * @param {Object} values - KPI variables in seconds
+ * @param {Object} formulas - From kpiFormulasFrom (defaults when omitted)
+ * @returns {{occupancy: string|null, utilization: string|null, shrinkage: string|null}}
+ */
+export function computeKpis(values, formulas = DEFAULT_KPI_FORMULAS) {
+  const sum = terms => terms.reduce((total, term) => total + term.sign * (values[term.name] || 0), 0);
+  const kpis = {};
+  for (const name of KPI_NAMES) {
+    const { numerator, denominator } = parseFormula(formulas[name] || DEFAULT_KPI_FORMULAS[name]);
+    const divisor = sum(denominator);
+    kpis[name] = divisor > 0 ? ((sum(numerator) / divisor) * 100).toFixed(1) : null;
+  }
+  return kpis;
+}
@@ -0,0 +1,259 @@
+// public/report-schedules.js - Scheduled report management page
+
+/* global axios */
+import { formatDateTime } from './timezone.js';
+
+const errorBox = document.getElementById('error');
+const noticeBox = document.getElementById('notice');
+const scheduleForm = document.getElementById('scheduleForm');
+const scheduleFormTitle = document.getElementById('scheduleFormTitle');
+const scheduleTenant = document.getElementById('scheduleTenant');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const schedulesBody = document.getElementById('schedulesBody');
+const runsBox = document.getElementById('runsBox');
+const runsBody = document.getElementById('runsBody');
+
+const REPORT_NAMES = {
+  'agent-report': 'Agent Activity',
+  'slot-wise-agent-report': 'Slot-wise'
+};
+
+const STATUS_TAGS = {
+  pending: 'is-light',
+  running: 'is-info',
+  retrying: 'is-warning',
+  sent: 'is-success',
+  failed: 'is-danger'
+};
+
+let schedules = [];
+let tenantZones = new Map();
+let editingId = null;
+let historyId = null;
+
+// Bearer-token fallback, same as the report page
+const storedJwt = localStorage.getItem('authToken');
+if (storedJwt) {
+  axios.defaults.headers.common['Authorization'] = `Bearer ${storedJwt}`;
+}
+
+axios.interceptors.response.use(
+  response => response,
+  error => {
+    if (error.response && error.response.status === 401) {
+      localStorage.removeItem('authToken');
+      window.location.href = '/login.html';
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Escape text before inserting it into HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function showError(message) {
+  noticeBox.classList.add('is-hidden');
+  errorBox.textContent = message;
+  errorBox.classList.remove('is-hidden');
+}
+
+function showNotice(message) {
+  errorBox.classList.add('is-hidden');
+  noticeBox.textContent = message;
+  noticeBox.classList.remove('is-hidden');
+}
+
+function errorMessage(error) {
+  return error.response?.data?.error || error.message;
+}
+
+/**
+ * A stored epoch-milliseconds time in the schedule's tenant zone
+ */
+function formatTime(value, tenant) {
+  return value ? formatDateTime(Number(value), tenantZones.get(tenant)) : '-';
+}
+
+function statusTag(status) {
+  return status ? `<span class="tag ${STATUS_TAGS[status] || 'is-light'}">${escapeHtml(status)}</span>` : '-';
+}
+
+function renderSchedules() {
+  if (schedules.length === 0) {
+    schedulesBody.innerHTML = '<tr><td colspan="10" class="no-activity">No schedules yet</td></tr>';
+    return;
+  }
+  schedulesBody.innerHTML = schedules.map(schedule => `
+    <tr data-id="${schedule.id}">
+      <td><strong>${escapeHtml(schedule.name)}</strong>${schedule.created_by_name ? `<br><small>by ${escapeHtml(schedule.created_by_name)}</small>` : ''}</td>
+      <td>${escapeHtml(schedule.tenant)}</td>
+      <td>${escapeHtml(REPORT_NAMES[schedule.report] || schedule.report)}</td>
+      <td><code>${escapeHtml(schedule.cron)}</code></td>
+      <td>${escapeHtml(schedule.range_template)}</td>
+      <td>${escapeHtml(schedule.format.toUpperCase())}</td>
+      <td>${escapeHtml(schedule.recipients)}</td>
+      <td>${schedule.enabled ? formatTime(schedule.next_run_at, schedule.tenant) : '<span class="tag">Disabled</span>'}</td>
+      <td title="${escapeHtml(schedule.last_error || '')}">${statusTag(schedule.last_status)}<br><small>${schedule.last_status ? formatTime(schedule.last_finished_at || schedule.last_scheduled_for, schedule.tenant) : ''}</small></td>
+      <td>
+        <button class="button is-small is-link" data-action="edit">Edit</button>
+        <button class="button is-small" data-action="run">Run Now</button>
+        <button class="button is-small" data-action="history">History</button>
+        <button class="button is-small is-danger" data-action="delete">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+function renderRuns(runs, schedule) {
+  document.getElementById('runsScheduleName').textContent = schedule.name;
+  runsBody.innerHTML = runs.length === 0
+    ? '<tr><td colspan="8" class="no-activity">Not run yet</td></tr>'
+    : runs.map(run => `
+      <tr>
+        <td>${formatTime(run.scheduled_for, schedule.tenant)}${run.manual ? ' <span class="tag is-light">manual</span>' : ''}</td>
+        <td>${statusTag(run.status)}</td>
+        <td>${run.attempts}</td>
+        <td>${run.range_start ? `${formatTime(run.range_start, schedule.tenant)} - ${formatTime(run.range_end, schedule.tenant)}` : '-'}</td>
+        <td>${run.row_count ?? '-'}</td>
+        <td>${escapeHtml(run.recipients || '-')}</td>
+        <td>${formatTime(run.finished_at, schedule.tenant)}${run.status === 'retrying' ? `<br><small>retry at ${formatTime(run.next_attempt_at, schedule.tenant)}</small>` : ''}</td>
+        <td>${escapeHtml(run.error || '')}</td>
+      </tr>
+    `).join('');
+  runsBox.style.display = 'block';
+}
+
+async function loadSchedules() {
+  try {
+    const response = await axios.get('/api/report-schedules');
+    schedules = response.data.schedules;
+    renderSchedules();
+  } catch (error) {
+    showError(`Failed to load schedules: ${errorMessage(error)}`);
+  }
+}
+
+async function loadRuns(id) {
+  const schedule = schedules.find(entry => entry.id === id);
+  if (!schedule) return;
+  historyId = id;
+  try {
+    const response = await axios.get(`/api/report-schedules/${id}/runs`);
+    renderRuns(response.data.runs, schedule);
+  } catch (error) {
+    showError(`Failed to load run history: ${errorMessage(error)}`);
+  }
+}
+
+async function loadTenants() {
+  try {
+    const response = await axios.get('/api/tenants/mine');
+    const tenants = response.data.tenants || [];
+    tenantZones = new Map(tenants.map(tenant => [tenant.name, tenant.timezone]));
+    scheduleTenant.innerHTML = tenants
+      .map(tenant => `<option value="${escapeHtml(tenant.name)}">${escapeHtml(tenant.display_name || tenant.name)}</option>`)
+      .join('');
+  } catch (error) {
+    showError(`Failed to load tenants: ${errorMessage(error)}`);
+  }
+}
+
+function resetForm() {
+  editingId = null;
+  scheduleForm.reset();
+  scheduleFormTitle.textContent = 'Add Schedule';
+  cancelEditBtn.style.display = 'none';
+}
+
+/**
+ * Fill the form with a schedule for editing
+ */
+function editSchedule(schedule) {
+  editingId = schedule.id;
+  scheduleFormTitle.textContent = `Edit Schedule: ${schedule.name}`;
+  cancelEditBtn.style.display = '';
+  scheduleForm.elements.name.value = schedule.name;
+  scheduleForm.elements.tenant.value = schedule.tenant;
+  scheduleForm.elements.report.value = schedule.report;
+  scheduleForm.elements.cron.value = schedule.cron;
+  scheduleForm.elements.rangeTemplate.value = schedule.range_template;
+  scheduleForm.elements.format.value = schedule.format;
+  scheduleForm.elements.agentName.value = schedule.agent_name || '';
+  scheduleForm.elements.extension.value = schedule.extension || '';
+  scheduleForm.elements.recipients.value = schedule.recipients;
+  scheduleForm.elements.enabled.checked = Boolean(schedule.enabled);
+  scheduleForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+scheduleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const formData = new FormData(scheduleForm);
+  const body = {
+    name: formData.get('name'),
+    tenant: formData.get('tenant'),
+    report: formData.get('report'),
+    cron: formData.get('cron'),
+    rangeTemplate: formData.get('rangeTemplate'),
+    format: formData.get('format'),
+    agentName: formData.get('agentName'),
+    extension: formData.get('extension'),
+    recipients: formData.get('recipients'),
+    enabled: scheduleForm.elements.enabled.checked
+  };
+
+  try {
+    if (editingId === null) {
+      await axios.post('/api/report-schedules', body);
+      showNotice(`Schedule "${body.name}" created`);
+    } else {
+      await axios.patch(`/api/report-schedules/${editingId}`, body);
+      showNotice(`Schedule "${body.name}" updated`);
+    }
+    resetForm();
+    await loadSchedules();
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+cancelEditBtn.addEventListener('click', resetForm);
+
+schedulesBody.addEventListener('click', async (e) => {
+  const action = e.target.dataset.action;
+  if (!action) return;
+  const id = Number(e.target.closest('tr').dataset.id);
+  const schedule = schedules.find(entry => entry.id === id);
+
+  try {
+    if (action === 'edit') {
+      editSchedule(schedule);
+    } else if (action === 'history') {
+      await loadRuns(id);
+    } else if (action === 'run') {
+      await axios.post(`/api/report-schedules/${id}/run`);
+      showNotice(`"${schedule.name}" queued; it is sent in the background`);
+      await loadRuns(id);
+    } else if (action === 'delete') {
+      if (!confirm(`Delete the schedule "${schedule.name}" and its run history?`)) return;
+      await axios.delete(`/api/report-schedules/${id}`);
+      showNotice(`Schedule "${schedule.name}" deleted`);
+      if (historyId === id) runsBox.style.display = 'none';
+      if (editingId === id) resetForm();
+      await loadSchedules();
+    }
+  } catch (error) {
+    showError(errorMessage(error));
+  }
+});
+
+await loadTenants();
+await loadSchedules();
@@ -1,5 +1,15 @@
 // public/script.js - Simplified Frontend for Agent Activity Report
 
+import {
+  DEFAULT_TIMEZONE,
+  formatTime,
+  getZonedParts,
+  parseZonedDateTime,
+  toDate,
+  toDateTimeInputValue
+} from './timezone.js';
+import { computeKpis, sumKpiValues } from './kpis.js';
+
 console.log('🚀 Simplified Agent Activity Report Frontend - Version 2025-08-14');
 
 /* global axios */
@@ -41,8 +51,8 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
-  // Set default Dubai times
-  setDefaultDubaiTimes();
+  // Set default times in the selected tenant's zone
+  setDefaultTimes();
   console.log('✅ Default times set');
 });
 
@@ -52,6 +62,8 @@ const loading = document.getElementById('loading');
 const reportContainer = document.getElementById('reportContainer');
 const reportContent = document.getElementById('reportContent');
 const csvBtn = document.getElementById('csvBtn');
+const xlsxBtn = document.getElementById('xlsxBtn');
+const pdfBtn = document.getElementById('pdfBtn');
 const reportHeader = document.getElementById('reportHeader');
 const filtersGrid = document.getElementById('filtersGrid');
 const exportSection = document.getElementById('exportSection');
@@ -60,123 +72,89 @@ const filtersBox = document.getElementById('filtersBox');
 let currentReportData = null;
 let filteredReportData = null;
 
+// --- Session handling ---------------------------------
+// The server sets an HttpOnly cookie on login; login.html also keeps the JWT
+// in localStorage for contexts where the cookie is not sent (e.g. iframes).
+if (typeof axios !== 'undefined') {
+  const storedJwt = localStorage.getItem('authToken');
+  if (storedJwt) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${storedJwt}`;
+  }
+
+  // Any 401 means the session expired - go back to the login page
+  axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response && error.response.status === 401) {
+        localStorage.removeItem('authToken');
+        window.location.href = '/login.html';
+      }
+      return Promise.reject(error);
+    }
+  );
+}
+
 /**
- * Format any timestamp to Dubai timezone with full date and time
- * @param {number|string|Date} timestamp - Unix timestamp (seconds/milliseconds), ISO string, or Date object
- * @returns {string} - Formatted datetime string in Dubai timezone (DD/MM/YYYY, HH:MM:SS)
+ * Log out and return to the login page
  */
-function formatTimestampDubai(timestamp) {
-  if (!timestamp) return '';
-  
-  let date;
-  if (timestamp instanceof Date) {
-    date = timestamp;
-  } else if (typeof timestamp === 'string') {
-    date = new Date(timestamp);
-  } else {
-    // Handle numeric timestamps properly - check digit length
-    let timestampMs;
-    if (timestamp.toString().length <= 10) {
-      // Unix timestamp in seconds - convert to milliseconds
-      timestampMs = timestamp * 1000;
-    } else {
-      // Already in milliseconds
-      timestampMs = timestamp;
-    }
-    date = new Date(timestampMs);
+async function logout() {
+  try {
+    await axios.post('/api/logout');
+  } catch (error) {
+    console.warn('Logout request failed:', error.message);
   }
-  
-  if (isNaN(date.getTime())) return '';
-  
-  // Format as DD/MM/YYYY, HH:MM:SS in Dubai timezone
-  return date.toLocaleString('en-GB', {
-    timeZone: 'Asia/Dubai',
-    day: '2-digit',
-    month: '2-digit',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
+  localStorage.removeItem('authToken');
+  sessionStorage.removeItem('extAuthDone');
+  window.location.href = '/login.html';
 }
+// -------------------------------------------------------
 
 /**
- * Format time only in Dubai timezone (HH:MM AM/PM)
- * @param {number|string|Date} timestamp - Unix timestamp (seconds/milliseconds), ISO string, or Date object
- * @returns {string} - Formatted time string in Dubai timezone (HH:MM AM/PM)
+ * Timezone of the tenant picked in the form (the report is entered and shown in it)
+ * @returns {string} - IANA zone name
  */
-function formatTimeDubai(timestamp) {
-  if (!timestamp) return '';
-  
-  let date;
-  if (timestamp instanceof Date) {
-    date = timestamp;
-  } else if (typeof timestamp === 'string') {
-    date = new Date(timestamp);
-  } else {
-    // Handle numeric timestamps properly - check digit length
-    let timestampMs;
-    if (timestamp.toString().length <= 10) {
-      // Unix timestamp in seconds - convert to milliseconds
-      timestampMs = timestamp * 1000;
-    } else {
-      // Already in milliseconds
-      timestampMs = timestamp;
-    }
-    date = new Date(timestampMs);
-  }
-  
-  if (isNaN(date.getTime())) return '';
-  
-  return date.toLocaleString('en-AE', {
-    timeZone: 'Asia/Dubai',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true
-  });
+function getSelectedTimeZone() {
+  const tenantSelect = document.getElementById('tenant');
+  const selected = tenantSelect?.selectedOptions?.[0];
+  return selected?.dataset.timezone || DEFAULT_TIMEZONE;
 }
 
+// Zone of the report currently on screen; set from the report response
+let reportTimeZone = DEFAULT_TIMEZONE;
+
+// Tracked states of the report on screen (state → catalogue entry), for the legend and colours
+let reportStates = new Map();
+
 /**
- * Get current time in Dubai timezone
- * @returns {string} - Current Dubai time formatted as DD/MM/YYYY, HH:MM:SS
+ * Index a report's or live feed's state catalogue by state name
  */
-function getCurrentDubaiTime() {
-  return formatTimestampDubai(new Date());
+function indexStates(states) {
+  return new Map((states || []).map(entry => [entry.state, entry]));
 }
 
 /**
- * Convert user input (treated as Dubai time) to UTC for API calls
- * @param {string} dateTimeString - Date time string from datetime-local input (YYYY-MM-DDTHH:MM)
- * @returns {string} - UTC ISO string
+ * Legend of the states shown in the report, in catalogue colours
  */
-const convertDubaiInputToUTC = (dateTimeString) => {
-  if (!dateTimeString) return '';
-  
-  // Parse as Dubai time and convert to UTC
-  const dubaiDate = new Date(dateTimeString + '+04:00'); // Dubai is UTC+4
-  return dubaiDate.toISOString();
-};
+function stateLegendHtml(states) {
+  if (states.size === 0) return '';
+  const items = [...states.values()].map(entry => `
+    <span class="state-legend-item" title="${escapeHtml(entry.category)}">
+      <span class="state-swatch" style="background: ${escapeHtml(entry.color)}"></span>${escapeHtml(entry.displayName)}
+    </span>
+  `).join('');
+  return `<div class="state-legend">${items}</div>`;
+}
 
 /**
- * Set default times to Dubai timezone (8 hours ago to now)
+ * Set default times in the selected tenant's zone (8 hours ago to now)
  */
-function setDefaultDubaiTimes() {
+function setDefaultTimes() {
+  const timeZone = getSelectedTimeZone();
   const now = new Date();
   const eightHoursAgo = new Date(now.getTime() - (8 * 60 * 60 * 1000));
   
-  // Format for datetime-local input (YYYY-MM-DDTHH:MM)
-  const formatForInput = (date) => {
-    const year = date.getFullYear();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const hours = date.getHours().toString().padStart(2, '0');
-    const minutes = date.getMinutes().toString().padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
-  };
-  
-  document.getElementById('startDateTime').value = formatForInput(eightHoursAgo);
-  document.getElementById('endDateTime').value = formatForInput(now);
+  document.getElementById('startDateTime').value = toDateTimeInputValue(eightHoursAgo, timeZone);
+  document.getElementById('endDateTime').value = toDateTimeInputValue(now, timeZone);
 }
 
 /**
@@ -202,49 +180,21 @@ function formatTimestampToDateAndTime(timestamp) {
   if (!timestamp || timestamp === 'N/A') return 'N/A';
   
   try {
-    // Handle different timestamp formats
-    let date;
-    if (typeof timestamp === 'string' && timestamp.includes(':')) {
-      // If it's already a formatted time string like "11:59 AM", we need to add date
-      if (timestamp.includes('AM') || timestamp.includes('PM')) {
-        // This is just a time string - we need to get the actual date from context
-        // For now, return as-is but this should be handled by the calling function
-        return timestamp; // This will be fixed by using proper timestamps
-      } else {
-        // Try to parse as ISO string or other date format
-        date = new Date(timestamp);
-      }
-    } else if (typeof timestamp === 'number') {
-      // Handle numeric timestamps properly - check digit length
-      let timestampMs;
-      if (timestamp.toString().length <= 10) {
-        // Unix timestamp in seconds - convert to milliseconds
-        timestampMs = timestamp * 1000;
-      } else {
-        // Already in milliseconds
-        timestampMs = timestamp;
-      }
-      date = new Date(timestampMs);
-    } else {
-      // Try to parse as date string
-      date = new Date(timestamp);
+    // Already formatted time strings like "11:59 AM" are returned as-is
+    if (typeof timestamp === 'string' && (timestamp.includes('AM') || timestamp.includes('PM'))) {
+      return timestamp;
     }
     
-    if (isNaN(date.getTime())) {
+    const date = toDate(timestamp);
+    if (!date) {
       return timestamp; // Return original if can't parse
     }
     
-    // Format to "dd/mm, 11:59 AM" using Dubai timezone
-    const day = date.toLocaleString('en-AE', { timeZone: 'Asia/Dubai', day: '2-digit' });
-    const month = date.toLocaleString('en-AE', { timeZone: 'Asia/Dubai', month: '2-digit' });
-    const timeString = date.toLocaleString('en-AE', { 
-      timeZone: 'Asia/Dubai',
-      hour: 'numeric', 
-      minute: '2-digit', 
-      hour12: true 
-    });
+    // Format to "dd/mm, 11:59 AM" in the report's timezone
+    const { day, month } = getZonedParts(date, reportTimeZone);
+    const timeString = formatTime(date, reportTimeZone);
     
-    return `${day}/${month}, ${timeString}`;
+    return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}, ${timeString}`;
   } catch (error) {
     console.warn('Error formatting timestamp:', timestamp, error);
     return timestamp; // Return original on error
@@ -261,6 +211,8 @@ function displaySimplifiedAgentReport(reportData) {
   }
   
   const { summary, agents } = reportData;
+  reportTimeZone = summary.timeRange.timeZone || getSelectedTimeZone();
+  reportStates = indexStates(reportData.states);
   
   // Update report header
   reportHeader.innerHTML = `
@@ -269,7 +221,7 @@ function displaySimplifiedAgentReport(reportData) {
       <p class="report-subtitle">Simplified Single-Row Format</p>
     </div>
     <div class="report-meta">
-      <p><strong>Time Range:</strong> ${summary.timeRange.startFormatted} to ${summary.timeRange.endFormatted}</p>
+      <p><strong>Time Range:</strong> ${summary.timeRange.startFormatted} to ${summary.timeRange.endFormatted} (${reportTimeZone})</p>
       <p><strong>Generated:</strong> ${reportData.timestamp}</p>
     </div>
   `;
@@ -278,12 +230,13 @@ function displaySimplifiedAgentReport(reportData) {
   updateSimplifiedStatistics(summary);
   
   // Create agent table
-  const tableHtml = createSimplifiedAgentTable(agents);
+  const tableHtml = createSimplifiedAgentTable(agents, reportData.previousOnlyAgents);
   reportContent.innerHTML = tableHtml;
   
   // Show report container and filters
   reportContainer.style.display = 'block';
   exportSection.style.display = 'block';
+  if (xlsxBtn) xlsxBtn.style.display = '';
   if (filtersGrid) filtersGrid.style.display = 'grid';
   
   // Store data for filtering and export
@@ -295,13 +248,17 @@ function displaySimplifiedAgentReport(reportData) {
 
 /**
  * Create simplified agent table
+ * @param {Array<Object>} agents - Agent rows
+ * @param {Array<Object>} previousOnlyAgents - In a comparison, agents seen only in the comparison range
  */
-function createSimplifiedAgentTable(agents) {
-  if (!agents || agents.length === 0) {
+function createSimplifiedAgentTable(agents, previousOnlyAgents = []) {
+  const comparing = agents.some(agent => agent.comparison) || previousOnlyAgents.length > 0;
+  if (agents.length === 0 && previousOnlyAgents.length === 0) {
     return '<div class="no-data">No agent data available for the selected time range.</div>';
   }
   
   let tableHtml = `
+    ${stateLegendHtml(reportStates)}
     <div class="table-container">
       <table class="agent-table">
         <thead>
@@ -316,14 +273,19 @@ function createSimplifiedAgentTable(agents) {
             <th>Total Hold Time</th>
             <th>Total On Call Time</th>
             <th>AHT</th>
+            <th>Logged In</th>
+            <th>Occupancy</th>
+            <th>Utilization</th>
+            <th>Shrinkage</th>
             <th>Agent States</th>
+            ${comparing ? '<th>vs Comparison</th>' : ''}
           </tr>
         </thead>
         <tbody>
   `;
   
   agents.forEach(agent => {
-    const customStatesHtml = formatCustomStatesForDisplay(agent.customStates);
+    const customStatesHtml = formatCustomStatesForDisplay(agent.customStates) + formatDataQualityWarnings(agent.dataQualityWarnings);
     
     tableHtml += `
       <tr>
@@ -337,7 +299,23 @@ function createSimplifiedAgentTable(agents) {
         <td>${agent.totalHoldTime}</td>
         <td>${agent.totalOnCallTime}</td>
         <td>${agent.aht}</td>
+        <td>${agent.loggedInTime || '00:00:00'}</td>
+        <td>${formatKpi(agent.kpis?.occupancy)}</td>
+        <td>${formatKpi(agent.kpis?.utilization)}</td>
+        <td>${formatKpi(agent.kpis?.shrinkage)}</td>
         <td class="custom-states-cell">${customStatesHtml}</td>
+        ${comparing ? `<td class="comparison-cell">${formatComparison(agent.comparison)}</td>` : ''}
+      </tr>
+    `;
+  });
+
+  previousOnlyAgents.forEach(agent => {
+    tableHtml += `
+      <tr class="previous-only-row">
+        <td><strong>${agent.agentName}</strong></td>
+        <td>${agent.extension}</td>
+        <td colspan="13" class="no-activity">Not in this period</td>
+        <td class="comparison-cell">${formatComparison(agent.comparison)}</td>
       </tr>
     `;
   });
@@ -351,6 +329,143 @@ function createSimplifiedAgentTable(agents) {
   return tableHtml;
 }
 
+/**
+ * Display the queue report: totals per queue, each with its slots underneath
+ */
+function displayQueueReport(reportData) {
+  if (!reportData.success) {
+    showError(`Report generation failed: ${reportData.error}`);
+    return;
+  }
+
+  const { summary, queues } = reportData;
+  reportTimeZone = summary.timeRange.timeZone || getSelectedTimeZone();
+
+  reportHeader.innerHTML = `
+    <div class="report-title">
+      <h2>📞 Queue Service Level Report</h2>
+      <p class="report-subtitle">Service level: answered within ${summary.serviceLevelThreshold}s</p>
+    </div>
+    <div class="report-meta">
+      <p><strong>Time Range:</strong> ${summary.timeRange.startFormatted} to ${summary.timeRange.endFormatted} (${reportTimeZone})</p>
+      <p><strong>Generated:</strong> ${reportData.timestamp}</p>
+    </div>
+  `;
+
+  updateQueueStatistics(summary);
+  reportContent.innerHTML = createQueueTable(queues);
+
+  reportContainer.style.display = 'block';
+  exportSection.style.display = 'block';
+  // The workbook holds the agent reports only
+  if (xlsxBtn) xlsxBtn.style.display = 'none';
+  // The agent name and extension filters do not apply to queues
+  if (filtersGrid) filtersGrid.style.display = 'none';
+
+  currentReportData = reportData;
+  filteredReportData = queues;
+
+  console.log(`✅ Displayed queue report with ${queues.length} queues`);
+}
+
+/**
+ * Queue table cells shared by the queue and slot rows
+ */
+function queueMetricCells(metrics) {
+  return `
+    <td>${metrics.offered}</td>
+    <td>${metrics.answered}</td>
+    <td>${metrics.abandoned}</td>
+    <td>${formatKpi(metrics.serviceLevel)}</td>
+    <td>${formatKpi(metrics.abandonRate)}</td>
+    <td>${metrics.asa}</td>
+    <td>${metrics.longestWait}</td>
+  `;
+}
+
+/**
+ * Create the queue table
+ */
+function createQueueTable(queues) {
+  if (!queues || queues.length === 0) {
+    return '<div class="no-data">No queue calls in the selected time range.</div>';
+  }
+
+  let tableHtml = `
+    <div class="table-container">
+      <table class="agent-table">
+        <thead>
+          <tr>
+            <th>Queue / Slot</th>
+            <th>Offered</th>
+            <th>Answered</th>
+            <th>Abandoned</th>
+            <th>Service Level</th>
+            <th>Abandon Rate</th>
+            <th>ASA</th>
+            <th>Longest Wait</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  queues.forEach(queue => {
+    tableHtml += `<tr class="queue-row"><td><strong>${escapeHtml(queue.queue)}</strong></td>${queueMetricCells(queue)}</tr>`;
+    queue.slots.filter(slot => slot.offered > 0).forEach(slot => {
+      tableHtml += `<tr class="queue-slot-row"><td>&nbsp;&nbsp;${slot.timeSlot}</td>${queueMetricCells(slot)}</tr>`;
+    });
+  });
+
+  tableHtml += `
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  return tableHtml;
+}
+
+// Compared metrics in display order; `higherIsBetter` picks the colour of a change
+const COMPARED_METRICS = [
+  { key: 'totalCalls', label: 'Calls', higherIsBetter: true, format: value => String(value) },
+  { key: 'answerRate', label: 'Answer rate', higherIsBetter: true, format: value => `${value} pp`, formatValue: value => `${value}%` },
+  { key: 'ahtSeconds', label: 'AHT', higherIsBetter: false, format: formatDurationToHHMMSS },
+  { key: 'notAvailableSeconds', label: 'Not available', higherIsBetter: false, format: formatDurationToHHMMSS }
+];
+
+/**
+ * A change with an up or down indicator, coloured by whether it is an improvement
+ */
+function formatDelta(delta, metric) {
+  if (delta === null || delta === undefined) return '<span class="delta">—</span>';
+  if (delta === 0) return '<span class="delta">= 0</span>';
+
+  const improved = (delta > 0) === metric.higherIsBetter;
+  const arrow = delta > 0 ? '▲' : '▼';
+  return `<span class="delta ${improved ? 'delta-good' : 'delta-bad'}">${arrow} ${delta > 0 ? '+' : '−'}${metric.format(Math.abs(delta))}</span>`;
+}
+
+/**
+ * An agent's comparison cell: the deltas, or which range the agent is missing from
+ */
+function formatComparison(comparison) {
+  if (!comparison) return '';
+  if (comparison.presence === 'current-only') return '<span class="no-activity">Not in comparison range</span>';
+  if (comparison.presence === 'previous-only') {
+    return `<span class="no-activity">Comparison range: ${comparison.previous.totalCalls} calls</span>`;
+  }
+  return COMPARED_METRICS
+    .map(metric => `<div>${metric.label}: ${formatDelta(comparison.deltas[metric.key], metric)}</div>`)
+    .join('');
+}
+
+/**
+ * A KPI percentage for display; null when there was no logged-in time to divide by
+ */
+function formatKpi(value) {
+  return value === null || value === undefined ? '—' : `${value}%`;
+}
+
 /**
  * Format custom states for display
  */
@@ -364,11 +479,13 @@ function formatCustomStatesForDisplay(customStates) {
     const durationText = stateBlock.duration !== null ? `(${formatDurationToHHMMSS(stateBlock.duration)})` : '';
     const formattedStartTime = formatTimestampToDateAndTime(stateBlock.startTime);
     const formattedEndTime = formatTimestampToDateAndTime(stateBlock.endTime);
+    const entry = reportStates.get(stateBlock.state);
+    const style = entry ? ` style="border-left: 4px solid ${escapeHtml(entry.color)}"` : '';
     
     statesHtml += `
-      <div class="custom-state-block">
-        <strong>${stateBlock.state}</strong>
-        <span class="state-time">(${formattedStartTime} → ${formattedEndTime})</span>
+      <div class="custom-state-block"${style}${stateBlock.carriedOver ? ' title="Already in this state when the range started"' : ''}>
+        <strong>${escapeHtml(entry?.displayName || stateBlock.state)}</strong>
+        <span class="state-time">(${stateBlock.carriedOver ? '⇤ ' : ''}${formattedStartTime} → ${formattedEndTime})</span>
         <span class="state-duration">${durationText}</span>
       </div>
     `;
@@ -379,20 +496,12 @@ function formatCustomStatesForDisplay(customStates) {
 }
 
 /**
- * Format custom states for CSV export
+ * Tag for events that did not pair up (a close without an open, or an open twice)
  */
-function formatCustomStatesForCSV(customStates) {
-  if (!customStates || customStates.length === 0) {
-    return 'No custom states';
-  }
-  
-  const stateTexts = [];
-  customStates.forEach(stateBlock => {
-    const duration = stateBlock.duration !== null ? formatDurationToHHMMSS(stateBlock.duration) : 'CONTINUED';
-    stateTexts.push(`${stateBlock.state}: ${stateBlock.startTime} - ${stateBlock.endTime} (${duration})`);
-  });
-  
-  return stateTexts.join('; ');
+function formatDataQualityWarnings(warnings) {
+  if (!warnings || warnings.length === 0) return '';
+  const details = warnings.map(warning => `${warning.time}: ${warning.message}`).join('\n');
+  return `<span class="tag is-warning is-light" title="${escapeHtml(details)}">⚠️ ${warnings.length} unmatched event${warnings.length === 1 ? '' : 's'}</span>`;
 }
 
 /**
@@ -421,6 +530,18 @@ function updateSimplifiedStatistics(summary) {
         <div class="stat-number">${summary.answerRate}%</div>
         <div class="stat-label">Answer Rate</div>
       </div>
+      <div class="stat-card">
+        <div class="stat-number">${formatKpi(summary.kpis?.occupancy)}</div>
+        <div class="stat-label">Occupancy</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-number">${formatKpi(summary.kpis?.utilization)}</div>
+        <div class="stat-label">Utilization</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-number">${formatKpi(summary.kpis?.shrinkage)}</div>
+        <div class="stat-label">Shrinkage</div>
+      </div>
     </div>
   `;
   
@@ -436,6 +557,69 @@ function updateSimplifiedStatistics(summary) {
   statsSection.innerHTML = `
     <h3>📈 Report Statistics</h3>
     ${statsHtml}
+    ${summary.comparison ? comparisonSummaryHtml(summary.comparison) : ''}
+  `;
+}
+
+/**
+ * Team totals of both ranges side by side, with the change
+ */
+function comparisonSummaryHtml(comparison) {
+  const value = (metric, totals) => {
+    const raw = totals[metric.key];
+    if (raw === null) return '—';
+    return metric.formatValue ? metric.formatValue(raw) : metric.format(raw);
+  };
+  const rows = COMPARED_METRICS.map(metric => `
+      <tr>
+        <td>${metric.label}</td>
+        <td>${value(metric, comparison.current)}</td>
+        <td>${value(metric, comparison.previous)}</td>
+        <td>${formatDelta(comparison.deltas[metric.key], metric)}</td>
+      </tr>`).join('');
+
+  return `
+    <h3>🔀 Compared with ${comparison.timeRange.startFormatted} to ${comparison.timeRange.endFormatted}</h3>
+    <table class="agent-table comparison-table">
+      <thead><tr><th></th><th>This range</th><th>Comparison</th><th>Change</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="report-subtitle">${comparison.agentsInBoth} agents in both ranges, ${comparison.currentOnly} only in this one, ${comparison.previousOnly} only in the comparison range</p>
+  `;
+}
+
+/**
+ * Statistics for the queue report
+ */
+function updateQueueStatistics(summary) {
+  const cards = [
+    [summary.totalQueues, 'Queues'],
+    [summary.offered, 'Offered'],
+    [summary.answered, 'Answered'],
+    [summary.abandoned, 'Abandoned'],
+    [formatKpi(summary.serviceLevel), `Service Level (${summary.serviceLevelThreshold}s)`],
+    [formatKpi(summary.abandonRate), 'Abandon Rate'],
+    [summary.asa, 'ASA'],
+    [summary.longestWait, 'Longest Wait']
+  ];
+
+  let statsSection = document.getElementById('statisticsSection');
+  if (!statsSection) {
+    statsSection = document.createElement('div');
+    statsSection.id = 'statisticsSection';
+    statsSection.className = 'statistics-section';
+    reportContainer.insertBefore(statsSection, reportContent);
+  }
+
+  statsSection.innerHTML = `
+    <h3>📈 Report Statistics</h3>
+    <div class="stats-grid">
+      ${cards.map(([value, label]) => `
+      <div class="stat-card">
+        <div class="stat-number">${value}</div>
+        <div class="stat-label">${label}</div>
+      </div>`).join('')}
+    </div>
   `;
 }
 
@@ -454,8 +638,14 @@ function applyFilters() {
     return nameMatch && extMatch;
   });
   
+  const filteredPreviousOnly = (currentReportData.previousOnlyAgents || []).filter(agent => {
+    const nameMatch = !agentNameFilter || agent.agentName.toLowerCase().includes(agentNameFilter);
+    const extMatch = !extensionFilter || agent.extension.toString().includes(extensionFilter);
+    return nameMatch && extMatch;
+  });
+  
   // Update display with filtered data
-  const tableHtml = createSimplifiedAgentTable(filteredReportData);
+  const tableHtml = createSimplifiedAgentTable(filteredReportData, filteredPreviousOnly);
   reportContent.innerHTML = tableHtml;
   
   // Update statistics for filtered data
@@ -467,6 +657,11 @@ function applyFilters() {
   };
   filteredSummary.answerRate = filteredSummary.totalCalls > 0 ? 
     ((filteredSummary.totalAnswered / filteredSummary.totalCalls) * 100).toFixed(1) : '0.0';
+  filteredSummary.kpis = computeKpis(sumKpiValues(filteredReportData.map(agent => agent.kpiValues)), currentReportData.kpiFormulas);
+  // The comparison's team totals cover every agent, so they only apply without a filter
+  if (!agentNameFilter && !extensionFilter) {
+    filteredSummary.comparison = currentReportData.summary.comparison;
+  }
   
   updateSimplifiedStatistics(filteredSummary);
   
@@ -474,54 +669,93 @@ function applyFilters() {
 }
 
 /**
- * Export to CSV
+ * Query for downloading the report on screen from the server: the same tenant
+ * and range, the agent name and extension typed into the filters, and the
+ * comparison range or queue settings it was generated with
+ */
+function reportExportParams() {
+  const tenant = document.getElementById('tenant')?.value;
+  const summary = currentReportData?.summary;
+  if (!tenant || !summary?.timeRange) return null;
+
+  const params = { tenant, startDateTime: summary.timeRange.start, endDateTime: summary.timeRange.end };
+  if (currentReportData.queues) {
+    return {
+      ...params,
+      queue: document.getElementById('queue')?.value || undefined,
+      serviceLevel: summary.serviceLevelThreshold
+    };
+  }
+  return {
+    ...params,
+    agentName: document.getElementById('nameFilter')?.value.trim() || undefined,
+    extension: document.getElementById('extFilter')?.value.trim() || undefined,
+    compareStartDateTime: summary.comparison?.timeRange.start,
+    compareEndDateTime: summary.comparison?.timeRange.end
+  };
+}
+
+/**
+ * Download a file the server builds, under the name it suggests
+ */
+async function downloadReportFile(url, params, button, label) {
+  button.classList.add('is-loading');
+  try {
+    const response = await axios.get(url, { params, responseType: 'blob' });
+    const filename = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || 'report';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(response.data);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    console.log(`📊 ${label} export completed`);
+  } catch (error) {
+    // Errors come back as JSON inside the blob
+    let message = error.message;
+    try {
+      message = JSON.parse(await error.response.data.text()).error || message;
+    } catch { /* no JSON body */ }
+    showError(`${label} export failed: ${message}`);
+  } finally {
+    button.classList.remove('is-loading');
+  }
+}
+
+/**
+ * Download the report on screen in an export format (csv or pdf). The server
+ * renders it, so the columns match what scripts get from ?format=.
  */
+function exportReport(format, button, label) {
+  const params = reportExportParams();
+  if (!params || !filteredReportData || filteredReportData.length === 0) {
+    showError('No data available to export');
+    return;
+  }
+  const report = currentReportData.queues ? 'queue-report' : 'agent-report';
+  return downloadReportFile(`/api/${report}`, { ...params, format }, button, label);
+}
+
 function exportToCSV() {
-  if (!filteredReportData || filteredReportData.length === 0) {
+  return exportReport('csv', csvBtn, 'CSV');
+}
+
+function exportToPDF() {
+  return exportReport('pdf', pdfBtn, 'PDF');
+}
+
+/**
+ * Download the report on screen as an Excel workbook built by the server
+ * (summary, agents, slots and state timeline sheets)
+ */
+function exportToXLSX() {
+  const params = reportExportParams();
+  if (!params) {
     showError('No data available to export');
     return;
   }
-  
-  const headers = [
-    'Agent Name', 'Extension', 'Total Calls', 'Answered', 'Failed',
-    'Total Wrap Up Time', 'Total Not Available Time', 'Total Hold Time',
-    'Total On Call Time', 'AHT', 'Agent States'
-  ];
-  
-  let csvContent = headers.join(',') + '\n';
-  
-  filteredReportData.forEach(agent => {
-    const customStatesText = formatCustomStatesForCSV(agent.customStates);
-    
-    const row = [
-      `"${agent.agentName}"`,
-      agent.extension,
-      agent.totalCalls,
-      agent.answered,
-      agent.failed,
-      `"${agent.totalWrapUpTime}"`,
-      `"${agent.totalNotAvailableTime}"`,
-      `"${agent.totalHoldTime}"`,
-      `"${agent.totalOnCallTime}"`,
-      `"${agent.aht}"`,
-      `"${customStatesText}"`
-    ];
-    
-    csvContent += row.join(',') + '\n';
-  });
-  
-  // Create and download file
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  link.setAttribute('href', url);
-  link.setAttribute('download', `agent_activity_report_${new Date().toISOString().split('T')[0]}.csv`);
-  link.style.visibility = 'hidden';
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  
-  console.log('📊 CSV export completed');
+  return downloadReportFile('/api/report-workbook', params, xlsxBtn, 'Excel');
 }
 
 /**
@@ -559,10 +793,172 @@ function hideLoading() {
   loading.style.display = 'none';
 }
 
+/**
+ * Move a datetime-local value by whole days, keeping the wall-clock time
+ */
+function shiftInputDays(value, days) {
+  const date = new Date(`${value}Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * The comparison range picked in the form, as instants for the report request
+ * @returns {Object} - { compareStartDateTime, compareEndDateTime }, or {} without a comparison
+ */
+function comparisonRange(formData, timeZone) {
+  const startValue = formData.get('startDateTime');
+  const endValue = formData.get('endDateTime');
+  const start = parseZonedDateTime(startValue, timeZone);
+  const end = parseZonedDateTime(endValue, timeZone);
+  let compareStart;
+  let compareEnd;
+
+  switch (formData.get('compareWith')) {
+    case 'previous':
+      // The same length of time, ending where this range starts
+      compareStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+      compareEnd = start;
+      break;
+    case 'last-week':
+      compareStart = parseZonedDateTime(shiftInputDays(startValue, -7), timeZone);
+      compareEnd = parseZonedDateTime(shiftInputDays(endValue, -7), timeZone);
+      break;
+    case 'custom':
+      compareStart = parseZonedDateTime(formData.get('compareStartDateTime'), timeZone);
+      compareEnd = parseZonedDateTime(formData.get('compareEndDateTime'), timeZone);
+      if (!compareStart || !compareEnd) throw new Error('Enter both the start and end of the comparison range');
+      break;
+    default:
+      return {};
+  }
+  return { compareStartDateTime: compareStart.toISOString(), compareEndDateTime: compareEnd.toISOString() };
+}
+
+// --- Report jobs ---------------------------------------
+// Reports run as background jobs on the server. The running job's id is kept in
+// localStorage so a reloaded page resumes polling instead of starting over.
+const ACTIVE_JOB_KEY = 'activeReportJob';
+const JOB_POLL_INTERVAL = 1000;
+
+let pollTimer = null;
+
+/**
+ * Show a job's progress in the progress bar
+ * @param {Object} job - Job as returned by /api/report-jobs
+ */
+function updateProgress(job) {
+  const bar = document.getElementById('reportProgress');
+  const text = document.getElementById('progressText');
+  const { stage, percent = 0, pagesFetched = 0, slotsDone = 0, totalSlots = 0 } = job.progress || {};
+
+  bar.value = percent;
+  bar.textContent = `${percent}%`;
+
+  const details = [stage === 'processing' ? 'Processing events' : 'Fetching events'];
+  details.push(`${pagesFetched} page${pagesFetched === 1 ? '' : 's'} fetched`);
+  if (totalSlots) details.push(`${slotsDone} of ${totalSlots} slots done`);
+  text.textContent = `${details.join(' · ')} (${percent}%)`;
+}
+
+/**
+ * Stop polling and forget the active job
+ */
+function clearActiveJob() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+}
+
+/**
+ * Poll a job until it finishes, then show the report or the error
+ * @param {string} jobId - Report job id
+ */
+async function pollReportJob(jobId) {
+  try {
+    const response = await axios.get(`/api/report-jobs/${jobId}`);
+    const { job } = response.data;
+
+    if (job.status === 'running') {
+      updateProgress(job);
+      pollTimer = setTimeout(() => pollReportJob(jobId), JOB_POLL_INTERVAL);
+      return;
+    }
+
+    clearActiveJob();
+    hideLoading();
+
+    if (job.status === 'completed') {
+      if (job.report === 'queue-report') {
+        displayQueueReport(job.result);
+      } else {
+        displaySimplifiedAgentReport(job.result);
+      }
+    } else if (job.status === 'failed') {
+      showError(`Server Error: ${job.error}`);
+    } else {
+      console.log('🛑 Report cancelled');
+    }
+  } catch (error) {
+    clearActiveJob();
+    hideLoading();
+    console.error('❌ Error polling report job:', error);
+
+    if (error.response?.status === 404) {
+      showError('The report is no longer available. Please generate it again.');
+    } else if (error.response) {
+      showError(`Server Error: ${error.response.data.error || error.response.statusText}`);
+    } else {
+      showError('Network Error: Unable to connect to server');
+    }
+  }
+}
+
+/**
+ * Start following a job and show its progress
+ * @param {Object} job - Job as returned by /api/report-jobs
+ */
+function followReportJob(job) {
+  localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+  showLoading();
+  updateProgress(job);
+  pollReportJob(job.id);
+}
+
+/**
+ * Cancel the running job
+ */
+async function cancelReportJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  clearActiveJob();
+  hideLoading();
+  if (!jobId) return;
+
+  try {
+    await axios.delete(`/api/report-jobs/${jobId}`);
+  } catch (error) {
+    console.warn('Cancel request failed:', error.message);
+  }
+}
+
+/**
+ * After a reload, pick up the job that was running before
+ */
+function resumeReportJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+
+  console.log(`🔁 Resuming report job ${jobId}`);
+  showLoading();
+  pollReportJob(jobId);
+}
+// -------------------------------------------------------
+
 // Event Listeners
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
   
+  clearActiveJob();
   showLoading();
   hideError();
   
@@ -573,23 +969,27 @@ form.addEventListener('submit', async (e) => {
     const endDateTime = formData.get('endDateTime');
     const agentName = formData.get('agentName');
     const extension = formData.get('extension');
+    const report = formData.get('report') || 'agent-report';
+    const timeZone = getSelectedTimeZone();
     
-    console.log('📊 Fetching simplified agent report...');
+    console.log(`📊 Starting ${report} job...`);
     console.log('Parameters:', { tenant, startDateTime, endDateTime, agentName, extension });
     
-    const params = new URLSearchParams({
+    const response = await axios.post('/api/report-jobs', {
+      report,
       tenant,
-      startDateTime: convertDubaiInputToUTC(startDateTime),
-      endDateTime: convertDubaiInputToUTC(endDateTime)
+      startDateTime: parseZonedDateTime(startDateTime, timeZone).toISOString(),
+      endDateTime: parseZonedDateTime(endDateTime, timeZone).toISOString(),
+      agentName: agentName || undefined,
+      extension: extension || undefined,
+      ...(report === 'queue-report' && {
+        queue: formData.get('queue') || undefined,
+        serviceLevel: formData.get('serviceLevel') || undefined
+      }),
+      ...(report === 'agent-report' && comparisonRange(formData, timeZone))
     });
     
-    if (agentName) params.append('agentName', agentName);
-    if (extension) params.append('extension', extension);
-    
-    const response = await axios.get(`/api/agent-report?${params.toString()}`);
-    
-    hideLoading();
-    displaySimplifiedAgentReport(response.data);
+    followReportJob(response.data.job);
     
   } catch (error) {
     hideLoading();
@@ -605,11 +1005,170 @@ form.addEventListener('submit', async (e) => {
   }
 });
 
+// --- Live wallboard ------------------------------------
+// /api/agents/live sends a snapshot of every agent's state, then one event per
+// state change; the "In State For" column is recomputed every second locally.
+const WALLBOARD_RETRY_DELAY = 5000;
+
+const liveAgents = new Map(); // agent id → { agentName, extension, state, since }
+let liveStates = new Map();
+let liveSource = null;
+let liveTimeZone = DEFAULT_TIMEZONE;
+let liveTicker = null;
+let liveRetryTimer = null;
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[ch]));
+}
+
+/**
+ * Redraw the wallboard table
+ */
+function renderWallboard() {
+  const body = document.getElementById('wallboardBody');
+  const agents = [...liveAgents.values()].sort((a, b) => a.agentName.localeCompare(b.agentName));
+
+  if (agents.length === 0) {
+    body.innerHTML = '<tr><td colspan="5">No recent agent activity</td></tr>';
+    return;
+  }
+
+  body.innerHTML = agents.map(agent => {
+    const seconds = Math.max(0, Math.floor((Date.now() - Date.parse(agent.since)) / 1000));
+    const entry = liveStates.get(agent.state);
+    const swatch = entry ? `<span class="state-swatch" style="background: ${escapeHtml(entry.color)}"></span>` : '';
+    return `
+      <tr>
+        <td>${escapeHtml(agent.agentName)}</td>
+        <td>${escapeHtml(agent.extension)}</td>
+        <td>${swatch}<strong>${escapeHtml(entry?.displayName || agent.state || 'Unknown')}</strong></td>
+        <td>${formatDurationToHHMMSS(seconds)}</td>
+        <td>${formatTime(agent.since, liveTimeZone)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function setWallboardStatus(text, tagClass) {
+  const status = document.getElementById('wallboardStatus');
+  status.textContent = text;
+  status.className = `tag ${tagClass}`;
+}
+
+/**
+ * Open the live stream for a tenant
+ * @param {string} tenant - Tenant name
+ */
+function connectWallboard(tenant) {
+  liveSource?.close();
+  clearTimeout(liveRetryTimer);
+  setWallboardStatus('Connecting...', 'is-light');
+
+  liveSource = new EventSource(`/api/agents/live?tenant=${encodeURIComponent(tenant)}`);
+
+  liveSource.addEventListener('snapshot', (e) => {
+    const data = JSON.parse(e.data);
+    liveTimeZone = data.timeZone || DEFAULT_TIMEZONE;
+    liveStates = indexStates(data.states);
+    liveAgents.clear();
+    data.agents.forEach(agent => liveAgents.set(agent.id, agent));
+    setWallboardStatus('Live', 'is-success');
+    renderWallboard();
+  });
+
+  liveSource.addEventListener('transition', (e) => {
+    const agent = JSON.parse(e.data);
+    liveAgents.set(agent.id, agent);
+    setWallboardStatus('Live', 'is-success');
+    renderWallboard();
+  });
+
+  liveSource.addEventListener('feed-error', (e) => {
+    setWallboardStatus(JSON.parse(e.data).error, 'is-warning');
+  });
+
+  liveSource.onerror = () => {
+    // The browser retries a dropped stream by itself, but gives up for good
+    // when the server answers with an error; start over in that case
+    if (liveSource.readyState === EventSource.CLOSED) {
+      setWallboardStatus('Disconnected, retrying...', 'is-danger');
+      liveRetryTimer = setTimeout(() => connectWallboard(tenant), WALLBOARD_RETRY_DELAY);
+    } else {
+      setWallboardStatus('Reconnecting...', 'is-warning');
+    }
+  };
+}
+
+/**
+ * Show the wallboard for the tenant picked in the form
+ */
+function openWallboard() {
+  const tenantSelect = document.getElementById('tenant');
+  const tenant = tenantSelect?.value;
+  if (!tenant) {
+    showError('Select a tenant first');
+    return;
+  }
+
+  hideError();
+  document.getElementById('wallboardTenant').textContent = `(${tenantSelect.selectedOptions[0].textContent})`;
+  document.getElementById('wallboard').style.display = 'block';
+  liveAgents.clear();
+  renderWallboard();
+  connectWallboard(tenant);
+
+  clearInterval(liveTicker);
+  liveTicker = setInterval(renderWallboard, 1000);
+}
+
+/**
+ * Hide the wallboard and close the stream
+ */
+function closeWallboard() {
+  liveSource?.close();
+  liveSource = null;
+  clearTimeout(liveRetryTimer);
+  clearInterval(liveTicker);
+  document.getElementById('wallboard').style.display = 'none';
+}
+
+const wallboardBtn = document.getElementById('wallboardBtn');
+if (wallboardBtn) {
+  wallboardBtn.addEventListener('click', openWallboard);
+}
+
+const closeWallboardBtn = document.getElementById('closeWallboardBtn');
+if (closeWallboardBtn) {
+  closeWallboardBtn.addEventListener('click', closeWallboard);
+}
+// -------------------------------------------------------
+
+// Cancel button in the progress box
+const cancelReportBtn = document.getElementById('cancelReportBtn');
+if (cancelReportBtn) {
+  cancelReportBtn.addEventListener('click', cancelReportJob);
+}
+
+resumeReportJob();
+
 // CSV Export button
 if (csvBtn) {
   csvBtn.addEventListener('click', exportToCSV);
 }
 
+if (xlsxBtn) {
+  xlsxBtn.addEventListener('click', exportToXLSX);
+}
+
+if (pdfBtn) {
+  pdfBtn.addEventListener('click', exportToPDF);
+}
+
 // Filter inputs - use correct element IDs from HTML
 const nameFilter = document.getElementById('nameFilter');
 const extFilter = document.getElementById('extFilter');
@@ -622,6 +1181,86 @@ if (extFilter) {
   extFilter.addEventListener('input', applyFilters);
 }
 
+// Queue and service level inputs only apply to the queue report, comparisons to the agent report
+const reportTypeSelect = document.getElementById('reportType');
+const compareWithSelect = document.getElementById('compareWith');
+
+function updateReportOptions() {
+  const queueReport = reportTypeSelect?.value === 'queue-report';
+  document.querySelectorAll('.queue-option').forEach(field => {
+    field.style.display = queueReport ? '' : 'none';
+  });
+  document.querySelectorAll('.agent-option').forEach(field => {
+    field.style.display = queueReport ? 'none' : '';
+  });
+  document.querySelectorAll('.compare-custom').forEach(field => {
+    field.style.display = !queueReport && compareWithSelect?.value === 'custom' ? '' : 'none';
+  });
+}
+
+if (reportTypeSelect) reportTypeSelect.addEventListener('change', updateReportOptions);
+if (compareWithSelect) compareWithSelect.addEventListener('change', updateReportOptions);
+
+// Show admin-only navigation for admins, and scheduled reports for admins and supervisors
+axios.get('/api/auth/check')
+  .then(response => {
+    const adminLink = document.getElementById('adminLink');
+    if (adminLink && response.data.user?.role === 'admin') {
+      adminLink.style.display = '';
+    }
+    const schedulesLink = document.getElementById('schedulesLink');
+    if (schedulesLink && response.data.user?.role !== 'agent') {
+      schedulesLink.style.display = '';
+    }
+    // Queue calls are not limited to an agent's own extension
+    if (response.data.user?.role === 'agent') {
+      document.querySelector('#reportType option[value="queue-report"]')?.remove();
+    }
+  })
+  .catch(() => { /* navigation extras are optional */ });
+
+/**
+ * Fill the tenant picker with the tenants assigned to the logged-in user
+ */
+async function loadTenants() {
+  const tenantSelect = document.getElementById('tenant');
+  if (!tenantSelect) return;
+
+  try {
+    const response = await axios.get('/api/tenants/mine');
+    const tenants = response.data.tenants || [];
+    tenantSelect.innerHTML = '';
+
+    if (tenants.length === 0) {
+      tenantSelect.innerHTML = '<option value="">No tenants assigned</option>';
+      showError('No tenants are assigned to your account. Ask an administrator for access.');
+      return;
+    }
+
+    tenants.forEach(tenant => {
+      const option = document.createElement('option');
+      option.value = tenant.name;
+      option.textContent = tenant.display_name || tenant.name;
+      option.dataset.timezone = tenant.timezone;
+      tenantSelect.appendChild(option);
+    });
+    
+    // Defaults were filled in before the tenant (and its timezone) was known
+    setDefaultTimes();
+  } catch (error) {
+    console.error('❌ Error loading tenants:', error);
+    tenantSelect.innerHTML = '<option value="">Unavailable</option>';
+  }
+}
+
+loadTenants();
+
+// Logout button
+const logoutBtn = document.getElementById('logoutBtn');
+if (logoutBtn) {
+  logoutBtn.addEventListener('click', logout);
+}
+
 // New Report button
 const newReportBtn = document.getElementById('newReportBtn');
 if (newReportBtn) {
@@ -641,7 +1280,8 @@ if (newReportBtn) {
     const form = document.getElementById('filterForm');
     if (form) {
       form.reset();
-      setDefaultDubaiTimes();
+      setDefaultTimes();
+      updateReportOptions();
     }
     
     hideError();
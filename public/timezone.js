@@ -0,0 +1,246 @@
+// public/timezone.js - Timezone helpers shared by the server and the browser
+//
+// Plain ES module without dependencies: the server imports it from
+// ./public/timezone.js and the report page loads it as /timezone.js.
+// Every conversion goes through Intl with IANA zone names, so zones with
+// half-hour offsets or daylight saving time work the same as Asia/Dubai.
+
+export const DEFAULT_TIMEZONE = 'Asia/Dubai';
+
+// Intl formatters are expensive to build, keep one per zone
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check a zone name against the runtime's IANA database
+ * @param {string} timeZone - e.g. "Asia/Dubai", "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalise a timestamp to a Date
+ * @param {number|string|Date} timestamp - Unix seconds, milliseconds, ISO string or Date
+ * @returns {Date|null} - null when the value cannot be parsed
+ */
+export function toDate(timestamp) {
+  if (timestamp === null || timestamp === undefined || timestamp === '') return null;
+
+  let date;
+  if (timestamp instanceof Date) {
+    date = timestamp;
+  } else if (typeof timestamp === 'number') {
+    // Up to 10 digits is Unix seconds, anything longer is already milliseconds
+    date = new Date(Math.abs(timestamp).toString().length <= 10 ? timestamp * 1000 : timestamp);
+  } else {
+    date = new Date(timestamp);
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Wall-clock fields of an instant in a zone
+ * @param {number|string|Date} timestamp - Instant to convert
+ * @param {string} timeZone - IANA zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}|null}
+ */
+export function getZonedParts(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  if (!date) return null;
+
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset of a zone from UTC at a given instant
+ * @param {number|string|Date} timestamp - Instant (the offset changes across DST)
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  const p = getZonedParts(date, timeZone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * Convert wall-clock fields in a zone to the matching instant
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(asUtc, timeZone);
+  let utc = asUtc - offset;
+
+  // The guess can land on the other side of a DST change; re-check once
+  const corrected = getTimeZoneOffset(utc, timeZone);
+  if (corrected !== offset) utc = asUtc - corrected;
+  return new Date(utc);
+}
+
+/**
+ * Parse user input as wall-clock time in a zone.
+ * Accepts "YYYY-MM-DDTHH:MM[:SS]" (datetime-local inputs) and "DD/MM/YYYY, HH:MM[ AM/PM]".
+ * Strings that carry their own offset or "Z" are parsed as-is.
+ *
+ * @param {string|Date} value - Input to parse
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date|null}
+ */
+export function parseZonedDateTime(value, timeZone = DEFAULT_TIMEZONE) {
+  if (!value) return null;
+  if (value instanceof Date) return toDate(value);
+
+  const text = String(value).trim();
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (iso) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = iso;
+    return zonedTimeToUtc({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, timeZone);
+  }
+
+  const local = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([APap][Mm])?)?$/);
+  if (local) {
+    const [, day, month, year, rawHour = 0, minute = 0, second = 0, ampm] = local;
+    let hour = Number(rawHour);
+    if (ampm?.toUpperCase() === 'PM' && hour < 12) hour += 12;
+    if (ampm?.toUpperCase() === 'AM' && hour === 12) hour = 0;
+    return zonedTimeToUtc({ year: +year, month: +month, day: +day, hour, minute: +minute, second: +second }, timeZone);
+  }
+
+  return toDate(text);
+}
+
+/**
+ * Format as "DD/MM/YYYY, HH:MM:SS AM" in a zone
+ * @param {number|string|Date} timestamp - Instant to format
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+export function formatDateTime(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  if (!date) return '';
+
+  return date.toLocaleString('en-AE', {
+    timeZone,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+/**
+ * Format as "DD/MM/YYYY" in a zone
+ * @param {number|string|Date} timestamp - Instant to format
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+export function formatDate(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  if (!date) return '';
+
+  return date.toLocaleDateString('en-AE', {
+    timeZone,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+}
+
+/**
+ * Format as "HH:MM AM" in a zone
+ * @param {number|string|Date} timestamp - Instant to format
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+export function formatTime(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  if (!date) return '';
+
+  return date.toLocaleString('en-AE', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Calendar date of an instant in a zone, as "YYYY-MM-DD" (sorts as a string)
+ * @param {number|string|Date} timestamp - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+export function getZonedDateKey(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(timestamp, timeZone);
+  return p ? `${p.year}-${pad(p.month)}-${pad(p.day)}` : '';
+}
+
+/**
+ * Value for a datetime-local input showing an instant in a zone ("YYYY-MM-DDTHH:MM")
+ * @param {number|string|Date} timestamp - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+export function toDateTimeInputValue(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(timestamp, timeZone);
+  return p ? `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}` : '';
+}
+
+/**
+ * The next top of the hour in a zone (for zones with :30/:45 offsets this is
+ * not a UTC hour mark)
+ * @param {number|string|Date} timestamp - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+export function startOfNextHour(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(timestamp);
+  const p = getZonedParts(date, timeZone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return new Date(wholeSeconds - (p.minute * 60 + p.second) * 1000 + 60 * 60 * 1000);
+}
@@ -0,0 +1,193 @@
+// queueReport.js - Queue performance: offered, answered and abandoned calls,
+// service level, average speed of answer (ASA) and longest wait, per queue and
+// per slot.
+//
+// The portal's queue stats are totals for a whole range, and service level can
+// only be worked out for an arbitrary threshold from each call's wait, so the
+// report pages through the queue call records of the same callcenter report
+// family (QUEUE_CALLS_ENDPOINT) and counts every call in the slot it entered
+// the queue, like the slot-wise agent report does with CDRs.
+import { formatDateTime } from './public/timezone.js';
+import { fetchReportPages, pick, toMillis } from './cdrFetcher.js';
+import {
+  createProgressTracker,
+  generateSlotWiseTimeSlots,
+  parseDateTimeString,
+  resolveReportTimeZone
+} from './agentEvents.js';
+import { createLogger } from './logger.js';
+
+const DEFAULT_SERVICE_LEVEL = Number(process.env.SERVICE_LEVEL_THRESHOLD) || 20; // seconds
+const logger = createLogger({ component: 'queueReport' });
+
+/**
+ * Reduce a raw queue call record to the fields the report needs.
+ * Field names differ between portal versions; the first one present wins.
+ * @param {Object} record - Queue call as returned by the portal
+ * @returns {Object|null} - { queue, entered, waitSeconds, answered, abandoned } with entered in ms,
+ *   or null without a queue or entry time
+ */
+function normalizeQueueCall(record) {
+  const queue = pick(record, 'queue_name', 'queue', 'queueName', 'queue_id');
+  const entered = toMillis(pick(record, 'enter_time', 'enterTime', 'start_time', 'startTime', 'Timestamp'));
+  if (queue === null || entered === null) return null;
+
+  const answerTime = toMillis(pick(record, 'answer_time', 'answerTime', 'connect_time'));
+  const status = String(pick(record, 'status', 'disposition', 'call_status') || '').toUpperCase();
+  const answered = answerTime !== null || ['ANSWERED', 'CONNECTED', 'COMPLETED'].includes(status);
+  const abandoned = !answered && ['ABANDONED', 'ABANDON', 'NO ANSWER', 'TIMEOUT', 'EXITWITHTIMEOUT'].includes(status);
+
+  const wait = pick(record, 'wait_time', 'waitTime', 'hold_time_in_queue', 'queue_time');
+  let waitSeconds = wait === null ? NaN : Number(wait);
+  if (!Number.isFinite(waitSeconds)) {
+    const leftAt = answerTime ?? toMillis(pick(record, 'end_time', 'endTime', 'exit_time'));
+    waitSeconds = leftAt !== null ? Math.max(0, (leftAt - entered) / 1000) : 0;
+  }
+
+  return { queue: String(queue), entered, waitSeconds, answered, abandoned };
+}
+
+/**
+ * Fetch all queue calls that entered a queue in a range, following next_start_key.
+ * @param {string} tenant - Tenant name
+ * @param {Object} opts
+ * @param {number} opts.startDate - Range start (ms)
+ * @param {number} opts.endDate - Range end (ms)
+ * @param {Function} [opts.onPage] - Called with each page of records
+ * @param {AbortSignal} [opts.signal] - Stops paging
+ * @returns {Promise<object[]>} - Raw records as the portal returned them
+ */
+function fetchQueueCalls(tenant, { startDate, endDate, onPage, signal } = {}) {
+  return fetchReportPages(tenant, {
+    path: process.env.QUEUE_CALLS_ENDPOINT || '/api/v2/reports/callcenter/queues/calls',
+    recordsKey: 'calls',
+    label: 'Queue calls',
+    startDate,
+    endDate,
+    onPage,
+    signal,
+    log: logger
+  });
+}
+
+/**
+ * Queue metrics for a set of calls
+ * @param {Array<Object>} calls - Normalised queue calls
+ * @param {number} serviceLevel - Threshold in seconds
+ * @returns {Object} - { offered, answered, abandoned, answeredWithinThreshold, serviceLevel, abandonRate, asa, longestWait }
+ */
+function queueMetrics(calls, serviceLevel) {
+  const answered = calls.filter(call => call.answered);
+  const abandoned = calls.filter(call => call.abandoned).length;
+  const answeredWithinThreshold = answered.filter(call => call.waitSeconds <= serviceLevel).length;
+  const totalAnswerWait = answered.reduce((sum, call) => sum + call.waitSeconds, 0);
+  const longestWait = calls.reduce((max, call) => Math.max(max, call.waitSeconds), 0);
+  const rate = count => (calls.length > 0 ? ((count / calls.length) * 100).toFixed(1) : null);
+
+  return {
+    offered: calls.length,
+    answered: answered.length,
+    abandoned,
+    answeredWithinThreshold,
+    serviceLevel: rate(answeredWithinThreshold),
+    abandonRate: rate(abandoned),
+    asa: formatSeconds(answered.length > 0 ? totalAnswerWait / answered.length : 0),
+    longestWait: formatSeconds(longestWait)
+  };
+}
+
+function formatSeconds(seconds) {
+  const total = Math.round(seconds);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * Service level threshold from a query string or job body
+ * @returns {number|null} - Seconds, or null when the value is not a whole number of seconds
+ */
+function parseServiceLevel(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_SERVICE_LEVEL;
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds > 0 && seconds <= 3600 ? seconds : null;
+}
+
+/**
+ * Generate the queue report
+ * @param {string} tenant - Tenant name
+ * @param {string} startDateTime - Range start, wall-clock time in the tenant's zone unless it has an offset
+ * @param {string} endDateTime - Range end
+ * @param {string} queue - Only this queue (optional)
+ * @param {Object} options - Report options (timeZone, onProgress, signal) plus the slot
+ *   settings of the slot-wise report (interval, boundaries) and serviceLevel (seconds)
+ * @returns {Promise<Object>} - { success, summary, queues, timeSlots, timestamp }
+ */
+async function generateQueueReport(tenant, startDateTime, endDateTime, queue = null, options = {}) {
+  const { interval = 60, boundaries = null, serviceLevel = DEFAULT_SERVICE_LEVEL } = options;
+  logger.info(`Generating queue report for ${startDateTime} to ${endDateTime}`, { tenant, queue });
+
+  const timeZone = await resolveReportTimeZone(tenant, options);
+  const startTime = parseDateTimeString(startDateTime, timeZone);
+  const endTime = parseDateTimeString(endDateTime, timeZone);
+  const timeSlots = generateSlotWiseTimeSlots(startTime, endTime, timeZone, { interval, boundaries });
+  const progress = createProgressTracker(options.onProgress, startTime, endTime);
+
+  progress.stage('fetching');
+  const records = await fetchQueueCalls(tenant, {
+    startDate: startTime.getTime(),
+    endDate: endTime.getTime(),
+    signal: options.signal,
+    onPage: () => progress.pageFetched()
+  });
+
+  progress.stage('processing', { percent: 100 });
+  const calls = records
+    .map(normalizeQueueCall)
+    .filter(call => call && call.entered >= startTime.getTime() && call.entered < endTime.getTime())
+    .filter(call => !queue || call.queue === String(queue));
+
+  const byQueue = new Map();
+  calls.forEach(call => {
+    if (!byQueue.has(call.queue)) byQueue.set(call.queue, []);
+    byQueue.get(call.queue).push(call);
+  });
+
+  const inSlot = (slot, list) => list.filter(call => call.entered >= slot.start.getTime() && call.entered < slot.end.getTime());
+  const queues = [...byQueue.keys()].sort().map(name => ({
+    queue: name,
+    ...queueMetrics(byQueue.get(name), serviceLevel),
+    slots: timeSlots.map(slot => ({
+      timeSlot: slot.label,
+      slotNumber: slot.slotNumber,
+      ...queueMetrics(inSlot(slot, byQueue.get(name)), serviceLevel)
+    }))
+  }));
+
+  logger.info(`Generated queue report for ${queues.length} queues from ${calls.length} calls`, { tenant });
+  return {
+    success: true,
+    summary: {
+      totalQueues: queues.length,
+      ...queueMetrics(calls, serviceLevel),
+      serviceLevelThreshold: serviceLevel,
+      slotInterval: boundaries ? 'shift' : interval,
+      slotBreakdown: timeSlots.map(slot => ({
+        slotNumber: slot.slotNumber,
+        timeRange: slot.label,
+        ...queueMetrics(inSlot(slot, calls), serviceLevel)
+      })),
+      timeRange: {
+        start: startDateTime,
+        end: endDateTime,
+        startFormatted: formatDateTime(startTime, timeZone),
+        endFormatted: formatDateTime(endTime, timeZone),
+        timeZone
+      }
+    },
+    queues,
+    timeSlots: timeSlots.map(slot => slot.label),
+    timestamp: formatDateTime(new Date(), timeZone)
+  };
+}
+
+export { DEFAULT_SERVICE_LEVEL, fetchQueueCalls, normalizeQueueCall, parseServiceLevel, queueMetrics, generateQueueReport };
@@ -0,0 +1,193 @@
+// reportCache.js - In-process cache for generated reports
+//
+// Results are keyed on the report type, tenant, time range, filters, timezone, KPI
+// formulas and the caller's extension scope, so two users only share an entry when
+// they would have received the same rows. A tenant's entries are dropped when its
+// state catalogue changes (see stateCatalogue.js). Ranges that ended more than REPORT_CACHE_SETTLE ago
+// no longer change and are kept for REPORT_CACHE_TTL; ranges reaching "now" are
+// kept for REPORT_CACHE_LIVE_TTL only.
+
+import crypto from 'crypto';
+import ms from 'ms';
+import { DEFAULT_TIMEZONE, parseZonedDateTime } from './public/timezone.js';
+
+const PAST_TTL = ms(process.env.REPORT_CACHE_TTL || '24h');
+const LIVE_TTL = ms(process.env.REPORT_CACHE_LIVE_TTL || '1m');
+const SETTLE_WINDOW = ms(process.env.REPORT_CACHE_SETTLE || '5m'); // late events can still arrive this long after the range ends
+const MAX_ENTRIES = Number(process.env.REPORT_CACHE_MAX_ENTRIES) || 100;
+
+// key → { value, tenant, expiresAt }; Map order doubles as LRU order
+const entries = new Map();
+// key → { promise, controller, waiting, listeners }, so identical concurrent
+// requests share one generation; it is aborted once every waiting caller has cancelled
+const inflight = new Map();
+
+/**
+ * Normalise report parameters into a deterministic cache key
+ * @param {string} report - Report type, e.g. "agent-report"
+ * @param {Object} params - { tenant, startDateTime, endDateTime, agentName, extension, timeZone, allowedExtensions,
+ *   kpiFormulas, interval, boundaries, queue, serviceLevel, compareStartDateTime, compareEndDateTime }
+ * @returns {string}
+ */
+function buildReportCacheKey(report, params) {
+  const timeZone = params.timeZone || DEFAULT_TIMEZONE;
+  const instant = value => {
+    const date = parseZonedDateTime(value, timeZone);
+    return date ? date.toISOString() : String(value);
+  };
+
+  const normalized = {
+    start: instant(params.startDateTime),
+    end: instant(params.endDateTime),
+    agentName: (params.agentName || '').trim().toLowerCase(),
+    extension: String(params.extension || '').trim(),
+    queue: String(params.queue || '').trim(),
+    serviceLevel: params.serviceLevel || null,
+    compare: params.compareStartDateTime ? [instant(params.compareStartDateTime), instant(params.compareEndDateTime)] : null,
+    timeZone,
+    kpiFormulas: params.kpiFormulas || null,
+    slots: params.boundaries ? params.boundaries.join(',') : (params.interval || null),
+    scope: params.allowedExtensions ? [...params.allowedExtensions].map(String).sort() : 'all'
+  };
+  const digest = crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 32);
+  return `${report}:${params.tenant}:${digest}`;
+}
+
+/**
+ * How long a result may be served for a range ending at endDateTime
+ */
+function ttlForRange(endDateTime, timeZone) {
+  const end = parseZonedDateTime(endDateTime, timeZone || DEFAULT_TIMEZONE);
+  if (!end) return LIVE_TTL;
+  return end.getTime() < Date.now() - SETTLE_WINDOW ? PAST_TTL : LIVE_TTL;
+}
+
+/**
+ * Upstream fetch errors surface as reports without rows, so only results that
+ * succeeded and contain rows are cached
+ */
+function hasReportRows(result) {
+  if (!result || result.success === false) return false;
+  const rows = result.agents || result.queues || result.reportData || [];
+  return rows.length > 0;
+}
+
+function store(key, tenant, value, ttl) {
+  entries.delete(key);
+  entries.set(key, { value: structuredClone(value), tenant, expiresAt: Date.now() + ttl });
+
+  // Evict the least recently used entries
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Serve a report from the cache or generate it.
+ *
+ * @param {string} report - Report type, part of the key
+ * @param {Object} params - Key parameters, see buildReportCacheKey
+ * @param {Function} generate - async ({ signal, onProgress }) => report result; the signal and
+ *   progress belong to the shared generation, not to any one caller
+ * @param {Object} options
+ * @param {boolean} options.refresh - Skip the cached entry and store a fresh result
+ * @param {Function} options.cacheable - result => whether it may be stored (default: has rows)
+ * @param {AbortSignal} options.signal - Stops this caller waiting; the generation only stops when no caller is left
+ * @param {Function} options.onProgress - Receives the shared generation's progress
+ * @returns {Promise<{value: Object, status: 'HIT'|'MISS'|'REFRESH'}>} - value is a private copy the caller may modify
+ */
+async function getOrCreateReport(report, params, generate, { refresh = false, cacheable = hasReportRows, signal = null, onProgress = null } = {}) {
+  const key = buildReportCacheKey(report, params);
+
+  if (!refresh) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move to the back so it is evicted last
+      entries.delete(key);
+      entries.set(key, entry);
+      return { value: structuredClone(entry.value), status: 'HIT' };
+    }
+    entries.delete(key);
+  }
+
+  signal?.throwIfAborted();
+  let shared = inflight.get(key);
+  if (!shared) {
+    const controller = new AbortController();
+    const listeners = new Set();
+    const promise = (async () => {
+      // Start on the next tick so this caller is listening before any progress is reported
+      await null;
+      const value = await generate({
+        signal: controller.signal,
+        onProgress: progress => listeners.forEach(listener => listener(progress))
+      });
+      if (cacheable(value)) {
+        store(key, params.tenant, value, ttlForRange(params.endDateTime, params.timeZone));
+      }
+      return value;
+    })().finally(() => {
+      if (inflight.get(key) === shared) inflight.delete(key);
+    });
+    shared = { promise, controller, waiting: 0, listeners };
+    inflight.set(key, shared);
+  }
+
+  const value = await waitForGeneration(key, shared, signal, onProgress);
+  return { value: structuredClone(value), status: refresh ? 'REFRESH' : 'MISS' };
+}
+
+/**
+ * Wait for a shared generation on behalf of one caller. When the caller's
+ * signal aborts it stops waiting, and the last caller to leave aborts the work.
+ */
+function waitForGeneration(key, shared, signal, onProgress) {
+  shared.waiting++;
+  if (onProgress) shared.listeners.add(onProgress);
+
+  return new Promise((resolve, reject) => {
+    let left = false;
+    const leave = () => {
+      if (left) return false;
+      left = true;
+      signal?.removeEventListener('abort', onAbort);
+      shared.listeners.delete(onProgress);
+      shared.waiting--;
+      return true;
+    };
+    const onAbort = () => {
+      if (!leave()) return;
+      if (shared.waiting === 0) {
+        // Later callers must not join a generation that is being aborted
+        if (inflight.get(key) === shared) inflight.delete(key);
+        shared.controller.abort(signal.reason);
+      }
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      value => leave() && resolve(value),
+      error => leave() && reject(error)
+    );
+  });
+}
+
+/**
+ * Drop cached reports
+ * @param {Object} filter
+ * @param {string} filter.tenant - Only this tenant's reports (default: everything)
+ * @returns {number} - Number of entries removed
+ */
+function invalidateReportCache({ tenant } = {}) {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (!tenant || entry.tenant === tenant) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export { buildReportCacheKey, getOrCreateReport, invalidateReportCache };
@@ -0,0 +1,157 @@
+// reportComparison.js - The agent report for one range compared with another
+//
+// Managers ask whether today was better than last Monday, or this shift better
+// than the one before. The agent report is generated for both periods and the
+// agents are lined up by extension, so each one gets the change in calls,
+// answer rate, AHT and not-available time. Agents seen in only one period are
+// marked as such instead of being compared against zeros.
+import { generateSimplifiedAgentReport } from './agentEvents.js';
+import { createLogger } from './logger.js';
+
+const COMPARED_METRICS = ['totalCalls', 'answerRate', 'ahtSeconds', 'notAvailableSeconds'];
+const logger = createLogger({ component: 'reportComparison' });
+
+/**
+ * Seconds in an "HH:MM:SS" duration
+ */
+function durationSeconds(value) {
+  const [hours = 0, minutes = 0, seconds = 0] = String(value || '').split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds || 0;
+}
+
+function answerRate(answered, totalCalls) {
+  return totalCalls > 0 ? Number(((answered / totalCalls) * 100).toFixed(1)) : null;
+}
+
+/**
+ * The compared metrics of one agent row
+ */
+function agentMetrics(agent) {
+  return {
+    totalCalls: agent.totalCalls,
+    answerRate: answerRate(agent.answered, agent.totalCalls),
+    ahtSeconds: durationSeconds(agent.aht),
+    notAvailableSeconds: durationSeconds(agent.totalNotAvailableTime)
+  };
+}
+
+/**
+ * The compared metrics of a whole period; AHT is weighted by answered calls
+ */
+function periodMetrics(agents) {
+  const totalCalls = agents.reduce((sum, agent) => sum + agent.totalCalls, 0);
+  const answered = agents.reduce((sum, agent) => sum + agent.answered, 0);
+  const handledSeconds = agents.reduce((sum, agent) => sum + durationSeconds(agent.aht) * agent.answered, 0);
+
+  return {
+    totalCalls,
+    answerRate: answerRate(answered, totalCalls),
+    ahtSeconds: answered > 0 ? Math.round(handledSeconds / answered) : 0,
+    notAvailableSeconds: agents.reduce((sum, agent) => sum + durationSeconds(agent.totalNotAvailableTime), 0)
+  };
+}
+
+/**
+ * Current minus previous for each metric; answer rate changes are in percentage points.
+ * A delta is null when either side has no value (an answer rate without calls).
+ */
+function metricDeltas(current, previous) {
+  return Object.fromEntries(COMPARED_METRICS.map(metric => [
+    metric,
+    current[metric] === null || previous[metric] === null ? null : Number((current[metric] - previous[metric]).toFixed(1))
+  ]));
+}
+
+/**
+ * Merge two agent reports into the current one with comparison data
+ * @param {Object} current - Agent report for the range asked for
+ * @param {Object} previous - Agent report for the comparison range
+ * @returns {Object} - The current report; each agent has `comparison`
+ *   ({ presence: 'both' | 'current-only', current, previous, deltas }), agents seen only
+ *   in the comparison range are listed in `previousOnlyAgents`, and the summary has
+ *   `comparison` with both periods' totals and their deltas
+ */
+function compareAgentReports(current, previous) {
+  const previousByExtension = new Map(previous.agents.map(agent => [String(agent.extension), agent]));
+  const currentExtensions = new Set(current.agents.map(agent => String(agent.extension)));
+
+  const agents = current.agents.map(agent => {
+    const metrics = agentMetrics(agent);
+    const before = previousByExtension.get(String(agent.extension));
+    if (!before) {
+      return { ...agent, comparison: { presence: 'current-only', current: metrics, previous: null, deltas: null } };
+    }
+    const previousMetrics = agentMetrics(before);
+    return {
+      ...agent,
+      comparison: { presence: 'both', current: metrics, previous: previousMetrics, deltas: metricDeltas(metrics, previousMetrics) }
+    };
+  });
+
+  const previousOnlyAgents = previous.agents
+    .filter(agent => !currentExtensions.has(String(agent.extension)))
+    .map(agent => ({
+      agentName: agent.agentName,
+      extension: agent.extension,
+      comparison: { presence: 'previous-only', current: null, previous: agentMetrics(agent), deltas: null }
+    }));
+
+  const currentTotals = periodMetrics(current.agents);
+  const previousTotals = periodMetrics(previous.agents);
+
+  return {
+    ...current,
+    summary: {
+      ...current.summary,
+      comparison: {
+        timeRange: previous.summary.timeRange,
+        current: currentTotals,
+        previous: previousTotals,
+        deltas: metricDeltas(currentTotals, previousTotals),
+        agentsInBoth: agents.filter(agent => agent.comparison.presence === 'both').length,
+        currentOnly: agents.filter(agent => agent.comparison.presence === 'current-only').length,
+        previousOnly: previousOnlyAgents.length
+      }
+    },
+    agents,
+    previousOnlyAgents
+  };
+}
+
+/**
+ * Generate the agent report for a range and a comparison range
+ * @param {string} tenant - Tenant name
+ * @param {string} startDateTime - Range start
+ * @param {string} endDateTime - Range end
+ * @param {string} compareStartDateTime - Comparison range start
+ * @param {string} compareEndDateTime - Comparison range end
+ * @param {string} agentName - Filter by agent name (optional)
+ * @param {string} extension - Filter by extension (optional)
+ * @param {Object} options - Report options, as for generateSimplifiedAgentReport. Progress
+ *   runs to 50% for the first period and on to 100% for the second.
+ * @returns {Promise<Object>} - See compareAgentReports; a failed period's report as is
+ */
+async function generateAgentComparisonReport(tenant, startDateTime, endDateTime, compareStartDateTime, compareEndDateTime, agentName = null, extension = null, options = {}) {
+  let pagesBefore = 0;
+  const halfway = offset => options.onProgress && (progress => {
+    if (offset === 0) pagesBefore = progress.pagesFetched;
+    options.onProgress({
+      ...progress,
+      percent: offset + Math.round(progress.percent / 2),
+      pagesFetched: progress.pagesFetched + (offset === 0 ? 0 : pagesBefore)
+    });
+  });
+
+  const current = await generateSimplifiedAgentReport(tenant, startDateTime, endDateTime, agentName, extension, { ...options, onProgress: halfway(0) });
+  if (!current.success) return current;
+
+  logger.info(`Comparing with ${compareStartDateTime} to ${compareEndDateTime}`, { tenant });
+  const previous = await generateSimplifiedAgentReport(tenant, compareStartDateTime, compareEndDateTime, agentName, extension, { ...options, onProgress: halfway(50) });
+  if (!previous.success) {
+    return { ...previous, error: `Comparison range: ${previous.error}` };
+  }
+
+  return compareAgentReports(current, previous);
+}
+
+export { compareAgentReports, generateAgentComparisonReport };
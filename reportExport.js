@@ -0,0 +1,402 @@
+// reportExport.js - One export pipeline for the agent, slot-wise and queue reports
+//
+// The columns of every export are defined here once, so the CSV a script
+// fetches with ?format=csv, the CSV and PDF downloaded from the report page and
+// the Excel workbook all carry the same columns in the same order.
+//
+// Formats:
+//   csv     RFC 4180 (quoted where needed, CRLF line ends), streamed row by row
+//   json    { meta, columns, rows } with numbers as numbers and times as ISO 8601
+//   ndjson  one JSON object per row, streamed
+//   pdf     printable table under the report page's header block
+import { Readable } from 'stream';
+import { formatDateTime, getZonedDateKey, parseZonedDateTime, toDate } from './public/timezone.js';
+import { buildPdf } from './pdf.js';
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const KPI_COLUMNS = [
+  { key: 'occupancy', header: 'Occupancy %', type: 'percent', value: row => row.kpis?.occupancy },
+  { key: 'utilization', header: 'Utilization %', type: 'percent', value: row => row.kpis?.utilization },
+  { key: 'shrinkage', header: 'Shrinkage %', type: 'percent', value: row => row.kpis?.shrinkage }
+];
+
+/**
+ * "HH:MM:SS" for a number of seconds
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * State blocks as one line of text, as the report page shows them:
+ * "Lunch: 12:00:05 - 12:31:40 (00:31:35); ...". Rows without a block list
+ * (agents seen only in a comparison range) get an empty cell.
+ */
+function stateBlocksText(blocks, { stateNames }) {
+  if (!blocks) return '';
+  if (blocks.length === 0) return 'No custom states';
+  return blocks.map(block => {
+    const duration = block.duration !== null && block.duration !== undefined ? formatDuration(block.duration) : 'CONTINUED';
+    return `${stateNames.get(block.state) || block.state}: ${block.startTime} - ${block.endTime} (${duration})`;
+  }).join('; ');
+}
+
+const AGENT_COLUMNS = [
+  { key: 'agentName', header: 'Agent Name', width: 24 },
+  { key: 'extension', header: 'Extension', width: 12 },
+  { key: 'totalCalls', header: 'Total Calls', type: 'number' },
+  { key: 'answered', header: 'Answered', type: 'number' },
+  { key: 'failed', header: 'Failed', type: 'number' },
+  { key: 'totalWrapUpTime', header: 'Wrap Up Time', type: 'duration' },
+  { key: 'totalNotAvailableTime', header: 'Not Available Time', type: 'duration' },
+  { key: 'totalHoldTime', header: 'Hold Time', type: 'duration' },
+  { key: 'totalOnCallTime', header: 'On Call Time', type: 'duration' },
+  { key: 'aht', header: 'AHT', type: 'duration' },
+  { key: 'loggedInTime', header: 'Logged In Time', type: 'duration' },
+  ...KPI_COLUMNS,
+  { key: 'dataQualityWarnings', header: 'Data Quality Warnings', type: 'number', value: row => row.dataQualityWarnings?.length ?? null },
+  { key: 'agentStates', header: 'Agent States', width: 60, value: (row, context) => stateBlocksText(row.customStates, context) }
+];
+
+// Added to the agent columns when the report compares two ranges
+const COMPARISON_COLUMNS = [
+  { key: 'comparison', header: 'Comparison', width: 12, value: row => row.comparison?.presence },
+  { key: 'callsChange', header: 'Calls Change', type: 'number', value: row => row.comparison?.deltas?.totalCalls },
+  { key: 'answerRateChange', header: 'Answer Rate Change (pp)', type: 'number', value: row => row.comparison?.deltas?.answerRate },
+  { key: 'ahtChange', header: 'AHT Change (s)', type: 'number', value: row => row.comparison?.deltas?.ahtSeconds },
+  { key: 'notAvailableChange', header: 'Not Available Change (s)', type: 'number', value: row => row.comparison?.deltas?.notAvailableSeconds }
+];
+
+const SLOT_COLUMNS = [
+  { key: 'agentName', header: 'Agent Name', width: 24 },
+  { key: 'extension', header: 'Extension', width: 12 },
+  { key: 'slotNumber', header: 'Slot', type: 'number', width: 8 },
+  { key: 'timeSlot', header: 'Time Slot', width: 24 },
+  { key: 'timeSlotStart', header: 'Slot Start', type: 'datetime', width: 20 },
+  { key: 'timeSlotEnd', header: 'Slot End', type: 'datetime', width: 20 },
+  { key: 'totalCalls', header: 'Total Calls', type: 'number' },
+  { key: 'answered', header: 'Answered', type: 'number' },
+  { key: 'failed', header: 'Failed', type: 'number' },
+  { key: 'wrapUpTime', header: 'Wrap Up Time', type: 'duration' },
+  { key: 'holdTime', header: 'Hold Time', type: 'duration' },
+  { key: 'talkTime', header: 'Talk Time', type: 'duration' },
+  { key: 'onCallTime', header: 'On Call Time', type: 'duration' },
+  { key: 'notAvailableTime', header: 'Not Available Time', type: 'duration' },
+  { key: 'aht', header: 'AHT', type: 'duration' },
+  { key: 'loggedInTime', header: 'Logged In Time', type: 'duration' },
+  ...KPI_COLUMNS,
+  { key: 'agentStates', header: 'Agent States', width: 60, value: (row, context) => stateBlocksText(row.customStates, context) }
+];
+
+const QUEUE_COLUMNS = [
+  { key: 'queue', header: 'Queue', width: 20 },
+  { key: 'timeSlot', header: 'Time Slot', width: 24 },
+  { key: 'offered', header: 'Offered', type: 'number' },
+  { key: 'answered', header: 'Answered', type: 'number' },
+  { key: 'abandoned', header: 'Abandoned', type: 'number' },
+  { key: 'answeredWithinThreshold', header: 'Answered Within Threshold', type: 'number' },
+  { key: 'serviceLevel', header: 'Service Level %', type: 'percent' },
+  { key: 'abandonRate', header: 'Abandon Rate %', type: 'percent' },
+  { key: 'asa', header: 'ASA', type: 'duration' },
+  { key: 'longestWait', header: 'Longest Wait', type: 'duration' }
+];
+
+const REPORT_TITLES = {
+  'agent-report': 'Agent Activity Report',
+  'slot-wise-agent-report': 'Slot-wise Agent Activity Report',
+  'queue-report': 'Queue Service Level Report'
+};
+
+/**
+ * Parse the `format` query parameter
+ * @returns {string|null} - A key of EXPORT_FORMATS, or null when unsupported
+ */
+function parseExportFormat(value) {
+  const format = String(value).trim().toLowerCase();
+  return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+}
+
+/**
+ * Zone a generated report was computed in
+ */
+function reportTimeZone(data) {
+  return data.summary?.timeRange?.timeZone || data.summary?.timeZone;
+}
+
+/**
+ * Columns and rows of a report, in export order
+ * @param {string} report - 'agent-report', 'slot-wise-agent-report' or 'queue-report'
+ * @param {Object} data - The generated report
+ * @returns {{columns: Array<Object>, rows: Array<Object>}} - Rows are the report's own objects;
+ *   read cells with columnValue
+ */
+function exportTable(report, data) {
+  switch (report) {
+    case 'agent-report':
+      if (!data.summary?.comparison) return { columns: AGENT_COLUMNS, rows: data.agents || [] };
+      // Agents seen only in the comparison range follow, with their own columns left empty
+      return {
+        columns: [...AGENT_COLUMNS, ...COMPARISON_COLUMNS],
+        rows: [...(data.agents || []), ...(data.previousOnlyAgents || [])]
+      };
+    case 'slot-wise-agent-report':
+      return { columns: SLOT_COLUMNS, rows: data.reportData || [] };
+    case 'queue-report':
+      // A totals row per queue, then one per slot
+      return {
+        columns: QUEUE_COLUMNS,
+        rows: (data.queues || []).flatMap(queue => [
+          { ...queue, timeSlot: 'All' },
+          ...(queue.slots || []).map(slot => ({ ...slot, queue: queue.queue }))
+        ])
+      };
+    default:
+      throw new Error(`No export columns for report "${report}"`);
+  }
+}
+
+/**
+ * Raw value of one cell
+ * @param {Object} column - Column definition
+ * @param {Object} row - Report row
+ * @param {Object} context - { stateNames: Map of state to display name }
+ */
+function columnValue(column, row, context) {
+  const value = column.value ? column.value(row, context) : row[column.key];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Cell as text, for CSV and PDF
+ */
+function cellText(column, value, timeZone) {
+  if (value === null || value === '') return '';
+  if (column.type === 'datetime') return formatDateTime(value, timeZone);
+  if (column.type === 'duration' && typeof value === 'number') return formatDuration(value);
+  return String(value);
+}
+
+/**
+ * Cell as a JSON value: numbers stay numbers, times become ISO 8601 instants
+ */
+function cellJson(column, value) {
+  if (value === null || value === '') return null;
+  if (column.type === 'number' || column.type === 'percent') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (column.type === 'datetime') return toDate(value)?.toISOString() ?? null;
+  return value;
+}
+
+/**
+ * One CSV field per RFC 4180: quoted when it holds a comma, quote or line break.
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @, tab
+ * or CR) gets a leading apostrophe; plain numbers such as -3 are left alone.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Records as CSV, one column per key seen in any record
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+function toCsv(records) {
+  if (!records.length) return '';
+  const keys = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return [keys, ...records.map(record => keys.map(key => record[key]))].map(csvLine).join('');
+}
+
+function* csvLines(columns, rows, context) {
+  yield csvLine(columns.map(column => column.header));
+  for (const row of rows) {
+    yield csvLine(columns.map(column => cellText(column, columnValue(column, row, context), context.timeZone)));
+  }
+}
+
+function jsonRow(columns, row, context) {
+  return Object.fromEntries(columns.map(column => [column.key, cellJson(column, columnValue(column, row, context))]));
+}
+
+function* ndjsonLines(columns, rows, context) {
+  for (const row of rows) {
+    yield `${JSON.stringify(jsonRow(columns, row, context))}\n`;
+  }
+}
+
+/**
+ * Everything an export needs, whichever way it is delivered
+ * @param {Object} opts
+ * @param {string} opts.report - 'agent-report', 'slot-wise-agent-report' or 'queue-report'
+ * @param {Object} opts.data - The generated report
+ * @param {string} opts.format - A key of EXPORT_FORMATS
+ * @param {Object} opts.tenant - { name, displayName, timezone }
+ * @param {string} opts.startDateTime - Range start as requested
+ * @param {string} opts.endDateTime - Range end as requested
+ * @param {Array<Array<string>>} [opts.filters] - [label, value] filter lines for the header block
+ */
+function prepareExport({ report, data, format, tenant, startDateTime, endDateTime, filters = [] }) {
+  const timeZone = reportTimeZone(data) || tenant.timezone;
+  const { columns, rows } = exportTable(report, data);
+  const context = { timeZone, stateNames: new Map((data.states || []).map(entry => [entry.state, entry.displayName])) };
+  const start = parseZonedDateTime(startDateTime, timeZone);
+  const end = parseZonedDateTime(endDateTime, timeZone);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const name = report.replace(/-report$/, '').replace(/-/g, '_');
+
+  return {
+    report,
+    format,
+    tenant,
+    filters,
+    timeZone,
+    columns,
+    rows,
+    context,
+    start,
+    end,
+    startDateTime,
+    endDateTime,
+    contentType,
+    filename: `${name}_${tenant.name}_${getZonedDateKey(start, timeZone) || 'report'}.${extension}`
+  };
+}
+
+function jsonDocument(doc) {
+  const { report, tenant, timeZone, start, end, startDateTime, endDateTime, filters, columns, rows, context } = doc;
+  return JSON.stringify({
+    meta: {
+      report,
+      tenant: tenant.name,
+      timeZone,
+      start: start ? start.toISOString() : startDateTime,
+      end: end ? end.toISOString() : endDateTime,
+      filters: Object.fromEntries(filters),
+      generated: new Date().toISOString()
+    },
+    columns: columns.map(({ key, header, type = 'string' }) => ({ key, header, type })),
+    rows: rows.map(row => jsonRow(columns, row, context))
+  });
+}
+
+function pdfDocument(doc) {
+  const { report, tenant, timeZone, start, end, startDateTime, endDateTime, filters, columns, rows, context } = doc;
+  return buildPdf({
+    title: `${REPORT_TITLES[report]} - ${tenant.displayName || tenant.name}`,
+    headerLines: [
+      ['Tenant', tenant.displayName && tenant.displayName !== tenant.name ? `${tenant.displayName} (${tenant.name})` : tenant.name],
+      ['Start Time', start ? formatDateTime(start, timeZone) : startDateTime],
+      ['End Time', end ? formatDateTime(end, timeZone) : endDateTime],
+      ...filters,
+      ['Timezone', timeZone],
+      ['Generated', formatDateTime(Date.now(), timeZone)]
+    ],
+    columns,
+    rows: rows.map(row => columns.map(column => cellText(column, columnValue(column, row, context), timeZone)))
+  });
+}
+
+/**
+ * Send a generated report in an export format; see prepareExport for the options
+ * @param {Object} res - Express response
+ * @param {Object} opts
+ * @returns {Promise<void>} - Resolves once the body is written
+ */
+async function sendReportExport(res, opts) {
+  const doc = prepareExport(opts);
+  const { format, columns, rows, context } = doc;
+
+  res.set({
+    'Content-Type': doc.contentType,
+    'Content-Disposition': `attachment; filename="${doc.filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  switch (format) {
+    case 'csv':
+      return streamTo(res, Readable.from(csvLines(columns, rows, context)));
+    case 'ndjson':
+      return streamTo(res, Readable.from(ndjsonLines(columns, rows, context)));
+    case 'json':
+      res.send(jsonDocument(doc));
+      return;
+    case 'pdf':
+      res.send(pdfDocument(doc));
+      return;
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+}
+
+/**
+ * Render a generated report in an export format as a file, e.g. for an email
+ * attachment; see prepareExport for the options
+ * @returns {{filename: string, contentType: string, content: Buffer, rowCount: number}}
+ */
+function renderReportExport(opts) {
+  const doc = prepareExport(opts);
+  const { format, columns, rows, context } = doc;
+  let content;
+  switch (format) {
+    case 'csv':
+      content = Buffer.from([...csvLines(columns, rows, context)].join(''));
+      break;
+    case 'ndjson':
+      content = Buffer.from([...ndjsonLines(columns, rows, context)].join(''));
+      break;
+    case 'json':
+      content = Buffer.from(jsonDocument(doc));
+      break;
+    case 'pdf':
+      content = pdfDocument(doc);
+      break;
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+  return { filename: doc.filename, contentType: doc.contentType, content, rowCount: rows.length };
+}
+
+/**
+ * Pipe a stream into the response, resolving when it has been written
+ */
+function streamTo(res, stream) {
+  return new Promise((resolve, reject) => {
+    stream.on('error', reject);
+    res.on('finish', resolve);
+    res.on('close', resolve);
+    stream.pipe(res);
+  });
+}
+
+export {
+  EXPORT_FORMATS,
+  AGENT_COLUMNS,
+  COMPARISON_COLUMNS,
+  SLOT_COLUMNS,
+  QUEUE_COLUMNS,
+  parseExportFormat,
+  exportTable,
+  columnValue,
+  stateBlocksText,
+  csvField,
+  toCsv,
+  sendReportExport,
+  renderReportExport
+};
@@ -0,0 +1,143 @@
+// reportJobs.js - Background report jobs for ranges too long for one HTTP request
+//
+// A job runs a report generator in the background and records its progress
+// (pages fetched, slots done); the page polls the job and collects the result
+// once it has finished. Jobs are held in memory and finished ones are kept for
+// REPORT_JOB_TTL, so a reloaded page can pick up where it left off.
+import crypto from 'crypto';
+import ms from 'ms';
+import { log } from './logger.js';
+import { UserError } from './users.js';
+
+const JOB_TTL = ms(process.env.REPORT_JOB_TTL || '1h');
+const MAX_ACTIVE_PER_USER = Number(process.env.REPORT_JOB_MAX_ACTIVE) || 3;
+
+// id → job
+const jobs = new Map();
+
+/**
+ * Forget finished jobs older than JOB_TTL
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function finish(job, status, changes = {}) {
+  // A cancelled job keeps its status even if the generator settles afterwards
+  if (job.status !== 'running') return;
+  Object.assign(job, changes, { status, finishedAt: Date.now() });
+}
+
+/**
+ * Start a report job
+ * @param {Object} job
+ * @param {string} job.report - Report type, e.g. "agent-report"
+ * @param {Object} job.params - Report parameters, echoed back to the client
+ * @param {Object} job.owner - The session user starting the job
+ * @param {Function} run - async ({ signal, onProgress }) => result; must stop when signal aborts
+ * @returns {Object} - The job record
+ */
+function startReportJob({ report, params, owner }, run) {
+  pruneJobs();
+
+  const active = [...jobs.values()].filter(job => job.ownerId === owner.sub && job.status === 'running');
+  if (active.length >= MAX_ACTIVE_PER_USER) {
+    throw new UserError(`You already have ${active.length} reports running; wait for one to finish or cancel it`, 429);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    report,
+    params,
+    ownerId: owner.sub,
+    status: 'running',
+    progress: { stage: 'queued', percent: 0, pagesFetched: 0, slotsDone: 0, totalSlots: 0 },
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    finishedAt: null,
+    controller: new AbortController()
+  };
+  jobs.set(job.id, job);
+  log(`Report job ${job.id} (${report}) started by ${owner.username}`, 'info');
+
+  const onProgress = progress => {
+    if (job.status === 'running') job.progress = progress;
+  };
+
+  run({ signal: job.controller.signal, onProgress })
+    .then(result => {
+      finish(job, 'completed', { result });
+      if (job.status === 'completed') {
+        log(`Report job ${job.id} completed`, 'info');
+      }
+    })
+    .catch(error => {
+      finish(job, 'failed', { error: error.message });
+      if (job.status === 'failed') {
+        log(`Report job ${job.id} failed: ${error.message}`, 'error');
+      }
+    });
+
+  return job;
+}
+
+/**
+ * Look up a job the user may see (their own, or any job for admins)
+ * @returns {Object|null}
+ */
+function getReportJob(id, user) {
+  pruneJobs();
+  const job = jobs.get(id);
+  if (!job || (job.ownerId !== user.sub && user.role !== 'admin')) return null;
+  return job;
+}
+
+/**
+ * The user's jobs, newest first
+ */
+function listReportJobs(user) {
+  pruneJobs();
+  return [...jobs.values()]
+    .filter(job => job.ownerId === user.sub)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Stop a running job; finished jobs are left as they are
+ * @returns {boolean} - true when the job was running
+ */
+function cancelReportJob(job) {
+  if (job.status !== 'running') return false;
+  finish(job, 'cancelled');
+  job.controller.abort();
+  log(`Report job ${job.id} cancelled`, 'info');
+  return true;
+}
+
+/**
+ * Job as sent to the client; the result is only included when asked for
+ */
+function describeReportJob(job, { includeResult = false } = {}) {
+  const description = {
+    id: job.id,
+    report: job.report,
+    params: job.params,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+  if (includeResult && job.status === 'completed') {
+    description.result = job.result;
+  }
+  return description;
+}
+
+export { startReportJob, getReportJob, listReportJobs, cancelReportJob, describeReportJob };
@@ -0,0 +1,80 @@
+// reportScheduleRoutes.js - Scheduled report API (admins and supervisors)
+//
+// Supervisors manage the schedules they created; admins manage all of them.
+import express from 'express';
+import { createLogger } from './logger.js';
+import { requireRole } from './access.js';
+import { handleError } from './userRoutes.js';
+import {
+  listReportSchedules,
+  saveReportSchedule,
+  deleteReportSchedule,
+  listScheduleRuns,
+  queueManualRun
+} from './reportSchedules.js';
+
+const logger = createLogger({ component: 'reportScheduleRoutes' });
+
+const router = express.Router();
+
+router.use('/report-schedules', requireRole('admin', 'supervisor'));
+
+router.get('/report-schedules', async (req, res) => {
+  try {
+    res.json({ success: true, schedules: await listReportSchedules(req.accessScope) });
+  } catch (error) {
+    handleError(res, error, 'listing report schedules');
+  }
+});
+
+router.post('/report-schedules', async (req, res) => {
+  try {
+    const schedule = await saveReportSchedule(req.accessScope, req.body || {});
+    logger.info(`Report schedule ${schedule.id} "${schedule.name}" created by ${req.user.username}`, { tenant: schedule.tenant });
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    handleError(res, error, 'creating report schedule');
+  }
+});
+
+router.patch('/report-schedules/:id', async (req, res) => {
+  try {
+    const schedule = await saveReportSchedule(req.accessScope, req.body || {}, Number(req.params.id));
+    logger.info(`Report schedule ${schedule.id} updated by ${req.user.username}`, { tenant: schedule.tenant });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    handleError(res, error, 'updating report schedule');
+  }
+});
+
+router.delete('/report-schedules/:id', async (req, res) => {
+  try {
+    await deleteReportSchedule(req.accessScope, Number(req.params.id));
+    logger.info(`Report schedule ${req.params.id} deleted by ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'deleting report schedule');
+  }
+});
+
+// Run history, newest first
+router.get('/report-schedules/:id/runs', async (req, res) => {
+  try {
+    res.json({ success: true, runs: await listScheduleRuns(req.accessScope, Number(req.params.id)) });
+  } catch (error) {
+    handleError(res, error, 'listing schedule runs');
+  }
+});
+
+// Send the report now, with the range resolved against the current time
+router.post('/report-schedules/:id/run', async (req, res) => {
+  try {
+    const run = await queueManualRun(req.accessScope, Number(req.params.id));
+    logger.info(`Report schedule ${req.params.id} run manually by ${req.user.username}`);
+    res.status(202).json({ success: true, run });
+  } catch (error) {
+    handleError(res, error, 'running report schedule');
+  }
+});
+
+export default router;
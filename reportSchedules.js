@@ -0,0 +1,604 @@
+// reportSchedules.js - Reports generated on a schedule and mailed as attachments
+//
+// A schedule names a tenant, a report (agent or slot-wise), a cron expression
+// read in the tenant's timezone, a range template such as
+// "yesterday 08:00-20:00", optional agent and extension filters, an export
+// format and a list of recipients. Every SCHEDULE_POLL_INTERVAL the worker
+// queues a run for each schedule whose time has come and works through the
+// queued runs: it generates the report with the access scope of the user who
+// created the schedule, renders it with the export pipeline and mails it.
+// A failed run is retried SCHEDULE_MAX_ATTEMPTS times with a growing delay;
+// every run and its outcome is kept as history.
+//
+// Occurrences missed while no server was running are not replayed one by
+// one; the schedule runs once and moves on to its next time.
+import ms from 'ms';
+import { getPool, query } from './db.js';
+import { log } from './logger.js';
+import { UserError } from './users.js';
+import { getAccessScope } from './access.js';
+import { resolveTenantForScope } from './tenants.js';
+import { getOrCreateReport } from './reportCache.js';
+import { generateSimplifiedAgentReport, generateSlotWiseAgentReportWithSeparateApiCalls } from './agentEvents.js';
+import { EXPORT_FORMATS, renderReportExport } from './reportExport.js';
+import { sendMail } from './smtp.js';
+import { parseCron, nextCronTime } from './cron.js';
+import { kpiFormulasFrom } from './public/kpis.js';
+import { formatDateTime, getZonedParts, zonedTimeToUtc } from './public/timezone.js';
+
+const POLL_INTERVAL = ms(process.env.SCHEDULE_POLL_INTERVAL || '1m'); // 0 disables the worker
+const MAX_ATTEMPTS = Number(process.env.SCHEDULE_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY = ms(process.env.SCHEDULE_RETRY_DELAY || '5m');
+const MAX_RECIPIENTS = 20;
+const HISTORY_LIMIT = 50;
+
+const SCHEDULED_REPORTS = {
+  'agent-report': 'Agent Activity',
+  'slot-wise-agent-report': 'Slot-wise Agent Activity'
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Create the schedule and run history tables
+ */
+async function ensureReportScheduleSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS report_schedules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      tenant VARCHAR(64) NOT NULL,
+      report VARCHAR(40) NOT NULL,
+      cron VARCHAR(100) NOT NULL,
+      range_template VARCHAR(100) NOT NULL,
+      agent_name VARCHAR(100) NULL,
+      extension VARCHAR(32) NULL,
+      format VARCHAR(10) NOT NULL,
+      recipients TEXT NOT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT NOT NULL,
+      next_run_at BIGINT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_report_schedules_due (enabled, next_run_at),
+      FOREIGN KEY (tenant) REFERENCES tenants(name) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS report_schedule_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      schedule_id INT NOT NULL,
+      scheduled_for BIGINT NOT NULL,
+      manual TINYINT(1) NOT NULL DEFAULT 0,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at BIGINT NULL,
+      range_start BIGINT NULL,
+      range_end BIGINT NULL,
+      row_count INT NULL,
+      recipients TEXT NULL,
+      error TEXT NULL,
+      finished_at BIGINT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_report_schedule_runs_schedule (schedule_id, scheduled_for),
+      KEY idx_report_schedule_runs_due (status, next_attempt_at),
+      FOREIGN KEY (schedule_id) REFERENCES report_schedules(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// --- Range templates ---------------------------------------------------------
+//
+//   today | yesterday | N days ago     one day, optionally narrowed to HH:MM-HH:MM
+//                                      (an end at or before the start is the next day)
+//   last N days                        the N whole days before today
+//   this week | last week              Monday to Monday; this week runs up to the run time
+//   this month | last month            first of the month to the first of the next
+
+const SINGLE_DAY = /^(today|yesterday|(\d{1,3}) days? ago)(?:\s+(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2}))?$/;
+const LAST_DAYS = /^last (\d{1,3}) days?$/;
+const PERIOD = /^(this|last) (week|month)$/;
+
+/**
+ * Parse a range template
+ * @returns {Object|null} - Parsed template, or null when it is not understood
+ */
+function parseRangeTemplate(text) {
+  const template = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  let match = SINGLE_DAY.exec(template);
+  if (match) {
+    const [, day, daysAgo, startHour, startMinute, endHour, endMinute] = match;
+    const window = startHour === undefined ? null : {
+      start: Number(startHour) * 60 + Number(startMinute),
+      end: Number(endHour) * 60 + Number(endMinute)
+    };
+    if (window && (Number(startMinute) > 59 || Number(endMinute) > 59 || window.start >= 24 * 60 || window.end >= 24 * 60)) {
+      return null;
+    }
+    const offset = day === 'today' ? 0 : day === 'yesterday' ? 1 : Number(daysAgo);
+    return { kind: 'day', offset, window };
+  }
+  match = LAST_DAYS.exec(template);
+  if (match && Number(match[1]) > 0) return { kind: 'days', count: Number(match[1]) };
+  match = PERIOD.exec(template);
+  if (match) return { kind: match[2], current: match[1] === 'this' };
+  return null;
+}
+
+/**
+ * Parse a range template or explain what is accepted
+ * @throws {UserError}
+ */
+function rangeTemplateFrom(text) {
+  const template = parseRangeTemplate(text);
+  if (!template) {
+    throw new UserError(`Unknown range "${text}"; use e.g. "yesterday", "yesterday 08:00-20:00", "last 7 days", "last week" or "last month"`);
+  }
+  return template;
+}
+
+/**
+ * Midnight (or a minute of the day) of a calendar day in a zone, counted from a given day
+ */
+function zonedDay({ year, month, day }, dayOffset, minutes, timeZone) {
+  const date = new Date(Date.UTC(year, month - 1, day + dayOffset));
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  }, timeZone);
+}
+
+/**
+ * The concrete range a template stands for at a given time
+ * @param {string} text - Range template
+ * @param {number|Date} at - When the report runs
+ * @param {string} timeZone - Tenant's zone; days start at midnight there
+ * @returns {{start: Date, end: Date}}
+ * @throws {UserError} - When the template is not understood
+ */
+function resolveRangeTemplate(text, at, timeZone) {
+  const template = rangeTemplateFrom(text);
+  const today = getZonedParts(at, timeZone);
+
+  switch (template.kind) {
+    case 'day': {
+      const { offset, window } = template;
+      if (!window) {
+        return { start: zonedDay(today, -offset, 0, timeZone), end: zonedDay(today, 1 - offset, 0, timeZone) };
+      }
+      const endDay = window.end <= window.start ? 1 - offset : -offset;
+      return { start: zonedDay(today, -offset, window.start, timeZone), end: zonedDay(today, endDay, window.end, timeZone) };
+    }
+    case 'days':
+      return { start: zonedDay(today, -template.count, 0, timeZone), end: zonedDay(today, 0, 0, timeZone) };
+    case 'week': {
+      const weekday = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+      const monday = -((weekday + 6) % 7);
+      return template.current
+        ? { start: zonedDay(today, monday, 0, timeZone), end: new Date(at) }
+        : { start: zonedDay(today, monday - 7, 0, timeZone), end: zonedDay(today, monday, 0, timeZone) };
+    }
+    case 'month': {
+      const first = { year: today.year, month: today.month, day: 1 };
+      const previous = today.month === 1 ? { year: today.year - 1, month: 12, day: 1 } : { year: today.year, month: today.month - 1, day: 1 };
+      return template.current
+        ? { start: zonedDay(first, 0, 0, timeZone), end: new Date(at) }
+        : { start: zonedDay(previous, 0, 0, timeZone), end: zonedDay(first, 0, 0, timeZone) };
+    }
+    default:
+      throw new Error(`Unhandled range template kind "${template.kind}"`);
+  }
+}
+
+// --- Schedules -----------------------------------------------------------------
+
+/**
+ * Split and check a recipient list ("a@example.com, b@example.com")
+ * @returns {Array<string>}
+ * @throws {UserError}
+ */
+function parseRecipients(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/);
+  const recipients = [...new Set(list.map(address => String(address).trim()).filter(Boolean))];
+  if (recipients.length === 0) throw new UserError('At least one recipient is required');
+  if (recipients.length > MAX_RECIPIENTS) throw new UserError(`At most ${MAX_RECIPIENTS} recipients are allowed`);
+  const invalid = recipients.filter(address => !/^[^\s@<>",]+@[^\s@<>",]+\.[^\s@<>",]+$/.test(address));
+  if (invalid.length > 0) throw new UserError(`Invalid email address: ${invalid.join(', ')}`);
+  return recipients;
+}
+
+/**
+ * Validate schedule fields; values missing from input are taken from current
+ * @param {Object} input - Request body
+ * @param {Object} [current] - Stored row when updating
+ * @returns {Object} - Column values
+ * @throws {UserError}
+ */
+function normalizeSchedule(input, current = {}) {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : current[column]);
+
+  const name = String(pick('name', 'name') || '').trim();
+  if (!name || name.length > 100) throw new UserError('Name is required (at most 100 characters)');
+
+  const report = pick('report', 'report') || 'agent-report';
+  if (!SCHEDULED_REPORTS[report]) {
+    throw new UserError(`Unsupported report "${report}"; use ${Object.keys(SCHEDULED_REPORTS).join(' or ')}`);
+  }
+
+  const cron = String(pick('cron', 'cron') || '').trim().replace(/\s+/g, ' ');
+  try {
+    parseCron(cron);
+  } catch (error) {
+    throw new UserError(`Invalid cron expression: ${error.message}`);
+  }
+
+  const rangeTemplate = String(pick('rangeTemplate', 'range_template') || '').trim();
+  rangeTemplateFrom(rangeTemplate);
+
+  const format = String(pick('format', 'format') || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new UserError(`Unsupported format "${format}"; use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const optional = (key, column, max) => {
+    const value = String(pick(key, column) ?? '').trim();
+    if (value.length > max) throw new UserError(`${key} is too long`);
+    return value || null;
+  };
+
+  const enabled = pick('enabled', 'enabled');
+
+  return {
+    name,
+    tenant: String(pick('tenant', 'tenant') || '').trim(),
+    report,
+    cron,
+    range_template: rangeTemplate,
+    agent_name: optional('agentName', 'agent_name', 100),
+    extension: optional('extension', 'extension', 32),
+    format,
+    recipients: parseRecipients(pick('recipients', 'recipients')).join(', '),
+    enabled: enabled === undefined || enabled === null || enabled ? 1 : 0
+  };
+}
+
+/**
+ * Next time a schedule is due after `after`, as epoch milliseconds
+ */
+function nextRunAt(cron, after, timeZone) {
+  return nextCronTime(cron, after, timeZone)?.getTime() ?? null;
+}
+
+/**
+ * Schedules the caller may see: every schedule for admins, their own for supervisors.
+ * Each has the outcome of its latest run.
+ */
+async function listReportSchedules(scope) {
+  const own = scope.role === 'admin' ? '' : 'WHERE s.created_by = ?';
+  return query(`
+    SELECT s.*, u.username AS created_by_name,
+           r.status AS last_status, r.scheduled_for AS last_scheduled_for,
+           r.finished_at AS last_finished_at, r.error AS last_error
+    FROM report_schedules s
+    LEFT JOIN users u ON u.id = s.created_by
+    LEFT JOIN report_schedule_runs r ON r.id = (
+      SELECT MAX(id) FROM report_schedule_runs WHERE schedule_id = s.id
+    )
+    ${own}
+    ORDER BY s.tenant, s.name
+  `, scope.role === 'admin' ? [] : [scope.userId]);
+}
+
+/**
+ * One schedule, if the caller may manage it
+ * @throws {UserError} - 404 when it does not exist or belongs to someone else
+ */
+async function getReportSchedule(scope, id) {
+  const [schedule] = await query('SELECT * FROM report_schedules WHERE id = ?', [id]);
+  if (!schedule || (scope.role !== 'admin' && schedule.created_by !== scope.userId)) {
+    throw new UserError('Schedule not found', 404);
+  }
+  return schedule;
+}
+
+/**
+ * Create a schedule, or update one when id is given
+ * @param {Object} scope - Caller's access scope; the schedule runs with the creator's scope
+ * @param {Object} input - { name, tenant, report, cron, rangeTemplate, agentName, extension, format, recipients, enabled }
+ * @param {number} [id] - Schedule to update
+ * @returns {Promise<Object>} - Stored row
+ * @throws {UserError}
+ */
+async function saveReportSchedule(scope, input, id = null) {
+  const current = id === null ? {} : await getReportSchedule(scope, id);
+  const values = normalizeSchedule(input, current);
+
+  const tenant = await resolveTenantForScope(scope, values.tenant);
+  if (!tenant) throw new UserError(`You do not have access to tenant "${values.tenant}"`, 403);
+  values.next_run_at = values.enabled ? nextRunAt(values.cron, Date.now(), tenant.timezone) : null;
+
+  if (id === null) {
+    const columns = [...Object.keys(values), 'created_by'];
+    const result = await query(
+      `INSERT INTO report_schedules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [...Object.values(values), scope.userId]
+    );
+    id = result.insertId;
+  } else {
+    await query(
+      `UPDATE report_schedules SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  }
+  const [schedule] = await query('SELECT * FROM report_schedules WHERE id = ?', [id]);
+  return schedule;
+}
+
+async function deleteReportSchedule(scope, id) {
+  await getReportSchedule(scope, id);
+  await query('DELETE FROM report_schedules WHERE id = ?', [id]);
+}
+
+/**
+ * Latest runs of a schedule, newest first
+ */
+async function listScheduleRuns(scope, id) {
+  await getReportSchedule(scope, id);
+  return query('SELECT * FROM report_schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?', [id, HISTORY_LIMIT]);
+}
+
+/**
+ * Queue a run now, outside the schedule; the worker starts on it at once unless it is busy,
+ * in which case it is picked up on the next pass
+ * @returns {Promise<Object>} - The queued run
+ */
+async function queueManualRun(scope, id) {
+  await getReportSchedule(scope, id);
+  const now = Date.now();
+  const result = await query(
+    "INSERT INTO report_schedule_runs (schedule_id, scheduled_for, manual, status, next_attempt_at) VALUES (?, ?, 1, 'pending', ?)",
+    [id, now, now]
+  );
+  runDueSchedules();
+  const [run] = await query('SELECT * FROM report_schedule_runs WHERE id = ?', [result.insertId]);
+  return run;
+}
+
+// --- Running ---------------------------------------------------------------------
+
+/**
+ * Delay before the next attempt after `attempts` failed ones: RETRY_DELAY, doubling each time
+ * @returns {number|null} - Milliseconds, or null when no attempts are left
+ */
+function retryDelay(attempts, maxAttempts = MAX_ATTEMPTS, baseDelay = RETRY_DELAY) {
+  return attempts < maxAttempts ? baseDelay * 2 ** (attempts - 1) : null;
+}
+
+/**
+ * Generate one scheduled report and mail it. Does not touch the run history,
+ * so it can be exercised on its own.
+ * @param {Object} schedule - report_schedules row
+ * @param {Object} tenant - { name, displayName, timezone }
+ * @param {number} scheduledFor - Time the range template is resolved against
+ * @param {Object} deps
+ * @param {Function} deps.generate - async ({ report, startDateTime, endDateTime, agentName, extension }) => report data
+ * @param {Function} [deps.send] - sendMail
+ * @returns {Promise<{range: Object, rowCount: number, accepted: Array<string>, rejected: Array<string>}>}
+ * @throws {Error} - When the report fails or the mail is refused
+ */
+async function deliverScheduledReport(schedule, tenant, scheduledFor, { generate, send = sendMail }) {
+  const range = resolveRangeTemplate(schedule.range_template, scheduledFor, tenant.timezone);
+  const startDateTime = range.start.toISOString();
+  const endDateTime = range.end.toISOString();
+
+  const data = await generate({
+    report: schedule.report,
+    startDateTime,
+    endDateTime,
+    agentName: schedule.agent_name,
+    extension: schedule.extension
+  });
+  if (!data.success) {
+    throw new Error(`Report failed: ${data.error}`);
+  }
+
+  const filters = [
+    ['Agent Filter', schedule.agent_name || 'All Agents'],
+    ['Extension Filter', schedule.extension || 'All Extensions']
+  ];
+  const file = renderReportExport({ report: schedule.report, data, format: schedule.format, tenant, startDateTime, endDateTime, filters });
+
+  const start = formatDateTime(range.start, tenant.timezone);
+  const end = formatDateTime(range.end, tenant.timezone);
+  const tenantName = tenant.displayName || tenant.name;
+  const lines = [
+    `${SCHEDULED_REPORTS[schedule.report]} report for ${tenantName}`,
+    '',
+    `From: ${start}`,
+    `To: ${end}`,
+    `Timezone: ${tenant.timezone}`,
+    ...filters.map(([label, value]) => `${label}: ${value}`),
+    `Rows: ${file.rowCount}`,
+    '',
+    `Sent by the schedule "${schedule.name}".`
+  ];
+  if (process.env.PUBLIC_URL) {
+    lines.push(`Manage schedules at ${process.env.PUBLIC_URL.replace(/\/$/, '')}/report-schedules.html`);
+  }
+
+  const result = await send({
+    to: parseRecipients(schedule.recipients),
+    subject: `${schedule.name} - ${tenantName} - ${start} to ${end}`,
+    text: lines.join('\n'),
+    attachments: [{ filename: file.filename, contentType: file.contentType, content: file.content }]
+  });
+  return { range, rowCount: file.rowCount, accepted: result.accepted, rejected: result.rejected };
+}
+
+/**
+ * Generate a scheduled report with the creator's scope and the tenant's settings,
+ * through the report cache
+ */
+function scheduledReportGenerator(tenantRow, scope) {
+  const options = {
+    allowedExtensions: scope.extensions,
+    timeZone: tenantRow.timezone,
+    kpiFormulas: kpiFormulasFrom(tenantRow.kpi_formulas)
+  };
+  return async ({ report, startDateTime, endDateTime, agentName, extension }) => {
+    const tenant = tenantRow.name;
+    const { value } = await getOrCreateReport(
+      report,
+      { tenant, startDateTime, endDateTime, agentName, extension, ...options },
+      () => (report === 'slot-wise-agent-report'
+        ? generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName, extension, options)
+        : generateSimplifiedAgentReport(tenant, startDateTime, endDateTime, agentName, extension, options))
+    );
+    return value;
+  };
+}
+
+/**
+ * Make one attempt at a queued run and record the outcome
+ */
+async function attemptRun(run) {
+  const [schedule] = await query('SELECT * FROM report_schedules WHERE id = ?', [run.schedule_id]);
+  if (!schedule) return;
+  const attempts = run.attempts + 1;
+  await query("UPDATE report_schedule_runs SET status = 'running', attempts = ? WHERE id = ?", [attempts, run.id]);
+  log(`Running schedule ${schedule.id} "${schedule.name}" for ${schedule.tenant} (attempt ${attempts})`, 'info');
+
+  try {
+    const scope = await getAccessScope(schedule.created_by);
+    if (!scope) throw new Error('The user who created this schedule is disabled or no longer exists');
+    const tenantRow = await resolveTenantForScope(scope, schedule.tenant);
+    if (!tenantRow) throw new Error(`Tenant "${schedule.tenant}" is disabled or no longer assigned to the schedule's creator`);
+
+    const tenant = { name: tenantRow.name, displayName: tenantRow.display_name || tenantRow.name, timezone: tenantRow.timezone };
+    const result = await deliverScheduledReport(schedule, tenant, run.scheduled_for, {
+      generate: scheduledReportGenerator(tenantRow, scope)
+    });
+
+    await query(
+      `UPDATE report_schedule_runs SET status = 'sent', range_start = ?, range_end = ?, row_count = ?, recipients = ?,
+       error = ?, finished_at = ?, next_attempt_at = NULL WHERE id = ?`,
+      [
+        result.range.start.getTime(),
+        result.range.end.getTime(),
+        result.rowCount,
+        result.accepted.join(', '),
+        result.rejected.length > 0 ? `Rejected by the mail server: ${result.rejected.join(', ')}` : null,
+        Date.now(),
+        run.id
+      ]
+    );
+    log(`Schedule ${schedule.id} sent ${result.rowCount} rows to ${result.accepted.join(', ')}`, 'info');
+  } catch (error) {
+    const delay = retryDelay(attempts);
+    const status = delay === null ? 'failed' : 'retrying';
+    await query(
+      'UPDATE report_schedule_runs SET status = ?, error = ?, next_attempt_at = ?, finished_at = ? WHERE id = ?',
+      [status, error.message, delay === null ? null : Date.now() + delay, delay === null ? Date.now() : null, run.id]
+    );
+    log(`Schedule ${schedule.id} attempt ${attempts} failed: ${error.message}${delay === null ? '' : `; retrying in ${ms(delay, { long: true })}`}`, delay === null ? 'error' : 'warn');
+  }
+}
+
+/**
+ * Hold a MySQL named lock while fn runs so only one server process works the schedules
+ * @returns {Promise<boolean>} - false when another process holds the lock
+ */
+async function withSchedulerLock(fn) {
+  const connection = await getPool().getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query("SELECT GET_LOCK('report-schedules', 0) AS acquired");
+    if (!acquired) return false;
+    try {
+      await fn();
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK('report-schedules')");
+    }
+    return true;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Queue runs for every schedule that is due and attempt every run that is waiting
+ */
+async function runDueSchedules() {
+  if (running) return;
+  running = true;
+  try {
+    await withSchedulerLock(async () => {
+      const now = Date.now();
+      // Only the lock holder runs schedules, so a run still marked running was cut short by a restart
+      await query("UPDATE report_schedule_runs SET status = 'retrying', next_attempt_at = ? WHERE status = 'running'", [now]);
+
+      const due = await query(`
+        SELECT s.id, s.cron, s.next_run_at, t.timezone
+        FROM report_schedules s JOIN tenants t ON t.name = s.tenant
+        WHERE s.enabled = 1 AND s.next_run_at <= ?
+      `, [now]);
+      for (const schedule of due) {
+        await query(
+          "INSERT INTO report_schedule_runs (schedule_id, scheduled_for, status, next_attempt_at) VALUES (?, ?, 'pending', ?)",
+          [schedule.id, schedule.next_run_at, now]
+        );
+        await query('UPDATE report_schedules SET next_run_at = ? WHERE id = ?', [nextRunAt(schedule.cron, now, schedule.timezone), schedule.id]);
+      }
+
+      const runs = await query(
+        "SELECT * FROM report_schedule_runs WHERE status IN ('pending', 'retrying') AND next_attempt_at <= ? ORDER BY next_attempt_at, id",
+        [now]
+      );
+      for (const run of runs) {
+        await attemptRun(run);
+      }
+    });
+  } catch (error) {
+    log(`Report scheduler failed: ${error.message}`, 'error');
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the scheduler (no-op when SCHEDULE_POLL_INTERVAL is 0)
+ */
+function startReportScheduler() {
+  if (timer || !POLL_INTERVAL) return;
+  log(`Report scheduler checking every ${ms(POLL_INTERVAL, { long: true })}`, 'info');
+  timer = setInterval(runDueSchedules, POLL_INTERVAL);
+  timer.unref();
+  runDueSchedules();
+}
+
+function stopReportScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export {
+  SCHEDULED_REPORTS,
+  ensureReportScheduleSchema,
+  parseRangeTemplate,
+  resolveRangeTemplate,
+  parseRecipients,
+  listReportSchedules,
+  getReportSchedule,
+  saveReportSchedule,
+  deleteReportSchedule,
+  listScheduleRuns,
+  queueManualRun,
+  retryDelay,
+  deliverScheduledReport,
+  runDueSchedules,
+  startReportScheduler,
+  stopReportScheduler
+};
@@ -0,0 +1,133 @@
+// reportWorkbook.js - Agent and slot-wise reports as an Excel workbook
+//
+// Sheets:
+//   Summary         tenant, timezone, range, filters and the report totals
+//   Agents          one row per agent, with the agent report's export columns
+//   Slots           one row per agent and slot, with the slot-wise export columns
+//   State Timeline  one row per state block, with start and end times
+//
+// Durations are written as time values and times as dates in the tenant's
+// zone, so they can be summed and sorted in the spreadsheet.
+import { buildWorkbook } from './xlsx.js';
+import { exportTable, columnValue } from './reportExport.js';
+
+const KPI_SUMMARY_ROWS = [
+  ['Occupancy %', 'occupancy'],
+  ['Utilization %', 'utilization'],
+  ['Shrinkage %', 'shrinkage']
+];
+
+/**
+ * Summary sheet: label / value pairs, each value typed on its own
+ */
+function summarySheet({ tenant, agentReport, slotReport, filters, timeZone }) {
+  const { summary } = agentReport;
+  const rows = [
+    ['Report', 'Agent Activity'],
+    ['Tenant', tenant.displayName && tenant.displayName !== tenant.name ? `${tenant.displayName} (${tenant.name})` : tenant.name],
+    ['Timezone', timeZone],
+    ['Range Start', summary.timeRange?.startFormatted],
+    ['Range End', summary.timeRange?.endFormatted],
+    ['Agent Filter', filters.agentName || 'All Agents'],
+    ['Extension Filter', filters.extension || 'All Extensions'],
+    ['Generated', { value: new Date(), type: 'datetime' }],
+    ['Agents', { value: summary.totalAgents, type: 'number' }],
+    ['Total Calls', { value: summary.totalCalls, type: 'number' }],
+    ['Answered Calls', { value: summary.totalAnswered, type: 'number' }],
+    ['Failed Calls', { value: summary.totalFailed, type: 'number' }],
+    ['Answer Rate %', { value: summary.answerRate, type: 'percent' }],
+    ...KPI_SUMMARY_ROWS.map(([label, key]) => [label, { value: summary.kpis?.[key], type: 'percent' }])
+  ];
+  if (slotReport) {
+    const { slotInterval } = slotReport.summary;
+    rows.push(
+      ['Slot Interval', typeof slotInterval === 'number' ? `${slotInterval} minutes` : slotInterval],
+      ['Time Slots', { value: slotReport.summary.totalTimeSlots, type: 'number' }]
+    );
+  }
+
+  return {
+    name: 'Summary',
+    columns: [{ header: 'Field', width: 20 }, { header: 'Value', width: 36 }],
+    rows
+  };
+}
+
+/**
+ * A sheet with the export columns of a report, so the workbook matches the CSV and PDF
+ */
+function exportSheet(name, report, data) {
+  const { columns, rows } = exportTable(report, data);
+  const context = { stateNames: new Map((data.states || []).map(entry => [entry.state, entry.displayName])) };
+  return {
+    name,
+    columns: columns.map(({ header, type, width }) => ({ header, type, width })),
+    rows: rows.map(row => columns.map(column => columnValue(column, row, context)))
+  };
+}
+
+/**
+ * One row per state block of every agent. A block still open at the end of the
+ * range has no end time and no duration.
+ */
+function stateTimelineSheet(agents) {
+  const rows = agents.flatMap(agent => (agent.customStates || []).map(block => [
+    agent.agentName,
+    agent.extension,
+    block.state,
+    block.start,
+    block.end ?? null,
+    block.duration,
+    block.end === null || block.end === undefined ? 'Yes' : 'No',
+    block.carriedOver ? 'Yes' : 'No',
+    block.blockCount || 1
+  ]));
+
+  return {
+    name: 'State Timeline',
+    columns: [
+      { header: 'Agent Name', width: 24 },
+      { header: 'Extension', width: 12 },
+      { header: 'State', width: 18 },
+      { header: 'Start', type: 'datetime', width: 20 },
+      { header: 'End', type: 'datetime', width: 20 },
+      { header: 'Duration', type: 'duration' },
+      { header: 'Still Open' },
+      { header: 'Carried Over' },
+      { header: 'Merged Blocks', type: 'number' }
+    ],
+    rows
+  };
+}
+
+/**
+ * Build the report workbook
+ * @param {Object} opts
+ * @param {Object} opts.tenant - { name, displayName, timezone }
+ * @param {Object} opts.agentReport - Result of generateSimplifiedAgentReport
+ * @param {Object} [opts.slotReport] - Result of the slot-wise report for the same range; without it there is no Slots sheet
+ * @param {Object} [opts.filters] - { agentName, extension } the reports were filtered by
+ * @returns {Buffer} - XLSX file
+ */
+function buildReportWorkbook({ tenant, agentReport, slotReport = null, filters = {} }) {
+  const timeZone = agentReport.summary.timeRange?.timeZone || tenant.timezone;
+  const sheets = [
+    summarySheet({ tenant, agentReport, slotReport, filters, timeZone }),
+    exportSheet('Agents', 'agent-report', agentReport),
+    ...(slotReport ? [exportSheet('Slots', 'slot-wise-agent-report', slotReport)] : []),
+    stateTimelineSheet(agentReport.agents)
+  ];
+
+  return buildWorkbook(sheets, {
+    timeZone,
+    title: `Agent Activity Report - ${tenant.displayName || tenant.name}`,
+    properties: {
+      Tenant: tenant.name,
+      TimeZone: timeZone,
+      RangeStart: agentReport.summary.timeRange?.startFormatted,
+      RangeEnd: agentReport.summary.timeRange?.endFormatted
+    }
+  });
+}
+
+export { buildReportWorkbook };
@@ -0,0 +1,270 @@
+// schedules.js - Planned shifts, breaks and lunches per agent
+//
+// Shift plans come from the workforce tool as CSV or JSON, keyed by extension.
+// Times are wall-clock times in the tenant's zone; an end at or before its
+// start is on the next day, so overnight shifts need no special notation.
+// Importing a plan replaces whatever was stored for the same extension and
+// day, so a corrected export can simply be uploaded again. An agent has at
+// most one shift per day.
+//
+// CSV, one row per shift or planned activity:
+//   extension,date,type,start,end
+//   1007,2025-07-02,shift,09:00,18:00
+//   1007,2025-07-02,lunch,13:00,13:30
+//   1007,2025-07-02,break,11:00,11:15
+//
+// JSON, keyed by extension:
+//   { "1007": [{ "date": "2025-07-02", "start": "09:00", "end": "18:00",
+//                "lunch": { "start": "13:00", "end": "13:30" },
+//                "breaks": [{ "start": "11:00", "end": "11:15" }] }] }
+import { getPool, query } from './db.js';
+import { log } from './logger.js';
+import { UserError } from './users.js';
+import { zonedTimeToUtc } from './public/timezone.js';
+
+const ACTIVITIES = ['shift', 'break', 'lunch'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT_ROWS = 20000;
+
+/**
+ * Create the schedule table
+ */
+async function ensureScheduleSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS agent_schedules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant VARCHAR(64) NOT NULL,
+      extension VARCHAR(32) NOT NULL,
+      shift_date DATE NOT NULL,
+      activity ENUM('shift', 'break', 'lunch') NOT NULL,
+      start_time BIGINT NOT NULL,
+      end_time BIGINT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_agent_schedules_day (tenant, extension, shift_date),
+      KEY idx_agent_schedules_time (tenant, start_time)
+    )
+  `);
+}
+
+/**
+ * Split CSV text into rows of trimmed cells; quoted cells may contain commas
+ */
+function parseCsv(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const cells = [];
+      let cell = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+          cells.push(cell.trim());
+          cell = '';
+        } else {
+          cell += char;
+        }
+      }
+      cells.push(cell.trim());
+      return cells;
+    });
+}
+
+/**
+ * Schedule entries from a CSV export
+ * @param {string} text - CSV with a header row naming extension, date, type, start and end
+ * @returns {Array<Object>} - { extension, date, activity, start, end, source }
+ */
+function entriesFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new UserError('The schedule file is empty');
+
+  const columns = header.map(name => name.toLowerCase());
+  const index = name => columns.indexOf(name);
+  const missing = ['extension', 'date', 'type', 'start', 'end'].filter(name => index(name) === -1);
+  if (missing.length > 0) {
+    throw new UserError(`Schedule CSV is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return rows.map((cells, i) => ({
+    extension: cells[index('extension')],
+    date: cells[index('date')],
+    activity: (cells[index('type')] || '').toLowerCase(),
+    start: cells[index('start')],
+    end: cells[index('end')],
+    source: `line ${i + 2}`
+  }));
+}
+
+/**
+ * Schedule entries from the JSON format (see the top of this file)
+ * @param {Object} body - Shifts keyed by extension
+ * @returns {Array<Object>} - { extension, date, activity, start, end, source }
+ */
+function entriesFromJson(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new UserError('Schedule JSON must be an object keyed by extension');
+  }
+
+  const entries = [];
+  for (const [extension, shifts] of Object.entries(body)) {
+    if (!Array.isArray(shifts)) throw new UserError(`Shifts for extension ${extension} must be an array`);
+    shifts.forEach((shift, i) => {
+      const source = `extension ${extension}, shift ${i + 1}`;
+      const date = shift?.date;
+      entries.push({ extension, date, activity: 'shift', start: shift?.start, end: shift?.end, source });
+      const lunches = shift?.lunch ? [].concat(shift.lunch) : [];
+      lunches.forEach(lunch => entries.push({ extension, date, activity: 'lunch', start: lunch?.start, end: lunch?.end, source }));
+      (shift?.breaks || []).forEach(pause => entries.push({ extension, date, activity: 'break', start: pause?.start, end: pause?.end, source }));
+    });
+  }
+  return entries;
+}
+
+/**
+ * Wall-clock "HH:MM" on a "YYYY-MM-DD" day in a zone, as ms
+ */
+function zonedMillis(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).getTime();
+}
+
+/**
+ * Check entries and turn their times into instants
+ * @param {Array<Object>} entries - From entriesFromCsv or entriesFromJson
+ * @param {string} timeZone - The tenant's zone
+ * @returns {Array<Object>} - { extension, date, activity, start, end } with times in ms
+ * @throws {UserError} - Naming the first entry that is invalid
+ */
+function resolveEntries(entries, timeZone) {
+  if (entries.length === 0) throw new UserError('The schedule contains no shifts');
+  if (entries.length > MAX_IMPORT_ROWS) throw new UserError(`A schedule import is limited to ${MAX_IMPORT_ROWS} rows`);
+
+  const shiftStarts = new Map();
+  const resolved = entries.map(entry => {
+    const extension = String(entry.extension ?? '').trim();
+    const fail = reason => new UserError(`Invalid schedule entry (${entry.source}): ${reason}`);
+
+    if (!extension || extension.length > 32) throw fail('extension is required');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '') || Number.isNaN(Date.parse(entry.date))) throw fail('date must look like 2025-07-02');
+    if (!ACTIVITIES.includes(entry.activity)) throw fail(`type must be one of ${ACTIVITIES.join(', ')}`);
+    if (!/^\d{1,2}:\d{2}$/.test(entry.start || '') || !/^\d{1,2}:\d{2}$/.test(entry.end || '')) throw fail('start and end must look like 09:00');
+
+    let start = zonedMillis(entry.date, entry.start, timeZone);
+    let end = zonedMillis(entry.date, entry.end, timeZone);
+    if (end <= start) end += DAY_MS;
+    return { extension, date: entry.date, activity: entry.activity, start, end, source: entry.source };
+  });
+
+  resolved.filter(entry => entry.activity === 'shift').forEach(entry => {
+    const key = `${entry.extension}|${entry.date}`;
+    if (shiftStarts.has(key)) {
+      throw new UserError(`Invalid schedule entry (${entry.source}): extension ${entry.extension} already has a shift on ${entry.date}`);
+    }
+    shiftStarts.set(key, entry.start);
+  });
+
+  return resolved.map(({ source, ...entry }) => {
+    if (entry.activity === 'shift') return entry;
+
+    const shiftStart = shiftStarts.get(`${entry.extension}|${entry.date}`);
+    if (shiftStart === undefined) {
+      throw new UserError(`Invalid schedule entry (${source}): ${entry.activity} planned without a shift on ${entry.date}`);
+    }
+    // Activities of an overnight shift that fall after midnight belong to the next day
+    if (entry.start < shiftStart) {
+      entry.start += DAY_MS;
+      entry.end += DAY_MS;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Parse and check a schedule import
+ * @param {string|Object} input - CSV text or the JSON format
+ * @param {string} timeZone - The tenant's zone, for the wall-clock times
+ * @returns {Array<Object>} - { extension, date, activity, start, end } with times in ms
+ * @throws {UserError} - When the import is malformed
+ */
+function parseSchedule(input, timeZone) {
+  return resolveEntries(typeof input === 'string' ? entriesFromCsv(input) : entriesFromJson(input), timeZone);
+}
+
+/**
+ * Replace the stored schedule for every extension and day in an import
+ * @param {string} tenant - Tenant name
+ * @param {string|Object} input - CSV text or the JSON format
+ * @param {string} timeZone - The tenant's zone, for the wall-clock times
+ * @returns {Promise<{agents: number, days: number, entries: number}>}
+ */
+async function importSchedules(tenant, input, timeZone) {
+  const entries = parseSchedule(input, timeZone);
+  const days = [...new Map(entries.map(entry => [`${entry.extension}|${entry.date}`, [entry.extension, entry.date]])).values()];
+
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    for (const [extension, date] of days) {
+      await connection.query('DELETE FROM agent_schedules WHERE tenant = ? AND extension = ? AND shift_date = ?', [tenant, extension, date]);
+    }
+    await connection.query(
+      'INSERT INTO agent_schedules (tenant, extension, shift_date, activity, start_time, end_time) VALUES ?',
+      [entries.map(entry => [tenant, entry.extension, entry.date, entry.activity, entry.start, entry.end])]
+    );
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const agents = new Set(entries.map(entry => entry.extension)).size;
+  log(`Imported ${entries.length} schedule entries for ${tenant} (${agents} agents, ${days.length} agent-days)`, 'info');
+  return { agents, days: days.length, entries: entries.length };
+}
+
+/**
+ * Shifts that overlap a range, with their planned breaks and lunches
+ * @param {string} tenant - Tenant name
+ * @param {number} rangeStart - Range start (ms)
+ * @param {number} rangeEnd - Range end (ms)
+ * @param {string} extension - Only this extension (optional)
+ * @returns {Promise<Array<Object>>} - [{ extension, date, start, end, activities: [{ type, start, end }] }], by extension and start
+ */
+async function getSchedules(tenant, rangeStart, rangeEnd, extension = null) {
+  const rows = await query(
+    `SELECT extension, DATE_FORMAT(shift_date, '%Y-%m-%d') AS shift_date, activity, start_time, end_time
+     FROM agent_schedules
+     WHERE tenant = ? AND start_time < ? AND end_time > ?${extension ? ' AND extension = ?' : ''}
+     ORDER BY extension, start_time`,
+    // Activities are matched to their shift by day, so read whole shifts that overlap the range
+    [tenant, rangeEnd + DAY_MS, rangeStart - DAY_MS, ...(extension ? [String(extension)] : [])]
+  );
+
+  const shifts = new Map();
+  rows.filter(row => row.activity === 'shift').forEach(row => {
+    const start = Number(row.start_time);
+    const end = Number(row.end_time);
+    if (start >= rangeEnd || end <= rangeStart) return;
+    shifts.set(`${row.extension}|${row.shift_date}`, { extension: row.extension, date: row.shift_date, start, end, activities: [] });
+  });
+  rows.filter(row => row.activity !== 'shift').forEach(row => {
+    shifts.get(`${row.extension}|${row.shift_date}`)?.activities.push({
+      type: row.activity,
+      start: Number(row.start_time),
+      end: Number(row.end_time)
+    });
+  });
+  return [...shifts.values()];
+}
+
+export { ACTIVITIES, ensureScheduleSchema, getSchedules, importSchedules, parseSchedule };
@@ -3,12 +3,44 @@
 import express from 'express';
 import path from 'path';
 import dotenv from 'dotenv';
-import { generateSimplifiedAgentReport, generateSlotWiseAgentReportWithSeparateApiCalls } from './agentEvents.js';
+import cookieParser from 'cookie-parser';
+import {
+  generateSimplifiedAgentReport,
+  generateSlotWiseAgentReportWithSeparateApiCalls,
+  parseSlotInterval,
+  parseSlotBoundaries
+} from './agentEvents.js';
 import axios from 'axios';
 import https from 'https';
 import fs from 'fs';
-import { log, logStateTransition, logStateTransitions, getStateTransitionsLog, logCommandOutput, listLogFiles, getDailyLogDir, startReportSession, endReportSession, listCombinedLogFiles } from './logger.js';
+import { log, withLogContext, logStateTransition, logStateTransitions, getStateTransitionsLog, logCommandOutput, listLogFiles, getDailyLogDir, startReportSession, endReportSession, listCombinedLogFiles } from './logger.js';
+import { login, logout, authCheck, requireAuth, requirePageAuth } from './auth.js';
+import { ensureAccessSchema, loadAccessScope, requireRole } from './access.js';
+import { ensureUserSchema, UserError } from './users.js';
+import userRoutes from './userRoutes.js';
+import { ensureTenantSchema, requireTenantAccess, createRegistryCredentialsResolver } from './tenants.js';
+import tenantRoutes from './tenantRoutes.js';
+import reportScheduleRoutes from './reportScheduleRoutes.js';
+import { ensureReportScheduleSchema, startReportScheduler } from './reportSchedules.js';
+import alertRoutes from './alertRoutes.js';
+import { ensureStateAlertSchema, startStateAlerts } from './stateAlerts.js';
+import { setCredentialsResolver, envCredentialsResolver } from './tokenService.js';
+import { getOrCreateReport, invalidateReportCache } from './reportCache.js';
+import { ensureEventStoreSchema, listSyncStates } from './eventStore.js';
+import { ensureStateCatalogueSchema } from './stateCatalogue.js';
+import { ensureScheduleSchema } from './schedules.js';
+import { generateAdherenceReport } from './adherence.js';
+import { generateQueueReport, parseServiceLevel } from './queueReport.js';
+import { generateAgentComparisonReport } from './reportComparison.js';
+import { buildReportWorkbook } from './reportWorkbook.js';
+import { XLSX_CONTENT_TYPE } from './xlsx.js';
+import { parseExportFormat, sendReportExport } from './reportExport.js';
+import { startEventSync, syncTenant } from './eventSync.js';
+import { startReportJob, getReportJob, listReportJobs, cancelReportJob, describeReportJob } from './reportJobs.js';
+import { handleError } from './userRoutes.js';
+import { subscribeLiveAgents } from './liveAgents.js';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 import { dirname } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,21 +55,171 @@ log(`HOST: ${process.env.HOST}`, 'info');
 log(`PUBLIC_URL: ${process.env.PUBLIC_URL}`, 'info');
 
 const app = express();
-app.use(express.json()); // parse JSON bodies
+app.use(express.json({ limit: '5mb' })); // parse JSON bodies (schedule imports can be large)
+app.use(cookieParser());
+
+// Tag every log line of a request with its id; a caller's X-Request-Id is kept so
+// lines can be matched across services. Registered after the body parser, which
+// would otherwise lose the context.
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id');
+  const requestId = given && /^[\w.-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  withLogContext({ requestId }, next);
+});
 const PORT = process.env.PORT || 5555;
 const HOST = process.env.HOST || '0.0.0.0'; // 0.0.0.0 ensures the server binds to all network interfaces
 const PUBLIC_URL = process.env.PUBLIC_URL || `https://${HOST}:${PORT}`;
 
 log(`Server will start on: ${PUBLIC_URL}`, 'info');
 
+// The report page requires a session; login.html and static assets stay public
+app.get(['/', '/index.html'], requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// User management page (admins only; the API enforces this as well)
+app.get('/admin.html', requirePageAuth, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Scheduled report management (admins and supervisors)
+app.get('/report-schedules.html', requirePageAuth, (req, res) => {
+  if (req.user.role === 'agent') {
+    return res.redirect('/');
+  }
+  res.sendFile(path.join(__dirname, 'public', 'report-schedules.html'));
+});
+
 // Use __dirname directly since we're using CommonJS
 app.use(express.static(path.join(__dirname, 'public')));
 
+// --- Auth Endpoints ---
+app.post('/api/login', login);
+app.post('/api/logout', logout);
+app.get('/api/auth/check', authCheck);
+
+// Every other /api/* route requires a valid session and a resolved access scope
+app.use('/api', requireAuth, loadAccessScope);
+
+// User, team and tenant management, scheduled reports and state alerts
+app.use('/api', userRoutes);
+app.use('/api', tenantRoutes);
+app.use('/api', reportScheduleRoutes);
+app.use('/api', alertRoutes);
+
+// Report routes may only target tenants assigned to the user
+app.use('/api', requireTenantAccess);
+
 // --- API Endpoints ---
 
+/**
+ * Options every report generator receives: the caller's extension scope and
+ * the timezone and KPI formulas of the requested tenant
+ */
+function reportOptions(req) {
+  return {
+    allowedExtensions: req.accessScope.extensions,
+    timeZone: req.tenant?.timezone,
+    kpiFormulas: req.tenant?.kpiFormulas
+  };
+}
+
+/**
+ * Slot settings for the slot-wise report from a query string or job body:
+ * `interval` (minutes, "day" or "week") and optional shift `boundaries` ("06:00,14:00,22:00")
+ * @throws {UserError} - When either is invalid
+ */
+function slotOptionsFrom(source) {
+  const interval = parseSlotInterval(source.interval);
+  if (interval === null) {
+    throw new UserError(`Unsupported interval "${source.interval}"; use 15, 30, 60, 120, 180, 240, 360, 480, 720, day or week`);
+  }
+  if (!source.boundaries) return { interval };
+
+  const boundaries = parseSlotBoundaries(source.boundaries);
+  if (!boundaries) {
+    throw new UserError('boundaries must be a comma-separated list of HH:MM times');
+  }
+  return { interval, boundaries };
+}
+
+/**
+ * Comparison range for the agent report from a query string or job body:
+ * `compareStartDateTime` and `compareEndDateTime`, both or neither
+ * @returns {Object} - { compareStartDateTime, compareEndDateTime }, or {} without a comparison
+ * @throws {UserError} - When only one of them is given
+ */
+function comparisonFrom(source) {
+  const { compareStartDateTime, compareEndDateTime } = source;
+  if (!compareStartDateTime && !compareEndDateTime) return {};
+  if (!compareStartDateTime || !compareEndDateTime) {
+    throw new UserError('A comparison needs both compareStartDateTime and compareEndDateTime');
+  }
+  return { compareStartDateTime, compareEndDateTime };
+}
+
+/**
+ * Slot settings plus the service level threshold (`serviceLevel`, seconds) for the queue report
+ * @throws {UserError} - When any of them is invalid
+ */
+function queueOptionsFrom(source) {
+  const serviceLevel = parseServiceLevel(source.serviceLevel);
+  if (serviceLevel === null) {
+    throw new UserError('serviceLevel must be a whole number of seconds between 1 and 3600');
+  }
+  return { ...slotOptionsFrom(source), serviceLevel };
+}
+
+/**
+ * Export format (`format`: csv, json, ndjson or pdf) from a query string
+ * @returns {string|null} - The format, or null for the report's usual JSON response
+ * @throws {UserError} - When the format is not supported
+ */
+function exportFormatFrom(source) {
+  if (!source.format) return null;
+  const format = parseExportFormat(source.format);
+  if (!format) {
+    throw new UserError(`Unsupported format "${source.format}"; use csv, json, ndjson or pdf`);
+  }
+  return format;
+}
+
+/**
+ * The agent and extension filter lines of an export's header block
+ */
+function exportFilters({ agentName, extension }) {
+  return [
+    ['Agent Filter', agentName || 'All Agents'],
+    ['Extension Filter', extension || 'All Extensions']
+  ];
+}
+
+/**
+ * Generate a report through the result cache and say where it came from in the
+ * X-Cache header (HIT, MISS or REFRESH). `?refresh=1` skips a cached entry.
+ */
+async function cachedReport(req, res, report, params, generate) {
+  const { tenant } = params;
+  const options = reportOptions(req);
+  const { value, status } = await getOrCreateReport(
+    report,
+    { ...params, ...options },
+    () => generate(options),
+    { refresh: ['1', 'true'].includes(req.query.refresh) }
+  );
+  res.set('X-Cache', status);
+  log(`Report cache ${status} for ${report} (tenant=${tenant})`, 'info');
+  return value;
+}
+
 // Slot-wise Agent Report Endpoint with Separate API Calls per Slot
 app.get('/api/slot-wise-agent-report', async (req, res) => {
-  const { tenant, startDateTime, endDateTime, agentName, extension } = req.query;
+  const { startDateTime, endDateTime, agentName, extension } = req.query;
+  const tenant = req.tenant?.name;
   
   if (!tenant || !startDateTime || !endDateTime) {
     log('Missing required parameters for slot-wise report', 'error');
@@ -47,6 +229,15 @@ app.get('/api/slot-wise-agent-report', async (req, res) => {
     });
   }
 
+  let slotOptions;
+  let format;
+  try {
+    slotOptions = slotOptionsFrom(req.query);
+    format = exportFormatFrom(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
   try {
     // Start a new report session to capture all logs
     startReportSession();
@@ -54,16 +245,17 @@ app.get('/api/slot-wise-agent-report', async (req, res) => {
     log(`Generating slot-wise agent report with separate API calls...`, 'info');
     log(`Parameters: tenant=${tenant}, start=${startDateTime}, end=${endDateTime}`, 'info');
     log(`Filters: agentName=${agentName || 'All'}, extension=${extension || 'All'}`, 'info');
+    log(`Slots: ${slotOptions.boundaries ? `shift boundaries ${req.query.boundaries}` : `interval ${slotOptions.interval}`}`, 'info');
 
     // Set a longer timeout for this request (2 minutes)
     req.setTimeout(120000);
     
-    const reportData = await generateSlotWiseAgentReportWithSeparateApiCalls(
-      tenant,
-      startDateTime,
-      endDateTime,
-      agentName,
-      extension
+    const reportData = await cachedReport(
+      req,
+      res,
+      'slot-wise-agent-report',
+      { tenant, startDateTime, endDateTime, agentName, extension, ...slotOptions },
+      options => generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName, extension, { ...options, ...slotOptions })
     );
 
     log(`Slot-wise report generated successfully`, 'info');
@@ -77,6 +269,17 @@ app.get('/api/slot-wise-agent-report', async (req, res) => {
       reportData.logFile = path.basename(logFilePath);
     }
 
+    if (format) {
+      if (!reportData.success) throw new Error(reportData.error);
+      log(`Exporting slot-wise report as ${format}`, 'info');
+      const { slotInterval } = reportData.summary;
+      const filters = [
+        ...exportFilters(req.query),
+        ['Slots', slotOptions.boundaries ? `Shifts at ${req.query.boundaries}` : (typeof slotInterval === 'number' ? `${slotInterval} minutes` : slotInterval)]
+      ];
+      return await sendReportExport(res, { report: 'slot-wise-agent-report', data: reportData, format, tenant: req.tenant, startDateTime, endDateTime, filters });
+    }
+
     // Set cache-control headers to prevent caching
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -106,7 +309,8 @@ app.get('/api/slot-wise-agent-report', async (req, res) => {
 
 // Simplified Agent Report Endpoint (main endpoint)
 app.get('/api/agent-report', async (req, res) => {
-  const { tenant, startDateTime, endDateTime, agentName, extension } = req.query;
+  const { startDateTime, endDateTime, agentName, extension } = req.query;
+  const tenant = req.tenant?.name;
   
   if (!tenant || !startDateTime || !endDateTime) {
     log('Missing required parameters for simplified report', 'error');
@@ -116,6 +320,15 @@ app.get('/api/agent-report', async (req, res) => {
     });
   }
 
+  let comparison;
+  let format;
+  try {
+    comparison = comparisonFrom(req.query);
+    format = exportFormatFrom(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
   try {
     // Start a new report session to capture all logs
     startReportSession();
@@ -123,13 +336,16 @@ app.get('/api/agent-report', async (req, res) => {
     log(`Generating simplified agent report...`, 'info');
     log(`Parameters: tenant=${tenant}, start=${startDateTime}, end=${endDateTime}`, 'info');
     log(`Filters: agentName=${agentName || 'All'}, extension=${extension || 'All'}`, 'info');
+    if (comparison.compareStartDateTime) {
+      log(`Comparing with: start=${comparison.compareStartDateTime}, end=${comparison.compareEndDateTime}`, 'info');
+    }
 
-    const reportData = await generateSimplifiedAgentReport(
-      tenant,
-      startDateTime,
-      endDateTime,
-      agentName,
-      extension
+    const reportData = await cachedReport(
+      req,
+      res,
+      'agent-report',
+      { tenant, startDateTime, endDateTime, agentName, extension, ...comparison },
+      options => generateAgentReport({ tenant, startDateTime, endDateTime, agentName, extension, ...comparison }, options)
     );
 
     log(`Report generated successfully`, 'info');
@@ -143,6 +359,16 @@ app.get('/api/agent-report', async (req, res) => {
       reportData.logFile = path.basename(logFilePath);
     }
 
+    if (format) {
+      if (!reportData.success) throw new Error(reportData.error);
+      log(`Exporting agent report as ${format}`, 'info');
+      const filters = exportFilters(req.query);
+      if (comparison.compareStartDateTime) {
+        filters.push(['Compared With', `${comparison.compareStartDateTime} to ${comparison.compareEndDateTime}`]);
+      }
+      return await sendReportExport(res, { report: 'agent-report', data: reportData, format, tenant: req.tenant, startDateTime, endDateTime, filters });
+    }
+
     // Set cache-control headers to prevent caching
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -173,9 +399,159 @@ app.get('/api/agent-report', async (req, res) => {
   }
 });
 
+// Schedule adherence: imported shift plans against the agents' actual states
+app.get('/api/adherence-report', async (req, res) => {
+  const { startDateTime, endDateTime, agentName, extension } = req.query;
+  const tenant = req.tenant?.name;
+  
+  if (!tenant || !startDateTime || !endDateTime) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Missing required parameters: tenant, startDateTime, endDateTime' 
+    });
+  }
+
+  let slotOptions;
+  try {
+    slotOptions = slotOptionsFrom(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  try {
+    startReportSession();
+    log(`Generating adherence report: tenant=${tenant}, start=${startDateTime}, end=${endDateTime}`, 'info');
+
+    const reportData = await cachedReport(
+      req,
+      res,
+      'adherence-report',
+      { tenant, startDateTime, endDateTime, agentName, extension, ...slotOptions },
+      options => generateAdherenceReport(tenant, startDateTime, endDateTime, agentName, extension, { ...options, ...slotOptions })
+    );
+
+    log(`Adherence report generated: ${reportData.summary.totalAgents} agents, ${reportData.summary.totalShifts} shifts`, 'info');
+    const logFilePath = endReportSession();
+    if (logFilePath) reportData.logFile = path.basename(logFilePath);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(reportData);
+  } catch (error) {
+    endReportSession();
+    handleError(res, error, 'generating adherence report');
+  }
+});
+
+// Queue service level and abandonment. Queue calls are not tied to the caller's
+// extensions, so agents cannot see this report.
+app.get('/api/queue-report', requireRole('admin', 'supervisor'), async (req, res) => {
+  const { startDateTime, endDateTime, queue } = req.query;
+  const tenant = req.tenant?.name;
+
+  if (!tenant || !startDateTime || !endDateTime) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters: tenant, startDateTime, endDateTime'
+    });
+  }
+
+  let slotOptions;
+  let format;
+  try {
+    slotOptions = queueOptionsFrom(req.query);
+    format = exportFormatFrom(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  try {
+    startReportSession();
+    log(`Generating queue report: tenant=${tenant}, start=${startDateTime}, end=${endDateTime}, queue=${queue || 'all'}`, 'info');
+
+    const reportData = await cachedReport(
+      req,
+      res,
+      'queue-report',
+      { tenant, startDateTime, endDateTime, queue, ...slotOptions },
+      options => generateQueueReport(tenant, startDateTime, endDateTime, queue, { ...options, ...slotOptions })
+    );
+
+    log(`Queue report generated: ${reportData.summary.totalQueues} queues, ${reportData.summary.offered} calls offered`, 'info');
+    const logFilePath = endReportSession();
+    if (logFilePath) reportData.logFile = path.basename(logFilePath);
+
+    if (format) {
+      const filters = [
+        ['Queue Filter', queue || 'All Queues'],
+        ['Service Level', `${slotOptions.serviceLevel} seconds`]
+      ];
+      return await sendReportExport(res, { report: 'queue-report', data: reportData, format, tenant: req.tenant, startDateTime, endDateTime, filters });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(reportData);
+  } catch (error) {
+    endReportSession();
+    handleError(res, error, 'generating queue report');
+  }
+});
+
+// Excel workbook of the agent report and the slot-wise report for the same range.
+// Both go through the report cache, so a report just viewed is not generated again.
+app.get('/api/report-workbook', async (req, res) => {
+  const { startDateTime, endDateTime, agentName, extension } = req.query;
+  const tenant = req.tenant?.name;
+
+  if (!tenant || !startDateTime || !endDateTime) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters: tenant, startDateTime, endDateTime'
+    });
+  }
+
+  let slotOptions;
+  try {
+    slotOptions = slotOptionsFrom(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  try {
+    log(`Building report workbook: tenant=${tenant}, start=${startDateTime}, end=${endDateTime}`, 'info');
+    const options = reportOptions(req);
+    const params = { tenant, startDateTime, endDateTime, agentName, extension };
+
+    const { value: agentReport } = await getOrCreateReport(
+      'agent-report',
+      { ...params, ...options },
+      () => generateSimplifiedAgentReport(tenant, startDateTime, endDateTime, agentName, extension, options)
+    );
+    if (!agentReport.success) {
+      throw new Error(agentReport.error);
+    }
+    const { value: slotReport } = await getOrCreateReport(
+      'slot-wise-agent-report',
+      { ...params, ...slotOptions, ...options },
+      () => generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName, extension, { ...options, ...slotOptions })
+    );
+
+    const workbook = buildReportWorkbook({ tenant: req.tenant, agentReport, slotReport, filters: { agentName, extension } });
+    const day = agentReport.summary.timeRange.startFormatted?.slice(0, 10).replace(/\//g, '-') || 'report';
+    res.set({
+      'Content-Type': XLSX_CONTENT_TYPE,
+      'Content-Disposition': `attachment; filename="agent_activity_${tenant}_${day}.xlsx"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(workbook);
+  } catch (error) {
+    handleError(res, error, 'building report workbook');
+  }
+});
+
 // Legacy endpoint for backward compatibility
 app.get('/api/agents', async (req, res) => {
-  const { account, start, end, agentName, extension } = req.query;
+  const { start, end, agentName, extension } = req.query;
+  const account = req.tenant?.name;
   
   if (!account || !start || !end) {
     log('Missing required parameters for legacy report', 'error');
@@ -186,12 +562,12 @@ app.get('/api/agents', async (req, res) => {
     // Start a new report session to capture all logs
     startReportSession();
     
-    const reportData = await generateSimplifiedAgentReport(
-      account,
-      start,
-      end,
-      agentName,
-      extension
+    const reportData = await cachedReport(
+      req,
+      res,
+      'agent-report',
+      { tenant: account, startDateTime: start, endDateTime: end, agentName, extension },
+      options => generateSimplifiedAgentReport(account, start, end, agentName, extension, options)
     );
 
     // End the report session and save logs to a separate file
@@ -219,7 +595,8 @@ app.get('/api/agents', async (req, res) => {
 
 // Agent Status Endpoint (for compatibility)
 app.get('/api/agent-status', async (req, res) => {
-  const { tenant, start, end, agentName, extension } = req.query;
+  const { start, end, agentName, extension } = req.query;
+  const tenant = req.tenant?.name;
   
   if (!tenant || !start || !end) {
     log('Missing required parameters for agent status report', 'error');
@@ -230,12 +607,12 @@ app.get('/api/agent-status', async (req, res) => {
     // Start a new report session to capture all logs
     startReportSession();
     
-    const reportData = await generateSimplifiedAgentReport(
-      tenant,
-      start,
-      end,
-      agentName,
-      extension
+    const reportData = await cachedReport(
+      req,
+      res,
+      'agent-report',
+      { tenant, startDateTime: start, endDateTime: end, agentName, extension },
+      options => generateSimplifiedAgentReport(tenant, start, end, agentName, extension, options)
     );
 
     // End the report session and save logs to a separate file
@@ -253,8 +630,160 @@ app.get('/api/agent-status', async (req, res) => {
   }
 });
 
+// Live agent states as Server-Sent Events: a "snapshot" of every agent, then a
+// "transition" per state change. Browsers reconnect on their own after a drop.
+app.get('/api/agents/live', (req, res) => {
+  if (!req.tenant) {
+    return res.status(400).json({ success: false, error: 'Missing required parameter: tenant' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, timeZone: req.tenant.timezone })}\n\n`);
+  const unsubscribe = subscribeLiveAgents(req.tenant.name, { send, allowedExtensions: req.accessScope.extensions });
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+  log(`Live wallboard connected for ${req.tenant.name} (${req.user.username})`, 'info');
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * The agent report, compared with a second range when the params have one
+ */
+function generateAgentReport({ tenant, startDateTime, endDateTime, agentName, extension, compareStartDateTime, compareEndDateTime }, options) {
+  if (compareStartDateTime) {
+    return generateAgentComparisonReport(tenant, startDateTime, endDateTime, compareStartDateTime, compareEndDateTime, agentName, extension, options);
+  }
+  return generateSimplifiedAgentReport(tenant, startDateTime, endDateTime, agentName, extension, options);
+}
+
+// Reports that can run as background jobs
+const REPORT_JOB_GENERATORS = {
+  'agent-report': generateAgentReport,
+  'slot-wise-agent-report': ({ tenant, startDateTime, endDateTime, agentName, extension, interval, boundaries }, options) =>
+    generateSlotWiseAgentReportWithSeparateApiCalls(tenant, startDateTime, endDateTime, agentName, extension, { ...options, interval, boundaries }),
+  'adherence-report': ({ tenant, startDateTime, endDateTime, agentName, extension, interval, boundaries }, options) =>
+    generateAdherenceReport(tenant, startDateTime, endDateTime, agentName, extension, { ...options, interval, boundaries }),
+  'queue-report': ({ tenant, startDateTime, endDateTime, queue, interval, boundaries, serviceLevel }, options) =>
+    generateQueueReport(tenant, startDateTime, endDateTime, queue, { ...options, interval, boundaries, serviceLevel })
+};
+
+// Reports that are split into slots
+const SLOTTED_REPORTS = ['slot-wise-agent-report', 'adherence-report'];
+
+// Start a report in the background; poll GET /api/report-jobs/:id for progress and the result
+app.post('/api/report-jobs', (req, res) => {
+  const { report = 'agent-report', startDateTime, endDateTime, agentName, extension, queue, refresh } = req.body || {};
+  // The tenant requireTenantAccess checked; the body's own tenant must agree with it
+  const tenant = req.tenant?.name;
+  const generate = REPORT_JOB_GENERATORS[report];
+
+  if (!generate) {
+    return res.status(400).json({ success: false, error: `Unknown report "${report}"` });
+  }
+  if (report === 'queue-report' && req.accessScope.role === 'agent') {
+    return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+  }
+  if (!tenant || !startDateTime || !endDateTime) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameters: tenant, startDateTime, endDateTime'
+    });
+  }
+
+  try {
+    const params = { tenant, startDateTime, endDateTime, agentName: agentName || null, extension: extension || null };
+    if (report === 'agent-report') {
+      Object.assign(params, comparisonFrom(req.body));
+    } else if (report === 'queue-report') {
+      Object.assign(params, { queue: queue || null }, queueOptionsFrom(req.body));
+    } else if (SLOTTED_REPORTS.includes(report)) {
+      Object.assign(params, slotOptionsFrom(req.body));
+    }
+    const options = reportOptions(req);
+
+    const job = startReportJob({ report, params, owner: req.user }, async ({ signal, onProgress }) => {
+      // Other jobs and requests may share this generation, so it gets its own signal
+      const { value, status } = await getOrCreateReport(
+        report,
+        { ...params, ...options },
+        shared => generate(params, { ...options, ...shared }),
+        { refresh: Boolean(refresh), signal, onProgress }
+      );
+      log(`Report cache ${status} for ${report} job (tenant=${tenant})`, 'info');
+      return value;
+    });
+
+    res.status(202).json({ success: true, job: describeReportJob(job) });
+  } catch (error) {
+    handleError(res, error, 'starting report job');
+  }
+});
+
+// The caller's jobs, so a reloaded page can find a report still running
+app.get('/api/report-jobs', (req, res) => {
+  res.json({ success: true, jobs: listReportJobs(req.user).map(job => describeReportJob(job)) });
+});
+
+// Job status and progress; includes the report once it has completed
+app.get('/api/report-jobs/:id', (req, res) => {
+  const job = getReportJob(req.params.id, req.user);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Report job not found' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, job: describeReportJob(job, { includeResult: true }) });
+});
+
+// Cancel a running job
+app.delete('/api/report-jobs/:id', (req, res) => {
+  const job = getReportJob(req.params.id, req.user);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Report job not found' });
+  }
+  const cancelled = cancelReportJob(job);
+  res.json({ success: true, cancelled, job: describeReportJob(job) });
+});
+
+// Drop cached reports, for one tenant (?tenant=) or all of them
+app.delete('/api/report-cache', requireRole('admin'), (req, res) => {
+  const tenant = req.query.tenant || null;
+  const removed = invalidateReportCache({ tenant });
+  log(`Report cache cleared for ${tenant || 'all tenants'} by ${req.user.username} (${removed} entries)`, 'info');
+  res.json({ success: true, removed });
+});
+
+// Event store sync progress per tenant
+app.get('/api/event-sync', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, tenants: await listSyncStates() });
+  } catch (error) {
+    log(`Error reading event sync state: ${error.message}`, 'error');
+    res.status(500).json({ success: false, error: 'Unable to read event sync state' });
+  }
+});
+
+// Start a sync for one tenant now; it runs in the background
+app.post('/api/event-sync/:tenant', requireRole('admin'), (req, res) => {
+  const { tenant } = req.params;
+  syncTenant(tenant).catch(error => log(`Event sync for ${tenant} failed: ${error.message}`, 'error'));
+  res.status(202).json({ success: true, message: `Sync started for ${tenant}` });
+});
+
 // Add a new endpoint to list all combined log files
-app.get('/api/combined-logs', (req, res) => {
+app.get('/api/combined-logs', requireRole('admin'), (req, res) => {
   try {
     const combinedLogs = listCombinedLogFiles();
     res.json({
@@ -277,7 +806,7 @@ app.get('/api/combined-logs', (req, res) => {
 });
 
 // Add an endpoint to download a specific combined log file
-app.get('/api/combined-logs/:filename', (req, res) => {
+app.get('/api/combined-logs/:filename', requireRole('admin'), (req, res) => {
   try {
     const { filename } = req.params;
     const dateStr = getLogDate();
@@ -310,11 +839,6 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Default route
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
 // SSL Certificate Management
 const loadSSLCertificates = () => {
   try {
@@ -341,6 +865,27 @@ const loadSSLCertificates = () => {
   }
 };
 
+// Upstream credentials come from the tenant registry, falling back to .env for unregistered tenants
+setCredentialsResolver(createRegistryCredentialsResolver(envCredentialsResolver));
+
+// Make sure the users table, role/team columns, tenant registry, event store,
+// state catalogue, schedules, report schedules and alert rules exist before serving requests
+// that depend on them; the event sync, the report scheduler and the state alerts need all of them
+ensureUserSchema()
+  .then(ensureAccessSchema)
+  .then(ensureTenantSchema)
+  .then(ensureEventStoreSchema)
+  .then(ensureStateCatalogueSchema)
+  .then(ensureScheduleSchema)
+  .then(ensureReportScheduleSchema)
+  .then(ensureStateAlertSchema)
+  .then(startEventSync)
+  .then(startReportScheduler)
+  .then(startStateAlerts)
+  .catch(error => {
+    log(`Error preparing database schema: ${error.message}`, 'error');
+  });
+
 const sslOptions = loadSSLCertificates();
 
 // Only use HTTPS if PUBLIC_URL starts with https://
@@ -0,0 +1,285 @@
+// smtp.js - Minimal SMTP client for mailing scheduled reports
+//
+// Speaks just enough SMTP to hand a message with attachments to a relay:
+// EHLO, STARTTLS when the server offers it, AUTH PLAIN or LOGIN, MAIL FROM,
+// RCPT TO, DATA and QUIT. Messages are multipart/mixed with a UTF-8 text part
+// and base64 attachments. Written by hand, like xlsx.js and pdf.js, to avoid
+// a new dependency.
+//
+// Configuration:
+//   SMTP_HOST, SMTP_PORT      relay to deliver to (default localhost:25, or 465 when SMTP_SECURE)
+//   SMTP_SECURE               "true" for implicit TLS (SMTPS)
+//   SMTP_STARTTLS             "false" to stay in plain text even when STARTTLS is offered
+//   SMTP_USER, SMTP_PASSWORD  credentials, when the relay requires them
+//   SMTP_FROM                 sender address (default reports@<hostname>)
+//   SMTP_TIMEOUT              how long to wait for each reply (default 30s)
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import crypto from 'crypto';
+import ms from 'ms';
+
+/**
+ * A reply the server should not have sent; `code` is the SMTP reply code
+ * (4xx temporary, 5xx permanent), or null when the connection failed
+ */
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+/**
+ * SMTP settings from the environment
+ */
+function smtpConfig(env = process.env) {
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    host: env.SMTP_HOST || 'localhost',
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 25),
+    secure,
+    startTls: env.SMTP_STARTTLS !== 'false',
+    user: env.SMTP_USER || null,
+    password: env.SMTP_PASSWORD || '',
+    from: env.SMTP_FROM || `reports@${os.hostname()}`,
+    timeout: ms(env.SMTP_TIMEOUT || '30s')
+  };
+}
+
+/**
+ * Reads CRLF-terminated reply lines off a socket and assembles multiline replies
+ */
+class ReplyReader {
+  constructor(timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.failure = null;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.deliver();
+    });
+    socket.on('error', error => this.fail(new SmtpError(`SMTP connection failed: ${error.message}`)));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed unexpectedly')));
+  }
+
+  // Move to a new (TLS) socket; anything buffered was sent in plain text and is discarded
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.buffer = '';
+    this.lines = [];
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    this.deliver();
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+    // A reply ends with a line whose code is followed by a space instead of "-"
+    const last = this.lines.findIndex(line => !/^\d{3}-/.test(line));
+    if (last >= 0) {
+      const lines = this.lines.splice(0, last + 1);
+      const { resolve, timer } = this.waiting;
+      this.waiting = null;
+      clearTimeout(timer);
+      resolve({ code: Number(lines[last].slice(0, 3)), lines: lines.map(line => line.slice(4)) });
+    } else if (this.failure) {
+      const { reject, timer } = this.waiting;
+      this.waiting = null;
+      clearTimeout(timer);
+      reject(this.failure);
+    }
+  }
+
+  next() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new SmtpError(`No reply from the SMTP server within ${ms(this.timeout, { long: true })}`));
+      }, this.timeout);
+      this.waiting = { resolve, reject, timer };
+      this.deliver();
+    });
+  }
+}
+
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new SmtpError(`Could not connect to SMTP server ${host}:${port}`));
+    }, timeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once('error', error => {
+      clearTimeout(timer);
+      reject(new SmtpError(`Could not connect to SMTP server ${host}:${port}: ${error.message}`));
+    });
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host });
+    secured.once('secureConnect', () => resolve(secured));
+    secured.once('error', error => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+  });
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ */
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7E]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} mail - { from, to, subject, text, attachments: [{ filename, contentType, content }] }
+ * @returns {string} - Message with CRLF line ends
+ */
+function buildMessage({ from, to, subject, text = '', attachments = [] }) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = String(from).split('@')[1] || os.hostname();
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text)
+  ];
+  attachments.forEach(attachment => {
+    const filename = encodeHeader(attachment.filename).replace(/"/g, '');
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${filename}"`,
+      `Content-Disposition: attachment; filename="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(attachment.content)
+    );
+  });
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
+/**
+ * Send one message
+ * @param {Object} mail
+ * @param {string} [mail.from] - Sender; SMTP_FROM by default
+ * @param {Array<string>} mail.to - Recipient addresses
+ * @param {string} mail.subject
+ * @param {string} [mail.text] - Plain text body
+ * @param {Array<Object>} [mail.attachments] - [{ filename, contentType, content: Buffer }]
+ * @param {Object} [config] - See smtpConfig
+ * @returns {Promise<{accepted: Array<string>, rejected: Array<string>, response: string}>}
+ * @throws {SmtpError} - When the server refuses the message or every recipient
+ */
+async function sendMail(mail, config = smtpConfig()) {
+  const from = mail.from || config.from;
+  const reader = new ReplyReader(config.timeout);
+  let socket = await connect(config);
+  reader.attach(socket);
+
+  // `accepted` lists reply codes, or a class such as 200 for any 2xx. The step
+  // is named by its verb only, so credentials never end up in an error.
+  const expect = async (command, accepted, step = command?.split(' ')[0]) => {
+    if (command !== null) socket.write(`${command}\r\n`);
+    const reply = await reader.next();
+    if (!accepted.includes(Math.floor(reply.code / 100) * 100) && !accepted.includes(reply.code)) {
+      throw new SmtpError(`SMTP server rejected ${step || 'the connection'}: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  };
+
+  try {
+    await expect(null, [200]);
+    const hostname = os.hostname();
+    let capabilities = (await expect(`EHLO ${hostname}`, [200])).lines.map(line => line.toUpperCase());
+
+    if (!config.secure && config.startTls && capabilities.includes('STARTTLS')) {
+      await expect('STARTTLS', [200]);
+      reader.detach();
+      socket = await upgradeToTls(socket, config.host);
+      reader.attach(socket);
+      capabilities = (await expect(`EHLO ${hostname}`, [200])).lines.map(line => line.toUpperCase());
+    }
+
+    if (config.user) {
+      const mechanisms = capabilities.find(line => line.startsWith('AUTH'))?.split(/\s+/).slice(1) || [];
+      if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+        const token = Buffer.from(`\0${config.user}\0${config.password}`).toString('base64');
+        await expect(`AUTH PLAIN ${token}`, [235]);
+      } else {
+        await expect('AUTH LOGIN', [334]);
+        await expect(Buffer.from(config.user).toString('base64'), [334], 'AUTH');
+        await expect(Buffer.from(config.password).toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await expect(`MAIL FROM:<${from}>`, [200]);
+    const accepted = [];
+    const rejected = [];
+    for (const recipient of mail.to) {
+      try {
+        await expect(`RCPT TO:<${recipient}>`, [200]);
+        accepted.push(recipient);
+      } catch (error) {
+        if (!(error instanceof SmtpError) || error.code === null) throw error;
+        rejected.push(recipient);
+        // A temporary refusal of one recipient should be retried, not dropped
+        if (error.code < 500) throw error;
+      }
+    }
+    if (accepted.length === 0) {
+      throw new SmtpError(`SMTP server rejected every recipient (${rejected.join(', ')})`, 550);
+    }
+
+    await expect('DATA', [354]);
+    // Dot-stuff lines that start with "." so they are not read as the end of the message
+    const message = buildMessage({ ...mail, from, to: mail.to }).replace(/^\./gm, '..');
+    const reply = await expect(`${message}\r\n.`, [200], 'the message');
+
+    socket.write('QUIT\r\n');
+    return { accepted, rejected, response: `${reply.code} ${reply.lines.join(' ')}` };
+  } finally {
+    socket.end();
+  }
+}
+
+export { SmtpError, smtpConfig, buildMessage, sendMail };
@@ -0,0 +1,810 @@
+// stateAlerts.js - Alerts for agents who stay in a state too long
+//
+// A rule sets how many minutes an agent may spend in one state (lunch, Tea
+// Break, Not Available, ...) for a tenant, either for every agent or for the
+// members of one team. An agent's team rule wins over the tenant-wide rule for
+// the same state; an agent in several teams gets the most lenient of them.
+//
+// Rules are checked in two places:
+//   - live: every ALERT_CHECK_INTERVAL the current state of each agent, as the
+//     live wallboard feed sees it (see liveAgents.js), for every tenant that
+//     has rules. A breach is raised once, as soon as the limit is passed.
+//   - on demand: the state blocks processCustomStatesForAgent produces for a
+//     past range (see evaluateAlertRange).
+//
+// Every breach is recorded once per rule, agent and state block, then posted
+// as a signed JSON webhook (see webhooks.js) to each enabled webhook of the
+// tenant. A failed delivery is retried WEBHOOK_MAX_ATTEMPTS times with a
+// doubling WEBHOOK_RETRY_DELAY; every attempt's outcome is kept in the
+// delivery log. Any server process may record a breach, but only the one
+// holding a MySQL named lock sends webhooks.
+import ms from 'ms';
+import { getPool, query } from './db.js';
+import { log } from './logger.js';
+import { UserError } from './users.js';
+import { getTenant } from './tenants.js';
+import { getStateCatalogue } from './stateCatalogue.js';
+import { subscribeLiveAgents } from './liveAgents.js';
+import { retryDelay } from './reportSchedules.js';
+import { generateWebhookSecret, postWebhook } from './webhooks.js';
+import {
+  STATE_LOOKBACK,
+  fetchAgentEventsData,
+  loadAgentEvents,
+  processCustomStatesForAgent,
+  resolveStateCatalogue
+} from './agentEvents.js';
+import { formatDateTime, parseZonedDateTime } from './public/timezone.js';
+
+const CHECK_INTERVAL = ms(process.env.ALERT_CHECK_INTERVAL || '30s'); // 0 disables live checks and deliveries
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_DELAY = ms(process.env.WEBHOOK_RETRY_DELAY || '1m');
+const MAX_RULE_MINUTES = 24 * 60;
+const LOG_LIMIT = 100;
+const MINUTE = 60 * 1000;
+
+const minutes = value => Math.round(value / MINUTE);
+
+// tenant → { agents: Map(id → { agentName, extension, state, since }), reported: Map(key → breach) }
+const watches = new Map();
+let timer = null;
+let checking = false;
+let delivering = false;
+
+/**
+ * Create the rule, webhook, breach and delivery tables
+ */
+async function ensureStateAlertSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant VARCHAR(64) NOT NULL,
+      state VARCHAR(100) NOT NULL,
+      team_id INT NULL,
+      max_minutes INT NOT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_alert_rules_tenant (tenant, enabled),
+      FOREIGN KEY (tenant) REFERENCES tenants(name) ON DELETE CASCADE,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS alert_webhooks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(128) NOT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (tenant) REFERENCES tenants(name) ON DELETE CASCADE
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS alert_breaches (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      tenant VARCHAR(64) NOT NULL,
+      rule_id INT NULL,
+      state VARCHAR(100) NOT NULL,
+      max_minutes INT NOT NULL,
+      agent_name VARCHAR(100) NOT NULL DEFAULT '',
+      extension VARCHAR(32) NOT NULL DEFAULT '',
+      started_at BIGINT NOT NULL,
+      breached_at BIGINT NOT NULL,
+      ended_at BIGINT NULL,
+      source VARCHAR(10) NOT NULL,
+      payload TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_alert_breaches_block (rule_id, extension, started_at),
+      KEY idx_alert_breaches_tenant (tenant, breached_at),
+      FOREIGN KEY (tenant) REFERENCES tenants(name) ON DELETE CASCADE,
+      FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE SET NULL
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS alert_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      breach_id INT NOT NULL,
+      webhook_id INT NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at BIGINT NULL,
+      response_status INT NULL,
+      error TEXT NULL,
+      delivered_at BIGINT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_alert_deliveries (breach_id, webhook_id),
+      KEY idx_alert_deliveries_due (status, next_attempt_at),
+      FOREIGN KEY (breach_id) REFERENCES alert_breaches(id) ON DELETE CASCADE,
+      FOREIGN KEY (webhook_id) REFERENCES alert_webhooks(id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// --- Rules and webhooks ----------------------------------------------------------
+
+/**
+ * Check that a tenant is registered
+ * @throws {UserError}
+ */
+async function assertTenant(name) {
+  if (!name) throw new UserError('tenant is required');
+  if (!(await getTenant(name))) throw new UserError(`Unknown tenant "${name}"`);
+}
+
+/**
+ * Validate rule fields from a request body, falling back to the stored row on update
+ * @param {Object} input - { tenant, state, teamId, maxMinutes, enabled }
+ * @param {Object} current - Stored row, or {} for a new rule
+ * @returns {Object} - Column values
+ * @throws {UserError}
+ */
+function normalizeRule(input, current = {}) {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : current[column]);
+
+  const state = String(pick('state', 'state') || '').trim();
+  if (!state) throw new UserError('state is required');
+  if (state.length > 100) throw new UserError('state is too long');
+
+  const maxMinutes = Number(pick('maxMinutes', 'max_minutes'));
+  if (!Number.isInteger(maxMinutes) || maxMinutes < 1 || maxMinutes > MAX_RULE_MINUTES) {
+    throw new UserError(`maxMinutes must be a whole number of minutes between 1 and ${MAX_RULE_MINUTES}`);
+  }
+
+  const team = pick('teamId', 'team_id');
+  const teamId = team === undefined || team === null || team === '' ? null : Number(team);
+  if (teamId !== null && !Number.isInteger(teamId)) throw new UserError('teamId must be a team id');
+
+  const enabled = pick('enabled', 'enabled');
+  return {
+    tenant: String(pick('tenant', 'tenant') || '').trim(),
+    state,
+    team_id: teamId,
+    max_minutes: maxMinutes,
+    enabled: enabled === undefined || enabled === null || enabled ? 1 : 0
+  };
+}
+
+/**
+ * Rules with their team's name, optionally for one tenant
+ */
+async function listAlertRules(tenant = null) {
+  return query(`
+    SELECT r.*, t.name AS team_name
+    FROM alert_rules r LEFT JOIN teams t ON t.id = r.team_id
+    ${tenant ? 'WHERE r.tenant = ?' : ''}
+    ORDER BY r.tenant, r.state, t.name
+  `, tenant ? [tenant] : []);
+}
+
+async function getAlertRule(id) {
+  const [rule] = await query('SELECT * FROM alert_rules WHERE id = ?', [id]);
+  if (!rule) throw new UserError('Alert rule not found', 404);
+  return rule;
+}
+
+/**
+ * Create a rule, or update one when id is given
+ * @param {Object} input - { tenant, state, teamId, maxMinutes, enabled }
+ * @param {number} [id] - Rule to update
+ * @param {number} [userId] - Creator of a new rule
+ * @returns {Promise<Object>} - Stored row
+ * @throws {UserError}
+ */
+async function saveAlertRule(input, id = null, userId = null) {
+  const current = id === null ? {} : await getAlertRule(id);
+  const values = normalizeRule(input, current);
+  await assertTenant(values.tenant);
+  if (values.team_id !== null) {
+    const [team] = await query('SELECT id FROM teams WHERE id = ?', [values.team_id]);
+    if (!team) throw new UserError('Team not found');
+  }
+
+  if (id === null) {
+    const columns = [...Object.keys(values), 'created_by'];
+    const result = await query(
+      `INSERT INTO alert_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [...Object.values(values), userId]
+    );
+    id = result.insertId;
+  } else {
+    await query(
+      `UPDATE alert_rules SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  }
+  const [rule] = await query('SELECT * FROM alert_rules WHERE id = ?', [id]);
+  return rule;
+}
+
+/**
+ * Delete a rule; its breaches stay in the log
+ */
+async function deleteAlertRule(id) {
+  const result = await query('DELETE FROM alert_rules WHERE id = ?', [id]);
+  if (result.affectedRows === 0) throw new UserError('Alert rule not found', 404);
+}
+
+/**
+ * Webhook without its secret, as listed to admins
+ */
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Validate webhook fields from a request body, falling back to the stored row on update
+ * @param {Object} input - { tenant, name, url, enabled }
+ * @param {Object} current - Stored row, or {} for a new webhook
+ * @returns {Object} - Column values
+ * @throws {UserError}
+ */
+function normalizeWebhook(input, current = {}) {
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : current[column]);
+
+  const name = String(pick('name', 'name') || '').trim();
+  if (!name) throw new UserError('name is required');
+  if (name.length > 100) throw new UserError('name is too long');
+
+  const url = String(pick('url', 'url') || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UserError('url must be an absolute http or https URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new UserError('url must be an absolute http or https URL');
+  if (url.length > 2048) throw new UserError('url is too long');
+
+  const enabled = pick('enabled', 'enabled');
+  return {
+    tenant: String(pick('tenant', 'tenant') || '').trim(),
+    name,
+    url,
+    enabled: enabled === undefined || enabled === null || enabled ? 1 : 0
+  };
+}
+
+async function listAlertWebhooks(tenant = null) {
+  const rows = await query(
+    `SELECT * FROM alert_webhooks ${tenant ? 'WHERE tenant = ?' : ''} ORDER BY tenant, name`,
+    tenant ? [tenant] : []
+  );
+  return rows.map(publicWebhook);
+}
+
+async function getAlertWebhook(id) {
+  const [webhook] = await query('SELECT * FROM alert_webhooks WHERE id = ?', [id]);
+  if (!webhook) throw new UserError('Webhook not found', 404);
+  return webhook;
+}
+
+/**
+ * Create a webhook, or update one when id is given. A new webhook gets a
+ * random secret unless one is given; `rotateSecret` replaces the secret of an
+ * existing one.
+ * @param {Object} input - { tenant, name, url, enabled, secret, rotateSecret }
+ * @param {number} [id] - Webhook to update
+ * @returns {Promise<Object>} - Stored row; includes `secret` only when it was just set
+ * @throws {UserError}
+ */
+async function saveAlertWebhook(input, id = null) {
+  const current = id === null ? {} : await getAlertWebhook(id);
+  const values = normalizeWebhook(input, current);
+  await assertTenant(values.tenant);
+
+  let secret = null;
+  if (input.secret !== undefined && input.secret !== null && input.secret !== '') {
+    secret = String(input.secret);
+    if (secret.length < 16 || secret.length > 128) throw new UserError('secret must be 16 to 128 characters');
+  } else if (id === null || input.rotateSecret) {
+    secret = generateWebhookSecret();
+  }
+  if (secret !== null) values.secret = secret;
+
+  if (id === null) {
+    const columns = Object.keys(values);
+    const result = await query(
+      `INSERT INTO alert_webhooks (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(values)
+    );
+    id = result.insertId;
+  } else {
+    await query(
+      `UPDATE alert_webhooks SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+  }
+  const webhook = publicWebhook(await getAlertWebhook(id));
+  return secret === null ? webhook : { ...webhook, secret };
+}
+
+/**
+ * Delete a webhook and its delivery log
+ */
+async function deleteAlertWebhook(id) {
+  const result = await query('DELETE FROM alert_webhooks WHERE id = ?', [id]);
+  if (result.affectedRows === 0) throw new UserError('Webhook not found', 404);
+}
+
+/**
+ * Post a test message to a webhook straight away, without retries or logging
+ * @returns {Promise<Object>} - The outcome from postWebhook
+ */
+async function sendTestWebhook(id) {
+  const webhook = await getAlertWebhook(id);
+  return postWebhook(webhook, {
+    event: 'webhook.test',
+    tenant: webhook.tenant,
+    webhook: webhook.name,
+    sentAt: new Date().toISOString(),
+    text: `Test message for the "${webhook.name}" webhook of ${webhook.tenant}`
+  });
+}
+
+// --- Evaluation --------------------------------------------------------------------
+
+/**
+ * The rule that applies to an agent in a state: a rule for one of the agent's
+ * teams wins over the tenant-wide one, and of several team rules the most
+ * lenient applies
+ * @param {Array<Object>} rules - The tenant's enabled rules
+ * @param {string} state - State name
+ * @param {Set<number>} teamIds - The agent's teams
+ * @returns {Object|null} - alert_rules row
+ */
+function ruleFor(rules, state, teamIds) {
+  const forState = rules.filter(rule => rule.state === state);
+  const teamRules = forState.filter(rule => rule.team_id !== null && teamIds.has(rule.team_id));
+  if (teamRules.length > 0) {
+    return teamRules.reduce((lenient, rule) => (rule.max_minutes > lenient.max_minutes ? rule : lenient));
+  }
+  return forState.find(rule => rule.team_id === null) || null;
+}
+
+/**
+ * State blocks that ran longer than their rule allows
+ * @param {Array<Object>} blocks - { state, start, end } in ms; end is null while the block is open
+ * @param {Array<Object>} rules - The tenant's enabled rules
+ * @param {Set<number>} teamIds - The agent's teams
+ * @param {number} now - End of open blocks
+ * @returns {Array<Object>} - { rule, state, start, end, breachedAt, duration }
+ */
+function findBreaches(blocks, rules, teamIds, now = Date.now()) {
+  const breaches = [];
+  for (const block of blocks) {
+    const rule = ruleFor(rules, block.state, teamIds);
+    if (!rule) continue;
+    const duration = (block.end ?? now) - block.start;
+    const limit = rule.max_minutes * MINUTE;
+    if (duration <= limit) continue;
+    breaches.push({ rule, state: block.state, start: block.start, end: block.end, breachedAt: block.start + limit, duration });
+  }
+  return breaches;
+}
+
+/**
+ * Teams by id and each extension's teams
+ * @returns {Promise<Object>} - { teamNames: Map(id → name), teamsOf(extension) → Set<number> }
+ */
+async function loadTeamMembership() {
+  const teams = await query('SELECT id, name FROM teams');
+  const members = await query('SELECT team_id, extension FROM team_members');
+  const byExtension = new Map();
+  for (const { team_id: teamId, extension } of members) {
+    const key = String(extension);
+    if (!byExtension.has(key)) byExtension.set(key, new Set());
+    byExtension.get(key).add(teamId);
+  }
+  return {
+    teamNames: new Map(teams.map(team => [team.id, team.name])),
+    teamsOf: extension => byExtension.get(String(extension)) || new Set()
+  };
+}
+
+/**
+ * The JSON a webhook receives for a breach
+ * @param {Object} breach - From findBreaches, plus agentName, extension, source and id (null until recorded)
+ * @param {Object} context - { tenant: tenants row, stateNames: Map, teamNames: Map }
+ */
+function breachPayload(breach, context) {
+  const { tenant, stateNames, teamNames } = context;
+  const timeZone = tenant.timezone;
+  const stateName = stateNames.get(breach.state) || breach.state;
+  const teamName = breach.rule.team_id !== null ? teamNames.get(breach.rule.team_id) || null : null;
+  const agent = `${breach.agentName || 'Unknown agent'}${breach.extension ? ` (${breach.extension})` : ''}`;
+  const limit = `the limit${teamName ? ` for ${teamName}` : ''} is ${breach.rule.max_minutes} minutes`;
+  const text = breach.end === null
+    ? `${agent} has been in ${stateName} for ${minutes(breach.duration)} minutes since ${formatDateTime(breach.start, timeZone)}; ${limit}`
+    : `${agent} was in ${stateName} for ${minutes(breach.duration)} minutes from ${formatDateTime(breach.start, timeZone)} to ${formatDateTime(breach.end, timeZone)}; ${limit}`;
+
+  return {
+    event: 'agent.state.limit_exceeded',
+    breachId: breach.id ?? null,
+    tenant: tenant.name,
+    source: breach.source,
+    agent: { name: breach.agentName || '', extension: breach.extension || '' },
+    state: breach.state,
+    stateName,
+    team: teamName ? { id: breach.rule.team_id, name: teamName } : null,
+    rule: { id: breach.rule.id, maxMinutes: breach.rule.max_minutes },
+    startedAt: new Date(breach.start).toISOString(),
+    breachedAt: new Date(breach.breachedAt).toISOString(),
+    endedAt: breach.end === null ? null : new Date(breach.end).toISOString(),
+    durationMinutes: minutes(breach.duration),
+    timeZone,
+    text
+  };
+}
+
+/**
+ * Tenant row and display names a payload needs
+ */
+async function payloadContext(tenantName, membership) {
+  const tenant = await getTenant(tenantName);
+  const catalogue = await getStateCatalogue(tenantName);
+  return {
+    tenant,
+    stateNames: new Map(catalogue.map(entry => [entry.state, entry.displayName])),
+    teamNames: membership.teamNames
+  };
+}
+
+/**
+ * Record a breach and queue a delivery to every enabled webhook of its tenant
+ * @returns {Promise<Object|null>} - The payload, or null when the breach was already recorded
+ */
+async function recordBreach(breach, context) {
+  const result = await query(
+    `INSERT IGNORE INTO alert_breaches
+       (tenant, rule_id, state, max_minutes, agent_name, extension, started_at, breached_at, ended_at, source)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      context.tenant.name, breach.rule.id, breach.state, breach.rule.max_minutes, breach.agentName || '',
+      breach.extension || '', breach.start, breach.breachedAt, breach.end, breach.source
+    ]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const payload = breachPayload({ ...breach, id: result.insertId }, context);
+  await query('UPDATE alert_breaches SET payload = ? WHERE id = ?', [JSON.stringify(payload), result.insertId]);
+  await query(
+    `INSERT INTO alert_deliveries (breach_id, webhook_id, status, next_attempt_at)
+     SELECT ?, id, 'pending', ? FROM alert_webhooks WHERE tenant = ? AND enabled = 1`,
+    [result.insertId, Date.now(), context.tenant.name]
+  );
+  log(`Alert: ${payload.text}`, 'warn');
+  return payload;
+}
+
+/**
+ * Enabled rules of enabled tenants, by tenant
+ * @returns {Promise<Map<string, Array<Object>>>}
+ */
+async function loadActiveRules(tenant = null) {
+  const rules = await query(`
+    SELECT r.* FROM alert_rules r JOIN tenants t ON t.name = r.tenant
+    WHERE r.enabled = 1 AND t.enabled = 1 ${tenant ? 'AND r.tenant = ?' : ''}
+  `, tenant ? [tenant] : []);
+  const byTenant = new Map();
+  for (const rule of rules) {
+    if (!byTenant.has(rule.tenant)) byTenant.set(rule.tenant, []);
+    byTenant.get(rule.tenant).push(rule);
+  }
+  return byTenant;
+}
+
+/**
+ * Check a past range against the tenant's rules, using the same state blocks as the reports
+ * @param {Object} tenantRow - tenants row
+ * @param {string} startDateTime - Range start
+ * @param {string} endDateTime - Range end
+ * @param {Object} [options]
+ * @param {boolean} [options.deliver] - Record new breaches and send them to the webhooks
+ * @returns {Promise<Array<Object>>} - Breaches as webhook payloads, oldest first; with `deliver`,
+ *   breaches recorded before have `alreadyRecorded: true`
+ * @throws {UserError} - When the range is invalid
+ */
+async function evaluateAlertRange(tenantRow, startDateTime, endDateTime, { deliver = false } = {}) {
+  const tenant = tenantRow.name;
+  const timeZone = tenantRow.timezone;
+  const startTime = parseZonedDateTime(startDateTime, timeZone);
+  const endTime = parseZonedDateTime(endDateTime, timeZone);
+  if (!startTime || !endTime || endTime <= startTime) {
+    throw new UserError('startDateTime and endDateTime must be valid date-times, with the end after the start');
+  }
+  const rules = (await loadActiveRules(tenant)).get(tenant) || [];
+  if (rules.length === 0) return [];
+
+  const events = await loadAgentEvents(tenant, new Date(startTime.getTime() - STATE_LOOKBACK), endTime, null, null, fetchAgentEventsData);
+  const catalogue = await resolveStateCatalogue(tenant, {}, null, events);
+  const membership = await loadTeamMembership();
+  const context = await payloadContext(tenant, membership);
+  const measuredEnd = Math.min(endTime.getTime(), Date.now());
+
+  const agents = new Map();
+  for (const event of events) {
+    if (event.ext != null && !agents.has(String(event.ext))) agents.set(String(event.ext), event);
+  }
+
+  const breaches = [];
+  for (const [extension, sample] of agents) {
+    const blocks = processCustomStatesForAgent(events, sample.username, sample.ext, startTime, endTime, timeZone, catalogue)
+      .filter(block => block.end !== null)
+      // A block cut off by the end of the range may still be going on
+      .map(block => ({ state: block.state, start: block.start, end: block.end >= measuredEnd ? null : block.end }));
+
+    for (const found of findBreaches(blocks, rules, membership.teamsOf(extension), measuredEnd)) {
+      const breach = { ...found, agentName: sample.username || '', extension, source: 'report' };
+      if (!deliver) {
+        breaches.push(breachPayload(breach, context));
+        continue;
+      }
+      const payload = await recordBreach(breach, context);
+      breaches.push(payload || { ...breachPayload(breach, context), alreadyRecorded: true });
+    }
+  }
+  if (deliver) deliverDueWebhooks();
+  return breaches.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+// --- Live checks ---------------------------------------------------------------------
+
+/**
+ * Follow a tenant's live feed, keeping every agent's current state
+ */
+function watchTenant(tenant) {
+  const watch = { agents: new Map(), reported: new Map(), unsubscribe: null };
+  const toAgent = agent => ({ agentName: agent.agentName, extension: agent.extension, state: agent.state, since: Date.parse(agent.since) });
+  watch.unsubscribe = subscribeLiveAgents(tenant, {
+    allowedExtensions: null,
+    send(event, data) {
+      if (event === 'snapshot') {
+        watch.agents = new Map(data.agents.map(agent => [agent.id, toAgent(agent)]));
+      } else if (event === 'transition') {
+        watch.agents.set(data.id, toAgent(data));
+      }
+    }
+  });
+  log(`Watching live agent states of ${tenant} for alert rules`, 'info');
+  return watch;
+}
+
+/**
+ * Raise breaches for agents currently over their limit and close the ones
+ * whose agent has moved on
+ */
+async function checkLiveAgents(tenant, watch, rules, membership, now) {
+  let context = null;
+  for (const [id, agent] of watch.agents) {
+    if (!agent.state) continue;
+    const [found] = findBreaches([{ state: agent.state, start: agent.since, end: null }], rules, membership.teamsOf(agent.extension), now);
+    if (!found) continue;
+    const key = `${found.rule.id}|${agent.extension}|${found.start}`;
+    if (watch.reported.has(key)) continue;
+
+    context ??= await payloadContext(tenant, membership);
+    await recordBreach({ ...found, agentName: agent.agentName, extension: agent.extension, source: 'live' }, context);
+    watch.reported.set(key, { agentId: id, ruleId: found.rule.id, extension: agent.extension, state: agent.state, start: found.start });
+  }
+
+  for (const [key, reported] of watch.reported) {
+    const agent = watch.agents.get(reported.agentId);
+    if (agent && agent.state === reported.state && agent.since === reported.start) continue;
+    watch.reported.delete(key);
+    await query(
+      'UPDATE alert_breaches SET ended_at = ? WHERE rule_id = ? AND extension = ? AND started_at = ? AND ended_at IS NULL',
+      [agent ? agent.since : now, reported.ruleId, reported.extension, reported.start]
+    );
+  }
+}
+
+/**
+ * One pass of the live checks: follow the tenants that have rules, check
+ * their agents, then send due webhooks
+ */
+async function checkAlerts() {
+  if (checking) return;
+  checking = true;
+  try {
+    const rulesByTenant = await loadActiveRules();
+    for (const [tenant, watch] of watches) {
+      if (rulesByTenant.has(tenant)) continue;
+      watch.unsubscribe();
+      watches.delete(tenant);
+    }
+    for (const tenant of rulesByTenant.keys()) {
+      if (!watches.has(tenant)) watches.set(tenant, watchTenant(tenant));
+    }
+
+    const membership = await loadTeamMembership();
+    const now = Date.now();
+    for (const [tenant, watch] of watches) {
+      await checkLiveAgents(tenant, watch, rulesByTenant.get(tenant), membership, now);
+    }
+  } catch (error) {
+    log(`Alert check failed: ${error.message}`, 'error');
+  } finally {
+    checking = false;
+  }
+  await deliverDueWebhooks();
+}
+
+// --- Delivery --------------------------------------------------------------------------
+
+/**
+ * Make one attempt at a queued delivery and record the outcome
+ */
+async function attemptDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  const result = delivery.webhook_enabled
+    ? await postWebhook({ url: delivery.url, secret: delivery.secret }, JSON.parse(delivery.payload), { id: delivery.id })
+    : { ok: false, status: null, retryable: false, error: 'The webhook is disabled' };
+
+  if (result.ok) {
+    await query(
+      "UPDATE alert_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, delivered_at = ?, next_attempt_at = NULL WHERE id = ?",
+      [attempts, result.status, Date.now(), delivery.id]
+    );
+    return;
+  }
+
+  const delay = result.retryable ? retryDelay(attempts, MAX_ATTEMPTS, RETRY_DELAY) : null;
+  await query(
+    'UPDATE alert_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ? WHERE id = ?',
+    [delay === null ? 'failed' : 'retrying', attempts, result.status, result.error, delay === null ? null : Date.now() + delay, delivery.id]
+  );
+  log(`Webhook "${delivery.webhook_name}" delivery ${delivery.id} attempt ${attempts} failed: ${result.error}${delay === null ? '' : `; retrying in ${ms(delay, { long: true })}`}`, delay === null ? 'error' : 'warn');
+}
+
+/**
+ * Hold a MySQL named lock while fn runs so only one server process sends webhooks
+ * @returns {Promise<boolean>} - false when another process holds the lock
+ */
+async function withDeliveryLock(fn) {
+  const connection = await getPool().getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query("SELECT GET_LOCK('alert-webhooks', 0) AS acquired");
+    if (!acquired) return false;
+    try {
+      await fn();
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK('alert-webhooks')");
+    }
+    return true;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Attempt every delivery that is due
+ */
+async function deliverDueWebhooks() {
+  if (delivering) return;
+  delivering = true;
+  try {
+    await withDeliveryLock(async () => {
+      const due = await query(`
+        SELECT d.*, w.name AS webhook_name, w.url, w.secret, w.enabled AS webhook_enabled, b.payload
+        FROM alert_deliveries d
+        JOIN alert_webhooks w ON w.id = d.webhook_id
+        JOIN alert_breaches b ON b.id = d.breach_id
+        WHERE d.status IN ('pending', 'retrying') AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at, d.id
+      `, [Date.now()]);
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+      }
+    });
+  } catch (error) {
+    log(`Webhook delivery failed: ${error.message}`, 'error');
+  } finally {
+    delivering = false;
+  }
+}
+
+/**
+ * Send a failed delivery again from the first attempt
+ */
+async function retryDelivery(id) {
+  const result = await query(
+    "UPDATE alert_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'failed'",
+    [Date.now(), id]
+  );
+  if (result.affectedRows === 0) throw new UserError('Failed delivery not found', 404);
+  deliverDueWebhooks();
+}
+
+// --- Log -------------------------------------------------------------------------------
+
+/**
+ * Latest breaches, newest first, each with its deliveries
+ * @param {Object} filters - { tenant }
+ */
+async function listAlertBreaches({ tenant = null } = {}) {
+  const breaches = await query(`
+    SELECT id, tenant, rule_id, state, max_minutes, agent_name, extension, started_at, breached_at, ended_at, source, created_at
+    FROM alert_breaches ${tenant ? 'WHERE tenant = ?' : ''}
+    ORDER BY id DESC LIMIT ?
+  `, tenant ? [tenant, LOG_LIMIT] : [LOG_LIMIT]);
+  if (breaches.length === 0) return [];
+
+  const deliveries = await query(`
+    SELECT d.id, d.breach_id, d.webhook_id, w.name AS webhook_name, d.status, d.attempts, d.response_status, d.error, d.delivered_at
+    FROM alert_deliveries d JOIN alert_webhooks w ON w.id = d.webhook_id
+    WHERE d.breach_id IN (?)
+  `, [breaches.map(breach => breach.id)]);
+  return breaches.map(breach => ({
+    ...breach,
+    deliveries: deliveries.filter(delivery => delivery.breach_id === breach.id)
+  }));
+}
+
+/**
+ * The delivery log, newest first
+ * @param {Object} filters - { webhookId, status }
+ */
+async function listAlertDeliveries({ webhookId = null, status = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (webhookId !== null) {
+    conditions.push('d.webhook_id = ?');
+    params.push(webhookId);
+  }
+  if (status) {
+    conditions.push('d.status = ?');
+    params.push(status);
+  }
+  return query(`
+    SELECT d.*, w.name AS webhook_name, b.tenant, b.state, b.agent_name, b.extension, b.breached_at
+    FROM alert_deliveries d
+    JOIN alert_webhooks w ON w.id = d.webhook_id
+    JOIN alert_breaches b ON b.id = d.breach_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY d.id DESC LIMIT ?
+  `, [...params, LOG_LIMIT]);
+}
+
+/**
+ * Start the live checks and webhook deliveries (no-op when ALERT_CHECK_INTERVAL is 0)
+ */
+function startStateAlerts() {
+  if (timer || !CHECK_INTERVAL) return;
+  log(`State alerts checking every ${ms(CHECK_INTERVAL, { long: true })}`, 'info');
+  timer = setInterval(checkAlerts, CHECK_INTERVAL);
+  timer.unref();
+  checkAlerts();
+}
+
+function stopStateAlerts() {
+  clearInterval(timer);
+  timer = null;
+  for (const watch of watches.values()) watch.unsubscribe();
+  watches.clear();
+}
+
+export {
+  ensureStateAlertSchema,
+  listAlertRules,
+  saveAlertRule,
+  deleteAlertRule,
+  listAlertWebhooks,
+  saveAlertWebhook,
+  deleteAlertWebhook,
+  sendTestWebhook,
+  ruleFor,
+  findBreaches,
+  breachPayload,
+  evaluateAlertRange,
+  checkAlerts,
+  deliverDueWebhooks,
+  retryDelivery,
+  listAlertBreaches,
+  listAlertDeliveries,
+  startStateAlerts,
+  stopStateAlerts
+};
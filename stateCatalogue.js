@@ -0,0 +1,232 @@
+// stateCatalogue.js - Agent states known for each tenant
+//
+// Reports and the live wallboard count time only for states that are tracked in
+// the tenant's catalogue. States seen in events or stats that are missing from
+// the catalogue are added automatically (tracked, as a break), so a newly
+// configured not-available reason shows up in reports straight away; admins can
+// then rename, recategorise, recolour or untrack it.
+import { query } from './db.js';
+import { log } from './logger.js';
+import { invalidateReportCache } from './reportCache.js';
+import { UserError } from './users.js';
+
+const CATALOGUE_TTL = 60 * 1000; // re-read a tenant's catalogue at most once a minute
+// idle: logged in but neither working nor on a break, e.g. Login before going available
+const CATEGORIES = ['productive', 'idle', 'break', 'offline'];
+
+// The states reports tracked before the catalogue existed; seeded for every tenant
+const DEFAULT_STATES = [
+  { state: 'available', category: 'productive', color: '#48c774' },
+  { state: 'Outbound', category: 'productive', color: '#00d1b2' },
+  { state: 'ON Tickets', category: 'productive', color: '#485fc7' },
+  { state: 'Login', category: 'idle', color: '#3e8ed0' },
+  { state: 'Not Available', category: 'break', color: '#f14668' },
+  { state: 'training', category: 'break', color: '#b86bff' },
+  { state: 'Team Meeting', category: 'break', color: '#9c6ade' },
+  { state: 'lunch', category: 'break', color: '#ffb70f' },
+  { state: 'Tea Break', category: 'break', color: '#ff8c42' },
+  { state: 'Logoff', category: 'offline', color: '#7a7a7a' }
+];
+
+// Colours handed out to discovered states
+const PALETTE = ['#e67e22', '#16a085', '#8e44ad', '#c0392b', '#2980b9', '#d35400', '#27ae60', '#7f8c8d'];
+
+// The portal reports "none" when a not-available state is cleared; it is not a state
+const IGNORED_STATES = new Set(['', 'none']);
+
+// tenant → { entries, names: Set, loadedAt }
+const catalogues = new Map();
+
+/**
+ * Create the state catalogue table
+ */
+async function ensureStateCatalogueSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS agent_states (
+      tenant VARCHAR(64) NOT NULL,
+      state VARCHAR(100) NOT NULL,
+      display_name VARCHAR(100) NULL,
+      category ENUM('productive', 'idle', 'break', 'offline') NOT NULL DEFAULT 'break',
+      color CHAR(7) NOT NULL,
+      tracked TINYINT(1) NOT NULL DEFAULT 1,
+      discovered TINYINT(1) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (tenant, state)
+    )
+  `);
+
+  // Tables created before the idle category: add it and move the seeded Login state to it
+  const [column] = await query(
+    `SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'agent_states' AND COLUMN_NAME = 'category'`
+  );
+  if (column && !column.type.includes("'idle'")) {
+    await query(`ALTER TABLE agent_states MODIFY category ENUM('productive', 'idle', 'break', 'offline') NOT NULL DEFAULT 'break'`);
+    await query(`UPDATE agent_states SET category = 'idle' WHERE state = 'Login' AND category = 'break' AND discovered = 0`);
+    log('Added the idle state category; Login moved to it', 'info');
+  }
+}
+
+function toEntry(row) {
+  return {
+    state: row.state,
+    displayName: row.display_name || row.state,
+    category: row.category,
+    color: row.color,
+    tracked: Boolean(row.tracked),
+    discovered: Boolean(row.discovered)
+  };
+}
+
+/**
+ * The built-in catalogue, used for tenants without stored states and whenever
+ * the database is unavailable
+ */
+function defaultStateCatalogue() {
+  return DEFAULT_STATES.map(entry => ({ ...entry, displayName: entry.state, tracked: true, discovered: false }));
+}
+
+/**
+ * Forget a tenant's catalogue after changing it; its cached reports were built
+ * with the old one, so they go too
+ */
+function invalidateStateCatalogue(tenant) {
+  catalogues.delete(tenant);
+  invalidateReportCache({ tenant });
+}
+
+/**
+ * Remember a freshly read catalogue. When it differs from the one read before
+ * (edited in the database, or the fallback during an outage), cached reports
+ * for the tenant are dropped.
+ */
+function cacheCatalogue(tenant, entries) {
+  const previous = catalogues.get(tenant);
+  if (previous && JSON.stringify(previous.entries) !== JSON.stringify(entries)) {
+    const removed = invalidateReportCache({ tenant });
+    if (removed > 0) log(`State catalogue for ${tenant} changed, ${removed} cached report(s) dropped`, 'info');
+  }
+  catalogues.set(tenant, { entries, names: new Set(entries.map(e => e.state)), loadedAt: Date.now() });
+}
+
+/**
+ * A tenant's catalogue, seeded with the built-in states on first use
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<Array<Object>>} - [{ state, displayName, category, color, tracked, discovered }]
+ */
+async function getStateCatalogue(tenant) {
+  const cached = catalogues.get(tenant);
+  if (cached && Date.now() - cached.loadedAt < CATALOGUE_TTL) {
+    return cached.entries;
+  }
+
+  try {
+    let rows = await query('SELECT * FROM agent_states WHERE tenant = ? ORDER BY category, state', [tenant]);
+    if (rows.length === 0) {
+      await query(
+        'INSERT IGNORE INTO agent_states (tenant, state, category, color) VALUES ?',
+        [DEFAULT_STATES.map(({ state, category, color }) => [tenant, state, category, color])]
+      );
+      rows = await query('SELECT * FROM agent_states WHERE tenant = ? ORDER BY category, state', [tenant]);
+    }
+    const entries = rows.map(toEntry);
+    cacheCatalogue(tenant, entries);
+    return entries;
+  } catch (error) {
+    // Keep the fallback for a TTL too, so an outage is not retried on every event batch
+    log(`State catalogue for ${tenant} unavailable, using built-in states: ${error.message}`, 'warn');
+    const entries = defaultStateCatalogue();
+    cacheCatalogue(tenant, entries);
+    return entries;
+  }
+}
+
+/**
+ * Add states that are not in the catalogue yet. Never throws, so callers can
+ * use it on any event batch without guarding it.
+ * @param {string} tenant - Tenant name
+ * @param {Iterable<string>} names - State names as the portal reports them
+ */
+async function recordSeenStates(tenant, names) {
+  try {
+    const known = catalogues.get(tenant)?.names ?? new Set((await getStateCatalogue(tenant)).map(e => e.state));
+    const unknown = [...new Set(names)].filter(name => typeof name === 'string' && !IGNORED_STATES.has(name.trim()) && !known.has(name));
+    if (unknown.length === 0) return;
+
+    await query(
+      'INSERT IGNORE INTO agent_states (tenant, state, category, color, discovered) VALUES ?',
+      [unknown.map((state, i) => [tenant, state, 'break', PALETTE[(known.size + i) % PALETTE.length], 1])]
+    );
+    unknown.forEach(name => known.add(name));
+    invalidateStateCatalogue(tenant);
+    log(`Discovered new agent state(s) for ${tenant}: ${unknown.join(', ')}`, 'info');
+  } catch (error) {
+    log(`Could not record new agent states for ${tenant}: ${error.message}`, 'warn');
+  }
+}
+
+/**
+ * Create or update a catalogue entry
+ * @param {string} tenant - Tenant name
+ * @param {string} state - State name as the portal reports it
+ * @param {Object} input - { displayName, category, color, tracked }
+ */
+async function saveState(tenant, state, input) {
+  const name = String(state || '').trim();
+  if (!name || IGNORED_STATES.has(name) || name.length > 100) throw new UserError('Invalid state name');
+
+  const fields = {};
+  if (input.displayName !== undefined) fields.display_name = input.displayName ? String(input.displayName).slice(0, 100) : null;
+  if (input.category !== undefined) {
+    if (!CATEGORIES.includes(input.category)) throw new UserError(`category must be one of ${CATEGORIES.join(', ')}`);
+    fields.category = input.category;
+  }
+  if (input.color !== undefined) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(input.color || '')) throw new UserError('color must look like #1a2b3c');
+    fields.color = input.color.toLowerCase();
+  }
+  if (input.tracked !== undefined) fields.tracked = input.tracked ? 1 : 0;
+
+  // Make sure the tenant has been seeded before adding to it
+  await getStateCatalogue(tenant);
+
+  const row = { tenant, state: name, color: PALETTE[0], ...fields };
+  const updates = Object.keys(fields).map(column => `${column} = VALUES(${column})`);
+  await query(
+    `INSERT INTO agent_states (${Object.keys(row).join(', ')}) VALUES (?)
+     ON DUPLICATE KEY UPDATE ${updates.length > 0 ? updates.join(', ') : 'state = state'}`,
+    [Object.values(row)]
+  );
+
+  invalidateStateCatalogue(tenant);
+  const entries = await getStateCatalogue(tenant);
+  return entries.find(entry => entry.state === name);
+}
+
+/**
+ * Names of the tracked states in a catalogue
+ */
+function trackedStateNames(catalogue) {
+  return catalogue.filter(entry => entry.tracked).map(entry => entry.state);
+}
+
+/**
+ * Names of the states that replace whatever the agent was in (see
+ * stateMachine.js); break states are not-available reasons, which may overlap
+ */
+function exclusiveStateNames(catalogue) {
+  return catalogue.filter(entry => entry.category !== 'break').map(entry => entry.state);
+}
+
+export {
+  CATEGORIES,
+  DEFAULT_STATES,
+  ensureStateCatalogueSchema,
+  defaultStateCatalogue,
+  exclusiveStateNames,
+  getStateCatalogue,
+  invalidateStateCatalogue,
+  recordSeenStates,
+  saveState,
+  trackedStateNames
+};
@@ -0,0 +1,195 @@
+// stateMachine.js - Turn one agent's activity events into a state timeline
+//
+// The portal sends a state change as an event with an `enabled` flag:
+// `enabled: true` opens the state and `enabled: false` closes it again. A
+// disabled event for "none" clears every not-available reason at once.
+//
+// Exclusive states (available, Login, Logoff, ...) replace whatever the agent
+// was in, including any open not-available reasons. Not-available reasons
+// (lunch, training, ...) may overlap: the most recently opened one is the
+// agent's state, and when it closes the agent is back in the one opened before
+// it. An exclusive state the portal sent as a not-available event (Login) is
+// cleared by "none" like the reasons are.
+//
+// Events that do not fit (a close for a state that is not open, or a second
+// open for a state that already is) are reported as data-quality warnings and
+// otherwise leave the timeline alone.
+
+// State name the portal uses on the event that clears all not-available reasons
+const CLEAR_STATE = 'none';
+// Event type of not-available states
+const NOT_AVAILABLE_EVENT = 'agent_not_avail_state';
+
+/**
+ * Parse event timestamp from various formats
+ * @param {number|string} timestamp - Event timestamp
+ * @returns {number} - Parsed timestamp in milliseconds
+ */
+function parseEventTimestamp(timestamp) {
+  if (!timestamp) return null;
+  
+  const rawTimestamp = timestamp.timestamp || timestamp.time || timestamp;
+  
+  if (typeof rawTimestamp === 'number') {
+    // Check if timestamp is in seconds (Unix timestamp) or milliseconds
+    // Unix timestamps are typically 10 digits (seconds since 1970)
+    // Millisecond timestamps are typically 13 digits
+    if (rawTimestamp < 10000000000) {
+      // Timestamp is in seconds, convert to milliseconds
+      return rawTimestamp * 1000;
+    } else {
+      // Timestamp is already in milliseconds
+      return rawTimestamp;
+    }
+  }
+  
+  if (typeof rawTimestamp === 'string') {
+    return new Date(rawTimestamp).getTime();
+  }
+  
+  return null;
+}
+
+/**
+ * State machine for a single agent
+ * @param {Object} options
+ * @param {Iterable<string>} options.exclusiveStates - States that replace everything else;
+ *   any other state is a not-available reason
+ * @returns {Object} - { apply(event) → warnings, state, since, lastEventTime }
+ */
+function createStateMachine({ exclusiveStates = [] } = {}) {
+  const exclusive = new Set(exclusiveStates);
+  let presence = null; // the open exclusive state
+  let presenceNotAvailable = false; // whether it came from a not-available event
+  let reasons = [];    // open not-available reasons, most recent last
+  let current = null;
+  let since = null;
+  let lastEventTime = null;
+
+  const effectiveState = () => reasons.at(-1) ?? presence;
+
+  return {
+    /**
+     * Apply the next event (events must be applied oldest first)
+     * @param {Object} event - Activity event
+     * @returns {Array<Object>} - Warnings raised by this event, { type, state, time, message }
+     */
+    apply(event) {
+      const time = parseEventTimestamp(event.Timestamp);
+      const state = event.state;
+      const warnings = [];
+      if (!Number.isFinite(time) || !state) return warnings;
+      lastEventTime = time;
+
+      if (event.enabled === false) {
+        if (state === CLEAR_STATE) {
+          if (reasons.length === 0 && !presenceNotAvailable) {
+            warnings.push({ type: 'orphaned-close', state, time, message: 'Not-available reasons cleared while none were open' });
+          }
+          reasons = [];
+          if (presenceNotAvailable) {
+            presence = null;
+            presenceNotAvailable = false;
+          }
+        } else if (reasons.includes(state)) {
+          reasons = reasons.filter(reason => reason !== state);
+        } else if (presence === state) {
+          presence = null;
+          presenceNotAvailable = false;
+        } else {
+          warnings.push({ type: 'orphaned-close', state, time, message: `"${state}" closed without being open` });
+        }
+      } else if (state === CLEAR_STATE) {
+        // Only ever seen disabled; an enabled "none" carries no state
+      } else if (exclusive.has(state)) {
+        presence = state;
+        presenceNotAvailable = event.event === NOT_AVAILABLE_EVENT;
+        reasons = [];
+      } else {
+        if (reasons.includes(state)) {
+          warnings.push({ type: 'orphaned-open', state, time, message: `"${state}" opened again without being closed` });
+          reasons = reasons.filter(reason => reason !== state);
+        }
+        reasons.push(state);
+      }
+
+      const next = effectiveState();
+      if (next !== current) {
+        current = next;
+        since = time;
+      }
+      return warnings;
+    },
+
+    /** The agent's state after the events applied so far (null when unknown) */
+    get state() {
+      return current;
+    },
+
+    /** When the current state started (ms) */
+    get since() {
+      return since;
+    },
+
+    /** Time of the last event applied (ms) */
+    get lastEventTime() {
+      return lastEventTime;
+    }
+  };
+}
+
+/**
+ * Build an agent's state timeline from their events.
+ * With a range, events before rangeStart only set the state the agent is in
+ * when the range opens (that block is marked carriedOver), and a state still
+ * open at rangeEnd is closed there.
+ * @param {Array<Object>} events - The agent's activity events, in any order
+ * @param {Object} options - See createStateMachine, plus:
+ * @param {number} options.rangeStart - Clip blocks to start here (ms, optional)
+ * @param {number} options.rangeEnd - Ignore later events and close open blocks here (ms, optional)
+ * @returns {{blocks: Array<{state: string, start: number, end: number|null, carriedOver?: boolean}>, warnings: Array<Object>}}
+ *   Blocks are in time order; without rangeEnd the last block's end is null while the state is still open.
+ */
+function buildStateTimeline(events, options = {}) {
+  const { rangeStart = null, rangeEnd = null } = options;
+  const machine = createStateMachine(options);
+  let blocks = [];
+  let warnings = [];
+
+  if (rangeStart !== null && rangeEnd !== null && rangeEnd <= rangeStart) {
+    return { blocks, warnings };
+  }
+
+  // Stable sort, so events with the same timestamp keep the portal's order
+  const ordered = events
+    .map(event => ({ event, time: parseEventTimestamp(event.Timestamp) }))
+    .filter(({ time }) => Number.isFinite(time) && (rangeEnd === null || time < rangeEnd))
+    .sort((a, b) => a.time - b.time);
+
+  for (const { event, time } of ordered) {
+    const before = machine.state;
+    warnings.push(...machine.apply(event));
+    if (machine.state === before) continue;
+
+    const open = blocks.at(-1);
+    if (open && open.end === null) open.end = time;
+    if (machine.state !== null) blocks.push({ state: machine.state, start: time, end: null });
+  }
+
+  if (rangeEnd !== null) {
+    const open = blocks.at(-1);
+    if (open && open.end === null) open.end = rangeEnd;
+  }
+
+  if (rangeStart !== null) {
+    // Problems before the range were reported with the range they belong to
+    warnings = warnings.filter(warning => warning.time >= rangeStart);
+    blocks = blocks
+      .filter(block => block.end === null || block.end > rangeStart)
+      .map(block => (block.start < rangeStart ? { ...block, start: rangeStart, carriedOver: true } : block));
+  }
+
+  return { blocks, warnings };
+}
+
+export { CLEAR_STATE, parseEventTimestamp, createStateMachine, buildStateTimeline };
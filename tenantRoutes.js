@@ -0,0 +1,124 @@
+// tenantRoutes.js - Tenant registry API
+import express from 'express';
+import { log } from './logger.js';
+import { requireRole } from './access.js';
+import { invalidateToken } from './tokenService.js';
+import { invalidateReportCache } from './reportCache.js';
+import { handleError } from './userRoutes.js';
+import { UserError } from './users.js';
+import { getStateCatalogue, saveState } from './stateCatalogue.js';
+import { importSchedules } from './schedules.js';
+import {
+  getTenant,
+  listTenants,
+  listTenantsForScope,
+  resolveTenantForScope,
+  saveTenant,
+  getUserTenants,
+  setUserTenants
+} from './tenants.js';
+
+const router = express.Router();
+
+// Tenants the logged-in user may pick in the report form
+router.get('/tenants/mine', async (req, res) => {
+  try {
+    res.json({ success: true, tenants: await listTenantsForScope(req.accessScope) });
+  } catch (error) {
+    handleError(res, error, 'listing tenants');
+  }
+});
+
+// Full registry (admin)
+router.get('/tenants', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, tenants: await listTenants() });
+  } catch (error) {
+    handleError(res, error, 'listing tenants');
+  }
+});
+
+// Register a tenant (admin)
+router.post('/tenants', requireRole('admin'), async (req, res) => {
+  try {
+    const tenant = await saveTenant(req.body?.name, req.body || {}, true);
+    log(`Tenant ${tenant.name} registered by ${req.user.username}`, 'info');
+    res.status(201).json({ success: true, tenant });
+  } catch (error) {
+    handleError(res, error, 'registering tenant');
+  }
+});
+
+// Update a tenant (admin); omit apiPassword to keep the stored one
+router.patch('/tenants/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const tenant = await saveTenant(req.params.name, req.body || {}, false);
+    // Drop cached upstream tokens and reports so new settings take effect immediately
+    await invalidateToken(tenant.name);
+    invalidateReportCache({ tenant: tenant.name });
+    log(`Tenant ${tenant.name} updated by ${req.user.username}`, 'info');
+    res.json({ success: true, tenant });
+  } catch (error) {
+    handleError(res, error, 'updating tenant');
+  }
+});
+
+// State catalogue for a tenant, for anyone who may report on it
+router.get('/tenants/:name/states', async (req, res) => {
+  try {
+    const tenant = await resolveTenantForScope(req.accessScope, req.params.name);
+    if (!tenant) throw new UserError(`You do not have access to tenant "${req.params.name}"`, 403);
+    res.json({ success: true, states: await getStateCatalogue(tenant.name) });
+  } catch (error) {
+    handleError(res, error, 'listing agent states');
+  }
+});
+
+// Add or change a catalogue entry (admin); reports are regenerated with the new settings
+router.put('/tenants/:name/states/:state', requireRole('admin'), async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.name);
+    if (!tenant) throw new UserError('Tenant not found', 404);
+    const state = await saveState(tenant.name, req.params.state, req.body || {});
+    log(`Agent state "${state.state}" for ${tenant.name} updated by ${req.user.username}`, 'info');
+    res.json({ success: true, state });
+  } catch (error) {
+    handleError(res, error, 'updating agent state');
+  }
+});
+
+// Import shift plans (admin): CSV as text/csv or JSON keyed by extension, see schedules.js.
+// Shifts already stored for the same extension and day are replaced.
+router.post('/tenants/:name/schedules', requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.name);
+    if (!tenant) throw new UserError('Tenant not found', 404);
+    const imported = await importSchedules(tenant.name, req.body, tenant.timezone);
+    invalidateReportCache({ tenant: tenant.name });
+    log(`Schedules for ${tenant.name} imported by ${req.user.username} (${imported.entries} entries)`, 'info');
+    res.json({ success: true, ...imported });
+  } catch (error) {
+    handleError(res, error, 'importing schedules');
+  }
+});
+
+// Tenants assigned to a user (admin)
+router.get('/users/:id/tenants', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, tenants: await getUserTenants(Number(req.params.id)) });
+  } catch (error) {
+    handleError(res, error, 'listing user tenants');
+  }
+});
+
+router.put('/users/:id/tenants', requireRole('admin'), async (req, res) => {
+  try {
+    const tenants = await setUserTenants(Number(req.params.id), req.body?.tenants);
+    log(`Tenant access for user ${req.params.id} set to [${tenants.join(', ')}] by ${req.user.username}`, 'info');
+    res.json({ success: true, tenants });
+  } catch (error) {
+    handleError(res, error, 'updating user tenants');
+  }
+});
+
+export default router;
@@ -0,0 +1,320 @@
+// tenants.js - Tenant registry (upstream portal, account and timezone per tenant)
+import { query, ensureColumn } from './db.js';
+import { log, setLogContext } from './logger.js';
+import { UserError } from './users.js';
+import { DEFAULT_TIMEZONE as FALLBACK_TIMEZONE, isValidTimeZone } from './public/timezone.js';
+import { kpiFormulasFrom, normalizeKpiFormulas } from './public/kpis.js';
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || FALLBACK_TIMEZONE;
+const REGISTRY_TTL = 60 * 1000; // re-read the table at most once a minute
+
+// Columns that are safe to return to the browser (never the upstream password)
+const PUBLIC_COLUMNS = 'name, display_name, base_url, account_id, api_username, timezone, kpi_formulas, enabled';
+
+let registryCache = null;
+let registryLoadedAt = 0;
+
+/**
+ * Create the tenant tables. On first run the tenant configured in .env
+ * (TENANT, BASE_URL, ACCOUNT_ID, API_USERNAME, API_PASSWORD) is registered and
+ * every existing user is given access to it, so upgrades keep working.
+ */
+async function ensureTenantSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS tenants (
+      name VARCHAR(64) PRIMARY KEY,
+      display_name VARCHAR(100) NULL,
+      base_url VARCHAR(255) NOT NULL,
+      account_id VARCHAR(64) NOT NULL,
+      api_username VARCHAR(255) NOT NULL,
+      api_password VARCHAR(255) NOT NULL,
+      timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Dubai',
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query(`
+    CREATE TABLE IF NOT EXISTS user_tenants (
+      user_id INT NOT NULL,
+      tenant VARCHAR(64) NOT NULL,
+      PRIMARY KEY (user_id, tenant),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (tenant) REFERENCES tenants(name) ON DELETE CASCADE
+    )
+  `);
+  // Custom KPI formulas as JSON (see kpis.js); NULL uses the defaults
+  await ensureColumn('tenants', 'kpi_formulas', 'TEXT NULL');
+
+  const [{ count }] = await query('SELECT COUNT(*) AS count FROM tenants');
+  const { TENANT, BASE_URL, ACCOUNT_ID, API_USERNAME, API_PASSWORD } = process.env;
+  if (count === 0 && TENANT && BASE_URL && ACCOUNT_ID && API_USERNAME && API_PASSWORD) {
+    await query(
+      'INSERT INTO tenants (name, base_url, account_id, api_username, api_password, timezone) VALUES (?, ?, ?, ?, ?, ?)',
+      [TENANT, BASE_URL, ACCOUNT_ID, API_USERNAME, API_PASSWORD, DEFAULT_TIMEZONE]
+    );
+    await query('INSERT IGNORE INTO user_tenants (user_id, tenant) SELECT id, ? FROM users', [TENANT]);
+    log(`Registered tenant ${TENANT} from environment and granted it to existing users`, 'info');
+  }
+  invalidateTenantCache();
+}
+
+function invalidateTenantCache() {
+  registryCache = null;
+  registryLoadedAt = 0;
+}
+
+/**
+ * Load the full registry (including upstream passwords), cached briefly
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadRegistry() {
+  if (registryCache && Date.now() - registryLoadedAt < REGISTRY_TTL) {
+    return registryCache;
+  }
+  const rows = await query('SELECT * FROM tenants');
+  registryCache = new Map(rows.map(row => [row.name, row]));
+  registryLoadedAt = Date.now();
+  return registryCache;
+}
+
+/**
+ * Look up one tenant
+ * @param {string} name - Tenant name
+ * @returns {Promise<Object|null>} - Tenant row (with credentials) or null
+ */
+async function getTenant(name) {
+  const registry = await loadRegistry();
+  return registry.get(name) || null;
+}
+
+/**
+ * Credentials resolver for tokenService.setCredentialsResolver.
+ * Tenants missing from the registry fall back to the env resolver so CLI scripts
+ * without a database keep working.
+ */
+function createRegistryCredentialsResolver(fallback) {
+  return async (tenantName) => {
+    let tenant = null;
+    try {
+      tenant = await getTenant(tenantName);
+    } catch (error) {
+      log(`Tenant registry unavailable, using environment credentials: ${error.message}`, 'warn');
+    }
+    if (!tenant) return fallback(tenantName);
+    if (!tenant.enabled) throw new Error(`Tenant "${tenantName}" is disabled`);
+    return {
+      baseUrl: tenant.base_url,
+      accountId: tenant.account_id,
+      username: tenant.api_username,
+      password: tenant.api_password,
+      timezone: tenant.timezone
+    };
+  };
+}
+
+/**
+ * List every tenant (admin view, without passwords)
+ */
+async function listTenants() {
+  return query(`SELECT ${PUBLIC_COLUMNS} FROM tenants ORDER BY name`);
+}
+
+/**
+ * List the enabled tenants a user may report on
+ * @param {Object} scope - Access scope from access.js
+ */
+async function listTenantsForScope(scope) {
+  if (scope.role === 'admin') {
+    return query(`SELECT name, display_name, timezone FROM tenants WHERE enabled = 1 ORDER BY name`);
+  }
+  return query(
+    `SELECT t.name, t.display_name, t.timezone FROM tenants t
+     JOIN user_tenants ut ON ut.tenant = t.name
+     WHERE ut.user_id = ? AND t.enabled = 1 ORDER BY t.name`,
+    [scope.userId]
+  );
+}
+
+/**
+ * Check whether a user may report on a tenant
+ * @param {Object} scope - Access scope from access.js
+ * @param {string} tenantName - Tenant name
+ * @returns {Promise<Object|null>} - Tenant row when allowed, otherwise null
+ */
+async function resolveTenantForScope(scope, tenantName) {
+  const tenant = await getTenant(tenantName);
+  if (!tenant || !tenant.enabled) return null;
+  if (scope.role === 'admin') return tenant;
+
+  const rows = await query('SELECT 1 FROM user_tenants WHERE user_id = ? AND tenant = ? LIMIT 1', [scope.userId, tenantName]);
+  return rows.length > 0 ? tenant : null;
+}
+
+/**
+ * Check a timezone name against the runtime's IANA database
+ */
+function assertValidTimezone(timezone) {
+  if (!isValidTimeZone(timezone)) {
+    throw new UserError(`Unknown timezone "${timezone}"`);
+  }
+}
+
+/**
+ * Create or update a tenant
+ * @param {string} name - Tenant name
+ * @param {Object} input - { displayName, baseUrl, accountId, apiUsername, apiPassword, timezone, kpiFormulas, enabled }
+ * @param {boolean} isNew - Whether the tenant is being created
+ */
+async function saveTenant(name, input, isNew) {
+  const tenantName = String(name || '').trim();
+  if (!/^[a-zA-Z0-9_.-]+$/.test(tenantName)) throw new UserError('Tenant name may only contain letters, digits, "_", "." and "-"');
+
+  const existing = await query('SELECT name FROM tenants WHERE name = ? LIMIT 1', [tenantName]);
+  if (isNew && existing.length > 0) throw new UserError('Tenant already exists', 409);
+  if (!isNew && existing.length === 0) throw new UserError('Tenant not found', 404);
+
+  const fields = {};
+  if (input.displayName !== undefined) fields.display_name = input.displayName || null;
+  if (input.baseUrl !== undefined) {
+    if (!/^https?:\/\//.test(input.baseUrl || '')) throw new UserError('baseUrl must start with http:// or https://');
+    fields.base_url = input.baseUrl.replace(/\/+$/, '');
+  }
+  if (input.accountId !== undefined) fields.account_id = String(input.accountId);
+  if (input.apiUsername !== undefined) fields.api_username = String(input.apiUsername);
+  if (input.apiPassword) fields.api_password = String(input.apiPassword);
+  if (input.timezone !== undefined) {
+    assertValidTimezone(input.timezone);
+    fields.timezone = input.timezone;
+  }
+  if (input.enabled !== undefined) fields.enabled = input.enabled ? 1 : 0;
+  if (input.kpiFormulas !== undefined) {
+    let custom;
+    try {
+      custom = normalizeKpiFormulas(input.kpiFormulas);
+    } catch (error) {
+      throw new UserError(error.message);
+    }
+    fields.kpi_formulas = custom ? JSON.stringify(custom) : null;
+  }
+
+  if (isNew) {
+    for (const column of ['base_url', 'account_id', 'api_username', 'api_password']) {
+      if (!fields[column]) throw new UserError(`${column} is required`);
+    }
+    if (!fields.timezone) fields.timezone = DEFAULT_TIMEZONE;
+    const columns = ['name', ...Object.keys(fields)];
+    await query(
+      `INSERT INTO tenants (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [tenantName, ...Object.values(fields)]
+    );
+  } else if (Object.keys(fields).length > 0) {
+    await query(
+      `UPDATE tenants SET ${Object.keys(fields).map(c => `${c} = ?`).join(', ')} WHERE name = ?`,
+      [...Object.values(fields), tenantName]
+    );
+  }
+
+  invalidateTenantCache();
+  const rows = await query(`SELECT ${PUBLIC_COLUMNS} FROM tenants WHERE name = ?`, [tenantName]);
+  return rows[0];
+}
+
+/**
+ * List the tenants assigned to a user
+ * @param {number} userId - User id
+ * @returns {Promise<Array<string>>}
+ */
+async function getUserTenants(userId) {
+  const rows = await query('SELECT tenant FROM user_tenants WHERE user_id = ? ORDER BY tenant', [userId]);
+  return rows.map(r => r.tenant);
+}
+
+/**
+ * Replace the tenants a user may report on
+ * @param {number} userId - User id
+ * @param {Array<string>} tenantNames - Tenant names
+ */
+async function setUserTenants(userId, tenantNames) {
+  if (!Array.isArray(tenantNames)) throw new UserError('tenants must be an array');
+
+  const registry = await loadRegistry();
+  const unique = [...new Set(tenantNames.map(t => String(t).trim()).filter(Boolean))];
+  const unknown = unique.filter(t => !registry.has(t));
+  if (unknown.length > 0) throw new UserError(`Unknown tenant(s): ${unknown.join(', ')}`);
+
+  await query('DELETE FROM user_tenants WHERE user_id = ?', [userId]);
+  if (unique.length > 0) {
+    await query('INSERT INTO user_tenants (user_id, tenant) VALUES ?', [unique.map(t => [userId, t])]);
+  }
+  return unique;
+}
+
+/**
+ * The one tenant a request names, from the `tenant` or legacy `account` query
+ * parameter or the body's `tenant`. Naming different tenants in several of them
+ * is refused, so the tenant that was checked is the only one a route can see.
+ * @param {Object} req - Express request
+ * @returns {string|null} - Tenant name, or null when none is given
+ * @throws {UserError} - When the parameters disagree
+ */
+function requestedTenantName(req) {
+  const names = [req.query?.tenant, req.query?.account, req.body?.tenant]
+    .filter(name => name !== undefined && name !== null && name !== '')
+    .map(String);
+  if (new Set(names).size > 1) {
+    throw new UserError(`Conflicting tenants in request: ${[...new Set(names)].join(', ')}`);
+  }
+  return names[0] || null;
+}
+
+/**
+ * Middleware - check the requested tenant (see requestedTenantName) exists, is
+ * enabled and is assigned to the user; attaches req.tenant. Routes read the
+ * tenant from req.tenant.name, never from their own parameters.
+ * Must run after loadAccessScope. Requests without a tenant are left to the
+ * route's own validation.
+ */
+async function requireTenantAccess(req, res, next) {
+  let tenantName;
+  try {
+    tenantName = requestedTenantName(req);
+  } catch (error) {
+    log(`Request from ${req.user.username} refused: ${error.message}`, 'warn');
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (!tenantName) return next();
+
+  try {
+    const tenant = await resolveTenantForScope(req.accessScope, tenantName);
+    if (!tenant) {
+      log(`User ${req.user.username} denied access to tenant ${tenantName}`, 'warn');
+      return res.status(403).json({ success: false, error: `You do not have access to tenant "${tenantName}"` });
+    }
+    req.tenant = {
+      name: tenant.name,
+      displayName: tenant.display_name || tenant.name,
+      timezone: tenant.timezone,
+      kpiFormulas: kpiFormulasFrom(tenant.kpi_formulas)
+    };
+    setLogContext({ tenant: tenant.name });
+    next();
+  } catch (error) {
+    log(`Error resolving tenant ${tenantName}: ${error.message}`, 'error');
+    res.status(500).json({ success: false, error: 'Unable to resolve tenant' });
+  }
+}
+
+export {
+  DEFAULT_TIMEZONE,
+  ensureTenantSchema,
+  getTenant,
+  createRegistryCredentialsResolver,
+  listTenants,
+  listTenantsForScope,
+  resolveTenantForScope,
+  requestedTenantName,
+  requireTenantAccess,
+  saveTenant,
+  getUserTenants,
+  setUserTenants
+};
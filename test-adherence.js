@@ -0,0 +1,158 @@
+// test-adherence.js - Verify schedule imports and adherence measurement
+//
+// Parses CSV and JSON shift plans, then measures a day of state blocks against
+// a shift: late login, break overruns within and beyond the grace period,
+// early logoff and the resulting adherence and conformance. No database is needed.
+//
+// Usage: node test-adherence.js
+import assert from 'assert';
+import { parseSchedule } from './schedules.js';
+import { expectedSegments, measureShift } from './adherence.js';
+import { defaultStateCatalogue } from './stateCatalogue.js';
+
+const MINUTE = 60 * 1000;
+const utc = time => Date.parse(`2025-07-02T${time}:00Z`);
+
+async function runTests() {
+  // 1. CSV rows become instants in the tenant's zone; overnight shifts roll into the next day
+  {
+    const csv = [
+      'Extension,Date,Type,Start,End',
+      '1007,2025-07-02,shift,09:00,18:00',
+      '"1007",2025-07-02,LUNCH,13:00,13:30',
+      '2001,2025-07-02,shift,22:00,06:00',
+      '2001,2025-07-02,break,02:00,02:15'
+    ].join('\n');
+    const entries = parseSchedule(csv, 'Asia/Kolkata'); // UTC+05:30
+    assert.deepStrictEqual(entries.map(entry => [entry.extension, entry.activity, new Date(entry.start).toISOString(), new Date(entry.end).toISOString()]), [
+      ['1007', 'shift', '2025-07-02T03:30:00.000Z', '2025-07-02T12:30:00.000Z'],
+      ['1007', 'lunch', '2025-07-02T07:30:00.000Z', '2025-07-02T08:00:00.000Z'],
+      ['2001', 'shift', '2025-07-02T16:30:00.000Z', '2025-07-03T00:30:00.000Z'],
+      ['2001', 'break', '2025-07-02T20:30:00.000Z', '2025-07-02T20:45:00.000Z']
+    ]);
+    assert.ok(entries.every(entry => entry.date === '2025-07-02'));
+    console.log('✅ CSV schedules are parsed in the tenant zone');
+  }
+
+  // 2. The JSON format gives the same entries
+  {
+    const entries = parseSchedule({
+      1007: [{ date: '2025-07-02', start: '09:00', end: '18:00', lunch: { start: '13:00', end: '13:30' }, breaks: [{ start: '11:00', end: '11:15' }] }]
+    }, 'UTC');
+    assert.deepStrictEqual(entries.map(entry => [entry.activity, entry.start, entry.end]), [
+      ['shift', utc('09:00'), utc('18:00')],
+      ['lunch', utc('13:00'), utc('13:30')],
+      ['break', utc('11:00'), utc('11:15')]
+    ]);
+    console.log('✅ JSON schedules are parsed');
+  }
+
+  // 3. Malformed imports are refused with the entry at fault
+  {
+    const refuse = (input, pattern) => assert.throws(() => parseSchedule(input, 'UTC'), error => error.status === 400 && pattern.test(error.message));
+    refuse('extension,date,start,end\n1007,2025-07-02,09:00,18:00', /missing column\(s\): type/);
+    refuse('extension,date,type,start,end\n1007,2025-07-02,shift,9am,18:00', /line 2\): start and end must look like 09:00/);
+    refuse('extension,date,type,start,end\n1007,02/07/2025,shift,09:00,18:00', /date must look like/);
+    refuse('extension,date,type,start,end\n1007,2025-07-02,nap,09:00,18:00', /type must be one of shift, break, lunch/);
+    refuse('extension,date,type,start,end\n1007,2025-07-02,lunch,13:00,13:30', /lunch planned without a shift on 2025-07-02/);
+    refuse('extension,date,type,start,end\n1007,2025-07-02,shift,09:00,18:00\n1007,2025-07-02,shift,19:00,20:00', /line 3\): extension 1007 already has a shift/);
+    refuse('extension,date,type,start,end\n', /no shifts/);
+    refuse([], /object keyed by extension/);
+    console.log('✅ Malformed schedules are refused');
+  }
+
+  const categories = new Map(defaultStateCatalogue().map(entry => [entry.state, entry.category]));
+  const shift = {
+    date: '2025-07-02',
+    start: utc('09:00'),
+    end: utc('17:00'),
+    activities: [
+      { type: 'break', start: utc('11:00'), end: utc('11:15') },
+      { type: 'lunch', start: utc('13:00'), end: utc('13:30') }
+    ]
+  };
+  const block = (state, from, to) => ({ state, start: utc(from), end: utc(to) });
+
+  // 4. A shift is productive time around the planned activities, clipped to the range
+  {
+    assert.deepStrictEqual(expectedSegments(shift, utc('10:00'), utc('14:00')).map(segment => [segment.expect, (segment.end - segment.start) / MINUTE]), [
+      ['productive', 60],
+      ['away', 15],
+      ['productive', 105],
+      ['away', 30],
+      ['productive', 30]
+    ]);
+    console.log('✅ Shifts split into expected segments');
+  }
+
+  // 5. Late login, break overrun, lunch overrun within grace and early logoff
+  {
+    const blocks = [
+      block('Logoff', '08:00', '09:10'),     // 10 minutes late
+      block('available', '09:10', '11:00'),
+      block('Tea Break', '11:00', '11:20'),  // 5 minutes over
+      block('available', '11:20', '13:00'),
+      block('lunch', '13:00', '13:31'),      // 1 minute over, within the grace period
+      block('available', '13:31', '16:50'),
+      block('Logoff', '16:50', '18:00')      // 10 minutes early
+    ];
+    const { totals, row } = measureShift(shift, blocks, categories, utc('00:00'), utc('23:59'), 'UTC');
+
+    assert.deepStrictEqual(
+      { scheduled: totals.scheduled / MINUTE, inAdherence: totals.inAdherence / MINUTE, plannedProductive: totals.plannedProductive / MINUTE, productive: totals.productive / MINUTE },
+      { scheduled: 480, inAdherence: 454, plannedProductive: 435, productive: 409 }
+    );
+    assert.strictEqual(row.noShow, false);
+    assert.strictEqual(row.scheduledMinutes, 480);
+    // Every out-of-adherence minute: 10 late + 5 break + 1 lunch + 10 early
+    assert.strictEqual(row.outOfAdherenceMinutes, 26);
+    assert.strictEqual(row.adherencePercent, '94.6');
+    assert.strictEqual(row.conformancePercent, '94.0');
+    assert.strictEqual(row.lateLoginMinutes, 10);
+    assert.strictEqual(row.earlyLogoffMinutes, 10);
+    assert.deepStrictEqual(row.activities.map(activity => [activity.type, activity.plannedMinutes, activity.actualMinutes, activity.overrunMinutes]), [
+      ['break', 15, 20, 5],
+      ['lunch', 30, 31, 0]
+    ]);
+    console.log('✅ Late logins, overruns and early logoffs are measured');
+  }
+
+  // 6. Lateness within the grace period and idle time; a shift with no login is a no-show
+  {
+    const blocks = [
+      block('Login', '09:01', '09:05'),      // logged in a minute late, then idle
+      block('available', '09:05', '17:00')
+    ];
+    const { row } = measureShift(shift, blocks, categories, utc('00:00'), utc('23:59'), 'UTC');
+    assert.strictEqual(row.lateLoginMinutes, 0);
+    assert.strictEqual(row.earlyLogoffMinutes, 0);
+    // Idle and not-logged-in minutes are out of adherence, as is working through the break and lunch
+    assert.strictEqual(row.outOfAdherenceMinutes, 5 + 15 + 30);
+    assert.deepStrictEqual(row.activities.map(activity => activity.actualMinutes), [null, null]);
+
+    const absent = measureShift(shift, [block('Logoff', '08:00', '18:00')], categories, utc('00:00'), utc('23:59'), 'UTC').row;
+    assert.strictEqual(absent.noShow, true);
+    assert.strictEqual(absent.lateLoginMinutes, 480);
+    assert.strictEqual(absent.earlyLogoffMinutes, null);
+    assert.strictEqual(absent.adherencePercent, '9.4'); // only the planned break and lunch match
+    console.log('✅ Grace period, idle time and no-shows');
+  }
+
+  // 7. A shift still running is measured up to now; its end is not judged yet
+  {
+    const blocks = [block('available', '08:55', '12:00')];
+    const { row } = measureShift(shift, blocks, categories, utc('00:00'), utc('12:00'), 'UTC');
+    assert.strictEqual(row.scheduledMinutes, 180);
+    assert.strictEqual(row.earlyLogoffMinutes, null);
+    assert.strictEqual(row.outOfAdherenceMinutes, 15); // worked through the break
+    assert.deepStrictEqual(row.activities.map(activity => activity.type), ['break']);
+    console.log('✅ Running shifts are measured up to now');
+  }
+
+  console.log('\n✅ All adherence tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Adherence test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+// test-event-store.js - Verify reading events from the local store and the portal
+//
+// Covers where loadAgentEvents splits a range at the sync high-water mark, how
+// the stored and portal parts are merged (nothing lost or repeated at the
+// mark), the portal fallback when the store fails, and the windows the sync
+// worker fetches from the mark. The store and the portal are stand-ins.
+//
+// Usage: node test-event-store.js
+import assert from 'assert';
+import { loadAgentEvents } from './agentEvents.js';
+import { BACKFILL, CHUNK, OVERLAP, syncWindows } from './eventSync.js';
+
+const T0 = Date.parse('2025-07-01T09:00:00Z');
+const MINUTE = 60000;
+
+const event = (user, state, minutes) => ({
+  event: state === 'available' ? 'agent_state' : 'agent_not_avail_state',
+  user_id: user,
+  username: `Agent ${user}`,
+  ext: user === 'a1' ? 2001 : 2002,
+  state,
+  enabled: true,
+  Timestamp: T0 + minutes * MINUTE
+});
+
+// What the portal holds for 09:00 - 11:00; the store has synced the same events up to its mark
+const PORTAL = [
+  event('a1', 'available', 0),
+  event('a2', 'available', 10),
+  event('a1', 'lunch', 50),
+  event('a2', 'training', 60), // exactly on the mark
+  event('a1', 'available', 80),
+  event('a2', 'available', 110)
+];
+
+const inRange = (events, fromMs, toMs) => events.filter(e => e.Timestamp >= fromMs && e.Timestamp <= toMs);
+
+/**
+ * Event store stand-in with a high-water mark, recording its reads
+ */
+function stubStore(highWater, { fail = false } = {}) {
+  const reads = [];
+  return {
+    reads,
+    getSyncState: async () => {
+      if (fail) throw new Error('connection refused');
+      return highWater ? { high_water: highWater } : null;
+    },
+    getStoredEvents: async (tenant, fromMs, toMs) => {
+      reads.push([fromMs, toMs]);
+      return inRange(PORTAL, fromMs, Math.min(toMs, highWater));
+    }
+  };
+}
+
+/**
+ * Portal stand-in, recording the ranges it was asked for
+ */
+function stubPortal() {
+  const calls = [];
+  const fetch = async (tenant, start, end, agentName, extension) => {
+    calls.push([start.getTime(), end.getTime()]);
+    return inRange(PORTAL, start.getTime(), end.getTime())
+      .filter(e => !extension || String(e.ext) === String(extension));
+  };
+  return { calls, fetch };
+}
+
+const load = (store, portal, start, end, { agentName = null, extension = null } = {}) =>
+  loadAgentEvents('shams', new Date(start), new Date(end), agentName, extension, portal.fetch, {}, store);
+
+const times = events => events.map(e => (e.Timestamp - T0) / MINUTE);
+
+async function runTests() {
+  console.log('🧪 Testing the event store and portal merge');
+  const mark = T0 + 60 * MINUTE;
+  const end = T0 + 120 * MINUTE;
+
+  // 1. The store covers up to the mark and the portal the rest, with no event lost or repeated
+  {
+    const store = stubStore(mark);
+    const portal = stubPortal();
+    const events = await load(store, portal, T0, end);
+    assert.deepStrictEqual(store.reads, [[T0, mark]]);
+    assert.deepStrictEqual(portal.calls, [[mark, end]], 'the portal should be asked from the mark on');
+    assert.deepStrictEqual(times(events), [0, 10, 50, 60, 80, 110], 'the event on the mark should appear once');
+    assert.deepStrictEqual(events, PORTAL, 'the merge should match reading the portal alone');
+    console.log('✅ Stored and portal events meet at the high-water mark');
+  }
+
+  // 2. A range that ends before the mark is served by the store alone
+  {
+    const store = stubStore(mark);
+    const portal = stubPortal();
+    const events = await load(store, portal, T0, T0 + 30 * MINUTE);
+    assert.deepStrictEqual(portal.calls, []);
+    assert.deepStrictEqual(store.reads, [[T0, T0 + 30 * MINUTE]]);
+    assert.deepStrictEqual(times(events), [0, 10]);
+
+    // Ending exactly on the mark still needs nothing from the portal
+    assert.deepStrictEqual(times(await load(store, portal, T0, mark)), [0, 10, 50, 60]);
+    assert.deepStrictEqual(portal.calls, []);
+    console.log('✅ A range before the mark skips the portal');
+  }
+
+  // 3. A range after the mark, or a tenant never synced, comes from the portal
+  {
+    const store = stubStore(mark);
+    const portal = stubPortal();
+    assert.deepStrictEqual(times(await load(store, portal, mark + MINUTE, end)), [80, 110]);
+    assert.deepStrictEqual(store.reads, [], 'the store holds nothing after its mark');
+
+    const unsynced = stubStore(0);
+    assert.deepStrictEqual(await load(unsynced, portal, T0, end), PORTAL);
+    assert.deepStrictEqual(portal.calls.at(-1), [T0, end]);
+    console.log('✅ Ranges the store does not cover come from the portal');
+  }
+
+  // 4. A store failure falls back to the portal for the whole range
+  {
+    const portal = stubPortal();
+    assert.deepStrictEqual(await load(stubStore(mark, { fail: true }), portal, T0, end), PORTAL);
+    assert.deepStrictEqual(portal.calls, [[T0, end]]);
+    console.log('✅ A store failure falls back to the portal');
+  }
+
+  // 5. Agent and extension filters apply to the stored part as well
+  {
+    const portal = stubPortal();
+    const byExtension = await load(stubStore(mark), portal, T0, end, { extension: '2002' });
+    assert.deepStrictEqual(times(byExtension), [10, 60, 110]);
+    const byName = await load(stubStore(mark), portal, T0, mark, { agentName: 'agent A1' });
+    assert.deepStrictEqual(times(byName), [0, 50]);
+    console.log('✅ Filters apply to stored events');
+  }
+
+  // 6. The sync worker re-reads a little before the mark and fetches in chunks up to now
+  {
+    const now = mark + 2 * CHUNK + 5 * MINUTE;
+    const windows = syncWindows(mark, now);
+    assert.strictEqual(windows[0].from, mark - OVERLAP, 'late events just before the mark should be re-read');
+    assert.strictEqual(windows.at(-1).to, now);
+    assert.ok(windows.every(({ from, to }) => to > from && to - from <= CHUNK));
+    for (let i = 1; i < windows.length; i++) {
+      assert.strictEqual(windows[i].from, windows[i - 1].to, 'windows should leave no gaps');
+    }
+
+    assert.strictEqual(syncWindows(0, now)[0].from, now - BACKFILL, 'a new tenant should start from the backfill');
+    assert.deepStrictEqual(syncWindows(now + OVERLAP, now), [], 'nothing to fetch when the mark is ahead');
+    console.log('✅ Sync windows start just before the mark and leave no gaps');
+  }
+
+  console.log('\n✅ All event store tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Event store test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+// test-kpis.js - Verify occupancy, utilization and shrinkage
+//
+// Covers the formula parser, tenant overrides on top of the default formulas,
+// the null result for an empty denominator and team totals, which add up the
+// raw times before dividing instead of averaging each agent's percentage.
+//
+// Usage: node test-kpis.js
+import assert from 'assert';
+import { DEFAULT_KPI_FORMULAS, computeKpis, kpiFormulasFrom, normalizeKpiFormulas, stateTimeTotals, sumKpiValues } from './public/kpis.js';
+import { defaultStateCatalogue } from './stateCatalogue.js';
+
+async function runTests() {
+  console.log('🧪 Testing KPI formulas');
+
+  // 1. Valid formulas are kept, defaults are not stored
+  assert.deepStrictEqual(normalizeKpiFormulas({ occupancy: 'onCall / (loggedIn - breaks - hold)' }), { occupancy: 'onCall / (loggedIn - breaks - hold)' });
+  assert.deepStrictEqual(normalizeKpiFormulas({ utilization: 'loggedIn - breaks / loggedIn' }), { utilization: 'loggedIn - breaks / loggedIn' });
+  assert.strictEqual(normalizeKpiFormulas({ shrinkage: DEFAULT_KPI_FORMULAS.shrinkage, occupancy: '' }), null, 'defaults and blanks should not be stored');
+  assert.strictEqual(normalizeKpiFormulas(null), null);
+  console.log('✅ Valid formulas are accepted');
+
+  // 2. Invalid formulas and KPIs are refused
+  for (const formula of ['onCall * 2', 'onCall', 'onCall / loggedIn / breaks', 'onCall + / loggedIn', 'talkTime / loggedIn', '(onCall + 1) / loggedIn']) {
+    assert.throws(() => normalizeKpiFormulas({ occupancy: formula }), Error, `"${formula}" should be refused`);
+  }
+  assert.throws(() => normalizeKpiFormulas({ adherence: 'onCall / loggedIn' }), /Unknown KPI "adherence"/);
+  assert.throws(() => normalizeKpiFormulas(['onCall / loggedIn']), /must be an object/);
+  assert.throws(() => normalizeKpiFormulas({ occupancy: 'x'.repeat(201) }), /must be text/);
+  console.log('✅ Invalid formulas are refused');
+
+  // 3. A zero (or negative) denominator gives null, not 0%
+  assert.deepStrictEqual(computeKpis({}), { occupancy: null, utilization: null, shrinkage: null });
+  const allBreaks = computeKpis({ loggedIn: 600, breaks: 600 });
+  assert.strictEqual(allBreaks.occupancy, null, 'no time outside breaks should leave occupancy empty');
+  assert.strictEqual(allBreaks.utilization, '0.0');
+  assert.strictEqual(allBreaks.shrinkage, '100.0');
+  assert.strictEqual(computeKpis({ loggedIn: 100, breaks: 200, onCall: 50 }).occupancy, null);
+  console.log('✅ An empty denominator gives no KPI');
+
+  // 4. Tenant formulas override the defaults; unusable ones fall back
+  const formulas = kpiFormulasFrom(JSON.stringify({ utilization: 'onCall / loggedIn', occupancy: 'bogus / loggedIn' }));
+  assert.deepStrictEqual(formulas, { ...DEFAULT_KPI_FORMULAS, utilization: 'onCall / loggedIn' });
+  assert.deepStrictEqual(kpiFormulasFrom('not json'), DEFAULT_KPI_FORMULAS);
+  assert.deepStrictEqual(kpiFormulasFrom(null), DEFAULT_KPI_FORMULAS);
+  const values = { loggedIn: 1000, breaks: 200, onCall: 300, wrapUp: 100 };
+  assert.deepStrictEqual(computeKpis(values), { occupancy: '50.0', utilization: '40.0', shrinkage: '20.0' });
+  assert.deepStrictEqual(computeKpis(values, formulas), { occupancy: '50.0', utilization: '30.0', shrinkage: '20.0' });
+  console.log('✅ Tenant formulas override the defaults');
+
+  // 5. Logged-in, productive and break time from state blocks
+  const totals = stateTimeTotals([
+    { state: 'available', duration: 100 },
+    { state: 'Login', duration: 50 },
+    { state: 'lunch', duration: 30 },
+    { state: 'Logoff', duration: 200 },
+    { state: 'Prayer', duration: 10 },
+    { state: 'available', duration: null }
+  ], defaultStateCatalogue());
+  assert.deepStrictEqual(totals, { loggedIn: 190, productive: 100, breaks: 30 });
+  console.log('✅ State blocks add up by category');
+
+  // 6. Team totals add the times, then divide
+  const agents = [
+    { loggedIn: 1000, onCall: 900, breaks: 0 },
+    { loggedIn: 100, onCall: 10, breaks: 0 }
+  ];
+  const team = sumKpiValues([...agents, null]);
+  assert.strictEqual(team.loggedIn, 1100);
+  assert.strictEqual(team.onCall, 910);
+  assert.strictEqual(team.hold, 0);
+  assert.strictEqual(computeKpis(team).utilization, '82.7', 'team utilization should be 910 / 1100, not the 50% average');
+  console.log('✅ Team totals sum the raw times');
+
+  console.log('\n✅ All KPI tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ KPI test failed:', err.message);
+  process.exit(1);
+});
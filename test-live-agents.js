@@ -0,0 +1,107 @@
+// test-live-agents.js - Verify the live wallboard feed
+//
+// Covers how a poll's events become transitions (once each, even when the
+// next poll reads them again), the snapshot and transitions each subscriber
+// may see, and the wait between polls after failures. No portal is needed:
+// events are applied to a feed directly.
+//
+// Usage: node test-live-agents.js
+import assert from 'assert';
+import { MAX_RETRY_DELAY, POLL_INTERVAL, applyEvents, broadcast, createFeed, pollDelay, sendSnapshot } from './liveAgents.js';
+import { defaultStateCatalogue } from './stateCatalogue.js';
+
+const T0 = Date.parse('2025-07-01T09:00:00Z');
+
+const event = (user, ext, state, enabled, seconds) => ({
+  event: state === 'available' ? 'agent_state' : 'agent_not_avail_state',
+  user_id: user,
+  username: `Agent ${user}`,
+  ext,
+  state,
+  enabled,
+  Timestamp: T0 + seconds * 1000
+});
+
+/**
+ * Subscriber stand-in that records what it is sent
+ */
+function subscriber(allowedExtensions = null) {
+  const received = [];
+  return { allowedExtensions, received, send: (name, data) => received.push({ name, data }) };
+}
+
+async function runTests() {
+  console.log('🧪 Testing the live agent feed');
+  const catalogue = defaultStateCatalogue();
+
+  // 1. Events become transitions, oldest first
+  const feed = createFeed('shams');
+  feed.cursor = T0;
+  const events = [
+    event('a1', 2001, 'lunch', true, 60),
+    event('a1', 2001, 'available', true, 0),
+    event('a2', 2002, 'available', true, 30)
+  ];
+  let transitions = applyEvents(feed, events, catalogue);
+  assert.deepStrictEqual(
+    transitions.map(({ agent, from }) => [agent.id, from, agent.state]),
+    [['a1', null, 'available'], ['a2', null, 'available'], ['a1', 'available', 'lunch']]
+  );
+  assert.strictEqual(feed.agents.get('a1').since, T0 + 60000);
+  assert.strictEqual(feed.agents.get('a1').extension, '2001');
+  console.log('✅ Events become transitions in time order');
+
+  // 2. The next poll re-reads the overlap; the same events are not applied twice
+  transitions = applyEvents(feed, [...events, event('a1', 2001, 'lunch', false, 120)], catalogue);
+  assert.deepStrictEqual(transitions.map(({ agent, from }) => [agent.id, from, agent.state]), [['a1', 'lunch', 'available']]);
+  assert.strictEqual(applyEvents(feed, events, catalogue).length, 0);
+
+  // A late event older than what the agent's machine has seen is ignored
+  assert.strictEqual(applyEvents(feed, [event('a1', 2001, 'training', true, 90)], catalogue).length, 0);
+  assert.strictEqual(feed.agents.get('a1').state, 'available');
+  console.log('✅ Re-read and late events are not applied again');
+
+  // 3. A state the catalogue does not track shows as unknown
+  const untracked = catalogue.map(entry => (entry.state === 'Team Meeting' ? { ...entry, tracked: false } : entry));
+  transitions = applyEvents(feed, [event('a2', 2002, 'Team Meeting', true, 150)], untracked);
+  assert.deepStrictEqual(transitions.map(({ agent, from }) => [agent.id, from, agent.state]), [['a2', 'available', null]]);
+  assert.strictEqual(applyEvents(feed, [event('a3', 2003, 'Team Meeting', true, 160)], untracked).length, 0,
+    'an agent first seen in an untracked state is not shown');
+  console.log('✅ Untracked states show as unknown');
+
+  // 4. Each subscriber sees only its extensions
+  const everyone = subscriber();
+  const restricted = subscriber(new Set(['2001']));
+  feed.subscribers.add(everyone).add(restricted);
+  sendSnapshot(feed, everyone);
+  sendSnapshot(feed, restricted);
+  assert.deepStrictEqual(everyone.received[0].data.agents.map(agent => agent.id).sort(), ['a1', 'a2']);
+  assert.deepStrictEqual(restricted.received[0].data.agents.map(agent => agent.id), ['a1']);
+  assert.strictEqual(restricted.received[0].data.agents[0].since, new Date(T0 + 120000).toISOString());
+  assert.strictEqual(restricted.received[0].data.tenant, 'shams');
+
+  const a2 = feed.agents.get('a2');
+  broadcast(feed, 'transition', { id: a2.id }, a2);
+  broadcast(feed, 'feed-error', { error: 'retrying' });
+  assert.deepStrictEqual(everyone.received.slice(1).map(message => message.name), ['transition', 'feed-error']);
+  assert.deepStrictEqual(restricted.received.slice(1).map(message => message.name), ['feed-error'], 'other extensions\' transitions should not be sent');
+  console.log('✅ Snapshots and transitions are filtered per subscriber');
+
+  // 5. The wait doubles after each failed poll, up to the cap
+  assert.strictEqual(pollDelay(0), POLL_INTERVAL);
+  assert.strictEqual(pollDelay(1), POLL_INTERVAL);
+  assert.strictEqual(pollDelay(2), POLL_INTERVAL * 2);
+  assert.strictEqual(pollDelay(3), POLL_INTERVAL * 4);
+  assert.strictEqual(pollDelay(50), MAX_RETRY_DELAY);
+  for (let failures = 1; failures < 20; failures++) {
+    assert.ok(pollDelay(failures + 1) >= pollDelay(failures) && pollDelay(failures) <= MAX_RETRY_DELAY);
+  }
+  console.log('✅ Failed polls back off up to the cap');
+
+  console.log('\n✅ All live agent tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Live agent test failed:', err.message);
+  process.exit(1);
+});
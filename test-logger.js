@@ -1,65 +1,124 @@
-// test-logger.js - Test script to verify logger functionality
-import logger from './logger.js';
+// test-logger.js - Verify leveled, structured logging
+//
+// LOG_LEVEL and LOG_FORMAT are read when logger.js loads, so each case runs a
+// worker process with its own settings in a scratch directory (the logs/
+// folder is created there) and checks what it printed.
+//
+// Usage: node test-logger.js
+import assert from 'assert';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
 
-// Test basic logging
-console.log('Testing basic logging...');
-logger.log('This is a test info message', 'info');
-logger.log('This is a test debug message', 'debug');
-logger.log('This is a test warning message', 'warn');
-logger.log('This is a test error message', 'error');
+const __filename = fileURLToPath(import.meta.url);
 
-// Test state transition logging
-console.log('Testing state transition logging...');
-const testEvent = {
-  state: 'available',
-  Timestamp: Date.now(),
-  username: 'Test User',
-  extension: '1234'
-};
-logger.logStateTransition(testEvent);
+/**
+ * Worker mode: log one record of each kind
+ */
+async function runWorker() {
+  const { createLogger, withLogContext, setLogContext, logStateTransition } = await import('./logger.js');
+  const logger = createLogger({ component: 'test' });
 
-// Test multiple state transitions
-console.log('Testing multiple state transitions...');
-const testEvents = [
-  {
-    state: 'available',
-    Timestamp: Date.now(),
-    username: 'Test User 1',
-    extension: '1234'
-  },
-  {
-    state: 'Not Available',
-    Timestamp: Date.now() + 1000,
-    username: 'Test User 2',
-    extension: '5678'
+  logger.debug('debug record');
+  logger.info('info record', { count: 2 });
+  logger.warn('warn record');
+  logger.error('error record', { error: new Error('boom') });
+  logger.child({ agent: 'Sara Ali' }).warn('child record', { extension: '2001' });
+
+  await withLogContext({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    setLogContext({ tenant: 'shams' });
+    logger.warn('context record');
+    logStateTransition({ state: 'lunch', Timestamp: Date.UTC(2025, 6, 1, 9), username: 'Sara Ali', extension: '2001' });
+  });
+  logger.warn('after context');
+}
+
+/**
+ * Run the worker with the given environment and return its output lines
+ */
+function runWith(env) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+  try {
+    const result = spawnSync(process.execPath, [__filename, 'worker'], {
+      cwd,
+      env: { ...process.env, DEFAULT_TIMEZONE: 'UTC', ...env },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.strictEqual(result.status, 0, `worker failed: ${result.stderr}`);
+    const files = fs.readdirSync(path.join(cwd, 'logs'), { recursive: true });
+    return { lines: result.stdout.trim().split('\n').filter(Boolean), files };
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
   }
-];
-logger.logStateTransitions(testEvents);
+}
+
+async function runTests() {
+  console.log('🧪 Testing the logger');
 
-// Test command output logging
-console.log('Testing command output logging...');
-const commandLogFile = logger.logCommandOutput('test-command', 'This is test command output', 0);
-console.log(`Command log file created: ${commandLogFile}`);
+  // 1. JSON records carry their level, message and fields
+  let { lines } = runWith({ LOG_LEVEL: 'debug', LOG_FORMAT: 'json' });
+  const records = lines.map(line => JSON.parse(line));
+  const byMsg = Object.fromEntries(records.map(record => [record.msg, record]));
+  assert.deepStrictEqual(records.slice(0, 4).map(record => record.level), ['debug', 'info', 'warn', 'error']);
+  assert.strictEqual(byMsg['info record'].component, 'test');
+  assert.strictEqual(byMsg['info record'].count, 2);
+  assert.strictEqual(byMsg['error record'].error.message, 'boom', 'errors should keep their message');
+  assert.ok(!Number.isNaN(Date.parse(byMsg['info record'].time)));
+  console.log('✅ LOG_FORMAT=json writes one parseable record per line');
 
-// List log files
-console.log('Listing log files...');
-const logFiles = logger.listLogFiles();
-console.log(`Found ${logFiles.length} log files:`);
-logFiles.forEach(file => console.log(` - ${file}`));
+  // 2. child() adds fields to the parent's
+  assert.strictEqual(byMsg['child record'].component, 'test');
+  assert.strictEqual(byMsg['child record'].agent, 'Sara Ali');
+  assert.strictEqual(byMsg['child record'].extension, '2001');
+  console.log('✅ Child loggers keep the parent context');
 
-// Show logs directory
-const logsDir = logger.getDailyLogDir();
-console.log(`Logs directory: ${logsDir}`);
-console.log(`Directory exists: ${fs.existsSync(logsDir)}`);
+  // 3. withLogContext follows async work, setLogContext adds to it, and it ends with the work
+  assert.strictEqual(byMsg['context record'].requestId, 'req-1');
+  assert.strictEqual(byMsg['context record'].tenant, 'shams');
+  assert.strictEqual(byMsg['after context'].requestId, undefined);
+  assert.strictEqual(byMsg['after context'].tenant, undefined);
+  console.log('✅ Log context propagates through async work');
 
-// List directory contents if it exists
-if (fs.existsSync(logsDir)) {
-  console.log('Directory contents:');
-  fs.readdirSync(logsDir).forEach(file => {
-    const filePath = path.join(logsDir, file);
-    const stats = fs.statSync(filePath);
-    console.log(` - ${file} (${stats.isDirectory() ? 'directory' : 'file'}, ${stats.size} bytes)`);
+  // 4. State transitions are ordinary info records with the context
+  const transition = records.find(record => record.component === 'stateTransitions');
+  assert.ok(transition, 'the state transition should be logged as a record');
+  assert.strictEqual(transition.level, 'info');
+  assert.strictEqual(transition.state, 'lunch');
+  assert.strictEqual(transition.agent, 'Sara Ali');
+  assert.strictEqual(transition.requestId, 'req-1');
+  assert.ok(!lines.some(line => line.includes('\x1b[')), 'JSON output should have no colour codes');
+  console.log('✅ State transitions go through the leveled logger');
+
+  // 5. LOG_LEVEL drops lower records, state transitions included
+  const warnOnly = runWith({ LOG_LEVEL: 'warn', LOG_FORMAT: 'json' });
+  const levels = warnOnly.lines.map(line => JSON.parse(line).level);
+  assert.ok(levels.length > 0 && levels.every(level => level === 'warn' || level === 'error'), `unexpected levels ${levels}`);
+  assert.ok(!warnOnly.lines.some(line => line.includes('stateTransitions')), 'info state transitions should be dropped');
+  assert.ok(warnOnly.files.some(file => String(file).includes('state-transitions')), 'the transitions file should still be written');
+  console.log('✅ LOG_LEVEL drops lower records');
+
+  // 6. Text output appends fields as key=value
+  ({ lines } = runWith({ LOG_LEVEL: 'info', LOG_FORMAT: 'text' }));
+  const child = lines.find(line => line.includes('child record'));
+  assert.match(child, /WARN: child record component=test agent="Sara Ali" extension=2001/);
+  assert.ok(!lines.some(line => line.includes('debug record')), 'debug should be off by default');
+  console.log('✅ Text output lists the fields as key=value');
+
+  console.log('\n✅ All logger tests passed');
+}
+
+if (process.argv[2] === 'worker') {
+  runWorker().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+} else {
+  runTests().catch(err => {
+    console.error('❌ Logger test failed:', err.message);
+    process.exit(1);
   });
 }
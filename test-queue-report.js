@@ -0,0 +1,97 @@
+// test-queue-report.js - Verify queue call normalisation and the service level,
+// ASA and abandonment figures of the queue report
+//
+// Usage: node test-queue-report.js
+import assert from 'assert';
+import { normalizeQueueCall, parseServiceLevel, queueMetrics } from './queueReport.js';
+
+const ENTERED = Date.parse('2025-07-01T09:00:00Z');
+const at = seconds => new Date(ENTERED + seconds * 1000).toISOString();
+
+async function runTests() {
+  // 1. Records are reduced to queue, entry time, wait and outcome
+  {
+    assert.deepStrictEqual(
+      normalizeQueueCall({ queue_name: 'Sales', enter_time: at(0), answer_time: at(12) }),
+      { queue: 'Sales', entered: ENTERED, waitSeconds: 12, answered: true, abandoned: false }
+    );
+    assert.deepStrictEqual(
+      normalizeQueueCall({ queue: 7, enterTime: String(ENTERED / 1000), status: 'abandoned', end_time: at(45) }),
+      { queue: '7', entered: ENTERED, waitSeconds: 45, answered: false, abandoned: true }
+    );
+    // A stated wait wins over the one worked out from the times
+    assert.strictEqual(normalizeQueueCall({ queue: 'Sales', enter_time: at(0), answer_time: at(12), wait_time: 9 }).waitSeconds, 9);
+    // Neither answered nor abandoned, e.g. sent on to voicemail
+    assert.deepStrictEqual(
+      normalizeQueueCall({ queue: 'Sales', enter_time: at(0), status: 'VOICEMAIL', wait_time: 30 }),
+      { queue: 'Sales', entered: ENTERED, waitSeconds: 30, answered: false, abandoned: false }
+    );
+    assert.strictEqual(normalizeQueueCall({ enter_time: at(0), status: 'ANSWERED' }), null);
+    assert.strictEqual(normalizeQueueCall({ queue: 'Sales', status: 'ANSWERED' }), null);
+    console.log('✅ Queue calls are normalised');
+  }
+
+  // 2. Service level counts answers within the threshold, inclusive, out of every offered call
+  {
+    const call = (waitSeconds, outcome) => ({ queue: 'Sales', entered: ENTERED, waitSeconds, answered: outcome === 'answered', abandoned: outcome === 'abandoned' });
+    const calls = [
+      call(20, 'answered'),  // exactly at the threshold
+      call(21, 'answered'),  // one second over
+      call(3, 'abandoned'),  // short abandon, still an abandon
+      call(45, 'abandoned'),
+      call(30, 'other')
+    ];
+    assert.deepStrictEqual(queueMetrics(calls, 20), {
+      offered: 5,
+      answered: 2,
+      abandoned: 2,
+      answeredWithinThreshold: 1,
+      serviceLevel: '20.0',
+      abandonRate: '40.0',
+      asa: '00:00:21', // (20 + 21) / 2 = 20.5, rounded
+      longestWait: '00:00:45'
+    });
+    assert.strictEqual(queueMetrics(calls, 21).answeredWithinThreshold, 2);
+    assert.strictEqual(queueMetrics(calls, 19).serviceLevel, '0.0');
+    console.log('✅ Service level, ASA and abandon rate');
+  }
+
+  // 3. An empty queue or slot has no rates rather than zero ones
+  {
+    assert.deepStrictEqual(queueMetrics([], 20), {
+      offered: 0,
+      answered: 0,
+      abandoned: 0,
+      answeredWithinThreshold: 0,
+      serviceLevel: null,
+      abandonRate: null,
+      asa: '00:00:00',
+      longestWait: '00:00:00'
+    });
+
+    // Only abandons: no answers to average
+    const abandonsOnly = queueMetrics([{ queue: 'Sales', entered: ENTERED, waitSeconds: 4000, answered: false, abandoned: true }], 20);
+    assert.strictEqual(abandonsOnly.serviceLevel, '0.0');
+    assert.strictEqual(abandonsOnly.abandonRate, '100.0');
+    assert.strictEqual(abandonsOnly.asa, '00:00:00');
+    assert.strictEqual(abandonsOnly.longestWait, '01:06:40');
+    console.log('✅ Empty queues have no rates');
+  }
+
+  // 4. Thresholds are whole seconds up to an hour
+  {
+    assert.strictEqual(parseServiceLevel(undefined), 20);
+    assert.strictEqual(parseServiceLevel(''), 20);
+    assert.strictEqual(parseServiceLevel('30'), 30);
+    assert.strictEqual(parseServiceLevel('3600'), 3600);
+    ['0', '-5', '2.5', '3601', 'soon'].forEach(value => assert.strictEqual(parseServiceLevel(value), null, value));
+    console.log('✅ Service level thresholds are validated');
+  }
+
+  console.log('\n✅ All queue report tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Queue report test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+// test-report-cache.js - Verify that callers sharing a report generation can cancel independently,
+// and that entries are not served after the KPI formulas or the state catalogue change
+//
+// Usage: node test-report-cache.js
+import assert from 'assert';
+import { buildReportCacheKey, getOrCreateReport } from './reportCache.js';
+import { DEFAULT_KPI_FORMULAS } from './public/kpis.js';
+import { invalidateStateCatalogue } from './stateCatalogue.js';
+
+const params = { tenant: 'shams', startDateTime: '2025-07-01T08:00:00', endDateTime: '2025-07-01T18:00:00', timeZone: 'Asia/Dubai' };
+
+/**
+ * A generation that finishes when told to, or rejects when its signal aborts
+ */
+function controllableGeneration() {
+  const run = { calls: 0, signal: null, finish: null };
+  run.generate = ({ signal, onProgress }) => {
+    run.calls++;
+    run.signal = signal;
+    onProgress({ stage: 'fetching' });
+    return new Promise((resolve, reject) => {
+      run.finish = () => resolve({ success: true, agents: [{ agentName: 'Ayan Khan' }] });
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+  };
+  return run;
+}
+
+async function runTests() {
+  // 1. One caller cancelling leaves the shared generation running for the others
+  {
+    const run = controllableGeneration();
+    const first = new AbortController();
+    const progress = [];
+    const firstResult = getOrCreateReport('agent-report', params, run.generate, { signal: first.signal });
+    const secondResult = getOrCreateReport('agent-report', params, run.generate, { signal: new AbortController().signal, onProgress: p => progress.push(p) });
+    const syncResult = getOrCreateReport('agent-report', params, run.generate);
+
+    first.abort(new Error('cancelled'));
+    await assert.rejects(firstResult, /cancelled/);
+    assert.strictEqual(run.signal.aborted, false);
+
+    run.finish();
+    const [second, sync] = await Promise.all([secondResult, syncResult]);
+    assert.strictEqual(run.calls, 1);
+    assert.strictEqual(second.value.agents[0].agentName, 'Ayan Khan');
+    assert.strictEqual(sync.status, 'MISS');
+    assert.deepStrictEqual(progress, [{ stage: 'fetching' }]);
+    console.log('✅ Cancelling one caller leaves the others waiting');
+  }
+
+  // 2. The generation is aborted once every caller has cancelled, and a new caller starts afresh
+  {
+    const other = { ...params, endDateTime: '2025-07-02T18:00:00' };
+    const run = controllableGeneration();
+    const callers = [new AbortController(), new AbortController()];
+    const results = callers.map(controller => getOrCreateReport('agent-report', other, run.generate, { signal: controller.signal }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    callers[0].abort(new Error('cancelled'));
+    assert.strictEqual(run.signal.aborted, false);
+    callers[1].abort(new Error('cancelled'));
+    assert.strictEqual(run.signal.aborted, true);
+    await Promise.all(results.map(result => assert.rejects(result, /cancelled/)));
+
+    const retry = controllableGeneration();
+    const again = getOrCreateReport('agent-report', other, retry.generate);
+    await new Promise(resolve => setImmediate(resolve));
+    retry.finish();
+    assert.strictEqual((await again).value.success, true);
+    assert.strictEqual(retry.calls, 1);
+    console.log('✅ The generation stops when the last caller cancels');
+  }
+
+  // 3. Changed KPI formulas make a different key
+  {
+    const custom = { ...DEFAULT_KPI_FORMULAS, occupancy: 'onCall / loggedIn' };
+    const key = buildReportCacheKey('agent-report', { ...params, kpiFormulas: DEFAULT_KPI_FORMULAS });
+    assert.strictEqual(buildReportCacheKey('agent-report', { ...params, kpiFormulas: { ...DEFAULT_KPI_FORMULAS } }), key);
+    assert.notStrictEqual(buildReportCacheKey('agent-report', { ...params, kpiFormulas: custom }), key);
+
+    const generate = async () => ({ success: true, agents: [{ agentName: 'Ayan Khan' }] });
+    await getOrCreateReport('agent-report', { ...params, kpiFormulas: DEFAULT_KPI_FORMULAS }, generate);
+    const changed = await getOrCreateReport('agent-report', { ...params, kpiFormulas: custom }, generate);
+    assert.strictEqual(changed.status, 'MISS', 'a report built with other formulas should not be served');
+    console.log('✅ KPI formulas are part of the key');
+  }
+
+  // 4. A catalogue change drops the tenant's cached reports, and only that tenant's
+  {
+    const generate = async () => ({ success: true, agents: [{ agentName: 'Ayan Khan' }] });
+    const otherTenant = { ...params, tenant: 'other' };
+    await getOrCreateReport('agent-report', params, generate);
+    await getOrCreateReport('agent-report', otherTenant, generate);
+    assert.strictEqual((await getOrCreateReport('agent-report', params, generate)).status, 'HIT');
+
+    invalidateStateCatalogue('shams');
+    assert.strictEqual((await getOrCreateReport('agent-report', params, generate)).status, 'MISS');
+    assert.strictEqual((await getOrCreateReport('agent-report', otherTenant, generate)).status, 'HIT');
+    console.log('✅ Catalogue changes drop the tenant\'s cached reports');
+  }
+
+  console.log('\n✅ All report cache tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Report cache test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// test-report-comparison.js - Verify how two agent reports are lined up and compared
+//
+// Usage: node test-report-comparison.js
+import assert from 'assert';
+import { compareAgentReports } from './reportComparison.js';
+
+/**
+ * An agent row with the fields the comparison reads
+ */
+function agent(extension, agentName, totalCalls, answered, aht, notAvailable) {
+  return { agentName, extension, totalCalls, answered, failed: totalCalls - answered, aht, totalNotAvailableTime: notAvailable };
+}
+
+function report(agents, start) {
+  return { success: true, summary: { totalAgents: agents.length, timeRange: { start, end: `${start.slice(0, 10)}T18:00:00` } }, agents };
+}
+
+async function runTests() {
+  const current = report([
+    agent('1007', 'Prashant Rajput', 40, 30, '00:04:00', '00:30:00'),
+    agent('2001', 'Sara Ali', 10, 10, '00:02:00', '00:00:00'),
+    agent('2002', 'New Starter', 5, 4, '00:03:00', '00:10:00')
+  ], '2025-07-02T08:00:00');
+  const previous = report([
+    agent(1007, 'Prashant Rajput', 50, 25, '00:05:00', '00:20:00'),
+    agent('2001', 'Sara Ali', 0, 0, '00:00:00', '00:00:00'),
+    agent('3003', 'Moved Team', 12, 12, '00:01:00', '00:05:00')
+  ], '2025-06-25T08:00:00');
+
+  const compared = compareAgentReports(current, previous);
+  const byExtension = new Map(compared.agents.map(row => [row.extension, row]));
+
+  // 1. Agents in both ranges get deltas; extensions match whatever their type
+  {
+    const { comparison } = byExtension.get('1007');
+    assert.strictEqual(comparison.presence, 'both');
+    assert.deepStrictEqual(comparison.current, { totalCalls: 40, answerRate: 75, ahtSeconds: 240, notAvailableSeconds: 1800 });
+    assert.deepStrictEqual(comparison.previous, { totalCalls: 50, answerRate: 50, ahtSeconds: 300, notAvailableSeconds: 1200 });
+    // Answer rate changes are in percentage points, not a relative change
+    assert.deepStrictEqual(comparison.deltas, { totalCalls: -10, answerRate: 25, ahtSeconds: -60, notAvailableSeconds: 600 });
+    console.log('✅ Agents in both ranges are compared');
+  }
+
+  // 2. A zero baseline: calls and times change from zero, the answer rate has nothing to compare with
+  {
+    const { comparison } = byExtension.get('2001');
+    assert.strictEqual(comparison.previous.answerRate, null);
+    assert.deepStrictEqual(comparison.deltas, { totalCalls: 10, answerRate: null, ahtSeconds: 120, notAvailableSeconds: 0 });
+
+    const quiet = compareAgentReports(report([agent('2001', 'Sara Ali', 0, 0, '00:00:00', '00:00:00')], '2025-07-02T08:00:00'), previous);
+    assert.deepStrictEqual(quiet.agents[0].comparison.deltas, { totalCalls: 0, answerRate: null, ahtSeconds: 0, notAvailableSeconds: 0 });
+    console.log('✅ Zero baselines give no answer rate change');
+  }
+
+  // 3. Agents in only one range are not compared against zeros
+  {
+    assert.deepStrictEqual(byExtension.get('2002').comparison, {
+      presence: 'current-only',
+      current: { totalCalls: 5, answerRate: 80, ahtSeconds: 180, notAvailableSeconds: 600 },
+      previous: null,
+      deltas: null
+    });
+    assert.deepStrictEqual(compared.previousOnlyAgents, [{
+      agentName: 'Moved Team',
+      extension: '3003',
+      comparison: { presence: 'previous-only', current: null, previous: { totalCalls: 12, answerRate: 100, ahtSeconds: 60, notAvailableSeconds: 300 }, deltas: null }
+    }]);
+    console.log('✅ Agents in one range only are marked, not compared');
+  }
+
+  // 4. Team totals weight AHT by answered calls and count where agents were seen
+  {
+    const { comparison } = compared.summary;
+    assert.deepStrictEqual(comparison.timeRange, previous.summary.timeRange);
+    // (30 * 240 + 10 * 120 + 4 * 180) / 44 = 207.3
+    assert.deepStrictEqual(comparison.current, { totalCalls: 55, answerRate: 80, ahtSeconds: 207, notAvailableSeconds: 2400 });
+    // (25 * 300 + 12 * 60) / 37 = 222.2
+    assert.deepStrictEqual(comparison.previous, { totalCalls: 62, answerRate: 59.7, ahtSeconds: 222, notAvailableSeconds: 1500 });
+    assert.deepStrictEqual(comparison.deltas, { totalCalls: -7, answerRate: 20.3, ahtSeconds: -15, notAvailableSeconds: 900 });
+    assert.deepStrictEqual([comparison.agentsInBoth, comparison.currentOnly, comparison.previousOnly], [2, 1, 1]);
+    assert.strictEqual(compared.summary.totalAgents, 3);
+
+    // A comparison range with no agents at all
+    const empty = compareAgentReports(current, report([], '2025-06-25T08:00:00'));
+    assert.deepStrictEqual(empty.summary.comparison.previous, { totalCalls: 0, answerRate: null, ahtSeconds: 0, notAvailableSeconds: 0 });
+    assert.strictEqual(empty.summary.comparison.deltas.answerRate, null);
+    assert.ok(empty.agents.every(row => row.comparison.presence === 'current-only'));
+    console.log('✅ Team totals are compared');
+  }
+
+  console.log('\n✅ All report comparison tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Report comparison test failed:', err.message);
+  process.exit(1);
+});
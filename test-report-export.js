@@ -0,0 +1,172 @@
+// test-report-export.js - Verify the CSV, JSON, NDJSON and PDF report exports
+//
+// Usage: node test-report-export.js
+import assert from 'assert';
+import { Writable } from 'stream';
+import {
+  AGENT_COLUMNS,
+  COMPARISON_COLUMNS,
+  QUEUE_COLUMNS,
+  SLOT_COLUMNS,
+  csvField,
+  exportTable,
+  parseExportFormat,
+  renderReportExport,
+  sendReportExport,
+  toCsv
+} from './reportExport.js';
+
+const TENANT = { name: 'shams', displayName: 'Shams', timezone: 'UTC' };
+
+// An agent report comparing two ranges, with cells that need escaping
+const AGENT_REPORT = {
+  summary: { timeRange: { timeZone: 'Asia/Dubai' }, comparison: {} },
+  states: [{ state: 'lunch', displayName: 'Lunch' }],
+  agents: [{
+    agentName: '=HYPERLINK("http://example.test")',
+    extension: '2001',
+    totalCalls: 5,
+    answered: 4,
+    failed: 1,
+    aht: '00:02:00',
+    kpis: { occupancy: '50.0' },
+    dataQualityWarnings: [{ type: 'orphaned-close' }],
+    customStates: [{ state: 'lunch', startTime: '12:00:00', endTime: '12:30:00', duration: 1800 }],
+    comparison: { presence: 'both', deltas: { totalCalls: -3, answerRate: 1.5 } }
+  }],
+  previousOnlyAgents: [{ agentName: 'Old, "Agent"\nTwo', extension: '2002', comparison: { presence: 'previous', deltas: { totalCalls: -7 } } }]
+};
+
+const exportOf = (format, data = AGENT_REPORT, report = 'agent-report') =>
+  renderReportExport({ report, data, format, tenant: TENANT, startDateTime: '2025-07-01T09:00', endDateTime: '2025-07-01T18:00' });
+
+/**
+ * Response stand-in that collects what an export writes
+ */
+class CollectingResponse extends Writable {
+  constructor() {
+    super();
+    this.headers = {};
+    this.chunks = [];
+  }
+
+  set(headers) {
+    Object.assign(this.headers, headers);
+  }
+
+  send(body) {
+    this.chunks.push(Buffer.from(body));
+    this.end();
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.from(chunk));
+    callback();
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks).toString('latin1');
+  }
+}
+
+async function runTests() {
+  // 1. Fields are escaped per RFC 4180, and formulas are defused
+  {
+    assert.strictEqual(csvField('plain'), 'plain');
+    assert.strictEqual(csvField(null), '');
+    assert.strictEqual(csvField(undefined), '');
+    assert.strictEqual(csvField(0), '0');
+    assert.strictEqual(csvField('a,b'), '"a,b"');
+    assert.strictEqual(csvField('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvField('two\nlines'), '"two\nlines"');
+    assert.strictEqual(csvField('cr\r\nlf'), '"cr\r\nlf"');
+    assert.strictEqual(csvField('=1+1'), "'=1+1");
+    assert.strictEqual(csvField('+44 20 7946 0000'), "'+44 20 7946 0000");
+    assert.strictEqual(csvField('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(csvField('=A1,B1'), '"\'=A1,B1"', 'a defused formula is still quoted when needed');
+    assert.strictEqual(csvField(-3), '-3', 'negative numbers are not formulas');
+    assert.strictEqual(csvField('-1.5'), '-1.5');
+    assert.strictEqual(csvField({ a: 1 }), '"{""a"":1}"');
+    assert.strictEqual(toCsv([{ a: 1, b: 'x,y' }, { a: 2, c: '=cmd' }]), 'a,b,c\r\n1,"x,y",\r\n2,,\'=cmd\r\n');
+    assert.strictEqual(toCsv([]), '');
+    console.log('✅ CSV fields are escaped');
+  }
+
+  // 2. Each report has its columns; a comparison adds its own after the agent columns
+  {
+    assert.strictEqual(exportTable('agent-report', { agents: [{}] }).columns, AGENT_COLUMNS);
+    assert.strictEqual(exportTable('slot-wise-agent-report', { reportData: [] }).columns, SLOT_COLUMNS);
+    assert.throws(() => exportTable('nope', {}), /No export columns/);
+
+    const { columns, rows } = exportTable('agent-report', AGENT_REPORT);
+    assert.deepStrictEqual(columns, [...AGENT_COLUMNS, ...COMPARISON_COLUMNS]);
+    assert.strictEqual(rows.length, 2, 'agents seen only in the comparison range should follow');
+    assert.strictEqual(rows[1].extension, '2002');
+
+    const queue = exportTable('queue-report', { queues: [{ queue: 'Sales', offered: 3, slots: [{ timeSlot: '09:00 - 10:00', offered: 3 }] }] });
+    assert.strictEqual(queue.columns, QUEUE_COLUMNS);
+    assert.deepStrictEqual(queue.rows.map(row => [row.queue, row.timeSlot]), [['Sales', 'All'], ['Sales', '09:00 - 10:00']]);
+    console.log('✅ Column definitions and comparison rows');
+  }
+
+  // 3. CSV: header, cells as text, escaping, CRLF line ends
+  {
+    const { content, contentType, filename, rowCount } = exportOf('csv');
+    const lines = content.toString().split('\r\n');
+    assert.strictEqual(contentType, 'text/csv; charset=utf-8');
+    assert.strictEqual(filename, 'agent_shams_2025-07-01.csv');
+    assert.strictEqual(rowCount, 2);
+    assert.strictEqual(lines[0], [...AGENT_COLUMNS, ...COMPARISON_COLUMNS].map(column => column.header).join(','));
+    assert.ok(lines[1].startsWith('"\'=HYPERLINK(""http://example.test"")",2001,5,4,1,'));
+    assert.ok(lines[1].includes(',1,Lunch: 12:00:00 - 12:30:00 (00:30:00),both,-3,1.5,,'), 'states, warnings and deltas should be filled in');
+    assert.strictEqual(lines[2], '"Old, ""Agent""\nTwo",2002,,,,,,,,,,,,,,,previous,-7,,,');
+    assert.strictEqual(lines[3], '', 'the file should end with CRLF');
+    console.log('✅ CSV export');
+  }
+
+  // 4. JSON and NDJSON keep numbers as numbers
+  {
+    const doc = JSON.parse(exportOf('json').content.toString());
+    assert.strictEqual(doc.meta.tenant, 'shams');
+    assert.strictEqual(doc.meta.timeZone, 'Asia/Dubai', 'the report\'s own zone wins over the tenant\'s');
+    assert.strictEqual(doc.meta.start, '2025-07-01T05:00:00.000Z');
+    assert.deepStrictEqual(doc.columns[2], { key: 'totalCalls', header: 'Total Calls', type: 'number' });
+    assert.strictEqual(doc.rows[0].occupancy, 50);
+    assert.strictEqual(doc.rows[0].agentName, '=HYPERLINK("http://example.test")', 'JSON is not a spreadsheet, so text is unchanged');
+    assert.strictEqual(doc.rows[1].totalCalls, null);
+
+    const lines = exportOf('ndjson').content.toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines, doc.rows);
+    console.log('✅ JSON and NDJSON exports');
+  }
+
+  // 5. The format decides the body and headers; unknown formats are refused
+  {
+    assert.strictEqual(parseExportFormat(' CSV '), 'csv');
+    assert.strictEqual(parseExportFormat('xlsx'), null);
+    assert.strictEqual(parseExportFormat('toString'), null);
+
+    const pdf = exportOf('pdf');
+    assert.strictEqual(pdf.contentType, 'application/pdf');
+    assert.strictEqual(pdf.content.subarray(0, 5).toString(), '%PDF-');
+
+    for (const [format, contentType, start] of [['csv', 'text/csv', 'Agent Name,'], ['ndjson', 'application/x-ndjson', '{"agentName"'], ['json', 'application/json', '{"meta"'], ['pdf', 'application/pdf', '%PDF-']]) {
+      const res = new CollectingResponse();
+      await sendReportExport(res, { report: 'agent-report', data: AGENT_REPORT, format, tenant: TENANT, startDateTime: '2025-07-01T09:00', endDateTime: '2025-07-01T18:00' });
+      assert.ok(res.headers['Content-Type'].startsWith(contentType), `${format} content type`);
+      assert.strictEqual(res.headers['Content-Disposition'], `attachment; filename="agent_shams_2025-07-01.${format}"`);
+      assert.ok(res.body.startsWith(start), `${format} body`);
+    }
+    await assert.rejects(sendReportExport(new CollectingResponse(), {
+      report: 'agent-report', data: AGENT_REPORT, format: 'xml', tenant: TENANT, startDateTime: '2025-07-01T09:00', endDateTime: '2025-07-01T18:00'
+    }));
+    console.log('✅ Format selection');
+  }
+
+  console.log('\n✅ All report export tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Report export test failed:', err.message);
+  process.exit(1);
+});
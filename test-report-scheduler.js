@@ -0,0 +1,281 @@
+// test-report-scheduler.js - Verify scheduled report delivery over SMTP
+//
+// Runs a local SMTP sink that records what it is sent (and can be told to
+// refuse mail), then checks cron times, range templates, the retry delays and
+// the delivery of a rendered report to the sink. No database or portal is needed:
+// the report itself comes from a stand-in generator.
+//
+// Usage: node test-report-scheduler.js
+import assert from 'assert';
+import net from 'net';
+import { nextCronTime, parseCron } from './cron.js';
+import { resolveRangeTemplate, retryDelay, deliverScheduledReport, parseRecipients } from './reportSchedules.js';
+import { sendMail, SmtpError } from './smtp.js';
+
+/**
+ * Start the SMTP sink on a free port. `behaviour.refuseData` answers the end of
+ * the next DATA with 451 that many times; `behaviour.refuseRecipients` lists
+ * addresses answered with 550.
+ */
+function startSmtpSink(behaviour) {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let mail = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 sink.test ESMTP ready');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line !== '.') {
+            mail.data.push(line.startsWith('..') ? line.slice(1) : line);
+            continue;
+          }
+          inData = false;
+          if (behaviour.refuseData > 0) {
+            behaviour.refuseData--;
+            reply('451 4.3.0 Try again later');
+          } else {
+            messages.push({ ...mail, data: mail.data.join('\r\n') });
+            reply('250 2.0.0 Queued');
+          }
+          continue;
+        }
+
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-sink.test');
+            reply('250-AUTH PLAIN LOGIN');
+            reply('250 8BITMIME');
+            break;
+          case 'AUTH':
+            mail = { auth: Buffer.from(line.split(' ')[2], 'base64').toString().split('\0').slice(1) };
+            reply('235 2.7.0 Authenticated');
+            break;
+          case 'MAIL':
+            mail = { ...mail, from: /<(.*)>/.exec(line)[1], to: [], data: [] };
+            reply('250 2.1.0 OK');
+            break;
+          case 'RCPT': {
+            const address = /<(.*)>/.exec(line)[1];
+            if (behaviour.refuseRecipients.includes(address)) {
+              reply('550 5.1.1 No such user');
+            } else {
+              mail.to.push(address);
+              reply('250 2.1.5 OK');
+            }
+            break;
+          }
+          case 'DATA':
+            inData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'QUIT':
+            reply('221 2.0.0 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 5.5.2 Command not recognised');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+  });
+}
+
+/**
+ * Decode the first attachment of a recorded message
+ */
+function attachment(message) {
+  const part = message.data.split(/\r\n--/).find(section => /Content-Disposition: attachment/.test(section));
+  const [headers, body] = part.split('\r\n\r\n');
+  return {
+    filename: /filename="([^"]+)"/.exec(headers)[1],
+    contentType: /Content-Type: ([^;\r\n]+)/.exec(headers)[1],
+    content: Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+  };
+}
+
+// A small agent report as generateSimplifiedAgentReport returns it
+function agentReport() {
+  return {
+    success: true,
+    summary: { totalAgents: 1, totalCalls: 12, timeRange: { timeZone: 'Asia/Dubai' } },
+    agents: [{
+      agentName: 'Ayan Khan',
+      extension: '2000',
+      totalCalls: 12,
+      answered: 10,
+      failed: 2,
+      totalWrapUpTime: '00:04:00',
+      totalNotAvailableTime: '00:30:00',
+      totalHoldTime: '00:00:00',
+      totalOnCallTime: '01:10:00',
+      aht: '00:07:00',
+      loggedInTime: '08:00:00',
+      kpis: { occupancy: '62.5', utilization: '55.0', shrinkage: '6.3' },
+      dataQualityWarnings: [],
+      customStates: [{ state: 'lunch', startTime: '13:00:00', endTime: '13:30:00', duration: 1800 }]
+    }],
+    states: [{ state: 'lunch', displayName: 'Lunch' }]
+  };
+}
+
+async function runTests() {
+  const TZ = 'Asia/Dubai';
+
+  // 1. Cron expressions are read in the tenant's zone
+  {
+    const after = Date.parse('2025-07-01T05:30:00Z'); // Tuesday 09:30 in Dubai
+    assert.strictEqual(nextCronTime('0 7 * * *', after, TZ).toISOString(), '2025-07-02T03:00:00.000Z');
+    assert.strictEqual(nextCronTime('0 7 * * sat,sun', after, TZ).toISOString(), '2025-07-05T03:00:00.000Z');
+    assert.strictEqual(nextCronTime('*/20 9 * * *', after, TZ).toISOString(), '2025-07-01T05:40:00.000Z');
+    assert.strictEqual(nextCronTime('0 7 1 * *', after, 'Europe/London').toISOString(), '2025-07-01T06:00:00.000Z');
+    assert.throws(() => parseCron('0 25 * * *'), /hour 25/);
+    assert.throws(() => parseCron('0 7 * *'), /five fields/);
+    console.log('✅ Cron expressions match in the tenant timezone');
+  }
+
+  // 2. Range templates resolve against the run time in the tenant's zone
+  {
+    const at = Date.parse('2025-07-02T03:00:00Z'); // Wednesday 07:00 in Dubai
+    const range = text => {
+      const { start, end } = resolveRangeTemplate(text, at, TZ);
+      return [start.toISOString(), end.toISOString()];
+    };
+    assert.deepStrictEqual(range('yesterday 08:00-20:00'), ['2025-07-01T04:00:00.000Z', '2025-07-01T16:00:00.000Z']);
+    assert.deepStrictEqual(range('Yesterday 08:00–20:00'), range('yesterday 08:00-20:00'));
+    assert.deepStrictEqual(range('yesterday'), ['2025-06-30T20:00:00.000Z', '2025-07-01T20:00:00.000Z']);
+    assert.deepStrictEqual(range('yesterday 22:00-06:00'), ['2025-07-01T18:00:00.000Z', '2025-07-02T02:00:00.000Z']);
+    assert.deepStrictEqual(range('3 days ago'), ['2025-06-28T20:00:00.000Z', '2025-06-29T20:00:00.000Z']);
+    assert.deepStrictEqual(range('last 7 days'), ['2025-06-24T20:00:00.000Z', '2025-07-01T20:00:00.000Z']);
+    assert.deepStrictEqual(range('last week'), ['2025-06-22T20:00:00.000Z', '2025-06-29T20:00:00.000Z']);
+    assert.deepStrictEqual(range('last month'), ['2025-05-31T20:00:00.000Z', '2025-06-30T20:00:00.000Z']);
+    assert.deepStrictEqual(range('this week'), ['2025-06-29T20:00:00.000Z', '2025-07-02T03:00:00.000Z']);
+    assert.throws(() => range('fortnight'), /Unknown range/);
+    assert.throws(() => range('yesterday 25:00-26:00'), /Unknown range/);
+    console.log('✅ Range templates resolve in the tenant timezone');
+  }
+
+  // 3. Recipients and retry delays
+  {
+    assert.deepStrictEqual(parseRecipients('a@example.com; b@example.com,a@example.com'), ['a@example.com', 'b@example.com']);
+    assert.throws(() => parseRecipients('not-an-address'), /Invalid email address/);
+    assert.throws(() => parseRecipients(''), /At least one recipient/);
+    assert.deepStrictEqual([1, 2, 3].map(attempts => retryDelay(attempts, 3, 60000)), [60000, 120000, null]);
+    console.log('✅ Recipients are checked and retries back off');
+  }
+
+  const behaviour = { refuseData: 0, refuseRecipients: [] };
+  const sink = await startSmtpSink(behaviour);
+  const config = { host: '127.0.0.1', port: sink.port, secure: false, startTls: true, user: 'mailer', password: 's3cret', from: 'reports@example.com', timeout: 5000 };
+  const send = mail => sendMail(mail, config);
+
+  const schedule = {
+    name: 'Daily agents',
+    report: 'agent-report',
+    range_template: 'yesterday 08:00-20:00',
+    agent_name: null,
+    extension: null,
+    format: 'csv',
+    recipients: 'supervisor@example.com, manager@example.com'
+  };
+  const tenant = { name: 'shams', displayName: 'Shams', timezone: TZ };
+  const scheduledFor = Date.parse('2025-07-02T03:00:00Z');
+  const requested = [];
+  const generate = async params => {
+    requested.push(params);
+    return agentReport();
+  };
+
+  try {
+    // 4. A run generates the report for the resolved range and mails it as an attachment
+    {
+      const result = await deliverScheduledReport(schedule, tenant, scheduledFor, { generate, send });
+      assert.deepStrictEqual(requested[0], {
+        report: 'agent-report',
+        startDateTime: '2025-07-01T04:00:00.000Z',
+        endDateTime: '2025-07-01T16:00:00.000Z',
+        agentName: null,
+        extension: null
+      });
+      assert.strictEqual(result.rowCount, 1);
+      assert.deepStrictEqual(result.accepted, ['supervisor@example.com', 'manager@example.com']);
+
+      assert.strictEqual(sink.messages.length, 1);
+      const [message] = sink.messages;
+      assert.deepStrictEqual(message.auth, ['mailer', 's3cret']);
+      assert.strictEqual(message.from, 'reports@example.com');
+      assert.deepStrictEqual(message.to, ['supervisor@example.com', 'manager@example.com']);
+      assert.match(message.data, /^Subject: Daily agents - Shams - 01\/07\/2025, 08:00:00 AM to 01\/07\/2025, 08:00:00 PM$/m);
+
+      const file = attachment(message);
+      assert.strictEqual(file.filename, 'agent_shams_2025-07-01.csv');
+      assert.strictEqual(file.contentType, 'text/csv');
+      const [header, row] = file.content.split('\r\n');
+      assert.ok(header.startsWith('Agent Name,Extension,Total Calls,'));
+      assert.ok(row.startsWith('Ayan Khan,2000,12,10,2,00:04:00,'));
+      assert.ok(row.endsWith('Lunch: 13:00:00 - 13:30:00 (00:30:00)'));
+      console.log('✅ Scheduled report is mailed as an attachment');
+    }
+
+    // 5. A temporary refusal fails the attempt; the next attempt goes through
+    {
+      behaviour.refuseData = 1;
+      await assert.rejects(
+        deliverScheduledReport(schedule, tenant, scheduledFor, { generate, send }),
+        error => error instanceof SmtpError && error.code === 451
+      );
+      assert.strictEqual(sink.messages.length, 1);
+      await deliverScheduledReport({ ...schedule, format: 'pdf' }, tenant, scheduledFor, { generate, send });
+      assert.strictEqual(sink.messages.length, 2);
+      const file = attachment(sink.messages[1]);
+      assert.strictEqual(file.contentType, 'application/pdf');
+      assert.ok(file.content.startsWith('%PDF-1.4'));
+      console.log('✅ Refused deliveries fail and succeed on retry');
+    }
+
+    // 6. Unknown recipients are reported; the others still get the mail
+    {
+      behaviour.refuseRecipients = ['manager@example.com'];
+      const result = await deliverScheduledReport(schedule, tenant, scheduledFor, { generate, send });
+      assert.deepStrictEqual(result.accepted, ['supervisor@example.com']);
+      assert.deepStrictEqual(result.rejected, ['manager@example.com']);
+      assert.deepStrictEqual(sink.messages[2].to, ['supervisor@example.com']);
+
+      behaviour.refuseRecipients = ['supervisor@example.com', 'manager@example.com'];
+      await assert.rejects(deliverScheduledReport(schedule, tenant, scheduledFor, { generate, send }), /rejected every recipient/);
+      behaviour.refuseRecipients = [];
+      console.log('✅ Refused recipients are reported');
+    }
+
+    // 7. A failed report is not mailed
+    {
+      const failing = async () => ({ success: false, error: 'Portal unavailable' });
+      await assert.rejects(deliverScheduledReport(schedule, tenant, scheduledFor, { generate: failing, send }), /Report failed: Portal unavailable/);
+      assert.strictEqual(sink.messages.length, 3);
+      console.log('✅ Failed reports are not mailed');
+    }
+  } finally {
+    sink.server.close();
+  }
+
+  console.log('\n✅ All report scheduler tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Report scheduler test failed:', err.message);
+  process.exit(1);
+});
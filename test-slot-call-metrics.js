@@ -0,0 +1,73 @@
+// test-slot-call-metrics.js - Verify per-slot call metrics from call detail records
+//
+// A call is counted in the slot it started in, while its time on call, hold
+// and wrap-up are split over every slot it runs into. The cases below cover a
+// call that crosses a slot boundary and a call that started before the report.
+//
+// Usage: node test-slot-call-metrics.js
+import assert from 'assert';
+import { calculateSlotWiseCallMetrics, generateSlotWiseTimeSlots } from './agentEvents.js';
+import { normalizeCdr } from './cdrFetcher.js';
+
+const at = iso => Date.parse(iso);
+
+async function runTests() {
+  console.log('🧪 Testing slot-wise call metrics');
+
+  const slots = generateSlotWiseTimeSlots(new Date('2025-07-01T10:00:00Z'), new Date('2025-07-01T12:00:00Z'), 'UTC', { interval: 60 });
+  assert.strictEqual(slots.length, 2);
+
+  const calls = [
+    // Started before the report and still on call when it opens
+    { start_time: at('2025-07-01T09:55:00Z'), answer_time: at('2025-07-01T09:56:00Z'), end_time: at('2025-07-01T10:06:00Z'), wrap_up_time: 300 },
+    // Crosses from the first slot into the second, with hold and wrap-up
+    { start_time: at('2025-07-01T10:50:00Z'), answer_time: at('2025-07-01T10:52:00Z'), end_time: at('2025-07-01T11:12:00Z'), hold_time: 600, wrap_up_time: 120 },
+    // Rang out in the second slot
+    { start_time: at('2025-07-01T11:30:00Z'), duration: 30, disposition: 'NO ANSWER' }
+  ].map(normalizeCdr);
+
+  // Lunch opened before the report and closed in the first slot
+  const events = [
+    { event: 'agent_not_avail_state', state: 'lunch', enabled: true, Timestamp: at('2025-07-01T09:50:00Z') },
+    { event: 'agent_not_avail_state', state: 'lunch', enabled: false, Timestamp: at('2025-07-01T10:20:00Z') }
+  ];
+
+  const [first, second] = slots.map(slot => calculateSlotWiseCallMetrics(calls, events, slot));
+
+  // 1. A call that crosses a slot boundary
+  assert.strictEqual(first.totalCalls, 1, 'the crossing call should count in the slot it started in');
+  assert.strictEqual(first.answeredCalls, 1);
+  assert.strictEqual(second.totalCalls, 1, 'only the unanswered call started in the second slot');
+  assert.strictEqual(second.answeredCalls, 0);
+  assert.strictEqual(second.failedCalls, 1);
+
+  // 8 of its 20 minutes on call fall in the first slot, 12 in the second; hold is split the same way
+  assert.strictEqual(second.seconds.onCall, 12 * 60);
+  assert.strictEqual(second.seconds.hold, 360);
+  assert.strictEqual(second.seconds.wrapUp, 120, 'wrap-up after the call should land in the second slot');
+  assert.strictEqual(first.seconds.onCall - 6 * 60 + second.seconds.onCall, 20 * 60, 'the call\'s time on call should be split, not duplicated');
+  assert.strictEqual(first.seconds.hold + second.seconds.hold, 600);
+
+  // AHT covers the whole call (talk plus wrap-up) in the slot it started in
+  assert.strictEqual(first.aht, '00:22:00');
+  assert.strictEqual(second.aht, '00:00:00', 'a slot without answered calls should have no AHT');
+  console.log('✅ A call crossing a slot boundary is counted once and its times are split');
+
+  // 2. A call that started before the report
+  // Its 6 minutes on call after 10:00 and all 5 minutes of wrap-up fall in the first slot, but it is not counted
+  assert.strictEqual(first.seconds.onCall, 6 * 60 + 8 * 60);
+  assert.strictEqual(first.seconds.hold, 240);
+  assert.strictEqual(first.seconds.wrapUp, 300);
+
+  // The lunch carried in from before the report counts from the slot start
+  assert.strictEqual(first.seconds.notAvailable, 20 * 60);
+  assert.strictEqual(second.seconds.notAvailable, 0);
+  console.log('✅ A call started before the report adds its time but not a call');
+
+  console.log('\n✅ All slot call metric tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Slot call metric test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+// test-slots.js - Verify slot edges for the slot-wise agent report
+//
+// Slots follow the tenant's wall clock, so the cases below cover days when
+// that clock jumps (DST), zones whose offset is not a whole hour, ranges that
+// do not start or end on a boundary, and boundary lists that cannot be parsed.
+//
+// Usage: node test-slots.js
+import assert from 'assert';
+import { generateSlotWiseTimeSlots, parseSlotBoundaries, parseSlotInterval } from './agentEvents.js';
+
+const at = iso => new Date(iso);
+
+/**
+ * Slots reduced to [start, end] ISO pairs
+ */
+function edges(slots) {
+  return slots.map(slot => [slot.start.toISOString(), slot.end.toISOString()]);
+}
+
+async function runTests() {
+  console.log('🧪 Testing slot edges');
+
+  // 1. Spring forward: London skips 01:00-02:00 local on 30 March 2025
+  let slots = generateSlotWiseTimeSlots(at('2025-03-30T00:00:00Z'), at('2025-03-30T03:00:00Z'), 'Europe/London', { interval: 60 });
+  assert.deepStrictEqual(edges(slots), [
+    ['2025-03-30T00:00:00.000Z', '2025-03-30T01:00:00.000Z'],
+    ['2025-03-30T01:00:00.000Z', '2025-03-30T02:00:00.000Z'],
+    ['2025-03-30T02:00:00.000Z', '2025-03-30T03:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(slots.map(slot => slot.duration), [60, 60, 60], 'every hourly slot should last an hour');
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['12:00 AM - 02:00 AM', '02:00 AM - 03:00 AM', '03:00 AM - 04:00 AM']);
+
+  // Multi-hour slots count from local midnight, so the first one is short that day
+  slots = generateSlotWiseTimeSlots(at('2025-03-30T00:00:00Z'), at('2025-03-30T11:00:00Z'), 'Europe/London', { interval: 240 });
+  assert.deepStrictEqual(slots.map(slot => slot.duration), [180, 240, 240]);
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['12:00 AM - 04:00 AM', '04:00 AM - 08:00 AM', '08:00 AM - 12:00 PM']);
+
+  // A daily rollup over the change has a 23-hour day
+  slots = generateSlotWiseTimeSlots(at('2025-03-29T00:00:00Z'), at('2025-03-31T23:00:00Z'), 'Europe/London', { interval: 'day' });
+  assert.deepStrictEqual(slots.map(slot => slot.duration), [1440, 1380, 1440]);
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['29/03/2025', '30/03/2025', '31/03/2025']);
+  console.log('✅ Slots stay an hour long when the clock springs forward');
+
+  // 2. Fall back: 01:00-02:00 local happens twice on 26 October 2025
+  slots = generateSlotWiseTimeSlots(at('2025-10-26T00:00:00Z'), at('2025-10-26T03:00:00Z'), 'Europe/London', { interval: 60 });
+  assert.deepStrictEqual(edges(slots), [
+    ['2025-10-26T00:00:00.000Z', '2025-10-26T01:00:00.000Z'],
+    ['2025-10-26T01:00:00.000Z', '2025-10-26T02:00:00.000Z'],
+    ['2025-10-26T02:00:00.000Z', '2025-10-26T03:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['01:00 AM - 01:00 AM', '01:00 AM - 02:00 AM', '02:00 AM - 03:00 AM']);
+
+  // Shift boundaries stay on the wall clock; the first shift gets the extra hour
+  slots = generateSlotWiseTimeSlots(at('2025-10-25T23:00:00Z'), at('2025-10-26T23:00:00Z'), 'Europe/London', {
+    boundaries: parseSlotBoundaries('06:00,14:00,22:00')
+  });
+  assert.deepStrictEqual(edges(slots), [
+    ['2025-10-25T23:00:00.000Z', '2025-10-26T06:00:00.000Z'],
+    ['2025-10-26T06:00:00.000Z', '2025-10-26T14:00:00.000Z'],
+    ['2025-10-26T14:00:00.000Z', '2025-10-26T22:00:00.000Z'],
+    ['2025-10-26T22:00:00.000Z', '2025-10-26T23:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(slots.map(slot => slot.duration), [420, 480, 480, 60]);
+  console.log('✅ Repeated hour and shift boundaries handled when the clock falls back');
+
+  // 3. Half-hour offset: Kolkata (UTC+5:30) hours start on :30 UTC
+  slots = generateSlotWiseTimeSlots(at('2025-07-01T03:00:00Z'), at('2025-07-01T05:00:00Z'), 'Asia/Kolkata', { interval: 60 });
+  assert.deepStrictEqual(edges(slots), [
+    ['2025-07-01T03:00:00.000Z', '2025-07-01T03:30:00.000Z'],
+    ['2025-07-01T03:30:00.000Z', '2025-07-01T04:30:00.000Z'],
+    ['2025-07-01T04:30:00.000Z', '2025-07-01T05:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['08:30 AM - 09:00 AM', '09:00 AM - 10:00 AM', '10:00 AM - 10:30 AM']);
+  console.log('✅ Slots follow local hours in a half-hour offset zone');
+
+  // 4. Ranges that do not start or end on a boundary
+  slots = generateSlotWiseTimeSlots(at('2025-07-01T05:20:00Z'), at('2025-07-01T08:10:00Z'), 'Asia/Dubai', { interval: 60 });
+  assert.deepStrictEqual(slots.map(slot => slot.duration), [40, 60, 60, 10]);
+  assert.strictEqual(slots[0].start.toISOString(), '2025-07-01T05:20:00.000Z', 'the first slot should start at the range start');
+  assert.strictEqual(slots.at(-1).end.toISOString(), '2025-07-01T08:10:00.000Z', 'the last slot should end at the range end');
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['09:20 AM - 10:00 AM', '10:00 AM - 11:00 AM', '11:00 AM - 12:00 PM', '12:00 PM - 12:10 PM']);
+  slots.slice(1).forEach((slot, i) => assert.strictEqual(slot.start.getTime(), slots[i].end.getTime(), 'slots should tile the range'));
+
+  // Slivers under a minute at either end are folded into their neighbour
+  slots = generateSlotWiseTimeSlots(at('2025-07-01T05:00:30Z'), at('2025-07-01T06:00:20Z'), 'Asia/Dubai', { interval: 30 });
+  assert.deepStrictEqual(edges(slots), [
+    ['2025-07-01T05:00:30.000Z', '2025-07-01T05:30:00.000Z'],
+    ['2025-07-01T05:30:00.000Z', '2025-07-01T06:00:20.000Z']
+  ]);
+
+  // A range that ends before the next shift boundary closes the last slot early
+  slots = generateSlotWiseTimeSlots(at('2025-07-01T02:00:00Z'), at('2025-07-01T20:00:00Z'), 'Asia/Dubai', {
+    boundaries: parseSlotBoundaries(['22:00', '06:00', '14:00'])
+  });
+  assert.deepStrictEqual(slots.map(slot => slot.label), ['06:00 AM - 02:00 PM', '02:00 PM - 10:00 PM', '10:00 PM - 12:00 AM']);
+  assert.strictEqual(slots.at(-1).duration, 120);
+  console.log('✅ Unaligned ranges start and end at the range edges');
+
+  // 5. Boundary and interval input
+  assert.deepStrictEqual(parseSlotBoundaries('22:00, 6:00,14:00,06:00'), [360, 840, 1320], 'boundaries should be sorted and unique');
+  assert.deepStrictEqual(parseSlotBoundaries(['06:00', '18:30']), [360, 1110]);
+  for (const invalid of ['25:00', '06:60', '9', 'ab', '06:00,xx', '', ' , ', []]) {
+    assert.strictEqual(parseSlotBoundaries(invalid), null, `${JSON.stringify(invalid)} should be rejected`);
+  }
+  assert.strictEqual(parseSlotInterval(''), 60, 'an empty interval should default to hourly');
+  assert.strictEqual(parseSlotInterval('30'), 30);
+  assert.strictEqual(parseSlotInterval('Week'), 'week');
+  assert.strictEqual(parseSlotInterval('45'), null, 'intervals that do not tile a day should be rejected');
+  console.log('✅ Invalid boundaries and intervals are rejected');
+
+  console.log('\n✅ All slot tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Slot test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,188 @@
+// test-state-alerts.js - Verify state alert rules and signed webhook delivery
+//
+// Checks which rule applies to an agent, which state blocks breach it and the
+// payload a breach produces, then posts webhooks to a local receiver that
+// verifies the signature and can be told to fail. No database is needed.
+//
+// Usage: node test-state-alerts.js
+import assert from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import { ruleFor, findBreaches, breachPayload } from './stateAlerts.js';
+import { postWebhook, signWebhook } from './webhooks.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Start a receiver that checks each request's signature and answers with
+ * the next status from `answers` (200 once they run out)
+ */
+function startReceiver(secret, answers) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const timestamp = req.headers['x-webhook-timestamp'];
+      const expected = Buffer.from(signWebhook(secret, timestamp, body));
+      const given = Buffer.from(req.headers['x-webhook-signature'] || '');
+      const valid = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+      received.push({ id: req.headers['x-webhook-id'], valid, payload: JSON.parse(body) });
+
+      const status = answers.length > 0 ? answers.shift() : 200;
+      if (status === 'hang') return; // never answer, to trip the timeout
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status === 200 ? 'ok' : 'Receiver unavailable');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/hooks/alerts`, received }));
+  });
+}
+
+async function runTests() {
+  const rules = [
+    { id: 1, tenant: 'shams', state: 'lunch', team_id: null, max_minutes: 30 },
+    { id: 2, tenant: 'shams', state: 'lunch', team_id: 7, max_minutes: 45 },
+    { id: 3, tenant: 'shams', state: 'lunch', team_id: 8, max_minutes: 40 },
+    { id: 4, tenant: 'shams', state: 'Not Available', team_id: 7, max_minutes: 10 }
+  ];
+
+  // 1. A team rule wins over the tenant-wide rule; of several team rules the longest limit applies
+  {
+    assert.strictEqual(ruleFor(rules, 'lunch', new Set()).id, 1);
+    assert.strictEqual(ruleFor(rules, 'lunch', new Set([8])).id, 3);
+    assert.strictEqual(ruleFor(rules, 'lunch', new Set([7, 8])).id, 2);
+    assert.strictEqual(ruleFor(rules, 'lunch', new Set([9])).id, 1);
+    assert.strictEqual(ruleFor(rules, 'Not Available', new Set([7])).id, 4);
+    assert.strictEqual(ruleFor(rules, 'Not Available', new Set([8])), null);
+    assert.strictEqual(ruleFor(rules, 'Tea Break', new Set([7])), null);
+    console.log('✅ Rules are picked per state and team');
+  }
+
+  // 2. Only blocks longer than the limit breach it; open blocks are measured up to now
+  {
+    const start = Date.parse('2025-07-01T09:00:00Z'); // 13:00 in Dubai
+    const blocks = [
+      { state: 'lunch', start, end: start + 30 * MINUTE },
+      { state: 'lunch', start: start + 60 * MINUTE, end: start + 95 * MINUTE },
+      { state: 'Not Available', start: start + 100 * MINUTE, end: null },
+      { state: 'available', start: start + 200 * MINUTE, end: start + 300 * MINUTE }
+    ];
+
+    const now = start + 112 * MINUTE;
+    const breaches = findBreaches(blocks, rules, new Set([7]), now);
+    assert.deepStrictEqual(breaches.map(breach => [breach.state, breach.rule.id, breach.duration / MINUTE]), [['Not Available', 4, 12]]);
+    assert.strictEqual(breaches[0].breachedAt, start + 110 * MINUTE);
+
+    const tenantWide = findBreaches(blocks, rules, new Set(), now);
+    assert.deepStrictEqual(tenantWide.map(breach => [breach.state, breach.start, breach.end]), [['lunch', start + 60 * MINUTE, start + 95 * MINUTE]]);
+    assert.strictEqual(tenantWide[0].breachedAt, start + 90 * MINUTE);
+    console.log('✅ Blocks over the limit are breaches');
+  }
+
+  const context = {
+    tenant: { name: 'shams', display_name: 'Shams', timezone: 'Asia/Dubai' },
+    stateNames: new Map([['lunch', 'Lunch'], ['Not Available', 'Not Available']]),
+    teamNames: new Map([[7, 'Night Shift']])
+  };
+  const start = Date.parse('2025-07-01T09:00:00Z');
+
+  // 3. The payload names the agent, state, team and limit, with times in UTC and a readable text
+  {
+    const payload = breachPayload({
+      id: 41,
+      rule: rules[1],
+      state: 'lunch',
+      start,
+      end: start + 52 * MINUTE,
+      breachedAt: start + 45 * MINUTE,
+      duration: 52 * MINUTE,
+      agentName: 'Ayan Khan',
+      extension: '2000',
+      source: 'report'
+    }, context);
+
+    assert.deepStrictEqual(payload, {
+      event: 'agent.state.limit_exceeded',
+      breachId: 41,
+      tenant: 'shams',
+      source: 'report',
+      agent: { name: 'Ayan Khan', extension: '2000' },
+      state: 'lunch',
+      stateName: 'Lunch',
+      team: { id: 7, name: 'Night Shift' },
+      rule: { id: 2, maxMinutes: 45 },
+      startedAt: '2025-07-01T09:00:00.000Z',
+      breachedAt: '2025-07-01T09:45:00.000Z',
+      endedAt: '2025-07-01T09:52:00.000Z',
+      durationMinutes: 52,
+      timeZone: 'Asia/Dubai',
+      text: 'Ayan Khan (2000) was in Lunch for 52 minutes from 01/07/2025, 01:00:00 PM to 01/07/2025, 01:52:00 PM; the limit for Night Shift is 45 minutes'
+    });
+
+    const live = breachPayload({
+      rule: rules[0], state: 'lunch', start, end: null, breachedAt: start + 30 * MINUTE, duration: 31 * MINUTE,
+      agentName: 'Sara', extension: '2001', source: 'live'
+    }, context);
+    assert.strictEqual(live.breachId, null);
+    assert.strictEqual(live.team, null);
+    assert.strictEqual(live.endedAt, null);
+    assert.strictEqual(live.text, 'Sara (2001) has been in Lunch for 31 minutes since 01/07/2025, 01:00:00 PM; the limit is 30 minutes');
+    console.log('✅ Breach payloads describe the breach');
+  }
+
+  const secret = 'f00dfeedf00dfeedf00dfeed';
+  const receiver = await startReceiver(secret, [200, 503, 404, 'hang']);
+  const webhook = { url: receiver.url, secret };
+  const payload = { event: 'agent.state.limit_exceeded', breachId: 41, text: 'Ayan Khan (2000) was in Lunch – 52 minutes' };
+
+  try {
+    // 4. Deliveries are signed over the timestamp and raw body
+    {
+      const result = await postWebhook(webhook, payload, { id: 17 });
+      assert.deepStrictEqual(result, { ok: true, status: 200, retryable: false, error: null });
+      assert.strictEqual(receiver.received[0].id, '17');
+      assert.strictEqual(receiver.received[0].valid, true);
+      assert.deepStrictEqual(receiver.received[0].payload, payload);
+
+      const tampered = signWebhook(secret, 1751360400, JSON.stringify({ ...payload, breachId: 42 }));
+      assert.notStrictEqual(tampered, signWebhook(secret, 1751360400, JSON.stringify(payload)));
+      assert.notStrictEqual(signWebhook('another-secret-value', 1751360400, JSON.stringify(payload)), signWebhook(secret, 1751360400, JSON.stringify(payload)));
+      console.log('✅ Webhooks are signed');
+    }
+
+    // 5. Server errors, timeouts and unreachable receivers are retried; other 4xx answers are not
+    {
+      const unavailable = await postWebhook(webhook, payload);
+      assert.deepStrictEqual(unavailable, { ok: false, status: 503, retryable: true, error: 'HTTP 503: Receiver unavailable' });
+
+      const missing = await postWebhook(webhook, payload);
+      assert.strictEqual(missing.status, 404);
+      assert.strictEqual(missing.retryable, false);
+
+      const slow = await postWebhook(webhook, payload, { timeout: 200 });
+      assert.strictEqual(slow.status, null);
+      assert.strictEqual(slow.retryable, true);
+      assert.match(slow.error, /no answer within 200 ms/);
+
+      const closed = await startReceiver(secret, []);
+      await new Promise(resolve => closed.server.close(resolve));
+      const unreachable = await postWebhook({ url: closed.url, secret }, payload);
+      assert.strictEqual(unreachable.status, null);
+      assert.strictEqual(unreachable.retryable, true);
+      assert.match(unreachable.error, /ECONNREFUSED/);
+      console.log('✅ Failed deliveries say whether to retry');
+    }
+  } finally {
+    receiver.server.closeAllConnections();
+    receiver.server.close();
+  }
+
+  console.log('\n✅ All state alert tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ State alert test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,233 @@
+// test-state-machine.js - Verify state blocks built from enabled/disabled event pairs
+//
+// Replays the event sequences in fixtures/agent-events through the state
+// machine and checks the resulting blocks and data-quality warnings.
+//
+// Usage: node test-state-machine.js
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildStateTimeline, createStateMachine } from './stateMachine.js';
+import { processCustomStatesForAgent, processSimplifiedAgentData } from './agentEvents.js';
+import { defaultStateCatalogue, exclusiveStateNames } from './stateCatalogue.js';
+import { computeKpis, stateTimeTotals } from './public/kpis.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agent-events');
+const OPTIONS = { exclusiveStates: exclusiveStateNames(defaultStateCatalogue()) };
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8')).events;
+}
+
+/**
+ * Blocks as [state, startOffset, endOffset] in seconds from the first event,
+ * so expectations stay readable
+ */
+function offsets(blocks, events) {
+  const base = Math.min(...events.map(event => event.Timestamp)) * 1000;
+  return blocks.map(block => [block.state, (block.start - base) / 1000, block.end === null ? null : (block.end - base) / 1000]);
+}
+
+function warningSummary(warnings, events) {
+  const base = Math.min(...events.map(event => event.Timestamp)) * 1000;
+  return warnings.map(warning => [warning.type, warning.state, (warning.time - base) / 1000]);
+}
+
+async function runTests() {
+  console.log('🧪 Testing agent state machine');
+
+  // 1. The portal's Login / none / Login sequence
+  {
+    const events = loadFixture('login-toggle');
+    const { blocks, warnings } = buildStateTimeline(events, OPTIONS);
+    assert.deepStrictEqual(offsets(blocks, events), [['Login', 0, 0], ['Login', 1, null]]);
+    assert.deepStrictEqual(warnings, []);
+    console.log('✅ Login cleared by "none" and re-entered');
+  }
+
+  // 2. Overlapping not-available reasons resume in order
+  {
+    const events = loadFixture('overlapping-reasons');
+    const { blocks, warnings } = buildStateTimeline(events, OPTIONS);
+    const expected = [
+      ['available', 0, 600],
+      ['lunch', 600, 900],
+      ['Team Meeting', 900, 1500],
+      ['lunch', 1500, 2400],
+      ['available', 2400, 3000],
+      ['Tea Break', 3000, 3300],
+      ['available', 3300, null]
+    ];
+    assert.deepStrictEqual(offsets(blocks, events), expected);
+    assert.deepStrictEqual(warnings, []);
+
+    // Input order does not matter when timestamps differ
+    assert.deepStrictEqual(offsets(buildStateTimeline([...events].reverse(), OPTIONS).blocks, events), expected);
+    console.log('✅ Overlapping reasons stack and resume');
+  }
+
+  // 3. Orphaned closes and repeated opens are reported, not guessed at
+  {
+    const events = loadFixture('orphans');
+    const { blocks, warnings } = buildStateTimeline(events, OPTIONS);
+    assert.deepStrictEqual(offsets(blocks, events), [
+      ['available', 60, 600],
+      ['training', 600, 1800],
+      ['available', 1800, null]
+    ]);
+    assert.deepStrictEqual(warningSummary(warnings, events), [
+      ['orphaned-close', 'lunch', 0],
+      ['orphaned-open', 'training', 1200],
+      ['orphaned-close', 'none', 2400]
+    ]);
+    console.log('✅ Orphaned opens and closes become warnings');
+  }
+
+  // 4. Exclusive states end open reasons
+  {
+    const events = loadFixture('exclusive-close');
+    const { blocks, warnings } = buildStateTimeline(events, OPTIONS);
+    assert.deepStrictEqual(offsets(blocks, events), [
+      ['available', 0, 300],
+      ['Not Available', 300, 900],
+      ['available', 900, 1200],
+      ['lunch', 1200, 1800],
+      ['Logoff', 1800, null]
+    ]);
+    assert.deepStrictEqual(warningSummary(warnings, events), [['orphaned-close', 'lunch', 1810]]);
+    console.log('✅ Exclusive states close open reasons');
+  }
+
+  // 5. The incremental machine agrees with the timeline
+  {
+    const events = loadFixture('overlapping-reasons');
+    const machine = createStateMachine(OPTIONS);
+    events.slice(0, 4).forEach(event => machine.apply(event));
+    assert.strictEqual(machine.state, 'lunch');
+    assert.strictEqual(machine.since, events[3].Timestamp * 1000);
+    console.log('✅ Incremental machine tracks the current state');
+  }
+
+  // 6. Report blocks: tracked states only, consolidated, with warnings attached to the agent
+  {
+    const events = [...loadFixture('login-toggle'), ...loadFixture('orphans')];
+    const catalogue = defaultStateCatalogue().map(entry => (entry.state === 'training' ? { ...entry, tracked: false } : entry));
+    const log = console.log;
+    console.log = () => {};
+    const warnings = [];
+    let loginBlocks, rahulBlocks;
+    try {
+      loginBlocks = processCustomStatesForAgent(events, 'Prashant Rajput', '1007', null, null, 'UTC', catalogue, warnings);
+      rahulBlocks = processCustomStatesForAgent(events, 'Rahul Mehta', '1015', null, null, 'UTC', catalogue, warnings);
+    } finally {
+      console.log = log;
+    }
+
+    assert.deepStrictEqual(loginBlocks.map(block => [block.state, block.endTime, block.blockCount]), [['Login', 'CONTINUED', 2]]);
+    // Untracked training is left out, so the two available blocks either side are merged
+    assert.deepStrictEqual(rahulBlocks.map(block => [block.state, block.endTime, block.blockCount]), [['available', 'CONTINUED', 2]]);
+    assert.deepStrictEqual(warnings.map(warning => [warning.agentName, warning.type]), [
+      ['Rahul Mehta', 'orphaned-close'],
+      ['Rahul Mehta', 'orphaned-open'],
+      ['Rahul Mehta', 'orphaned-close']
+    ]);
+    console.log('✅ Report blocks follow the catalogue and carry warnings');
+  }
+
+  // 7. A range opens in the state carried over from before it and closes at its end
+  {
+    const events = loadFixture('overlapping-reasons');
+    const base = events[0].Timestamp * 1000;
+    const { blocks, warnings } = buildStateTimeline(events, {
+      ...OPTIONS,
+      rangeStart: base + 1000 * 1000,
+      rangeEnd: base + 2000 * 1000
+    });
+    assert.deepStrictEqual(offsets(blocks, events), [
+      ['Team Meeting', 1000, 1500],
+      ['lunch', 1500, 2000]
+    ]);
+    assert.strictEqual(blocks[0].carriedOver, true);
+    assert.strictEqual(blocks[1].carriedOver, undefined);
+    assert.deepStrictEqual(warnings, []);
+
+    // Nothing to show for an empty range
+    assert.deepStrictEqual(buildStateTimeline(events, { ...OPTIONS, rangeStart: base, rangeEnd: base }).blocks, []);
+    console.log('✅ Ranges carry the earlier state in and close at the end');
+  }
+
+  // 8. Login is logged-in time but not a break, and it is exclusive
+  {
+    const catalogue = defaultStateCatalogue();
+    const blocks = [
+      { state: 'Login', duration: 600 },
+      { state: 'available', duration: 3000 },
+      { state: 'lunch', duration: 1800 },
+      { state: 'Logoff', duration: 900 }
+    ];
+    const totals = stateTimeTotals(blocks, catalogue);
+    assert.deepStrictEqual(totals, { loggedIn: 5400, productive: 3000, breaks: 1800 });
+    assert.deepStrictEqual(computeKpis({ ...totals, onCall: 1800, wrapUp: 0 }), { occupancy: '50.0', utilization: '33.3', shrinkage: '33.3' });
+    assert.ok(exclusiveStateNames(catalogue).includes('Login'));
+
+    // Going available ends Login; a break taken during Login resumes it, and "none" clears both
+    const event = (state, enabled, Timestamp, type = 'agent_not_avail_state') => ({ event: type, enabled, user_id: 'a1', state, Timestamp });
+    const events = [
+      event('Login', true, 1000),
+      event('lunch', true, 1100),
+      event('lunch', false, 1200),
+      event('none', false, 1300),
+      event('Login', true, 1400),
+      event('available', true, 1500, 'agent_state')
+    ];
+    const { blocks: timeline, warnings } = buildStateTimeline(events, OPTIONS);
+    assert.deepStrictEqual(offsets(timeline, events), [['Login', 0, 100], ['lunch', 100, 200], ['Login', 200, 300], ['Login', 400, 500], ['available', 500, null]]);
+    assert.deepStrictEqual(warnings, []);
+    console.log('✅ Login counts as logged in, not as a break');
+  }
+
+  // 9. A break of any category member entered and left in the same second lasts 1 second
+  {
+    const catalogue = [...defaultStateCatalogue(), { state: 'Prayer', displayName: 'Prayer', category: 'break', color: '#16a085', tracked: true, discovered: true }];
+    const event = (state, enabled, Timestamp) => ({ event: 'agent_not_avail_state', enabled, user_id: 'a1', username: 'Sara Ali', ext: '2001', state, Timestamp });
+    const events = [
+      { ...event('available', true, 1000), event: 'agent_state' },
+      event('Prayer', true, 1100),
+      event('Prayer', false, 1100),
+      event('Login', true, 1200),
+      { ...event('available', true, 1200), event: 'agent_state' }
+    ];
+    const blocks = processCustomStatesForAgent(events, 'Sara Ali', '2001', null, null, 'UTC', catalogue);
+    assert.deepStrictEqual(
+      blocks.map(block => [block.state, block.endTime === 'CONTINUED' ? 'CONTINUED' : block.duration]),
+      [['available', 100], ['Prayer', 1], ['available', 100], ['Login', 0], ['available', 'CONTINUED']]
+    );
+    console.log('✅ Instant breaks last a second, whatever the tenant calls them');
+  }
+
+  // 10. The agent report's state times follow the tenant's catalogue
+  {
+    const catalogue = [
+      ...defaultStateCatalogue().filter(entry => entry.state !== 'lunch'),
+      { state: 'Meal', displayName: 'Meal', category: 'break', color: '#ffb70f', tracked: true, discovered: false }
+    ];
+    const stats = {
+      2001: { name: 'Sara Ali', total_calls: 0, not_available_detailed_report: { Login: 120, Meal: 1800, training: 600 } }
+    };
+    const [agent] = processSimplifiedAgentData(stats, [], null, null, null, null, { timeZone: 'UTC', stateCatalogue: catalogue });
+    assert.strictEqual(agent.stateTimes.Meal, '00:30:00', 'a renamed break state should get its time');
+    assert.strictEqual(agent.stateTimes.training, '00:10:00');
+    assert.strictEqual(agent.stateTimes.Login, '00:02:00');
+    assert.strictEqual(agent.stateTimes.lunch, undefined, 'a state the tenant removed should not be reported');
+    assert.ok(!('lunchTime' in agent) && !('loginTime' in agent), 'fixed state columns should be gone');
+    console.log('✅ Agent report state times follow the tenant\'s catalogue');
+  }
+
+  console.log('\n✅ All state machine tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ State machine test failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// test-tenant-access.js - Verify a request can only name the tenant it was checked for
+//
+// requireTenantAccess checks one tenant against the user's assignments; a
+// request that names another tenant in a second parameter must be refused
+// before any route sees it. Conflicts are refused without reading the
+// registry, so no database is needed.
+//
+// Usage: node test-tenant-access.js
+import assert from 'assert';
+import { requestedTenantName, requireTenantAccess } from './tenants.js';
+
+/**
+ * Run the middleware on a stand-in request and report how it ended
+ */
+async function runMiddleware({ query = {}, body = undefined }) {
+  const req = { query, body, user: { username: 'tester' }, accessScope: { role: 'agent', userId: 1 } };
+  const outcome = { status: null, body: null, next: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(payload) {
+      outcome.body = payload;
+      return this;
+    }
+  };
+  await requireTenantAccess(req, res, () => { outcome.next = true; });
+  return { ...outcome, tenant: req.tenant };
+}
+
+async function runTests() {
+  console.log('🧪 Testing tenant access checks');
+
+  // 1. One tenant, whichever parameter names it
+  assert.strictEqual(requestedTenantName({ query: { tenant: 'shams' } }), 'shams');
+  assert.strictEqual(requestedTenantName({ query: { account: 'shams' } }), 'shams');
+  assert.strictEqual(requestedTenantName({ query: {}, body: { tenant: 'shams' } }), 'shams');
+  assert.strictEqual(requestedTenantName({ query: { tenant: 'shams', account: 'shams' }, body: { tenant: 'shams' } }), 'shams',
+    'the same tenant named twice should be accepted');
+  assert.strictEqual(requestedTenantName({ query: { tenant: '' } }), null);
+  assert.strictEqual(requestedTenantName({ query: {} }), null);
+  console.log('✅ The tenant is read from tenant, account or the body');
+
+  // 2. Conflicting query parameters are refused
+  assert.throws(() => requestedTenantName({ query: { tenant: 'mine', account: 'victim' } }), err => err.status === 400);
+  let outcome = await runMiddleware({ query: { tenant: 'mine', account: 'victim' } });
+  assert.strictEqual(outcome.status, 400, 'tenant and account naming different tenants should be refused');
+  assert.strictEqual(outcome.next, false, 'the route should not run');
+  assert.strictEqual(outcome.tenant, undefined);
+  console.log('✅ tenant and account naming different tenants are refused');
+
+  // 3. A report job body cannot name another tenant than the query
+  outcome = await runMiddleware({ query: { tenant: 'mine' }, body: { report: 'agent-report', tenant: 'victim' } });
+  assert.strictEqual(outcome.status, 400, 'a body tenant that differs from the query tenant should be refused');
+  assert.strictEqual(outcome.next, false, 'the job should not start');
+  assert.match(outcome.body.error, /Conflicting tenants/);
+  console.log('✅ Query and body naming different tenants are refused');
+
+  // 4. Requests without a tenant are left to the route
+  outcome = await runMiddleware({ query: {} });
+  assert.strictEqual(outcome.next, true);
+  assert.strictEqual(outcome.tenant, undefined);
+  console.log('✅ Requests without a tenant pass through unchecked');
+
+  console.log('\n✅ All tenant access tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ Tenant access test failed:', err.message);
+  process.exit(1);
+});
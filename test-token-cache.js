@@ -0,0 +1,150 @@
+// test-token-cache.js - Verify shared token caching and single-flight login
+//
+// Runs a local stand-in for the portal login endpoints, then starts several
+// worker processes that share a FileTokenCache directory and all ask for a
+// token at once. Only one of them may actually log in.
+//
+// Usage: node test-token-cache.js
+import assert from 'assert';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const WORKERS = 4;
+
+let issued = 0;
+
+/**
+ * Build an unsigned JWT-shaped token with an exp claim (and a jti so tokens
+ * issued within the same second still differ)
+ */
+function fakeJwt(expiresInSeconds) {
+  const claims = { exp: Math.floor(Date.now() / 1000) + expiresInSeconds, jti: `${process.pid}-${++issued}` };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `header.${payload}.signature`;
+}
+
+/**
+ * Worker mode: point tokenService at the shared directory and fetch a token
+ */
+async function runWorker() {
+  const { getPortalToken } = await import('./tokenService.js');
+  const token = await getPortalToken('shams');
+  process.send({ token });
+}
+
+/**
+ * Start the stand-in portal. Logins are slow so the workers overlap.
+ */
+function startStandIn(counters) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const reply = body => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      if (req.url === '/api/v2/config/login/oauth') {
+        counters.logins++;
+        setTimeout(() => reply({ accessToken: fakeJwt(3600), refreshToken: fakeJwt(86400) }), 300);
+      } else if (req.url === '/api/v2/config/login/oauth/refresh') {
+        counters.refreshes++;
+        reply({ accessToken: fakeJwt(3600) });
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function runTests() {
+  console.log('🧪 Testing shared token cache');
+
+  const counters = { logins: 0, refreshes: 0 };
+  const server = await startStandIn(counters);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-cache-test-'));
+
+  const env = {
+    ...process.env,
+    BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    API_USERNAME: 'tester',
+    API_PASSWORD: 'secret',
+    TOKEN_CACHE: 'file',
+    TOKEN_CACHE_DIR: cacheDir
+  };
+  Object.assign(process.env, env);
+
+  try {
+    // 1. Several processes, one login
+    const tokens = await Promise.all(Array.from({ length: WORKERS }, () => new Promise((resolve, reject) => {
+      const child = fork(__filename, ['worker'], { env, stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+      child.on('message', msg => resolve(msg.token));
+      child.on('exit', code => code !== 0 && reject(new Error(`worker exited with ${code}`)));
+    })));
+
+    assert.strictEqual(counters.logins, 1, `expected 1 login across ${WORKERS} workers, got ${counters.logins}`);
+    assert.strictEqual(new Set(tokens).size, 1, 'all workers should share the same token');
+    console.log(`✅ ${WORKERS} workers shared a single login`);
+
+    // 2. Expired access token is renewed through the refresh token
+    const { FileTokenCache } = await import('./tokenCache.js');
+    const { getPortalToken, setTokenCache } = await import('./tokenService.js');
+    const cache = new FileTokenCache(cacheDir);
+    setTokenCache(cache);
+
+    const entry = await cache.get('portal:shams');
+    await cache.set('portal:shams', { ...entry, expiresAt: Date.now() - 1000 }, 60000);
+    const refreshed = await getPortalToken('shams');
+
+    assert.strictEqual(counters.refreshes, 1, 'expected the refresh endpoint to be used');
+    assert.strictEqual(counters.logins, 1, 'refresh should not trigger a full login');
+    assert.notStrictEqual(refreshed, tokens[0], 'refresh should return a new token');
+    console.log('✅ Expired token renewed via refresh token');
+
+    // 3. Locks are exclusive and expire
+    const lockA = await cache.acquireLock('lock-test', 200);
+    assert.ok(lockA, 'first lock should be acquired');
+    assert.strictEqual(await cache.acquireLock('lock-test', 200), null, 'second lock should be refused');
+    await new Promise(r => setTimeout(r, 250));
+    assert.ok(await cache.acquireLock('lock-test', 200), 'expired lock should be taken over');
+    console.log('✅ File locks are exclusive and expire');
+
+    // 4. Workers racing for the same lock, free or expired, never both get it
+    for (let round = 0; round < 20; round++) {
+      const racers = await Promise.all([cache.acquireLock(`race-${round}`, 1000), cache.acquireLock(`race-${round}`, 1000)]);
+      assert.strictEqual(racers.filter(Boolean).length, 1, 'exactly one racer should get a free lock');
+    }
+    await cache.acquireLock('race-expired', 1);
+    await new Promise(r => setTimeout(r, 10));
+    const breakers = await Promise.all([0, 1, 2].map(() => cache.acquireLock('race-expired', 1000)));
+    assert.strictEqual(breakers.filter(Boolean).length, 1, 'exactly one racer should take over an expired lock');
+
+    // A lock file that cannot be read is held until ttl after it was written
+    fs.writeFileSync(path.join(cacheDir, 'half-written.lock'), '');
+    assert.strictEqual(await cache.acquireLock('half-written', 60000), null, 'an unreadable lock should count as held');
+    console.log('✅ Concurrent lock attempts exclude each other');
+
+    console.log('\n✅ All token cache tests passed');
+  } finally {
+    server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv[2] === 'worker') {
+  runWorker().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+} else {
+  runTests().catch(err => {
+    console.error('❌ Token cache test failed:', err.message);
+    process.exit(1);
+  });
+}
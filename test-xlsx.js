@@ -0,0 +1,213 @@
+// test-xlsx.js - Verify the hand-written XLSX writer and the report workbook
+//
+// Reads the archive back without a ZIP library: walks the central directory,
+// checks each entry's local header, inflates it and recomputes its CRC-32 with
+// a table of its own, then checks the sheet XML is well formed and that cells
+// are typed (numbers as <v>, text inline).
+//
+// Usage: node test-xlsx.js
+import assert from 'assert';
+import zlib from 'zlib';
+import { buildWorkbook } from './xlsx.js';
+import { buildReportWorkbook } from './reportWorkbook.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Entries of a ZIP archive, checked against their headers
+ * @returns {Map<string, string>} - Name → content
+ */
+function readZip(archive) {
+  const endOffset = archive.length - 22;
+  assert.strictEqual(archive.readUInt32LE(endOffset), 0x06054b50, 'end of central directory record');
+  const count = archive.readUInt16LE(endOffset + 10);
+  const directorySize = archive.readUInt32LE(endOffset + 12);
+  const directoryOffset = archive.readUInt32LE(endOffset + 16);
+  assert.strictEqual(directoryOffset + directorySize, endOffset, 'the central directory should end where the end record starts');
+
+  const entries = new Map();
+  let position = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(archive.readUInt32LE(position), 0x02014b50, 'central directory header');
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.strictEqual(archive.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    assert.strictEqual(archive.readUInt16LE(localOffset + 8), 8, `${name} should be deflated`);
+    assert.strictEqual(archive.readUInt32LE(localOffset + 14), crc, `${name} local and central CRC`);
+    assert.strictEqual(archive.readUInt32LE(localOffset + 18), compressedSize);
+    assert.strictEqual(archive.readUInt32LE(localOffset + 22), size);
+    assert.strictEqual(archive.toString('utf8', localOffset + 30, localOffset + 30 + nameLength), name);
+
+    const dataStart = localOffset + 30 + nameLength + archive.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.strictEqual(data.length, size, `${name} size`);
+    assert.strictEqual(crc32(data), crc, `${name} CRC`);
+
+    entries.set(name, data.toString('utf8'));
+    position += 46 + nameLength + archive.readUInt16LE(position + 30) + archive.readUInt16LE(position + 32);
+  }
+  assert.strictEqual(position, endOffset);
+  return entries;
+}
+
+/**
+ * Check tags open and close in order and attributes are quoted; enough to
+ * catch a writer that emits broken markup or unescaped text
+ */
+function assertWellFormed(xml, name) {
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'), `${name} declaration`);
+  const body = xml.replace(/^<\?xml[^?]*\?>/, '');
+  const stack = [];
+  const tag = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>|([^<]+)/gy;
+  let match;
+  let consumed = 0;
+  while ((match = tag.exec(body)) !== null) {
+    consumed = tag.lastIndex;
+    const [, closing, tagName, , selfClosing, text] = match;
+    if (text !== undefined) {
+      assert.ok(!/&(?!(amp|lt|gt|quot|apos);)/.test(text), `${name}: unescaped & in text`);
+      continue;
+    }
+    if (closing) assert.strictEqual(stack.pop(), tagName, `${name}: </${tagName}> closes the wrong element`);
+    else if (!selfClosing) stack.push(tagName);
+  }
+  assert.strictEqual(consumed, body.length, `${name}: unparseable markup at ${consumed}`);
+  assert.deepStrictEqual(stack, [], `${name}: unclosed elements`);
+}
+
+/**
+ * Cells of a sheet by reference: { type, style, value }
+ */
+function sheetCells(xml) {
+  const cells = new Map();
+  for (const [, ref, attributes, inner] of xml.matchAll(/<c r="([A-Z]+\d+)"([^>]*)>(.*?)<\/c>/g)) {
+    const type = /t="(\w+)"/.exec(attributes)?.[1] || 'n';
+    const style = Number(/s="(\d+)"/.exec(attributes)?.[1] || 0);
+    const value = type === 'inlineStr' ? /<t[^>]*>(.*?)<\/t>/.exec(inner)[1] : /<v>(.*?)<\/v>/.exec(inner)[1];
+    cells.set(ref, { type, style, value });
+  }
+  return cells;
+}
+
+async function runTests() {
+  // 1. A workbook's archive entries, headers and CRCs
+  {
+    const workbook = buildWorkbook([
+      {
+        name: 'Calls: [July]',
+        columns: [
+          { header: 'Agent' },
+          { header: 'Calls', type: 'number' },
+          { header: 'AHT', type: 'duration' },
+          { header: 'Start', type: 'datetime' },
+          { header: 'Occupancy', type: 'percent' }
+        ],
+        rows: [
+          ['Sara <Ali> & "Co"', 12, '00:02:30', '2025-07-01T05:00:00Z', 85.3],
+          ['Omar', 'n/a', null, '', { value: 7, type: 'number' }]
+        ]
+      },
+      { name: '', columns: [{ header: 'Only' }], rows: [] }
+    ], { timeZone: 'Asia/Dubai', title: 'Test & Co', properties: { Tenant: 'shams', Empty: '' } });
+
+    const entries = readZip(workbook);
+    assert.deepStrictEqual([...entries.keys()].sort(), [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'docProps/core.xml',
+      'docProps/custom.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    for (const [name, xml] of entries) assertWellFormed(xml, name);
+    console.log('✅ Archive entries, headers and CRCs check out, and every part is well formed');
+
+    // 2. Sheet names are cleaned up and every sheet is related
+    const book = entries.get('xl/workbook.xml');
+    assert.ok(book.includes('<sheet name="Calls   July" sheetId="1" r:id="rId1"/>'));
+    assert.ok(book.includes('<sheet name="Sheet2" sheetId="2" r:id="rId2"/>'));
+    assert.ok(entries.get('xl/_rels/workbook.xml.rels').includes('Id="rId3"') && entries.get('xl/_rels/workbook.xml.rels').includes('Target="styles.xml"'));
+    assert.ok(entries.get('[Content_Types].xml').includes('/xl/worksheets/sheet2.xml'));
+    assert.ok(entries.get('docProps/custom.xml').includes('name="Tenant"'));
+    assert.ok(!entries.get('docProps/custom.xml').includes('name="Empty"'), 'empty properties should be left out');
+
+    // 3. Typed cells and the frozen header
+    const sheet = entries.get('xl/worksheets/sheet1.xml');
+    assert.ok(sheet.includes('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'), 'the header row should be frozen');
+    const cells = sheetCells(sheet);
+    assert.deepStrictEqual(cells.get('A1'), { type: 'inlineStr', style: 1, value: 'Agent' }, 'headers are bold text');
+    assert.deepStrictEqual(cells.get('A2'), { type: 'inlineStr', style: 0, value: 'Sara &lt;Ali&gt; &amp; &quot;Co&quot;' });
+    assert.deepStrictEqual(cells.get('B2'), { type: 'n', style: 0, value: '12' }, 'numbers are numeric cells');
+    assert.strictEqual(cells.get('C2').type, 'n');
+    assert.strictEqual(Number(cells.get('C2').value), 150 / 86400, 'durations are fractions of a day');
+    assert.strictEqual(cells.get('C2').style, 2);
+    // 09:00 in Dubai on 2025-07-01: 45839 days after 1899-12-30, plus 9/24
+    assert.strictEqual(cells.get('D2').type, 'n');
+    assert.ok(Math.abs(Number(cells.get('D2').value) - (45839 + 9 / 24)) < 1e-9, 'date-times are serial dates in the zone');
+    assert.deepStrictEqual(cells.get('E2'), { type: 'n', style: 4, value: '85.3' });
+    assert.deepStrictEqual(cells.get('B3'), { type: 'inlineStr', style: 0, value: 'n/a' }, 'a non-number is kept as text');
+    assert.ok(!cells.has('C3') && !cells.has('D3'), 'blank cells are left out');
+    assert.deepStrictEqual(cells.get('E3'), { type: 'n', style: 0, value: '7' }, 'a cell can override its column type');
+    console.log('✅ Cells are typed and the header is frozen');
+  }
+
+  // 4. The report workbook has its sheets with numeric report columns
+  {
+    const agent = {
+      agentName: 'Sara Ali',
+      extension: '2001',
+      totalCalls: 5,
+      answered: 4,
+      failed: 1,
+      aht: '00:02:00',
+      kpis: { occupancy: '50.0' },
+      customStates: [{ state: 'lunch', start: Date.parse('2025-07-01T08:00:00Z'), end: Date.parse('2025-07-01T08:30:00Z'), duration: 1800, startTime: '12:00:00', endTime: '12:30:00' }]
+    };
+    const agentReport = {
+      summary: { timeRange: { timeZone: 'Asia/Dubai', startFormatted: '01/07/2025 09:00', endFormatted: '01/07/2025 18:00' }, totalAgents: 1, totalCalls: 5, totalAnswered: 4, totalFailed: 1, answerRate: '80.0', kpis: {} },
+      agents: [agent],
+      states: [{ state: 'lunch', displayName: 'Lunch' }]
+    };
+    const entries = readZip(buildReportWorkbook({ tenant: { name: 'shams', displayName: 'Shams', timezone: 'UTC' }, agentReport }));
+    for (const [name, xml] of entries) assertWellFormed(xml, name);
+
+    const book = entries.get('xl/workbook.xml');
+    assert.deepStrictEqual([...book.matchAll(/<sheet name="([^"]+)"/g)].map(match => match[1]), ['Summary', 'Agents', 'State Timeline']);
+
+    const agents = sheetCells(entries.get('xl/worksheets/sheet2.xml'));
+    assert.deepStrictEqual(agents.get('C1'), { type: 'inlineStr', style: 1, value: 'Total Calls' });
+    assert.deepStrictEqual(agents.get('C2'), { type: 'n', style: 0, value: '5' });
+    assert.strictEqual(Number(agents.get('J2').value), 120 / 86400, 'AHT should be a duration value');
+
+    const timeline = sheetCells(entries.get('xl/worksheets/sheet3.xml'));
+    assert.strictEqual(timeline.get('C2').value, 'lunch');
+    assert.strictEqual(timeline.get('F2').type, 'n');
+    assert.strictEqual(timeline.get('G2').value, 'No');
+    console.log('✅ The report workbook carries typed report columns');
+  }
+
+  console.log('\n✅ All XLSX tests passed');
+}
+
+runTests().catch(err => {
+  console.error('❌ XLSX test failed:', err.message);
+  process.exit(1);
+});
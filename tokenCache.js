@@ -0,0 +1,188 @@
+// tokenCache.js - Token cache backends shared by tokenService.js
+//
+// Every backend implements the same async interface:
+//   get(key)                      → value or null
+//   set(key, value, ttlMs)        → store value until ttlMs from now
+//   delete(key)
+//   acquireLock(key, ttlMs)       → lock token when acquired, null when someone else holds it
+//   releaseLock(key, lockToken)
+//
+// The memory backend is per-process. The file backend keeps entries and locks in
+// a directory that every worker on the host can see, so only one of them logs in
+// to the portal per tenant at a time.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Process-local cache (the original behaviour)
+ */
+class MemoryTokenCache {
+  constructor() {
+    this.entries = new Map();
+    this.locks = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async acquireLock(key, ttlMs) {
+    const lock = this.locks.get(key);
+    if (lock && lock.expiresAt > Date.now()) return null;
+    const token = crypto.randomUUID();
+    this.locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+
+  async releaseLock(key, lockToken) {
+    if (this.locks.get(key)?.token === lockToken) this.locks.delete(key);
+  }
+}
+
+/**
+ * Cache stored as one JSON file per key. Writes go through a temp file and a
+ * rename so readers never see half-written JSON; locks are hard-linked into
+ * place from a complete temp file and expire so a crashed worker cannot block
+ * the others.
+ */
+class FileTokenCache {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  filePath(key, suffix = '.json') {
+    const safe = key.replace(/[^a-zA-Z0-9_.-]/g, '_');
+    return path.join(this.dir, `${safe}${suffix}`);
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async get(key) {
+    const entry = await this.readJson(this.filePath(key));
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    const file = this.filePath(key);
+    const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }), { mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  async acquireLock(key, ttlMs) {
+    const file = this.filePath(key, '.lock');
+    const token = crypto.randomUUID();
+    const body = JSON.stringify({ token, pid: process.pid, expiresAt: Date.now() + ttlMs });
+
+    // Write the whole lock to a temp file, then hard-link it into place: the link
+    // fails if the lock exists, and a lock that exists is always complete
+    const tmp = `${file}.${process.pid}.${token}.tmp`;
+    await fs.promises.writeFile(tmp, body, { mode: 0o600 });
+    try {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.promises.link(tmp, file);
+          return token;
+        } catch (err) {
+          if (err.code !== 'EEXIST') throw err;
+          // Break the lock if its holder let it expire, then try once more
+          if (!(await this.breakExpiredLock(file, ttlMs))) return null;
+        }
+      }
+      return null;
+    } finally {
+      await fs.promises.rm(tmp, { force: true });
+    }
+  }
+
+  /**
+   * Remove an expired lock. A lock that cannot be read counts as held until
+   * ttlMs after it was written. Returns false when the lock is still held.
+   */
+  async breakExpiredLock(file, ttlMs) {
+    const current = await this.readJson(file);
+    let expiresAt = current?.expiresAt;
+    if (!expiresAt) {
+      try {
+        expiresAt = (await fs.promises.stat(file)).mtimeMs + ttlMs;
+      } catch (err) {
+        if (err.code === 'ENOENT') return true;
+        throw err;
+      }
+    }
+    if (expiresAt > Date.now()) return false;
+
+    // Move the lock aside rather than deleting it: if another worker broke it
+    // first and took a new one, we moved their lock and put it back
+    const stale = `${file}.${crypto.randomUUID()}.stale`;
+    try {
+      await fs.promises.rename(file, stale);
+    } catch (err) {
+      if (err.code === 'ENOENT') return true;
+      throw err;
+    }
+    const moved = await this.readJson(stale);
+    if (current && moved?.token !== current.token) {
+      await fs.promises.link(stale, file).catch(() => {});
+      await fs.promises.rm(stale, { force: true });
+      return false;
+    }
+    await fs.promises.rm(stale, { force: true });
+    return true;
+  }
+
+  async releaseLock(key, lockToken) {
+    const file = this.filePath(key, '.lock');
+    const current = await this.readJson(file);
+    if (current?.token === lockToken) {
+      await fs.promises.rm(file, { force: true });
+    }
+  }
+}
+
+/**
+ * Create the cache backend selected by TOKEN_CACHE (`memory` or `file`).
+ * The file backend lives in TOKEN_CACHE_DIR (default: <tmpdir>/shams-token-cache).
+ *
+ * @returns {MemoryTokenCache|FileTokenCache}
+ */
+function createTokenCache(type = process.env.TOKEN_CACHE || 'memory') {
+  if (type === 'file') {
+    return new FileTokenCache(process.env.TOKEN_CACHE_DIR || path.join(os.tmpdir(), 'shams-token-cache'));
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown TOKEN_CACHE backend "${type}" (expected memory or file)`);
+  }
+  return new MemoryTokenCache();
+}
+
+export { MemoryTokenCache, FileTokenCache, createTokenCache };
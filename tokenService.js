@@ -2,14 +2,278 @@
 import axios from 'axios';
 import ms from 'ms';
 import https from 'https';
+import { createTokenCache } from './tokenCache.js';
+import { createLogger } from './logger.js';
+import { DEFAULT_TIMEZONE } from './public/timezone.js';
 
-const cache = new Map();        // In prod use Redis
+// Backend chosen by TOKEN_CACHE: `memory` (per process) or `file` (shared by all workers)
+let cache = createTokenCache();
 const MAX_RETRIES = 3;
+const DEFAULT_TTL = ms('1h');   // only used when the token carries no expiry at all
+const EXPIRY_MARGIN = ms('2m'); // renew this long before the token expires
+const REFRESH_RETENTION = ms('24h'); // keep expired entries this long so their refresh token can be used
+const LOCK_TTL = ms('60s');     // longest a login may hold the per-tenant lock
+const LOCK_WAIT = ms('65s');    // how long other workers wait for that login
+const LOCK_POLL = 250;
 
 // Optional: accept self-signed certificates in dev; set NODE_TLS_REJECT_UNAUTHORIZED=1 in prod
 const httpsAgent = new https.Agent({ rejectUnauthorized: false });
 
-// Cache structure: Map<tenant, {access, refresh, expiresAt}>
+const logger = createLogger({ component: 'tokenService' });
+
+// Cache structure: key → {access, refresh, expiresAt, provider}
+
+// Name of the provider that last logged in successfully, per tenant
+const preferredProviders = new Map();
+
+// Logins already running in this process, so concurrent callers share one
+const inflight = new Map();
+
+/**
+ * Swap the cache backend (e.g. a FileTokenCache in tests).
+ *
+ * @param {object} backend - object implementing the tokenCache.js interface
+ */
+export function setTokenCache(backend) {
+  cache = backend;
+  inflight.clear();
+}
+
+function isFresh(entry) {
+  return Boolean(entry && Date.now() < entry.expiresAt - EXPIRY_MARGIN);
+}
+
+/**
+ * Store a token entry, keeping it past access expiry while a refresh token exists.
+ */
+async function storeEntry(key, entry) {
+  const refreshExpiry = getJwtExpiry(entry.refresh);
+  const keepUntil = entry.refresh
+    ? Math.max(entry.expiresAt, refreshExpiry || entry.expiresAt + REFRESH_RETENTION)
+    : entry.expiresAt;
+  await cache.set(key, entry, Math.max(keepUntil - Date.now(), 1000));
+}
+
+/**
+ * Make sure only one caller per key – in this process and, with a shared
+ * backend, across workers – runs `obtain`. Everyone else waits for the entry
+ * it stores.
+ *
+ * @param {string} key - cache key
+ * @param {Function} obtain - receives the current (stale) entry, resolves to a new entry
+ * @returns {Promise<string>} access token
+ */
+function singleFlight(key, obtain) {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = (async () => {
+    const deadline = Date.now() + LOCK_WAIT;
+    while (true) {
+      const lock = await cache.acquireLock(key, LOCK_TTL);
+      if (lock) {
+        try {
+          // Another worker may have finished logging in while we were waiting
+          const current = await cache.get(key);
+          if (isFresh(current)) return current.access;
+
+          const entry = await obtain(current);
+          await storeEntry(key, entry);
+          return entry.access;
+        } finally {
+          await cache.releaseLock(key, lock);
+        }
+      }
+
+      await new Promise(r => setTimeout(r, LOCK_POLL));
+      const current = await cache.get(key);
+      if (isFresh(current)) return current.access;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for another worker to obtain ${key}`);
+      }
+    }
+  })().finally(() => inflight.delete(key));
+
+  inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Read per-tenant credentials from the environment.
+ * `API_USERNAME_<TENANT>` / `API_PASSWORD_<TENANT>` / `BASE_URL_<TENANT>` / `ACCOUNT_ID_<TENANT>` /
+ * `TIMEZONE_<TENANT>` win over the shared API_USERNAME / API_PASSWORD / BASE_URL / ACCOUNT_ID /
+ * DEFAULT_TIMEZONE, where <TENANT> is the tenant name upper-cased with non-alphanumerics
+ * replaced by `_` (e.g. `mc_int` → `MC_INT`).
+ *
+ * @param {string} tenant - tenant / domain
+ * @returns {{baseUrl: string, accountId: string, timezone: string, username: string, password: string}}
+ */
+export function envCredentialsResolver(tenant) {
+  const suffix = String(tenant).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  return {
+    baseUrl: process.env[`BASE_URL_${suffix}`] || process.env.BASE_URL,
+    accountId: process.env[`ACCOUNT_ID_${suffix}`] || process.env.ACCOUNT_ID,
+    timezone: process.env[`TIMEZONE_${suffix}`] || process.env.DEFAULT_TIMEZONE || DEFAULT_TIMEZONE,
+    username: process.env[`API_USERNAME_${suffix}`] || process.env.API_USERNAME,
+    password: process.env[`API_PASSWORD_${suffix}`] || process.env.API_PASSWORD
+  };
+}
+
+let credentialsResolver = envCredentialsResolver;
+
+/**
+ * Replace the function used to look up per-tenant credentials.
+ * The resolver receives the tenant name and returns (or resolves to)
+ * `{ baseUrl, accountId, username, password }` plus any extra tenant settings.
+ *
+ * @param {Function} resolver - credentials resolver, or null to restore the env resolver
+ */
+export function setCredentialsResolver(resolver) {
+  credentialsResolver = resolver || envCredentialsResolver;
+}
+
+/**
+ * Resolve the upstream credentials for a tenant.
+ *
+ * @param {string} tenant - tenant / domain
+ * @returns {Promise<{baseUrl: string, accountId: string, username: string, password: string}>}
+ */
+export async function getTenantCredentials(tenant) {
+  const creds = await credentialsResolver(tenant);
+  if (!creds || !creds.baseUrl || !creds.username || !creds.password) {
+    throw new Error(`No upstream credentials configured for tenant "${tenant}"`);
+  }
+  return creds;
+}
+
+/**
+ * Decode the `exp` claim of a JWT without verifying it.
+ *
+ * @param {string} token - JWT
+ * @returns {number|null} expiry as epoch milliseconds, or null if absent
+ */
+export function getJwtExpiry(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out when an access token expires: the JWT `exp` claim first, then the
+ * `expiresIn`/`expires_in` field of the login response, then DEFAULT_TTL.
+ */
+function resolveExpiry(access, data, now = Date.now()) {
+  const fromJwt = getJwtExpiry(access);
+  if (fromJwt) return fromJwt;
+  const expiresIn = data.expiresIn ?? data.expires_in;
+  if (expiresIn) return now + Number(expiresIn) * 1000;
+  return now + DEFAULT_TTL;
+}
+
+/**
+ * Turn a login/refresh response body into a cache entry.
+ */
+function toCacheEntry(data, provider) {
+  const access = data.accessToken || data.access_token;
+  if (!access) throw new Error('No access token in response');
+  return {
+    access,
+    refresh: data.refreshToken || data.refresh_token || null,
+    expiresAt: resolveExpiry(access, data),
+    provider
+  };
+}
+
+/**
+ * Build a provider that logs in by POSTing domain/username/password to `loginPath`
+ * and, if `refreshPath` is given, refreshes by POSTing the refresh token there.
+ *
+ * @param {string} name - provider name
+ * @param {string} loginPath - path appended to the tenant base URL
+ * @param {string} [refreshPath] - refresh path appended to the tenant base URL
+ */
+function createPasswordProvider(name, loginPath, refreshPath = null) {
+  const provider = {
+    name,
+    async login(tenant, { baseUrl, username, password }) {
+      const { data } = await axios.post(
+        `${baseUrl}${loginPath}`,
+        { domain: tenant, username, password },
+        { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }
+      );
+      return data;
+    }
+  };
+
+  if (refreshPath) {
+    provider.refresh = async (tenant, { baseUrl }, refreshToken) => {
+      const { data } = await axios.post(
+        `${baseUrl}${refreshPath}`,
+        { domain: tenant, refresh_token: refreshToken, refreshToken },
+        { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }
+      );
+      return data;
+    };
+  }
+
+  return provider;
+}
+
+// Candidate login endpoints, tried in order until one works for a tenant
+const providers = [
+  // OAuth login path used by the portal UI (works on modern installs)
+  createPasswordProvider(
+    'oauth',
+    '/api/v2/config/login/oauth',
+    process.env.PORTAL_REFRESH_PATH || '/api/v2/config/login/oauth/refresh'
+  ),
+  // v2 login using domain (fallback for older back-ends)
+  createPasswordProvider('v2', '/api/v2/login'),
+  // very old legacy login path
+  createPasswordProvider('legacy', '/api/login')
+];
+
+/**
+ * Register an additional upstream token provider.
+ * A provider is `{ name, login(tenant, creds), refresh?(tenant, creds, refreshToken) }`
+ * where login/refresh resolve to the raw response body containing the tokens.
+ *
+ * @param {object} provider - provider definition
+ * @param {object} [options]
+ * @param {boolean} [options.first=false] - try this provider before the built-in ones
+ */
+export function registerTokenProvider(provider, { first = false } = {}) {
+  if (!provider || !provider.name || typeof provider.login !== 'function') {
+    throw new Error('A token provider needs a name and a login() function');
+  }
+  const existing = providers.findIndex(p => p.name === provider.name);
+  if (existing !== -1) providers.splice(existing, 1);
+  if (first) providers.unshift(provider); else providers.push(provider);
+}
+
+/**
+ * Providers to try for a tenant, the one that last worked first.
+ * The provider recorded in the shared cache entry counts too, so a worker
+ * benefits from what another one learned.
+ */
+function orderedProviders(tenant, cached) {
+  const preferred = preferredProviders.get(tenant) || cached?.provider;
+  if (!preferred) return providers;
+  return [...providers].sort((a, b) => (a.name === preferred ? -1 : b.name === preferred ? 1 : 0));
+}
+
+/**
+ * Client errors mean the endpoint or credentials are wrong; retrying will not help.
+ */
+function isPermanentFailure(err) {
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
 
 /**
  * Fetch an access token using the legacy call center login endpoint.
@@ -19,85 +283,111 @@ const httpsAgent = new https.Agent({ rejectUnauthorized: false });
  * @returns {Promise<string>} access token (JWT)
  */
 export async function getToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(tenant);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
-  for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
-    try {
-      const {data} = await axios.post(
-        `${process.env.BASE_URL}/portal/callcenter/reports/agents-status-activity`,
-        { username: process.env.API_USERNAME, password: process.env.API_PASSWORD, domain: tenant },
-        { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
-      );
-      cache.set(tenant, {
-        access: data.access_token,
-        refresh: data.refresh_token,
-        expiresAt: now + ms('1h')   // adjust to real TTL
-      });
-      return data.access_token;
-    } catch (err) {
-      if (i === MAX_RETRIES - 1) throw err;
-      await new Promise(r => setTimeout(r, delay));
+  const cached = await cache.get(tenant);
+  if (isFresh(cached)) return cached.access;
+
+  return singleFlight(tenant, async () => {
+    const { baseUrl, username, password } = await getTenantCredentials(tenant);
+
+    for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
+      try {
+        const {data} = await axios.post(
+          `${baseUrl}/portal/callcenter/reports/agents-status-activity`,
+          { username, password, domain: tenant },
+          { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
+        );
+        return toCacheEntry(data, 'callcenter');
+      } catch (err) {
+        if (i === MAX_RETRIES - 1 || isPermanentFailure(err)) throw err;
+        await new Promise(r => setTimeout(r, delay));
+      }
     }
+  });
+}
+
+/**
+ * Try to renew a cached portal token through the refresh token of the provider
+ * that issued it.
+ *
+ * @returns {Promise<object|null>} new cache entry, or null if refresh is not possible
+ */
+async function refreshPortalToken(tenant, cached, creds) {
+  if (!cached?.refresh) return null;
+
+  const refreshExpiry = getJwtExpiry(cached.refresh);
+  if (refreshExpiry && Date.now() >= refreshExpiry - EXPIRY_MARGIN) return null;
+
+  const provider = providers.find(p => p.name === cached.provider);
+  if (!provider || typeof provider.refresh !== 'function') return null;
+
+  try {
+    const data = await provider.refresh(tenant, creds, cached.refresh);
+    const entry = toCacheEntry(data, provider.name);
+    // Some back-ends only rotate the access token
+    if (!entry.refresh) entry.refresh = cached.refresh;
+    logger.info(`Portal token refreshed via ${provider.name}`, { tenant });
+    return entry;
+  } catch (err) {
+    logger.debug(`Token refresh via ${provider.name} failed: ${err.response?.status || err.message}`, { tenant });
+    return null;
   }
 }
 
 /**
  * Fetch an access token using the modern portal login endpoint that the web
  * UI employs. This token is accepted by the new `/api/v2/reports/...` routes.
- * Falls back to the cached token until two minutes before expiry.
+ * Falls back to the cached token until two minutes before expiry, then tries
+ * the stored refresh token, and only then a full login – starting with the
+ * endpoint that worked last time for this tenant.
  *
  * @param {string} tenant - tenant / domain, e.g. `mc_int`.
  * @returns {Promise<string>} access token (JWT)
  */
 export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(`portal:${tenant}`);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
-  // Back-off loop across candidate endpoints / payloads
-  const base = process.env.BASE_URL;
-  const candidates = [
-    // OAuth login path used by the portal UI (works on modern installs)
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    // v2 login using domain (fallback for older back-ends)
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    // very old legacy login path
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-  ];
-
-  for (const { url, body } of candidates) {
-    for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-      try {
-        const { data } = await axios.post(url, body, {
-          timeout: 5000,
-          httpsAgent,
-          headers: { Accept: 'application/json' }
-        });
+  const key = `portal:${tenant}`;
+  const cached = await cache.get(key);
+  if (isFresh(cached)) return cached.access;
 
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
+  return singleFlight(key, async (current) => {
+    const creds = await getTenantCredentials(tenant);
 
-        const refresh = data.refreshToken || data.refresh_token;
-        const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
+    const refreshed = await refreshPortalToken(tenant, current, creds);
+    if (refreshed) return refreshed;
 
-        cache.set(`portal:${tenant}`, { access, refresh, expiresAt });
-        console.log(`✅ Portal login succeeded at ${url}`);
-        return access;
-      } catch (err) {
-        if (attempt === MAX_RETRIES - 1) {
-          // try next candidate endpoint
-          if (process.env.DEBUG) {
-            console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
+    // Back-off loop across candidate endpoints / payloads
+    for (const provider of orderedProviders(tenant, current)) {
+      for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
+        try {
+          const data = await provider.login(tenant, creds);
+          const entry = toCacheEntry(data, provider.name);
+
+          preferredProviders.set(tenant, provider.name);
+          logger.info(`Portal login succeeded via ${provider.name}`, { tenant });
+          return entry;
+        } catch (err) {
+          if (attempt === MAX_RETRIES - 1 || isPermanentFailure(err)) {
+            // try next candidate endpoint
+            logger.debug(`Login failed via ${provider.name}: ${err.response?.status || err.message}`, { tenant });
+            break;
           }
-        } else {
           await new Promise(r => setTimeout(r, delay));
         }
       }
     }
-  }
-  throw new Error('All portal login attempts failed – check credentials/endpoints');
+    preferredProviders.delete(tenant);
+    logger.error('All portal login attempts failed', { tenant });
+    throw new Error('All portal login attempts failed – check credentials/endpoints');
+  });
+}
+
+/**
+ * Drop cached tokens for a tenant (e.g. after the upstream answers 401).
+ *
+ * @param {string} tenant - tenant / domain
+ */
+export async function invalidateToken(tenant) {
+  await cache.delete(tenant);
+  await cache.delete(`portal:${tenant}`);
 }
 
 export { httpsAgent };
@@ -0,0 +1,146 @@
+// userRoutes.js - Admin API for managing users and teams
+import express from 'express';
+import { log } from './logger.js';
+import { requireRole } from './access.js';
+import {
+  UserError,
+  listUsers,
+  createUser,
+  updateUser,
+  setUserDisabled,
+  resetPassword,
+  listTeams,
+  createTeam,
+  setTeamMembers,
+  deleteTeam
+} from './users.js';
+
+const router = express.Router();
+
+// Everything here is admin-only
+router.use(['/users', '/teams'], requireRole('admin'));
+
+/**
+ * Send a UserError as a 4xx response and anything else as a 500
+ */
+function handleError(res, error, action) {
+  if (error instanceof UserError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  log(`Error ${action}: ${error.message}`, 'error');
+  res.status(500).json({ success: false, error: `Failed ${action}` });
+}
+
+// List users
+router.get('/users', async (req, res) => {
+  try {
+    res.json({ success: true, users: await listUsers() });
+  } catch (error) {
+    handleError(res, error, 'listing users');
+  }
+});
+
+// Create user
+router.post('/users', async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    log(`User ${user.username} (${user.role}) created by ${req.user.username}`, 'info');
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    handleError(res, error, 'creating user');
+  }
+});
+
+// Update profile fields (username, email, role, extension, teamId)
+router.patch('/users/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (id === req.user.sub && req.body?.role && req.body.role !== 'admin') {
+      throw new UserError('You cannot remove your own admin role');
+    }
+    const user = await updateUser(id, req.body || {});
+    log(`User ${user.username} updated by ${req.user.username}`, 'info');
+    res.json({ success: true, user });
+  } catch (error) {
+    handleError(res, error, 'updating user');
+  }
+});
+
+// Disable user
+router.post('/users/:id/disable', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (id === req.user.sub) {
+      throw new UserError('You cannot disable your own account');
+    }
+    const user = await setUserDisabled(id, true);
+    log(`User ${user.username} disabled by ${req.user.username}`, 'info');
+    res.json({ success: true, user });
+  } catch (error) {
+    handleError(res, error, 'disabling user');
+  }
+});
+
+// Re-enable user
+router.post('/users/:id/enable', async (req, res) => {
+  try {
+    const user = await setUserDisabled(Number(req.params.id), false);
+    log(`User ${user.username} enabled by ${req.user.username}`, 'info');
+    res.json({ success: true, user });
+  } catch (error) {
+    handleError(res, error, 'enabling user');
+  }
+});
+
+// Reset password
+router.post('/users/:id/reset-password', async (req, res) => {
+  try {
+    await resetPassword(Number(req.params.id), req.body?.password);
+    log(`Password reset for user ${req.params.id} by ${req.user.username}`, 'info');
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'resetting password');
+  }
+});
+
+// List teams
+router.get('/teams', async (req, res) => {
+  try {
+    res.json({ success: true, teams: await listTeams() });
+  } catch (error) {
+    handleError(res, error, 'listing teams');
+  }
+});
+
+// Create team
+router.post('/teams', async (req, res) => {
+  try {
+    const team = await createTeam(req.body?.name);
+    res.status(201).json({ success: true, team });
+  } catch (error) {
+    handleError(res, error, 'creating team');
+  }
+});
+
+// Replace team members
+router.put('/teams/:id/members', async (req, res) => {
+  try {
+    const extensions = await setTeamMembers(Number(req.params.id), req.body?.extensions);
+    res.json({ success: true, extensions });
+  } catch (error) {
+    handleError(res, error, 'updating team members');
+  }
+});
+
+// Delete team
+router.delete('/teams/:id', async (req, res) => {
+  try {
+    await deleteTeam(Number(req.params.id));
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'deleting team');
+  }
+});
+
+export { handleError };
+export default router;
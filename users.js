@@ -0,0 +1,271 @@
+// users.js - User accounts and supervisor teams stored in MySQL
+import bcrypt from 'bcrypt';
+import { query, ensureColumn } from './db.js';
+import { ROLES } from './access.js';
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 10;
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+// Columns that are safe to return to the browser (never the password hash)
+const PUBLIC_COLUMNS = 'id, username, email, role, extension, team_id, disabled, created_at';
+
+/**
+ * Error raised for invalid input so routes can answer 4xx instead of 500
+ */
+class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UserError';
+    this.status = status;
+  }
+}
+
+/**
+ * Create the users table on a fresh database and add the disabled flag
+ */
+async function ensureUserSchema() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await ensureColumn('users', 'disabled', 'TINYINT(1) NOT NULL DEFAULT 0');
+}
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Plain text password
+ * @returns {Array<string>} - List of policy violations (empty when valid)
+ */
+function validatePassword(password) {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (!/[a-z]/.test(password || '')) problems.push('a lowercase letter');
+  if (!/[A-Z]/.test(password || '')) problems.push('an uppercase letter');
+  if (!/[0-9]/.test(password || '')) problems.push('a digit');
+  return problems;
+}
+
+/**
+ * Hash a password after enforcing the policy
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+async function hashPassword(password) {
+  const problems = validatePassword(password);
+  if (problems.length > 0) {
+    throw new UserError(`Password must contain ${problems.join(', ')}`);
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Normalise and validate the editable profile fields
+ * @param {Object} input - Raw request body
+ * @param {boolean} partial - When true, only validate the fields present
+ * @returns {Object} - Column values keyed by column name
+ */
+function normaliseUserFields(input, partial) {
+  const fields = {};
+
+  if (!partial || input.username !== undefined) {
+    const username = String(input.username || '').trim();
+    if (!username) throw new UserError('Username is required');
+    fields.username = username;
+  }
+  if (!partial || input.email !== undefined) {
+    const email = String(input.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new UserError('A valid email is required');
+    fields.email = email;
+  }
+  if (!partial || input.role !== undefined) {
+    const role = input.role || 'agent';
+    if (!ROLES.includes(role)) throw new UserError(`Role must be one of: ${ROLES.join(', ')}`);
+    fields.role = role;
+  }
+  if (input.extension !== undefined) {
+    fields.extension = input.extension ? String(input.extension).trim() : null;
+  }
+  if (input.teamId !== undefined) {
+    fields.team_id = input.teamId ? Number(input.teamId) : null;
+  }
+
+  return fields;
+}
+
+/**
+ * Make sure no other user already has this username or email
+ */
+async function assertUnique(fields, excludeId = null) {
+  if (!fields.username && !fields.email) return;
+  const rows = await query(
+    'SELECT id FROM users WHERE (username = ? OR email = ?) AND id <> ? LIMIT 1',
+    [fields.username || null, fields.email || null, excludeId || 0]
+  );
+  if (rows.length > 0) {
+    throw new UserError('A user with that username or email already exists', 409);
+  }
+}
+
+/**
+ * List all users (without password hashes)
+ * @returns {Promise<Array>}
+ */
+async function listUsers() {
+  return query(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY username`);
+}
+
+/**
+ * Fetch one user by id (without password hash)
+ * @param {number} id - User id
+ * @returns {Promise<Object|null>}
+ */
+async function getUser(id) {
+  const rows = await query(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Create a user
+ * @param {Object} input - { username, email, password, role, extension, teamId }
+ * @returns {Promise<Object>} - Created user
+ */
+async function createUser(input) {
+  const fields = normaliseUserFields(input, false);
+  await assertUnique(fields);
+  fields.password = await hashPassword(input.password);
+
+  const columns = Object.keys(fields);
+  const result = await query(
+    `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(c => fields[c])
+  );
+  return getUser(result.insertId);
+}
+
+/**
+ * Update a user's profile fields (not the password)
+ * @param {number} id - User id
+ * @param {Object} input - Any of { username, email, role, extension, teamId }
+ * @returns {Promise<Object>} - Updated user
+ */
+async function updateUser(id, input) {
+  const existing = await getUser(id);
+  if (!existing) throw new UserError('User not found', 404);
+
+  const fields = normaliseUserFields(input, true);
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return existing;
+
+  await assertUnique(fields, id);
+  await query(
+    `UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => fields[c]), id]
+  );
+  return getUser(id);
+}
+
+/**
+ * Enable or disable a user; disabled users cannot log in
+ * @param {number} id - User id
+ * @param {boolean} disabled - New state
+ * @returns {Promise<Object>} - Updated user
+ */
+async function setUserDisabled(id, disabled) {
+  const result = await query('UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, id]);
+  if (result.affectedRows === 0) throw new UserError('User not found', 404);
+  return getUser(id);
+}
+
+/**
+ * Replace a user's password
+ * @param {number} id - User id
+ * @param {string} password - New plain text password
+ */
+async function resetPassword(id, password) {
+  const hash = await hashPassword(password);
+  const result = await query('UPDATE users SET password = ? WHERE id = ?', [hash, id]);
+  if (result.affectedRows === 0) throw new UserError('User not found', 404);
+}
+
+/**
+ * List teams with their member extensions
+ * @returns {Promise<Array>} - [{ id, name, extensions: [] }]
+ */
+async function listTeams() {
+  const teams = await query('SELECT id, name FROM teams ORDER BY name');
+  const members = await query('SELECT team_id, extension FROM team_members ORDER BY extension');
+  return teams.map(team => ({
+    ...team,
+    extensions: members.filter(m => m.team_id === team.id).map(m => m.extension)
+  }));
+}
+
+/**
+ * Create a team
+ * @param {string} name - Team name
+ * @returns {Promise<Object>} - { id, name, extensions }
+ */
+async function createTeam(name) {
+  const teamName = String(name || '').trim();
+  if (!teamName) throw new UserError('Team name is required');
+
+  const existing = await query('SELECT id FROM teams WHERE name = ? LIMIT 1', [teamName]);
+  if (existing.length > 0) throw new UserError('A team with that name already exists', 409);
+
+  const result = await query('INSERT INTO teams (name) VALUES (?)', [teamName]);
+  return { id: result.insertId, name: teamName, extensions: [] };
+}
+
+/**
+ * Replace the extensions that belong to a team
+ * @param {number} teamId - Team id
+ * @param {Array<string>} extensions - Member extensions
+ * @returns {Promise<Array<string>>} - Stored extensions
+ */
+async function setTeamMembers(teamId, extensions) {
+  if (!Array.isArray(extensions)) throw new UserError('extensions must be an array');
+
+  const team = await query('SELECT id FROM teams WHERE id = ? LIMIT 1', [teamId]);
+  if (team.length === 0) throw new UserError('Team not found', 404);
+
+  const unique = [...new Set(extensions.map(e => String(e).trim()).filter(Boolean))];
+  await query('DELETE FROM team_members WHERE team_id = ?', [teamId]);
+  if (unique.length > 0) {
+    await query('INSERT INTO team_members (team_id, extension) VALUES ?', [unique.map(ext => [teamId, ext])]);
+  }
+  return unique;
+}
+
+/**
+ * Delete a team; supervisors in it lose their team scope
+ * @param {number} teamId - Team id
+ */
+async function deleteTeam(teamId) {
+  await query('UPDATE users SET team_id = NULL WHERE team_id = ?', [teamId]);
+  const result = await query('DELETE FROM teams WHERE id = ?', [teamId]);
+  if (result.affectedRows === 0) throw new UserError('Team not found', 404);
+}
+
+export {
+  UserError,
+  ensureUserSchema,
+  validatePassword,
+  hashPassword,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  setUserDisabled,
+  resetPassword,
+  listTeams,
+  createTeam,
+  setTeamMembers,
+  deleteTeam
+};
@@ -0,0 +1,89 @@
+// webhooks.js - Signed JSON webhooks
+//
+// Every request carries the time it was signed and an HMAC-SHA256 of
+// "<timestamp>.<body>" made with the webhook's secret:
+//   X-Webhook-Id          delivery id, the same on every retry of one delivery
+//   X-Webhook-Timestamp   unix seconds
+//   X-Webhook-Signature   sha256=<hex digest>
+// A receiver recomputes the digest over the raw body, compares it in constant
+// time and rejects old timestamps to stop replays.
+//
+// Configuration:
+//   WEBHOOK_TIMEOUT   how long to wait for the receiver to answer (default 10s)
+import crypto from 'crypto';
+import axios from 'axios';
+import ms from 'ms';
+
+const TIMEOUT = ms(process.env.WEBHOOK_TIMEOUT || '10s');
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * A new random signing secret
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature header value for a body
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Whether a failed answer is worth retrying: network errors, timeouts, 408, 429
+ * and 5xx are; any other 4xx means the receiver will refuse the same request again
+ */
+function isRetryable(status) {
+  return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST a signed payload. Never throws; the outcome says whether to retry.
+ * @param {Object} webhook - { url, secret }
+ * @param {Object} payload - JSON payload
+ * @param {Object} [options]
+ * @param {string|number} [options.id] - Delivery id for X-Webhook-Id
+ * @param {number} [options.timeout] - Milliseconds
+ * @returns {Promise<{ok: boolean, status: number|null, retryable: boolean, error: string|null}>}
+ */
+async function postWebhook(webhook, payload, { id = null, timeout = TIMEOUT } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'agent-report-webhooks',
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signWebhook(webhook.secret, timestamp, body)
+  };
+  if (id !== null) headers['X-Webhook-Id'] = String(id);
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers,
+      timeout,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    if (response.status >= 200 && response.status < 300) {
+      return { ok: true, status: response.status, retryable: false, error: null };
+    }
+    const text = typeof response.data === 'string' ? response.data.trim() : '';
+    return {
+      ok: false,
+      status: response.status,
+      retryable: isRetryable(response.status),
+      error: `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`
+    };
+  } catch (error) {
+    const reason = error.code === 'ECONNABORTED' ? `no answer within ${ms(timeout, { long: true })}` : error.message;
+    return { ok: false, status: null, retryable: true, error: reason };
+  }
+}
+
+export { generateWebhookSecret, signWebhook, postWebhook };
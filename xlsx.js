@@ -0,0 +1,289 @@
+// xlsx.js - Minimal XLSX (Office Open XML spreadsheet) writer
+//
+// Enough of the format for report exports: several sheets, a bold frozen
+// header row, column widths, and typed cells (numbers, durations, date-times,
+// percentages) that Excel and LibreOffice sort and sum properly. Strings are
+// written inline, so there is no shared string table. The package is a plain
+// ZIP built with zlib, to avoid a new dependency.
+import zlib from 'zlib';
+import { getZonedParts, toDate, DEFAULT_TIMEZONE } from './public/timezone.js';
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Cell style indexes into cellXfs in styles.xml
+const STYLES = { default: 0, header: 1, duration: 2, datetime: 3, percent: 4 };
+const DAY_SECONDS = 86400;
+const EXCEL_EPOCH_OFFSET = 25569; // days from 1899-12-30 to 1970-01-01
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a 0-based index: 0 → A, 26 → AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Seconds in a duration given as seconds or "HH:MM:SS"
+ * @returns {number|null}
+ */
+function durationSeconds(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = /^(\d+):(\d{2}):(\d{2})$/.exec(String(value).trim());
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+/**
+ * Excel serial date for an instant, as wall-clock time in a zone
+ * (spreadsheet dates carry no zone of their own)
+ */
+function excelDateTime(value, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  if (!parts) return null;
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock / (DAY_SECONDS * 1000) + EXCEL_EPOCH_OFFSET;
+}
+
+/**
+ * XML for one cell
+ * @param {string} ref - Cell reference, e.g. "B3"
+ * @param {*} value - The value; an object { value, type } overrides the column type
+ * @param {string} type - string, number, duration, datetime or percent
+ * @param {string} timeZone - Zone for datetime cells
+ * @returns {string} - Empty for blank cells
+ */
+function cellXml(ref, value, type, timeZone) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && 'value' in value) {
+    return cellXml(ref, value.value, value.type || type, timeZone);
+  }
+  if (value === null || value === undefined || value === '') return '';
+
+  let number = null;
+  let style = STYLES.default;
+  switch (type) {
+    case 'number':
+      number = Number(value);
+      break;
+    case 'percent':
+      number = Number(value);
+      style = STYLES.percent;
+      break;
+    case 'duration': {
+      const seconds = durationSeconds(value);
+      number = seconds === null ? null : seconds / DAY_SECONDS;
+      style = STYLES.duration;
+      break;
+    }
+    case 'datetime':
+      number = toDate(value) ? excelDateTime(value, timeZone) : null;
+      style = STYLES.datetime;
+      break;
+    default:
+      break;
+  }
+
+  if (number !== null && Number.isFinite(number)) {
+    return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number}</v></c>`;
+  }
+  // Anything that is not a usable number is written as text rather than dropped
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML with a frozen, bold header row
+ * @param {Object} sheet - { columns: [{ header, type, width }], rows: [[value]] }
+ * @param {string} timeZone - Zone for datetime cells
+ */
+function sheetXml(sheet, timeZone) {
+  const { columns, rows } = sheet;
+  const header = columns
+    .map((column, i) => `<c r="${columnName(i)}1" t="inlineStr" s="${STYLES.header}"><is><t>${escapeXml(column.header)}</t></is></c>`)
+    .join('');
+  const body = rows.map((row, r) => {
+    const cells = columns.map((column, i) => cellXml(`${columnName(i)}${r + 2}`, row[i], column.type, timeZone)).join('');
+    return `<row r="${r + 2}">${cells}</row>`;
+  }).join('');
+  const widths = columns
+    .map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || Math.max(10, column.header.length + 2)}" customWidth="1"/>`)
+    .join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths}</cols>` +
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+    '</worksheet>';
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  `<styleSheet xmlns="${MAIN_NS}">` +
+  '<numFmts count="3"><numFmt numFmtId="164" formatCode="[h]:mm:ss"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/><numFmt numFmtId="166" formatCode="0.0"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Sheet names are limited to 31 characters and may not contain []:*?/\
+ */
+function sheetName(name, index) {
+  const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+  return cleaned || `Sheet${index + 1}`;
+}
+
+/**
+ * Package parts for a workbook
+ */
+function workbookParts(sheets, { timeZone, title, properties }) {
+  const names = sheets.map((sheet, i) => sheetName(sheet.name, i));
+  const customProperties = Object.entries(properties).filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  const parts = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      '<Override PartName="/docProps/custom.xml" ContentType="application/vnd.openxmlformats-officedocument.custom-properties+xml"/>' +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+      `<Relationship Id="rId3" Type="${REL_NS}/custom-properties" Target="docProps/custom.xml"/>` +
+      '</Relationships>',
+    'docProps/core.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      `<dc:title>${escapeXml(title)}</dc:title>` +
+      `<dc:description>${escapeXml(customProperties.map(([name, value]) => `${name}: ${value}`).join('; '))}</dc:description>` +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>` +
+      '</cp:coreProperties>',
+    'docProps/custom.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">' +
+      customProperties.map(([name, value], i) =>
+        `<property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="${i + 2}" name="${escapeXml(name)}"><vt:lpwstr>${escapeXml(value)}</vt:lpwstr></property>`
+      ).join('') +
+      '</Properties>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+      names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': STYLES_XML
+  };
+  sheets.forEach((sheet, i) => {
+    parts[`xl/worksheets/sheet${i + 1}.xml`] = sheetXml(sheet, timeZone);
+  });
+  return parts;
+}
+
+/**
+ * A ZIP archive of deflated entries
+ * @param {Object} files - Path → string content
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(0, 10); // time
+    local.writeUInt16LE(0x21, 12); // date: 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<Object>} sheets - [{ name, columns: [{ header, type, width }], rows: [[value]] }].
+ *   Column types are string (default), number, duration (seconds or "HH:MM:SS"),
+ *   datetime (anything toDate accepts) and percent (a number such as 85.3).
+ *   A cell given as { value, type } uses its own type.
+ * @param {Object} opts
+ * @param {string} [opts.timeZone] - Zone that datetime cells are shown in
+ * @param {string} [opts.title] - Document title
+ * @param {Object} [opts.properties] - Name → value, stored as custom document properties
+ * @returns {Buffer}
+ */
+function buildWorkbook(sheets, { timeZone = DEFAULT_TIMEZONE, title = '', properties = {} } = {}) {
+  if (sheets.length === 0) throw new Error('A workbook needs at least one sheet');
+  return zip(workbookParts(sheets, { timeZone, title, properties }));
+}
+
+export { XLSX_CONTENT_TYPE, buildWorkbook };